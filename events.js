@@ -0,0 +1,208 @@
+// Live change notifications over Server-Sent Events
+// Clients subscribe to a team's channel; routes publish item-level changes after saving them,
+// so other devices (and team-code viewers) can update without reloading.
+
+// Keep idle connections open through proxies that close silent responses
+const HEARTBEAT_INTERVAL = 25 * 1000;
+
+// Collections whose items a delete also changes (see buildTrashEntry in storage/trash.js)
+const DELETE_CASCADES = {
+    players: ['positions'],
+    positions: ['rotations', 'scenarios', 'sequences'],
+    rotations: ['positions'],
+    scenarios: ['sequences'],
+    sequences: []
+};
+
+// teamId -> Map of open response -> { clientId, userId } of whoever opened it
+// (userId is null for team-code viewers, who aren't logged in)
+const channels = new Map();
+
+// teamId -> { clientId, event } for teams with a coach presenting.
+// event is the presenter's latest action, replayed to viewers who connect late.
+const presentations = new Map();
+
+/**
+ * Start an event stream for a team on an Express response
+ * The stream stays open until the client disconnects, or the server closes it
+ * because the subscriber lost access (see closeViewerStreams and closeUserStreams).
+ * @param {string} teamId - Team ID
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @param {object} [subscriber]
+ * @param {string} [subscriber.clientId] - The subscribing client's ID (X-Client-Id), used to end
+ *   a presentation when the presenter's last stream closes
+ * @param {string} [subscriber.userId] - The logged-in user's ID (omitted for team-code viewers)
+ */
+function subscribe(teamId, req, res, { clientId = null, userId = null } = {}) {
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no' // Don't let nginx buffer the stream
+    });
+    res.flushHeaders();
+
+    // Ask EventSource to reconnect quickly after a dropped connection
+    res.write('retry: 3000\n\n');
+
+    if (!channels.has(teamId)) {
+        channels.set(teamId, new Map());
+    }
+    channels.get(teamId).set(res, { clientId, userId });
+
+    // Bring late joiners up to date with a running presentation
+    const presentation = presentations.get(teamId);
+    if (presentation) {
+        res.write(formatEvent(presentation.event));
+    }
+
+    req.on('close', () => removeStream(teamId, res));
+}
+
+// Forget a closed stream
+function removeStream(teamId, res) {
+    const channel = channels.get(teamId);
+    const subscriber = channel && channel.get(res);
+    if (!subscriber) return;
+
+    channel.delete(res);
+    if (channel.size === 0) {
+        channels.delete(teamId);
+    }
+
+    // The presenter went away (closed the tab, lost the connection for good, or lost access)
+    const { clientId } = subscriber;
+    const current = presentations.get(teamId);
+    if (clientId && current && current.clientId === clientId && !hasClient(teamId, clientId)) {
+        present(teamId, clientId, { action: 'stop' });
+    }
+}
+
+// Whether a client still has an open stream for a team
+function hasClient(teamId, clientId) {
+    const channel = channels.get(teamId);
+    if (!channel) return false;
+    for (const subscriber of channel.values()) {
+        if (subscriber.clientId === clientId) return true;
+    }
+    return false;
+}
+
+function formatEvent(event) {
+    return `data: ${JSON.stringify(event)}\n\n`;
+}
+
+/**
+ * Send an event to everyone subscribed to a team
+ * @param {string} teamId - Team ID
+ * @param {object} event - One of:
+ *   { type: 'saved', collection, item }
+ *   { type: 'deleted', collection, id, refresh: [collections also changed by the delete] }
+ *   { type: 'reload' } - many items changed (import, trash restore)
+ *   { type: 'present', action, ... } - see present()
+ */
+function publish(teamId, event) {
+    const channel = channels.get(teamId);
+    if (!channel) return;
+
+    const payload = formatEvent({ ...event, at: new Date().toISOString() });
+    channel.forEach((subscriber, res) => res.write(payload));
+}
+
+/**
+ * Broadcast a presenter action ("follow the coach" mode) to a team
+ * 'start' begins a presentation, 'stop' ends it; every other action is
+ * remembered so viewers who connect later jump straight to it.
+ * @param {string} teamId - Team ID
+ * @param {string} clientId - Presenting client's ID
+ * @param {object} details - { action, ...action-specific fields }
+ */
+function present(teamId, clientId, details) {
+    const event = { ...details, type: 'present', sourceClientId: clientId };
+
+    if (details.action === 'stop') {
+        // Only the presenter (or their disconnect) ends a presentation
+        const current = presentations.get(teamId);
+        if (!current || current.clientId !== clientId) return;
+        presentations.delete(teamId);
+    } else {
+        // Starting takes over from anyone else presenting to the team
+        presentations.set(teamId, { clientId, event });
+    }
+
+    publish(teamId, event);
+}
+
+/**
+ * Whether a client is presenting to a team
+ */
+function isPresenting(teamId, clientId) {
+    const current = presentations.get(teamId);
+    return !!current && current.clientId === clientId;
+}
+
+// End the streams of a team's subscribers that match
+function closeStreams(teamId, matches) {
+    const channel = channels.get(teamId);
+    if (!channel) return;
+    const closing = [...channel].filter(([res, subscriber]) => matches(subscriber)).map(([res]) => res);
+    closing.forEach(res => {
+        removeStream(teamId, res);
+        res.end();
+    });
+}
+
+/**
+ * Close a team's team-code viewer streams (player view was disabled)
+ * @param {string} teamId - Team ID
+ */
+function closeViewerStreams(teamId) {
+    closeStreams(teamId, subscriber => !subscriber.userId);
+}
+
+/**
+ * Close a user's streams for a team (they were removed from it, or left)
+ * @param {string} teamId - Team ID
+ * @param {string} userId - User ID
+ */
+function closeUserStreams(teamId, userId) {
+    closeStreams(teamId, subscriber => subscriber.userId === userId);
+}
+
+/**
+ * Close every stream for a team and forget its presentation (the team was deleted)
+ * @param {string} teamId - Team ID
+ */
+function closeTeamStreams(teamId) {
+    presentations.delete(teamId);
+    closeStreams(teamId, () => true);
+}
+
+/**
+ * Build the event for a deleted item
+ */
+function deletedEvent(collectionName, id) {
+    return {
+        type: 'deleted',
+        collection: collectionName,
+        id: id,
+        refresh: DELETE_CASCADES[collectionName] || []
+    };
+}
+
+// Comment lines are ignored by EventSource but keep the connection alive
+setInterval(() => {
+    channels.forEach(channel => channel.forEach((subscriber, res) => res.write(': ping\n\n')));
+}, HEARTBEAT_INTERVAL).unref();
+
+module.exports = {
+    subscribe,
+    publish,
+    present,
+    isPresenting,
+    closeViewerStreams,
+    closeUserStreams,
+    closeTeamStreams,
+    deletedEvent
+};
@@ -4,9 +4,19 @@
 const auth = require('./auth');
 const db = require('./db');
 
+// What each role may do with a team's data:
+// - edit:   create and change players, positions, rotations, scenarios and sequences
+// - delete: delete items (and permanently delete them from the trash)
+// - share:  manage the team itself (name, player view / team code)
+const ROLE_PERMISSIONS = {
+    'coach': ['edit', 'delete', 'share'],
+    'assistant coach': ['edit'],
+    'player': []
+};
+
 /**
  * Middleware to authenticate requests using JWT tokens
- * Attaches userId and userEmail to req.user if token is valid
+ * Attaches userId, userEmail and role to req.user if token is valid
  */
 async function authenticate(req, res, next) {
     try {
@@ -31,7 +41,8 @@ async function authenticate(req, res, next) {
         // Attach user info to request
         req.user = {
             userId: decoded.userId,
-            email: decoded.email
+            email: decoded.email,
+            role: user.role
         };
         
         next();
@@ -41,6 +52,80 @@ async function authenticate(req, res, next) {
     }
 }
 
+/**
+ * Get a user's role in a team: the account role for the team's owner,
+ * the membership role for invited members, or null without access
+ * @param {object} team - Team object
+ * @param {object} user - req.user ({ userId, role })
+ * @returns {Promise<string|null>}
+ */
+async function getTeamRole(team, user) {
+    if (team.ownerId === user.userId) {
+        return user.role;
+    }
+    const membership = await db.getMembership(team.id, user.userId);
+    return membership ? membership.role : null;
+}
+
+/**
+ * Middleware for team-scoped routes (/api/teams/:teamId/...), used after authenticate
+ * Loads the team and checks the user owns it or is a member, then attaches it
+ * to req.team and the user's role in it to req.teamRole
+ */
+async function requireTeam(req, res, next) {
+    try {
+        const team = await db.getTeamById(req.params.teamId);
+        if (!team) {
+            return res.status(404).json({ error: 'Team not found' });
+        }
+        
+        const role = await getTeamRole(team, req.user);
+        if (!role) {
+            return res.status(403).json({ error: 'You do not have access to this team' });
+        }
+        
+        req.team = team;
+        req.teamRole = role;
+        next();
+    } catch (error) {
+        console.error('Team access error:', error);
+        return res.status(500).json({ error: 'Team access error' });
+    }
+}
+
+/**
+ * Check whether a role allows an action ('edit', 'delete' or 'share')
+ */
+function hasPermission(role, permission) {
+    return (ROLE_PERMISSIONS[role] || []).includes(permission);
+}
+
+/**
+ * Middleware factory that only lets users whose role allows an action through, used after authenticate
+ * On team-scoped routes the role is the user's role in that team (req.teamRole)
+ * @param {string} permission - 'edit', 'delete' or 'share'
+ */
+function requirePermission(permission) {
+    return (req, res, next) => {
+        const role = req.teamRole || req.user.role;
+        if (!hasPermission(role, permission)) {
+            return res.status(403).json({ error: `Your role (${role}) does not allow this action` });
+        }
+        next();
+    };
+}
+
+/**
+ * Accept the token as a ?token= query parameter, for EventSource streams which
+ * can't send an Authorization header. Use before authenticate.
+ */
+function tokenFromQuery(req, res, next) {
+    if (!req.headers.authorization && typeof req.query.token === 'string') {
+        req.headers.authorization = `Bearer ${req.query.token}`;
+    }
+    next();
+}
+
 /**
  * Optional authentication - doesn't fail if no token, but attaches user if token is valid
  */
@@ -71,5 +156,10 @@ async function optionalAuthenticate(req, res, next) {
 
 module.exports = {
     authenticate,
+    requireTeam,
+    getTeamRole,
+    requirePermission,
+    hasPermission,
+    tokenFromQuery,
     optionalAuthenticate
 };
@@ -0,0 +1,50 @@
+// Write the native app's build-time configuration into public/js/nativeConfig.js (git-ignored),
+// from the committed template public/js/nativeConfig.example.js
+// The native app is bundled from public/ (see capacitor.config.js), so the server it syncs with
+// is read from the environment (or .env) when the app is built: NATIVE_API_BASE is the server's
+// API URL, including /api (e.g. https://volleyboard.example.com/api). Runs after `npm install`
+// and before `cap sync`/`cap copy`.
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+
+const TEMPLATE_FILE = path.join(__dirname, 'public', 'js', 'nativeConfig.example.js');
+const OUTPUT_FILE = path.join(__dirname, 'public', 'js', 'nativeConfig.js');
+const SETTING_LINE = /^export const NATIVE_API_BASE = .*;$/m;
+
+function getNativeApiBase() {
+    const value = (process.env.NATIVE_API_BASE || '').trim().replace(/\/+$/, '');
+    if (!value) return '';
+
+    let url;
+    try {
+        url = new URL(value);
+    } catch (error) {
+        throw new Error(`NATIVE_API_BASE must be a full URL (e.g. https://volleyboard.example.com/api), got "${value}"`);
+    }
+    if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+        throw new Error(`NATIVE_API_BASE must be an http(s) URL, got "${value}"`);
+    }
+    return value;
+}
+
+function writeNativeConfig() {
+    const apiBase = getNativeApiBase();
+    const template = fs.readFileSync(TEMPLATE_FILE, 'utf8');
+    if (!SETTING_LINE.test(template)) {
+        throw new Error(`${path.relative(__dirname, TEMPLATE_FILE)} has no NATIVE_API_BASE line to fill in`);
+    }
+    const setting = `export const NATIVE_API_BASE = '${apiBase.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}';`;
+    fs.writeFileSync(OUTPUT_FILE, template.replace(SETTING_LINE, () => setting));
+    console.log(apiBase
+        ? `Native app will sync with ${apiBase}`
+        : 'NATIVE_API_BASE is not set: the native app will keep its data on the device only');
+}
+
+try {
+    writeNativeConfig();
+} catch (error) {
+    console.error(error.message);
+    process.exit(1);
+}
@@ -10,6 +10,7 @@ import {
     setPlayers, 
     setSavedPositions, 
     setPositions, 
+    setRotations, 
     setScenarios, 
     setSequences, 
     setDbInitialized,
@@ -23,6 +24,13 @@ import { addPlayer } from './js/players.js';
 import { savePosition, savePositionAs, createNewPosition } from './js/positions.js';
 import { playAnimation, resetToStartPosition } from './js/animation.js';
 import { initCourtListeners } from './js/court.js';
+import { initAnnotations } from './js/annotations.js';
+import { initUndo } from './js/undo.js';
+import { initSelection } from './js/selection.js';
+import { initZones } from './js/zones.js';
+import { initPaths } from './js/paths.js';
+import { initTiming } from './js/timing.js';
+import { openRotationGenerator } from './js/rotationGenerator.js';
 import { 
     renderLineup, 
     renderPositionsList, 
@@ -32,17 +40,22 @@ import {
     updateModifiedIndicator,
     initDropZones,
     updateDropZoneDisplay,
-    initFilters
+    initFilters,
+    applyRolePermissions
 } from './js/ui.js';
 import { initAccordions, openAccordion, getSavedActiveAccordion } from './js/accordion.js';
 import { updateScenarioSelects } from './js/scenarios.js';
 import { createSequence } from './js/sequences.js';
+import { initTrash } from './js/trash.js';
+import { initLiveSync } from './js/liveSync.js';
+import { initPresenter } from './js/presenter.js';
+import { initSyncStatus } from './js/syncStatus.js';
 import { 
     migrateFromLegacyStorage, 
     exportToJSON, 
     handleFileImport 
 } from './js/importExport.js';
-import { initAuth } from './js/auth.js';
+import { initAuth, showNoTeamNotice } from './js/auth.js';
 import { initProfile } from './js/profile.js';
 
 // Helper function to check if we're on a phone (matches CSS media query: max-width: 767px and orientation: portrait)
@@ -123,6 +136,13 @@ async function init() {
         await db.initDB();
         setDbInitialized(true);
         
+        // A logged in user without a team has no data to load until they join or create one
+        if (apiBase && !isViewOnly && !db.getCurrentTeam()) {
+            hideLoadingOverlay();
+            showNoTeamNotice();
+            return;
+        }
+        
         // Try to load data (only if authenticated or in native mode or view-only mode)
         // For web mode with auth, we're using the database - no legacy migration needed
         let hasDBData = false;
@@ -143,6 +163,7 @@ async function init() {
                 // Try to load new format first, fall back to old format
                 try {
                     const positions = await db.getAllPositionsNew();
+                    const rotations = await db.getAllRotations();
                     const scenarios = await db.getAllScenarios();
                     const sequences = await db.getAllSequences();
                     
@@ -151,6 +172,8 @@ async function init() {
                     setSavedPositions(savedPositions);
                     
                     setPositions(positions);
+                    // Rotations carry the libero replacement pairs used when positions are shown
+                    setRotations(rotations);
                     setScenarios(scenarios);
                     setSequences(sequences);
                 } catch (error) {
@@ -229,6 +252,24 @@ async function init() {
         // Initialize court drag and drop
         initCourtListeners();
         
+        // Initialize drawing over the court (shown to everyone, drawn by coaches)
+        initAnnotations();
+        
+        // Initialize undo/redo for changes to the court
+        initUndo();
+        
+        // Initialize selecting several players on the court
+        initSelection();
+        
+        // Initialize the zone overlay (and snapping players to zones)
+        initZones();
+        
+        // Initialize editing players' paths through a scenario
+        initPaths();
+        
+        // Initialize the playback speed and scenario timing
+        initTiming();
+        
         // Set up dynamic viewport dimension tracking (handles browser UI changes)
         setupViewportDimensions();
         
@@ -241,9 +282,10 @@ async function init() {
         // Initialize drop zones
         initDropZones();
         
-        // Initialize profile menu (only if not in view-only mode)
+        // Initialize profile menu and hide controls the user's role can't use (only if not in view-only mode)
         if (!isViewOnly) {
             initProfile();
+            applyRolePermissions();
         }
         
         // Initial render
@@ -253,8 +295,18 @@ async function init() {
         renderSequencesList();
         updateScenarioSelects();
         updateCurrentItemDisplay();
+        initTrash();
         updateDropZoneDisplay();
         
+        // Pick up changes made on other devices, and presentations ("follow the coach")
+        initPresenter();
+        initLiveSync();
+        
+        // Show when working offline with changes waiting to be synced
+        if (!isViewOnly) {
+            initSyncStatus();
+        }
+        
         // Initialize scenario buttons visibility (all hidden by default)
         const { updateScenarioButtonsVisibility, updateMobileUI } = await import('./js/ui.js');
         updateScenarioButtonsVisibility();
@@ -362,6 +414,9 @@ function setupEventListeners() {
     if (dom.newPositionBtn) {
         dom.newPositionBtn.addEventListener('click', createNewPosition);
     }
+    if (dom.generateRotationsBtn) {
+        dom.generateRotationsBtn.addEventListener('click', openRotationGenerator);
+    }
     
     // Search and tag filters are now handled by the filter module (initFilters)
     
@@ -424,6 +479,22 @@ function setupEventListeners() {
     if (dom.importFileInput) {
         dom.importFileInput.addEventListener('change', handleFileImport);
     }
+
+    // A save conflict was resolved by saving the local version as a copy
+    window.addEventListener('conflict-copy-saved', (e) => {
+        const { collection, item } = e.detail;
+        if (collection === 'positions') {
+            setPositions([...state.positions, item]);
+            renderPositionsList();
+        } else if (collection === 'scenarios') {
+            setScenarios([...state.scenarios, item]);
+            renderScenariosList();
+            updateScenarioSelects();
+        } else if (collection === 'sequences') {
+            setSequences([...state.sequences, item]);
+            renderSequencesList();
+        }
+    });
 }
 
 // Set up mobile drawer functionality
@@ -534,7 +605,8 @@ function setupCourtFontScaling() {
     
     function updateCourtFontSize() {
         const rect = dom.court.getBoundingClientRect();
-        const courtWidth = rect.width;
+        // Use the short side - in full-court view the court is two halves long
+        const courtWidth = Math.min(rect.width, rect.height);
         // Base: 16px at 600px court width
         // Scale proportionally: fontSize = (courtWidth / 600) * 16
         const fontSize = Math.max(10, Math.min(16, (courtWidth / 600) * 16));
@@ -611,12 +683,21 @@ async function setupViewOnlyMode() {
     // Hide all edit buttons
     if (dom.addPlayerBtn) dom.addPlayerBtn.style.display = 'none';
     if (dom.newPositionBtn) dom.newPositionBtn.style.display = 'none';
+    if (dom.generateRotationsBtn) dom.generateRotationsBtn.style.display = 'none';
     if (dom.createSequenceBtn) dom.createSequenceBtn.style.display = 'none';
     if (dom.saveBtn) dom.saveBtn.style.display = 'none';
     if (dom.saveAsBtn) dom.saveAsBtn.style.display = 'none';
     if (dom.discardBtn) dom.discardBtn.style.display = 'none';
+    if (dom.undoControls) dom.undoControls.style.display = 'none';
     if (dom.exportJsonBtn) dom.exportJsonBtn.style.display = 'none';
     if (dom.importBtn) dom.importBtn.style.display = 'none';
+    if (dom.courtBallBtn) dom.courtBallBtn.style.display = 'none';
+    if (dom.courtOpponentBtn) dom.courtOpponentBtn.style.display = 'none';
+    if (dom.courtTransformBtn) dom.courtTransformBtn.style.display = 'none';
+    if (dom.courtSnapBtn) dom.courtSnapBtn.style.display = 'none';
+    if (dom.editPathsBtn) dom.editPathsBtn.style.display = 'none';
+    if (dom.editTimingBtn) dom.editTimingBtn.style.display = 'none';
+    if (dom.annotationToolbar) dom.annotationToolbar.style.display = 'none';
     
     // Hide profile menu (settings, logout, etc.)
     const profileButton = document.getElementById('profile-button');
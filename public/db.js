@@ -1,8 +1,9 @@
 // Hybrid Database Manager for Volleyball Coach
-// Supports both API-based storage (web) and local storage (native)
-// Now includes user authentication support
+// Supports both API-based storage (web, or native with a server) and local storage (native)
+// Now includes user authentication support and offline sync in API mode
 
 import { getApiBase, isNative } from './js/environment.js';
+import { customModal, hideModal } from './js/modal.js';
 
 // Storage keys
 const STORAGE_KEY = 'volleyball-coach-data';
@@ -11,6 +12,26 @@ const USER_KEY = 'volleyball-coach-user';
 const VIEW_ONLY_MODE_KEY = 'volleyball-coach-view-only';
 const VIEW_ONLY_TEAM_CODE_KEY = 'volleyball-coach-view-only-code';
 const VIEW_ONLY_EXPIRATION_KEY = 'volleyball-coach-view-only-expiration';
+const TEAM_KEY = 'volleyball-coach-team';
+const TEAMS_KEY = 'volleyball-coach-teams';
+const CACHE_KEY = 'volleyball-coach-cache';
+const SYNC_QUEUE_KEY = 'volleyball-coach-sync-queue';
+
+// Team whose data the API reads and writes (selected in initDB, changed with switchTeam)
+let currentTeam = null;
+
+// Role of the logged in user (set by fetchCurrentUser)
+let currentRole = null;
+
+// Identifies this browser tab in API requests, so live change events it caused can be skipped
+const CLIENT_ID = `client_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+// What each role may do (mirrors ROLE_PERMISSIONS in middleware.js on the server)
+const ROLE_PERMISSIONS = {
+    'coach': ['edit', 'delete', 'share'],
+    'assistant coach': ['edit'],
+    'player': []
+};
 
 // Get API base URL (lazy evaluation - null in native mode)
 function getApiBaseUrl() {
@@ -85,6 +106,45 @@ async function saveLocalData(data) {
     }
 }
 
+/**
+ * Read a JSON value from storage
+ */
+async function getStoredValue(key, fallback) {
+    try {
+        let valueStr;
+        try {
+            const { Preferences } = await import('@capacitor/preferences');
+            valueStr = (await Preferences.get({ key })).value;
+        } catch (capError) {
+            valueStr = localStorage.getItem(key);
+        }
+        return valueStr ? JSON.parse(valueStr) : fallback;
+    } catch (error) {
+        console.error(`Error reading ${key}:`, error);
+        return fallback;
+    }
+}
+
+/**
+ * Write a JSON value to storage (null removes it)
+ */
+async function setStoredValue(key, value) {
+    try {
+        const { Preferences } = await import('@capacitor/preferences');
+        if (value === null) {
+            await Preferences.remove({ key });
+        } else {
+            await Preferences.set({ key, value: JSON.stringify(value) });
+        }
+    } catch (capError) {
+        if (value === null) {
+            localStorage.removeItem(key);
+        } else {
+            localStorage.setItem(key, JSON.stringify(value));
+        }
+    }
+}
+
 // ==================== Authentication Helpers ====================
 
 /**
@@ -120,9 +180,11 @@ async function clearAuthToken() {
         const { Preferences } = await import('@capacitor/preferences');
         await Preferences.remove({ key: AUTH_TOKEN_KEY });
         await Preferences.remove({ key: USER_KEY });
+        await Preferences.remove({ key: TEAM_KEY });
     } catch (capError) {
         localStorage.removeItem(AUTH_TOKEN_KEY);
         localStorage.removeItem(USER_KEY);
+        localStorage.removeItem(TEAM_KEY);
     }
 }
 
@@ -152,8 +214,43 @@ async function setCurrentUser(user) {
     }
 }
 
+/**
+ * Get the last selected team ID from storage
+ */
+async function getStoredTeamId() {
+    try {
+        const { Preferences } = await import('@capacitor/preferences');
+        const result = await Preferences.get({ key: TEAM_KEY });
+        return result.value || null;
+    } catch (capError) {
+        return localStorage.getItem(TEAM_KEY);
+    }
+}
+
+/**
+ * Save the selected team ID to storage
+ */
+async function setStoredTeamId(teamId) {
+    try {
+        const { Preferences } = await import('@capacitor/preferences');
+        await Preferences.set({ key: TEAM_KEY, value: teamId });
+    } catch (capError) {
+        localStorage.setItem(TEAM_KEY, teamId);
+    }
+}
+
 // ==================== API Helpers ====================
 
+/**
+ * Prefix an endpoint with the current team (/teams/:teamId/...)
+ */
+function teamPath(endpoint) {
+    if (!currentTeam) {
+        throw new Error('No team selected');
+    }
+    return `/teams/${currentTeam.id}${endpoint}`;
+}
+
 /**
  * Make an API request with authentication
  */
@@ -165,6 +262,7 @@ async function apiRequest(endpoint, options = {}) {
     const token = await getAuthToken();
     const headers = {
         'Content-Type': 'application/json',
+        'X-Client-Id': CLIENT_ID,
         ...options.headers
     };
     
@@ -172,10 +270,20 @@ async function apiRequest(endpoint, options = {}) {
         headers['Authorization'] = `Bearer ${token}`;
     }
     
-    const response = await fetch(url, {
-        ...options,
-        headers
-    });
+    let response;
+    try {
+        response = await fetch(url, {
+            ...options,
+            headers
+        });
+    } catch (error) {
+        // fetch only rejects when the server can't be reached
+        setServerReachable(false);
+        const offline = new Error('Unable to reach the server. Check your connection.');
+        offline.offline = true;
+        throw offline;
+    }
+    setServerReachable(true);
     
     // Handle authentication errors
     if (response.status === 401) {
@@ -185,20 +293,569 @@ async function apiRequest(endpoint, options = {}) {
         throw new Error('Authentication required. Please log in.');
     }
     
+    // Handle revision conflicts (item was changed elsewhere since we loaded it).
+    // Only a save of an item can be resolved; other requests (e.g. restoring a version) just fail.
+    if (response.status === 409) {
+        const conflict = await response.json().catch(() => ({}));
+        const mine = conflict.current ? getRequestItem(options) : null;
+        if (mine) {
+            return await resolveConflict(endpoint, options, mine, conflict.current);
+        }
+        throw new Error(conflict.error || 'Request failed');
+    }
+    
     if (!response.ok) {
         const error = await response.json().catch(() => ({ error: 'Request failed' }));
         throw new Error(error.error || 'Request failed');
     }
     
-    return await response.json();
+    return await response.json();
+}
+
+/**
+ * POST a single item and merge the server's saved copy (with its new revision)
+ * back into it, since callers keep the object they passed in state
+ */
+async function postItem(endpoint, item) {
+    const saved = await apiRequest(endpoint, {
+        method: 'POST',
+        body: JSON.stringify(item)
+    });
+    return Object.assign(item, saved);
+}
+
+// The item a request saves, or null if its body isn't a JSON item with an id
+function getRequestItem(options) {
+    if (typeof options.body !== 'string') return null;
+    try {
+        const item = JSON.parse(options.body);
+        return item && typeof item === 'object' && item.id ? item : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Let the coach decide how to resolve a stale write, then finish the request.
+ * Returns the item that should end up in local state.
+ */
+async function resolveConflict(endpoint, options, mine, current) {
+    const choice = await showConflictDialog(endpoint, mine, current);
+    
+    if (choice === 'mine') {
+        // Overwrite the server copy by basing our edit on its revision
+        return await apiRequest(endpoint, {
+            ...options,
+            body: JSON.stringify({ ...mine, revision: current.revision })
+        });
+    }
+    
+    if (choice === 'copy') {
+        const { revision, ...rest } = mine;
+        const copy = {
+            ...rest,
+            id: generateCopyId(mine.id),
+            name: `${mine.name} (Copy)`
+        };
+        const savedCopy = await apiRequest(endpoint, {
+            ...options,
+            body: JSON.stringify(copy)
+        });
+        // Let the UI add the copy to its lists; the original becomes the server's version
+        window.dispatchEvent(new CustomEvent('conflict-copy-saved', {
+            detail: { collection: endpoint.split('/').pop(), item: savedCopy }
+        }));
+        return current;
+    }
+    
+    if (choice === 'theirs') {
+        return current;
+    }
+    
+    // Nothing was chosen, so nothing is lost: a queued change stays queued for the next sync
+    const cancelled = new Error('Save cancelled. This item was changed somewhere else.');
+    cancelled.conflictCancelled = true;
+    throw cancelled;
+}
+
+/**
+ * Show the conflict dialog
+ * @returns {Promise<string|null>} - 'mine', 'theirs', 'copy', or null if dismissed
+ */
+function showConflictDialog(endpoint, mine, current) {
+    // Players are identified by jersey number, so a copy would always be a duplicate
+    const canCopy = !endpoint.endsWith('/players');
+    const name = current.name || mine.name || 'This item';
+    
+    const bodyHtml = `
+        <p class="modal-body-text">"${escapeHtml(name)}" was changed somewhere else (another tab or another coach) since you loaded it.</p>
+        <p class="modal-body-text">Which version do you want to keep?</p>
+    `;
+    const footerHtml = `
+        <button class="modal-btn modal-btn-secondary" id="conflict-theirs-btn">Take Theirs</button>
+        ${canCopy ? '<button class="modal-btn modal-btn-secondary" id="conflict-copy-btn">Save Mine as Copy</button>' : ''}
+        <button class="modal-btn modal-btn-primary" id="conflict-mine-btn">Keep Mine</button>
+    `;
+    
+    return new Promise((resolve) => {
+        // customModal resolves with false when the dialog is dismissed
+        customModal('Save Conflict', bodyHtml, footerHtml).then(() => resolve(null));
+        
+        const choose = (choice) => {
+            hideModal();
+            resolve(choice);
+        };
+        
+        document.getElementById('conflict-mine-btn')?.addEventListener('click', () => choose('mine'));
+        document.getElementById('conflict-theirs-btn')?.addEventListener('click', () => choose('theirs'));
+        document.getElementById('conflict-copy-btn')?.addEventListener('click', () => choose('copy'));
+    });
+}
+
+/**
+ * Generate an id for a copied item, keeping the original's prefix (pos_, scen_, ...)
+ */
+function generateCopyId(originalId) {
+    const prefix = String(originalId).includes('_') ? String(originalId).split('_')[0] : 'item';
+    return `${prefix}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+}
+
+/**
+ * Escape HTML to prevent XSS
+ */
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
+
+// ==================== Offline Sync ====================
+// In API mode a copy of each team's data is kept on the device, so the app keeps working
+// when the server can't be reached (a gym without Wi-Fi). Changes made meanwhile are
+// queued and replayed in order once the server is back. An item that was also changed
+// on the server comes back as a conflict and is resolved per item with the conflict dialog.
+
+// How often queued changes are retried while there are any
+const SYNC_RETRY_INTERVAL = 30 * 1000;
+
+let serverReachable = true;
+let syncInProgress = null;
+let backgroundSyncStarted = false;
+const syncListeners = new Set();
+
+// Cache and queue updates are read-modify-write, so run them one at a time
+let storageLock = Promise.resolve();
+function withStorageLock(fn) {
+    const run = storageLock.then(fn);
+    storageLock = run.catch(() => {});
+    return run;
+}
+
+function emptyTeamData() {
+    return { players: [], positions: [], rotations: [], scenarios: [], sequences: [] };
+}
+
+// Get the local copy of a team's data
+async function getCachedTeamData(teamId) {
+    const cache = await getStoredValue(CACHE_KEY, {});
+    return cache[teamId] || emptyTeamData();
+}
+
+// Change the local copy of a team's data
+function updateCachedTeamData(teamId, update) {
+    return withStorageLock(async () => {
+        const cache = await getStoredValue(CACHE_KEY, {});
+        const data = cache[teamId] || emptyTeamData();
+        update(data);
+        cache[teamId] = data;
+        await setStoredValue(CACHE_KEY, cache);
+    });
+}
+
+// Replace the local copy of a team's data with the server's
+function replaceCachedTeamData(teamId, data) {
+    return withStorageLock(async () => {
+        const cache = await getStoredValue(CACHE_KEY, {});
+        cache[teamId] = data;
+        await setStoredValue(CACHE_KEY, cache);
+    });
+}
+
+async function getSyncQueue() {
+    return await getStoredValue(SYNC_QUEUE_KEY, []);
+}
+
+// Whether a team (by default the current one) has changes waiting to be sent
+async function hasQueuedChanges(teamId) {
+    const queue = await getSyncQueue();
+    return queue.some(change => change.teamId === teamId);
+}
+
+/**
+ * Queue a change for the current team to send when the server is reachable
+ * @param {object} change - { type: 'save', collection, itemId, item } or { type: 'delete', collection, itemId }
+ */
+async function queueChange(change) {
+    const teamId = currentTeam.id;
+    await withStorageLock(async () => {
+        let queue = await getSyncQueue();
+        const isSameItem = queued => queued.teamId === teamId &&
+            queued.collection === change.collection && queued.itemId === change.itemId;
+        const entry = {
+            ...change,
+            id: `change_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            teamId,
+            queuedAt: new Date().toISOString()
+        };
+        
+        // Only the latest version of an item is sent, in the place of its first pending save
+        // (so items created offline still reach the server before anything that refers to them)
+        const pendingSave = queue.findIndex(queued => isSameItem(queued) && queued.type === 'save');
+        if (change.type === 'save' && pendingSave >= 0) {
+            queue[pendingSave] = entry;
+        } else {
+            // A delete makes pending saves of the item pointless
+            if (change.type === 'delete') {
+                queue = queue.filter(queued => !isSameItem(queued));
+            }
+            queue.push(entry);
+        }
+        await setStoredValue(SYNC_QUEUE_KEY, queue);
+    });
+    notifySyncStatus();
+}
+
+function setServerReachable(reachable) {
+    if (serverReachable !== reachable) {
+        serverReachable = reachable;
+        notifySyncStatus();
+    }
+}
+
+/**
+ * Read a collection of the current team: from the server when it's reachable and there's
+ * nothing queued (which the server wouldn't have yet), otherwise from the local copy
+ */
+async function readCollection(collectionName) {
+    const endpoint = teamPath(`/${collectionName}`);
+    const teamId = currentTeam.id;
+    
+    if (!(await hasQueuedChanges(teamId))) {
+        try {
+            const items = await apiRequest(endpoint);
+            await updateCachedTeamData(teamId, data => {
+                data[collectionName] = items;
+            });
+            return items;
+        } catch (error) {
+            if (!error.offline) throw error;
+        }
+    }
+    
+    const data = await getCachedTeamData(teamId);
+    return data[collectionName] || [];
+}
+
+/**
+ * Read all of the current team's data, like readCollection
+ */
+async function readTeamData() {
+    const endpoint = teamPath('/data');
+    const teamId = currentTeam.id;
+    
+    if (!(await hasQueuedChanges(teamId))) {
+        try {
+            const data = await apiRequest(endpoint);
+            await replaceCachedTeamData(teamId, data);
+            return data;
+        } catch (error) {
+            if (!error.offline) throw error;
+        }
+    }
+    
+    return await getCachedTeamData(teamId);
+}
+
+/**
+ * Save an item of the current team, or queue the save while the server can't be reached
+ * @returns {Promise<object>} - The saved item
+ */
+async function writeItem(collectionName, item) {
+    const endpoint = teamPath(`/${collectionName}`);
+    const teamId = currentTeam.id;
+    
+    if (!(await hasQueuedChanges(teamId))) {
+        try {
+            const saved = await postItem(endpoint, item);
+            await updateCachedTeamData(teamId, data => upsertItemInData(data, collectionName, saved));
+            return saved;
+        } catch (error) {
+            if (!error.offline) throw error;
+        }
+    }
+    
+    // The item keeps the revision it was loaded with, so the server can tell if it changed meanwhile
+    await queueChange({ type: 'save', collection: collectionName, itemId: item.id, item });
+    await updateCachedTeamData(teamId, data => upsertItemInData(data, collectionName, item));
+    return item;
+}
+
+/**
+ * Delete an item of the current team, or queue the delete while the server can't be reached
+ * @returns {Promise<object>} - { success, trashId } ({ success, queued } when queued)
+ */
+async function removeItem(collectionName, itemId) {
+    const endpoint = teamPath(`/${collectionName}/${itemId}`);
+    const teamId = currentTeam.id;
+    let result = null;
+    
+    if (!(await hasQueuedChanges(teamId))) {
+        try {
+            result = await apiRequest(endpoint, { method: 'DELETE' });
+        } catch (error) {
+            if (!error.offline) throw error;
+        }
+    }
+    
+    if (!result) {
+        await queueChange({ type: 'delete', collection: collectionName, itemId });
+        result = { success: true, queued: true };
+    }
+    await updateCachedTeamData(teamId, data => removeItemFromData(data, collectionName, itemId));
+    return result;
+}
+
+/**
+ * Send queued changes to the server, oldest first. Stops at the first change the
+ * server can't be reached for, or whose conflict dialog is dismissed (it stays queued
+ * and is asked about again next time); changes the server rejects are dropped and reported.
+ * @returns {Promise<object>} - { synced: number of changes sent, failed: [{ collection, itemId, error }] }
+ */
+export async function syncPendingChanges() {
+    if (!getApiBaseUrl() || !(await getAuthToken())) {
+        return { synced: 0, failed: [] };
+    }
+    
+    if (!syncInProgress) {
+        syncInProgress = replayQueue().finally(() => {
+            syncInProgress = null;
+            notifySyncStatus();
+        });
+        notifySyncStatus();
+    }
+    return await syncInProgress;
+}
+
+async function replayQueue() {
+    const failed = [];
+    const syncedTeams = new Set();
+    let synced = 0;
+    
+    while (true) {
+        const queue = await getSyncQueue();
+        if (queue.length === 0) break;
+        
+        const change = queue[0];
+        let saved = null;
+        try {
+            saved = await sendQueuedChange(change);
+            synced++;
+            syncedTeams.add(change.teamId);
+        } catch (error) {
+            // Try again later (a 401 also logs the user out, keeping the queue for their next login).
+            // A dismissed conflict dialog keeps the change too: only the server accepting it, or
+            // the coach taking the server's version, takes it out of the queue
+            if (error.offline || error.conflictCancelled || !(await getAuthToken())) break;
+            console.error('Error syncing change:', error);
+            failed.push({ collection: change.collection, itemId: change.itemId, error: error.message });
+        }
+        
+        await withStorageLock(async () => {
+            const current = await getSyncQueue();
+            const remaining = current
+                .filter(queued => queued.id !== change.id)
+                .map(queued => {
+                    // A newer save of the same item queued meanwhile is now based on the saved revision
+                    if (saved && queued.type === 'save' && queued.teamId === change.teamId &&
+                        queued.collection === change.collection && queued.itemId === change.itemId) {
+                        return { ...queued, item: { ...queued.item, revision: saved.revision } };
+                    }
+                    return queued;
+                });
+            await setStoredValue(SYNC_QUEUE_KEY, remaining);
+        });
+    }
+    
+    // Conflict resolutions and other devices' changes mean the local copy may differ from
+    // the server, so replace it once a team has nothing left to send
+    for (const teamId of syncedTeams) {
+        if (await hasQueuedChanges(teamId)) continue;
+        try {
+            const { trash, ...data } = await apiRequest(`/teams/${teamId}/data`);
+            await replaceCachedTeamData(teamId, data);
+        } catch (error) {
+            console.error('Error refreshing local copy after sync:', error);
+        }
+    }
+    
+    const result = { synced, failed };
+    notifySyncStatus({
+        synced: currentTeam ? syncedTeams.has(currentTeam.id) : false,
+        failed
+    });
+    return result;
+}
+
+// Send one queued change. Stale saves get a 409, which apiRequest resolves with the conflict dialog.
+async function sendQueuedChange(change) {
+    const endpoint = `/teams/${change.teamId}/${change.collection}`;
+    if (change.type === 'save') {
+        return await apiRequest(endpoint, {
+            method: 'POST',
+            body: JSON.stringify(change.item)
+        });
+    }
+    await apiRequest(`${endpoint}/${change.itemId}`, { method: 'DELETE' });
+    return null;
+}
+
+// Retry queued changes when the browser comes back online, and every so often
+function startBackgroundSync() {
+    if (backgroundSyncStarted) return;
+    backgroundSyncStarted = true;
+    
+    window.addEventListener('online', () => syncPendingChanges());
+    setInterval(async () => {
+        if ((await getSyncQueue()).length > 0) {
+            syncPendingChanges();
+        }
+    }, SYNC_RETRY_INTERVAL);
+}
+
+/**
+ * Listen for changes to the sync status
+ * @param {Function} listener - Called with { online, pending, syncing } and, after a sync,
+ *   synced (whether the current team's data changed) and failed (changes the server rejected)
+ * @returns {Function} - Stop listening
+ */
+export function onSyncStatusChange(listener) {
+    syncListeners.add(listener);
+    notifySyncStatus();
+    return () => syncListeners.delete(listener);
+}
+
+/**
+ * Whether any changes are waiting to be sent to the server
+ */
+export async function hasPendingChanges() {
+    return (await getSyncQueue()).length > 0;
+}
+
+async function notifySyncStatus(details = {}) {
+    if (syncListeners.size === 0) return;
+    
+    const queue = await getSyncQueue();
+    const status = {
+        online: serverReachable,
+        pending: queue.length,
+        syncing: !!syncInProgress,
+        ...details
+    };
+    syncListeners.forEach(listener => {
+        try {
+            listener(status);
+        } catch (error) {
+            console.error('Error in sync status listener:', error);
+        }
+    });
+}
+
+// ==================== Local Data Changes ====================
+// Shared by local (native) storage and the local copy kept for offline use
+
+/**
+ * Add an item to a collection, or replace the item with the same ID
+ */
+function upsertItemInData(data, collectionName, item) {
+    if (!data[collectionName]) data[collectionName] = [];
+    const items = data[collectionName];
+    const index = items.findIndex(existing => existing.id === item.id);
+    if (index >= 0) {
+        items[index] = item;
+    } else {
+        items.push(item);
+    }
+}
+
+/**
+ * Remove an item from a collection, along with the references other items have to it
+ * (the same cascade the server applies)
+ */
+function removeItemFromData(data, collectionName, itemId) {
+    if (collectionName === 'players') {
+        // Remove player from all positions
+        (data.positions || []).forEach(position => {
+            position.playerPositions = (position.playerPositions || []).filter(pos => pos.playerId !== itemId);
+        });
+        
+        // Remove from legacy savedPositions
+        if (data.savedPositions && typeof data.savedPositions === 'object') {
+            Object.keys(data.savedPositions).forEach(posName => {
+                if (data.savedPositions[posName]) {
+                    data.savedPositions[posName] = data.savedPositions[posName].filter(
+                        pos => pos.playerId !== itemId
+                    );
+                }
+            });
+        }
+    } else if (collectionName === 'positions') {
+        // Remove position from rotations, scenarios and sequences
+        (data.rotations || []).forEach(rotation => {
+            rotation.positionIds = (rotation.positionIds || []).filter(id => id !== itemId);
+        });
+        if (data.scenarios) {
+            data.scenarios = data.scenarios.filter(scenario =>
+                scenario.startPositionId !== itemId && scenario.endPositionId !== itemId
+            );
+        }
+        (data.sequences || []).forEach(sequence => {
+            if (sequence.items) {
+                sequence.items = sequence.items.filter(item =>
+                    !(item.type === 'position' && item.id === itemId)
+                );
+            }
+        });
+    } else if (collectionName === 'rotations') {
+        // Remove rotation from positions
+        (data.positions || []).forEach(position => {
+            position.rotationIds = (position.rotationIds || []).filter(id => id !== itemId);
+        });
+    } else if (collectionName === 'scenarios') {
+        // Remove scenario from sequences
+        (data.sequences || []).forEach(sequence => {
+            if (sequence.scenarioIds) {
+                sequence.scenarioIds = sequence.scenarioIds.filter(id => id !== itemId);
+            }
+            if (sequence.items) {
+                sequence.items = sequence.items.filter(item =>
+                    !(item.type === 'scenario' && item.id === itemId)
+                );
+            }
+        });
+    }
+    
+    if (data[collectionName]) {
+        data[collectionName] = data[collectionName].filter(item => item.id !== itemId);
+    }
 }
 
 // ==================== Authentication API ====================
 
 /**
  * Register a new user
+ * @param {string} [inviteToken] - Join the team of this invite instead of creating a new team
  */
-export async function register(firstName, lastName, email, password, role) {
+export async function register(firstName, lastName, email, password, role, inviteToken) {
     const apiBase = getApiBaseUrl();
     if (!apiBase) {
         throw new Error('Registration is only available in web mode');
@@ -209,7 +866,7 @@ export async function register(firstName, lastName, email, password, role) {
         headers: {
             'Content-Type': 'application/json'
         },
-        body: JSON.stringify({ firstName, lastName, email, password, role })
+        body: JSON.stringify({ firstName, lastName, email, password, role, inviteToken })
     });
     
     if (!response.ok) {
@@ -220,6 +877,9 @@ export async function register(firstName, lastName, email, password, role) {
     const data = await response.json();
     await setAuthToken(data.token);
     await setCurrentUser(data.user);
+    if (data.teamId) {
+        await setStoredTeamId(data.teamId);
+    }
     return data;
 }
 
@@ -252,11 +912,14 @@ export async function login(email, password) {
 }
 
 /**
- * Logout user
+ * Logout user (changes not yet synced to the server are discarded)
  */
 export async function logout() {
     await clearAuthToken();
     await clearViewOnlyMode();
+    await setStoredValue(TEAMS_KEY, null);
+    await setStoredValue(CACHE_KEY, null);
+    await setStoredValue(SYNC_QUEUE_KEY, null);
 }
 
 /**
@@ -285,20 +948,201 @@ export async function fetchCurrentUser() {
     
     try {
         const user = await apiRequest('/auth/me');
-        // Ensure teamCode and playerViewEnabled fields exist (for backward compatibility)
-        if (user) {
-            user.teamCode = user.teamCode || null;
-            user.playerViewEnabled = user.playerViewEnabled || false;
-        }
         await setCurrentUser(user);
+        currentRole = user.role;
         return user;
     } catch (error) {
+        // Offline: stay logged in as the last known user
+        if (error.offline) {
+            const user = await getCurrentUser();
+            currentRole = user ? user.role : null;
+            return user;
+        }
         console.error('Error fetching current user:', error);
         await clearAuthToken();
         return null;
     }
 }
 
+// ==================== Roles ====================
+
+/**
+ * Check whether the logged in user's role in the current team allows an action
+ * (the account role for teams the user owns, the invite role for joined teams).
+ * Always allowed in native mode, where all data is local
+ * @param {string} permission - 'edit', 'delete' or 'share'
+ */
+export function hasPermission(permission) {
+    if (!getApiBaseUrl()) {
+        return true;
+    }
+    const role = currentTeam ? currentTeam.role : currentRole;
+    return (ROLE_PERMISSIONS[role] || []).includes(permission);
+}
+
+// ==================== Teams ====================
+// A coach can have several teams, each with its own players, positions,
+// scenarios, sequences and team code. All data calls go to the current team.
+
+/**
+ * Get the teams the user owns or has joined
+ * @returns {Promise<Array>} - [{ id, name, ownerId, role, teamCode, playerViewEnabled, createdAt }]
+ */
+export async function getTeams() {
+    return await apiRequest('/teams');
+}
+
+/**
+ * Load the user's teams and select the last used one (or the first)
+ * @returns {Promise<object|null>} - The current team
+ */
+export async function loadTeams() {
+    let teams;
+    try {
+        teams = await getTeams();
+        await setStoredValue(TEAMS_KEY, teams);
+    } catch (error) {
+        if (!error.offline) throw error;
+        // Offline: use the teams from the last time the server was reachable
+        teams = await getStoredValue(TEAMS_KEY, []);
+    }
+    const storedTeamId = await getStoredTeamId();
+    currentTeam = teams.find(team => team.id === storedTeamId) || teams[0] || null;
+    if (currentTeam) {
+        await setStoredTeamId(currentTeam.id);
+    }
+    return currentTeam;
+}
+
+/**
+ * Get the team whose data is currently loaded (null in local mode)
+ */
+export function getCurrentTeam() {
+    return currentTeam;
+}
+
+/**
+ * Make another team current. Reload the app afterwards to load its data.
+ */
+export async function switchTeam(teamId) {
+    await setStoredTeamId(teamId);
+}
+
+/**
+ * Create a team
+ * @returns {Promise<object>} - The new team
+ */
+export async function createTeam(name) {
+    return await apiRequest('/teams', {
+        method: 'POST',
+        body: JSON.stringify({ name })
+    });
+}
+
+/**
+ * Update a team's name and/or player view
+ * @param {object} updates - { name, playerViewEnabled }
+ * @returns {Promise<object>} - The updated team
+ */
+export async function updateTeam(teamId, updates) {
+    const team = await apiRequest(`/teams/${teamId}`, {
+        method: 'PUT',
+        body: JSON.stringify(updates)
+    });
+    if (currentTeam && currentTeam.id === team.id) {
+        currentTeam = team;
+    }
+    return team;
+}
+
+/**
+ * Delete a team and all of its data
+ */
+export async function deleteTeam(teamId) {
+    return await apiRequest(`/teams/${teamId}`, { method: 'DELETE' });
+}
+
+// ==================== Team Membership ====================
+// Coaches share a team through invite links (?invite=<token>); accepting one
+// adds the user to the team with the invite's role.
+
+/**
+ * Look up an invite before accepting it (no login needed)
+ * @returns {Promise<object>} - { teamName, role, invitedBy, expiresAt }
+ */
+export async function getInvite(token) {
+    const apiBase = getApiBaseUrl();
+    if (!apiBase) {
+        throw new Error('Invites are only available in web mode');
+    }
+    
+    const response = await fetch(`${apiBase}/invites/${encodeURIComponent(token)}`);
+    if (!response.ok) {
+        const error = await response.json().catch(() => ({ error: 'Invalid invite' }));
+        throw new Error(error.error || 'Invalid invite');
+    }
+    return await response.json();
+}
+
+/**
+ * Join an invite's team as the logged in user and make it the current team
+ * (reload the app afterwards to load its data)
+ * @returns {Promise<object>} - The joined team
+ */
+export async function acceptInvite(token) {
+    const team = await apiRequest(`/invites/${encodeURIComponent(token)}/accept`, { method: 'POST' });
+    await setStoredTeamId(team.id);
+    return team;
+}
+
+/**
+ * Get the current team's pending invites
+ */
+export async function getTeamInvites() {
+    return await apiRequest(teamPath('/invites'));
+}
+
+/**
+ * Create an invite to the current team
+ * @param {string} role - 'coach', 'assistant coach' or 'player'
+ * @returns {Promise<object>} - { token, role, expiresAt, ... }
+ */
+export async function createInvite(role) {
+    return await apiRequest(teamPath('/invites'), {
+        method: 'POST',
+        body: JSON.stringify({ role })
+    });
+}
+
+/**
+ * Revoke a pending invite to the current team
+ */
+export async function revokeInvite(token) {
+    return await apiRequest(teamPath(`/invites/${encodeURIComponent(token)}`), { method: 'DELETE' });
+}
+
+/**
+ * Get the current team's owner and members
+ * @returns {Promise<Array>} - [{ userId, firstName, lastName, email, role, joinedAt, isOwner }]
+ */
+export async function getTeamMembers() {
+    return await apiRequest(teamPath('/members'));
+}
+
+/**
+ * Remove a member from the current team (pass your own ID to leave it)
+ */
+export async function removeTeamMember(userId) {
+    return await apiRequest(teamPath(`/members/${encodeURIComponent(userId)}`), { method: 'DELETE' });
+}
+
+/**
+ * Build the link that accepts an invite
+ */
+export function getInviteUrl(token) {
+    return window.location.origin + window.location.pathname + '?invite=' + token;
+}
+
 // ==================== Public API ====================
 
 /**
@@ -311,8 +1155,10 @@ export async function initDB() {
         try {
             // Try to validate current token if we have one
             const token = await getAuthToken();
-            if (token) {
-                await fetchCurrentUser();
+            if (token && await fetchCurrentUser()) {
+                await loadTeams();
+                // Keep retrying changes queued while offline
+                startBackgroundSync();
             }
             // Don't require auth for init - let the app handle login flow
             return true;
@@ -344,7 +1190,7 @@ async function getAllData() {
     
     const apiBase = getApiBaseUrl();
     if (apiBase) {
-        return await apiRequest('/data');
+        return await readTeamData();
     } else {
         return await getLocalData();
     }
@@ -366,7 +1212,7 @@ export async function getAllPlayers() {
     
     const apiBase = getApiBaseUrl();
     if (apiBase) {
-        return await apiRequest('/players');
+        return await readCollection('players');
     } else {
         const data = await getLocalData();
         return data.players || [];
@@ -376,10 +1222,7 @@ export async function getAllPlayers() {
 export async function savePlayer(player) {
     const apiBase = getApiBaseUrl();
     if (apiBase) {
-        return await apiRequest('/players', {
-            method: 'POST',
-            body: JSON.stringify(player)
-        });
+        return await writeItem('players', player);
     } else {
         const data = await getLocalData();
         if (!data.players) data.players = [];
@@ -406,31 +1249,11 @@ export async function savePlayer(player) {
 export async function deletePlayer(playerId) {
     const apiBase = getApiBaseUrl();
     if (apiBase) {
-        return await apiRequest(`/players/${playerId}`, { method: 'DELETE' });
+        return await removeItem('players', playerId);
     } else {
         const data = await getLocalData();
-        data.players = data.players.filter(p => p.id !== playerId);
-        
-        // Remove player from all positions
-        if (data.positions) {
-            data.positions.forEach(position => {
-                position.playerPositions = position.playerPositions.filter(
-                    pos => pos.playerId !== playerId
-                );
-            });
-        }
-        
-        // Remove from legacy savedPositions
-        if (data.savedPositions && typeof data.savedPositions === 'object') {
-            Object.keys(data.savedPositions).forEach(posName => {
-                if (data.savedPositions[posName]) {
-                    data.savedPositions[posName] = data.savedPositions[posName].filter(
-                        pos => pos.playerId !== playerId
-                    );
-                }
-            });
-        }
-        
+        // Also removes the player from all positions
+        removeItemFromData(data, 'players', playerId);
         await saveLocalData(data);
         return { success: true };
     }
@@ -452,7 +1275,7 @@ export async function getAllPositions() {
     
     const apiBase = getApiBaseUrl();
     if (apiBase) {
-        return await apiRequest('/positions');
+        return await readCollection('positions');
     } else {
         const data = await getLocalData();
         return data.positions || [];
@@ -467,7 +1290,7 @@ export async function savePosition(positionName, positions) {
     // Legacy format support
     const apiBase = getApiBaseUrl();
     if (apiBase) {
-        return await apiRequest('/positions', {
+        return await apiRequest(teamPath('/positions'), {
             method: 'POST',
             body: JSON.stringify({
                 positionName: positionName,
@@ -486,16 +1309,15 @@ export async function savePosition(positionName, positions) {
 export async function savePositionNew(position) {
     const apiBase = getApiBaseUrl();
     if (apiBase) {
-        return await apiRequest('/positions', {
-            method: 'POST',
-            body: JSON.stringify(position)
-        });
+        return await writeItem('positions', position);
     } else {
         const data = await getLocalData();
         if (!data.positions) data.positions = [];
         
         const index = data.positions.findIndex(p => p.id === position.id);
         if (index >= 0) {
+            recordLocalHistory(data, 'positions', data.positions[index]);
+            position.revision = (data.positions[index].revision || 0) + 1;
             data.positions[index] = position;
         } else {
             data.positions.push(position);
@@ -510,7 +1332,7 @@ export async function deletePosition(positionName) {
     const apiBase = getApiBaseUrl();
     if (apiBase) {
         const encodedName = encodeURIComponent(positionName);
-        return await apiRequest(`/positions/${encodedName}`, { method: 'DELETE' });
+        return await apiRequest(teamPath(`/positions/${encodedName}`), { method: 'DELETE' });
     } else {
         const data = await getLocalData();
         if (data.savedPositions) {
@@ -524,40 +1346,11 @@ export async function deletePosition(positionName) {
 export async function deletePositionNew(positionId) {
     const apiBase = getApiBaseUrl();
     if (apiBase) {
-        return await apiRequest(`/positions/${positionId}`, { method: 'DELETE' });
+        return await removeItem('positions', positionId);
     } else {
         const data = await getLocalData();
-        
-        // Remove position from rotations
-        if (data.rotations) {
-            data.rotations.forEach(rotation => {
-                rotation.positionIds = rotation.positionIds.filter(id => id !== positionId);
-            });
-        }
-        
-        // Remove position from scenarios
-        if (data.scenarios) {
-            data.scenarios = data.scenarios.filter(scenario => 
-                scenario.startPositionId !== positionId && scenario.endPositionId !== positionId
-            );
-        }
-        
-        // Remove position from sequences
-        if (data.sequences) {
-            data.sequences.forEach(sequence => {
-                if (sequence.items) {
-                    sequence.items = sequence.items.filter(item => 
-                        !(item.type === 'position' && item.id === positionId)
-                    );
-                }
-            });
-        }
-        
-        // Remove position
-        if (data.positions) {
-            data.positions = data.positions.filter(p => p.id !== positionId);
-        }
-        
+        // Also removes the position from rotations, scenarios and sequences
+        removeItemFromData(data, 'positions', positionId);
         await saveLocalData(data);
         return { success: true };
     }
@@ -566,9 +1359,20 @@ export async function deletePositionNew(positionId) {
 // ==================== Rotations ====================
 
 export async function getAllRotations() {
+    // If in view-only mode, always use local data
+    try {
+        const viewOnly = await isViewOnlyMode();
+        if (viewOnly) {
+            const data = await getLocalData();
+            return data.rotations || [];
+        }
+    } catch (error) {
+        console.warn('Error checking view-only mode:', error);
+    }
+    
     const apiBase = getApiBaseUrl();
     if (apiBase) {
-        return await apiRequest('/rotations');
+        return await readCollection('rotations');
     } else {
         const data = await getLocalData();
         return data.rotations || [];
@@ -578,10 +1382,7 @@ export async function getAllRotations() {
 export async function saveRotation(rotation) {
     const apiBase = getApiBaseUrl();
     if (apiBase) {
-        return await apiRequest('/rotations', {
-            method: 'POST',
-            body: JSON.stringify(rotation)
-        });
+        return await writeItem('rotations', rotation);
     } else {
         const data = await getLocalData();
         if (!data.rotations) data.rotations = [];
@@ -601,22 +1402,11 @@ export async function saveRotation(rotation) {
 export async function deleteRotation(rotationId) {
     const apiBase = getApiBaseUrl();
     if (apiBase) {
-        return await apiRequest(`/rotations/${rotationId}`, { method: 'DELETE' });
+        return await removeItem('rotations', rotationId);
     } else {
         const data = await getLocalData();
-        
-        // Remove rotation from positions
-        if (data.positions) {
-            data.positions.forEach(position => {
-                position.rotationIds = position.rotationIds.filter(id => id !== rotationId);
-            });
-        }
-        
-        // Remove rotation
-        if (data.rotations) {
-            data.rotations = data.rotations.filter(r => r.id !== rotationId);
-        }
-        
+        // Also removes the rotation from positions
+        removeItemFromData(data, 'rotations', rotationId);
         await saveLocalData(data);
         return { success: true };
     }
@@ -638,7 +1428,7 @@ export async function getAllScenarios() {
     
     const apiBase = getApiBaseUrl();
     if (apiBase) {
-        return await apiRequest('/scenarios');
+        return await readCollection('scenarios');
     } else {
         const data = await getLocalData();
         return data.scenarios || [];
@@ -648,16 +1438,15 @@ export async function getAllScenarios() {
 export async function saveScenario(scenario) {
     const apiBase = getApiBaseUrl();
     if (apiBase) {
-        return await apiRequest('/scenarios', {
-            method: 'POST',
-            body: JSON.stringify(scenario)
-        });
+        return await writeItem('scenarios', scenario);
     } else {
         const data = await getLocalData();
         if (!data.scenarios) data.scenarios = [];
         
         const index = data.scenarios.findIndex(s => s.id === scenario.id);
         if (index >= 0) {
+            recordLocalHistory(data, 'scenarios', data.scenarios[index]);
+            scenario.revision = (data.scenarios[index].revision || 0) + 1;
             data.scenarios[index] = scenario;
         } else {
             data.scenarios.push(scenario);
@@ -671,29 +1460,11 @@ export async function saveScenario(scenario) {
 export async function deleteScenario(scenarioId) {
     const apiBase = getApiBaseUrl();
     if (apiBase) {
-        return await apiRequest(`/scenarios/${scenarioId}`, { method: 'DELETE' });
+        return await removeItem('scenarios', scenarioId);
     } else {
         const data = await getLocalData();
-        
-        // Remove scenario from sequences
-        if (data.sequences) {
-            data.sequences.forEach(sequence => {
-                if (sequence.scenarioIds) {
-                    sequence.scenarioIds = sequence.scenarioIds.filter(id => id !== scenarioId);
-                }
-                if (sequence.items) {
-                    sequence.items = sequence.items.filter(item => 
-                        !(item.type === 'scenario' && item.id === scenarioId)
-                    );
-                }
-            });
-        }
-        
-        // Remove scenario
-        if (data.scenarios) {
-            data.scenarios = data.scenarios.filter(s => s.id !== scenarioId);
-        }
-        
+        // Also removes the scenario from sequences
+        removeItemFromData(data, 'scenarios', scenarioId);
         await saveLocalData(data);
         return { success: true };
     }
@@ -715,7 +1486,7 @@ export async function getAllSequences() {
     
     const apiBase = getApiBaseUrl();
     if (apiBase) {
-        return await apiRequest('/sequences');
+        return await readCollection('sequences');
     } else {
         const data = await getLocalData();
         return data.sequences || [];
@@ -725,10 +1496,7 @@ export async function getAllSequences() {
 export async function saveSequence(sequence) {
     const apiBase = getApiBaseUrl();
     if (apiBase) {
-        return await apiRequest('/sequences', {
-            method: 'POST',
-            body: JSON.stringify(sequence)
-        });
+        return await writeItem('sequences', sequence);
     } else {
         const data = await getLocalData();
         if (!data.sequences) data.sequences = [];
@@ -747,6 +1515,8 @@ export async function saveSequence(sequence) {
         
         const index = data.sequences.findIndex(s => s.id === sequence.id);
         if (index >= 0) {
+            recordLocalHistory(data, 'sequences', data.sequences[index]);
+            sequence.revision = (data.sequences[index].revision || 0) + 1;
             data.sequences[index] = sequence;
         } else {
             data.sequences.push(sequence);
@@ -760,17 +1530,231 @@ export async function saveSequence(sequence) {
 export async function deleteSequence(sequenceId) {
     const apiBase = getApiBaseUrl();
     if (apiBase) {
-        return await apiRequest(`/sequences/${sequenceId}`, { method: 'DELETE' });
+        return await removeItem('sequences', sequenceId);
     } else {
         const data = await getLocalData();
-        if (data.sequences) {
-            data.sequences = data.sequences.filter(s => s.id !== sequenceId);
-        }
+        removeItemFromData(data, 'sequences', sequenceId);
         await saveLocalData(data);
         return { success: true };
     }
 }
 
+// ==================== Version History ====================
+
+// Number of prior versions kept per item in local storage (the server has its own limit)
+const LOCAL_HISTORY_LIMIT = 20;
+
+/**
+ * Keep a replaced version of an item in local data (newest first)
+ */
+function recordLocalHistory(data, collectionName, previous) {
+    if (!data.history) data.history = {};
+    if (!data.history[collectionName]) data.history[collectionName] = {};
+    
+    const entries = data.history[collectionName][previous.id] || [];
+    entries.unshift({
+        revision: previous.revision || 0,
+        savedAt: new Date().toISOString(),
+        item: previous
+    });
+    data.history[collectionName][previous.id] = entries.slice(0, LOCAL_HISTORY_LIMIT);
+}
+
+/**
+ * Get prior versions of a position, scenario or sequence, newest first
+ * @param {string} collectionName - 'positions', 'scenarios' or 'sequences'
+ * @returns {Promise<Array>} - [{ revision, savedAt, item }]
+ */
+export async function getItemHistory(collectionName, itemId) {
+    const apiBase = getApiBaseUrl();
+    if (apiBase) {
+        return await apiRequest(teamPath(`/${collectionName}/${itemId}/history`));
+    } else {
+        const data = await getLocalData();
+        return (data.history && data.history[collectionName] && data.history[collectionName][itemId]) || [];
+    }
+}
+
+/**
+ * Restore a prior version; it is saved as a new revision
+ * @returns {Promise<object>} - The restored item
+ */
+export async function restoreItemVersion(collectionName, itemId, revision) {
+    const apiBase = getApiBaseUrl();
+    if (apiBase) {
+        return await apiRequest(teamPath(`/${collectionName}/${itemId}/history/${revision}/restore`), {
+            method: 'POST'
+        });
+    } else {
+        const history = await getItemHistory(collectionName, itemId);
+        const entry = history.find(e => e.revision === revision);
+        if (!entry) {
+            throw new Error('Version not found');
+        }
+        
+        const data = await getLocalData();
+        const items = data[collectionName] || (data[collectionName] = []);
+        const index = items.findIndex(item => item.id === itemId);
+        const restored = { ...entry.item };
+        if (index >= 0) {
+            recordLocalHistory(data, collectionName, items[index]);
+            restored.revision = (items[index].revision || 0) + 1;
+            items[index] = restored;
+        } else {
+            items.push(restored);
+        }
+        
+        await saveLocalData(data);
+        return restored;
+    }
+}
+
+// ==================== Trash ====================
+// Deleted items go to the server's trash, where they can be restored until the
+// retention period ends. Local (native) storage deletes items permanently.
+
+/**
+ * Whether deleted items can be restored from the trash
+ */
+export function isTrashAvailable() {
+    return !!getApiBaseUrl();
+}
+
+/**
+ * Get deleted items, newest first
+ * @returns {Promise<Array>} - [{ id, collection, itemId, name, deletedAt, expiresAt, cascadedScenarios }]
+ */
+export async function getTrash() {
+    if (!isTrashAvailable()) {
+        return [];
+    }
+    return await apiRequest(teamPath('/trash'));
+}
+
+/**
+ * Restore a deleted item together with the scenarios and sequence items deleted with it
+ * @returns {Promise<object>} - { collection, item }
+ */
+export async function restoreFromTrash(trashId) {
+    if (!isTrashAvailable()) {
+        throw new Error('Trash is not available in local mode');
+    }
+    return await apiRequest(teamPath(`/trash/${trashId}/restore`), { method: 'POST' });
+}
+
+/**
+ * Permanently delete an item from the trash
+ */
+export async function deleteFromTrash(trashId) {
+    if (!isTrashAvailable()) {
+        throw new Error('Trash is not available in local mode');
+    }
+    return await apiRequest(teamPath(`/trash/${trashId}`), { method: 'DELETE' });
+}
+
+// ==================== Live Sync ====================
+// The server pushes changes made on other devices over Server-Sent Events.
+// Team-code viewers get the same events and re-download the view data.
+// The same stream carries presenter actions ("follow the coach" mode).
+
+/**
+ * Subscribe to changes made on other devices
+ * @param {Function} onChange - Called with one of:
+ *   { type: 'saved', collection, item }
+ *   { type: 'deleted', collection, id, refresh } - refresh lists collections the delete also changed
+ *   { type: 'reload', reconnected } - reload everything (reconnected: after a dropped connection)
+ *   { type: 'present', action, ... } - presenter action, see sendPresenterEvent
+ * @returns {Promise<Function|null>} - Unsubscribe function, or null when live sync isn't available
+ */
+export async function subscribeToChanges(onChange) {
+    const apiBase = getApiBaseUrl();
+    if (!apiBase || typeof EventSource === 'undefined') {
+        return null;
+    }
+    
+    const viewOnlyCode = (await isViewOnlyMode()) ? await getViewOnlyTeamCode() : null;
+    let url;
+    if (viewOnlyCode) {
+        url = `${apiBase}/view/${encodeURIComponent(viewOnlyCode)}/events`;
+    } else {
+        // EventSource can't send headers, so the token goes in the query string
+        const token = await getAuthToken();
+        if (!currentTeam || !token) {
+            return null;
+        }
+        url = `${apiBase}${teamPath('/events')}?token=${encodeURIComponent(token)}&clientId=${encodeURIComponent(CLIENT_ID)}`;
+    }
+    
+    // Viewers read the data stored by setViewOnlyMode, so refresh it and reload instead
+    const handleChange = async (event) => {
+        try {
+            if (viewOnlyCode && event.type !== 'present') {
+                await refreshViewOnlyData(viewOnlyCode);
+                event = { type: 'reload', reconnected: event.reconnected === true };
+            }
+            await onChange(event);
+        } catch (error) {
+            console.error('Error applying live change:', error);
+        }
+    };
+    
+    const source = new EventSource(url);
+    let disconnected = false;
+    
+    // EventSource reconnects by itself; changes may have been missed in between
+    source.onerror = () => {
+        disconnected = true;
+    };
+    source.onopen = () => {
+        if (disconnected) {
+            disconnected = false;
+            handleChange({ type: 'reload', reconnected: true });
+        }
+    };
+    source.onmessage = (message) => {
+        let event;
+        try {
+            event = JSON.parse(message.data);
+        } catch (error) {
+            return;
+        }
+        if (event.sourceClientId === CLIENT_ID) {
+            return;
+        }
+        handleChange(event);
+    };
+    
+    return () => source.close();
+}
+
+/**
+ * Start or stop presenting to the current team, or broadcast what the court shows
+ * @param {object} event - { action: 'start' | 'stop' } or one of:
+ *   { action: 'loadPosition', positionId }
+ *   { action: 'playAnimation', startPositionId, endPositionId, scenarioId }
+ *   { action: 'sequenceStep', sequenceId, index }
+ */
+export async function sendPresenterEvent(event) {
+    if (!getApiBaseUrl()) {
+        throw new Error('Presenting is only available when connected to the server');
+    }
+    
+    return await apiRequest(teamPath('/present'), {
+        method: 'POST',
+        body: JSON.stringify(event)
+    });
+}
+
+// Re-download a team-code view's data into local storage
+async function refreshViewOnlyData(teamCode) {
+    const response = await fetch(`${getApiBaseUrl()}/view/${encodeURIComponent(teamCode)}`);
+    if (!response.ok) {
+        throw new Error('Failed to refresh team data');
+    }
+    const viewData = await response.json();
+    await saveLocalData(viewData.data);
+}
+
 // ==================== Import/Export ====================
 
 export async function exportAllData() {
@@ -787,7 +1771,7 @@ export async function exportAllData() {
 export async function importData(importedData) {
     const apiBase = getApiBaseUrl();
     if (apiBase) {
-        return await apiRequest('/import', {
+        return await apiRequest(teamPath('/import'), {
             method: 'POST',
             body: JSON.stringify(importedData)
         });
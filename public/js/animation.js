@@ -1,11 +1,46 @@
 // Animation module
 
-import { state, setIsAnimating, setLastStartPosition, getPlayerElements, getSavedPositions, getPlayers, getSelectedStartPosition, getSelectedEndPosition, getPositions } from './state.js';
+import { state, setIsAnimating, setLastStartPosition, getPlayerElements, getOpponentElements, getBallElement, getSavedPositions, getPlayers, getSelectedStartPosition, getSelectedEndPosition, getPositions, getScenarioPaths, getScenarioTiming } from './state.js';
 import { dom } from './dom.js';
 import { loadPosition } from './positions.js';
-import { placePlayerOnCourt, percentToCoordinate, coordinateToPercent, convertDisplayedToBaseCoordinates, syncCourtRotation, transformCoordinatesForRotation } from './court.js';
-import { getCourtRotation } from './state.js';
+import {
+    placePlayerOnCourt,
+    placeOpponentOnCourt,
+    removeOpponentFromCourt,
+    getOpponentPositions,
+    placeBallOnCourt,
+    removeBallFromCourt,
+    getBallCoordinates,
+    moveElementTo,
+    getElementCoordinates,
+    setFullCourtView,
+    showBallTrajectory,
+    clearBallTrajectory,
+    percentToCoordinate,
+    convertDisplayedToBaseCoordinates,
+    syncCourtRotation
+} from './court.js';
 import { alert } from './modal.js';
+import { broadcast, withoutBroadcast } from './presenter.js';
+import { showAnnotations } from './annotations.js';
+import { resolvePlayerPositions, findSubstitutions } from './libero.js';
+import { renderGhost } from './ghost.js';
+import { renderPaths, getRoute, hasWaypoints } from './paths.js';
+import { getPlaybackTiming, getEasingFunction } from './timing.js';
+
+// How much bigger the ball looks at the top of its arc
+const BALL_FLIGHT_SCALE = 0.6;
+// Substitutions happen at the sideline nearest the player going off (base coordinates)
+const SIDELINE_LEFT_X = 25;
+const SIDELINE_RIGHT_X = 575;
+
+let ballFlight = 0; // Increases with each flight, so a new flight takes over the ball from the last one
+let animationEndsAt = 0; // When the running animation's last player should be in place (ms since epoch)
+
+// When the running animation should finish, from its timing at the playback speed
+export function getAnimationEnd() {
+    return animationEndsAt;
+}
 
 // Play animation
 export async function playAnimation() {
@@ -31,8 +66,9 @@ export async function playAnimation() {
         return;
     }
     
-    const startPositions = startPos.playerPositions || [];
-    const endPositions = endPos.playerPositions || [];
+    // With the libero in for back-row middles
+    const startPositions = resolvePlayerPositions(startPos);
+    const endPositions = resolvePlayerPositions(endPos);
     
     if (!startPositions || !endPositions) {
         await alert('Invalid positions');
@@ -42,13 +78,26 @@ export async function playAnimation() {
     // Store the start position ID for refresh
     setLastStartPosition(startPos.id);
     
+    const loadedScenario = state.currentLoadedItem && state.currentLoadedItem.type === 'scenario' ? state.currentLoadedItem.id : null;
+    // Players with waypoints in the scenario follow their path instead of moving straight there,
+    // and the scenario's timing says how long they take and when each one sets off
+    const isScenario = state.currentLoadedItem && state.currentLoadedItem.type === 'scenario';
+    const paths = isScenario ? getScenarioPaths() : {};
+    const timing = getPlaybackTiming(isScenario ? getScenarioTiming() : null);
+    broadcast('playAnimation', { startPositionId: startPos.id, endPositionId: endPos.id, scenarioId: loadedScenario });
+    
     // Load start position first (don't update loaded item if scenario/sequence is loaded)
+    // Followers load it themselves as part of the animation
     const shouldUpdateLoadedItem = !state.currentLoadedItem || state.currentLoadedItem.type === 'position';
-    loadPosition(startPos.id, shouldUpdateLoadedItem);
+    withoutBroadcast(() => loadPosition(startPos.id, shouldUpdateLoadedItem));
     
     // Wait a bit then animate
     setTimeout(() => {
         setIsAnimating(true);
+        animationEndsAt = Date.now() + timing.total;
+        // The ghost's movement lines are out of date once players start moving
+        renderGhost();
+        renderPaths();
         dom.playAnimationBtn.disabled = true;
         
         // Create a map of playerId to end position
@@ -57,11 +106,52 @@ export async function playAnimation() {
             endPosMap.set(pos.playerId, { x: pos.x, y: pos.y });
         });
         
-        // Animate each player
+        // The libero and a middle swap at the sideline instead of one vanishing and the other appearing
+        const startIds = new Set(startPositions.map(pos => pos.playerId));
+        const substitutions = findSubstitutions(
+            new Set([...startIds].filter(playerId => !endPosMap.has(playerId))),
+            new Set([...endPosMap.keys()].filter(playerId => !startIds.has(playerId))),
+            endPos
+        );
+        
+        // The start position's drawings (e.g. movement routes) stay up while everyone moves,
+        // then the end position's replace them
+        setTimeout(() => {
+            showAnnotations(endPos.annotations);
+        }, timing.total + 10);
+        
+        // Animate each player, the opponents and the ball
         let animationsComplete = 0;
-        const totalAnimations = startPositions.length;
+        const totalAnimations = startPositions.length + 2;
+        
+        // Opponents move like our players
+        animateOpponents(endPos.opponents, timing).then(() => {
+            animationsComplete++;
+            if (animationsComplete === totalAnimations) {
+                finishAnimation();
+            }
+        });
+        
+        // The ball flies along its own path from the start position's ball to the end position's
+        animateBall(startPos.ball, endPos.ball, timing.duration).then(() => {
+            animationsComplete++;
+            if (animationsComplete === totalAnimations) {
+                finishAnimation();
+            }
+        });
         
         startPositions.forEach(startPos => {
+            const substitution = substitutions.find(s => s.outId === startPos.playerId);
+            if (substitution) {
+                animateSubstitution(substitution, endPosMap.get(substitution.inId), timing).then(() => {
+                    animationsComplete++;
+                    if (animationsComplete === totalAnimations) {
+                        finishAnimation();
+                    }
+                });
+                return;
+            }
+            
             const endPos = endPosMap.get(startPos.playerId);
             if (!endPos) {
                 animationsComplete++;
@@ -80,34 +170,255 @@ export async function playAnimation() {
                 return;
             }
             
-            playerElement.classList.add('animating');
-            
-            // Set end position (convert from 600x600 coordinates to percentage)
-            setTimeout(() => {
-                playerElement.style.left = coordinateToPercent(endPos.x) + '%';
-                playerElement.style.top = coordinateToPercent(endPos.y) + '%';
-            }, 10);
-            
-            // Remove animating class after animation completes
-            setTimeout(() => {
-                playerElement.classList.remove('animating');
+            // Straight to the end position, or along the player's path if they have one
+            const delay = timing.getDelay(startPos.playerId);
+            const move = hasWaypoints(paths, startPos.playerId)
+                ? followRoute(playerElement, getRoute(paths, startPos.playerId, startPos, endPos), timing, delay)
+                : moveWithTransition(playerElement, endPos, timing, delay);
+            move.then(() => {
                 animationsComplete++;
-                
                 if (animationsComplete === totalAnimations) {
                     finishAnimation();
                 }
-            }, 1010); // 1s animation + 10ms buffer
+            });
         });
+    }, 100);
+}
+
+/**
+ * Substitute a player on the court: the player going off walks to the nearest sideline
+ * and fades out while the player coming on appears there and walks to their spot
+ * Both set off when the player going off would have (their start delay)
+ * @param {Object} substitution - { outId, inId }
+ * @param {Object} target - Where the player coming on goes ({ x, y } in base coordinates)
+ * @param {Object} timing - Playback timing (see getPlaybackTiming)
+ * @returns {Promise} Resolves when the player coming on is in place
+ */
+function animateSubstitution({ outId, inId }, target, timing) {
+    const outElement = getPlayerElements().get(outId);
+    const playerIn = getPlayers().find(p => p.id === inId);
+    const from = outElement ? getElementCoordinates(outElement) : target;
+    const sideline = {
+        x: from.x < 300 ? SIDELINE_LEFT_X : SIDELINE_RIGHT_X,
+        y: from.y
+    };
+    const delay = timing.getDelay(outId);
+    
+    const moves = [];
+    if (outElement) {
+        outElement.classList.add('subbing-out');
+        moves.push(moveWithTransition(outElement, sideline, timing, delay).then(() => {
+            outElement.remove();
+            getPlayerElements().delete(outId);
+        }));
+    }
+    
+    if (playerIn && target) {
+        placePlayerOnCourt(playerIn, sideline.x, sideline.y);
+        const inElement = getPlayerElements().get(inId);
+        inElement.classList.add('subbing-in');
+        moves.push(moveWithTransition(inElement, target, timing, delay).then(() => {
+            inElement.classList.remove('subbing-in');
+        }));
+    }
+    
+    return Promise.all(moves);
+}
+
+/**
+ * Move a player (or an opponent) to a spot with the CSS transition, at the playback timing
+ * The duration, easing and delay are set on the element, over the stylesheet's 1 second
+ * @param {HTMLElement} element - Container on the court
+ * @param {Object} target - Where it goes ({ x, y } in base coordinates, transformed for the current view)
+ * @param {Object} timing - Playback timing (see getPlaybackTiming)
+ * @param {number} delay - How long to wait before setting off, in milliseconds
+ * @returns {Promise} Resolves when the element is in place
+ */
+function moveWithTransition(element, target, timing, delay = 0) {
+    element.style.transitionDuration = `${timing.duration}ms`;
+    element.style.transitionTimingFunction = timing.easing;
+    element.style.transitionDelay = `${delay}ms`;
+    element.classList.add('animating');
+    
+    return new Promise(resolve => {
+        setTimeout(() => {
+            moveElementTo(element, target.x, target.y);
+        }, 10);
         
-        // Handle case where no animations needed
-        if (totalAnimations === 0) {
-            finishAnimation();
+        // Remove animating class after animation completes
+        setTimeout(() => {
+            element.classList.remove('animating');
+            element.style.transitionDuration = '';
+            element.style.transitionTimingFunction = '';
+            element.style.transitionDelay = '';
+            resolve();
+        }, delay + timing.duration + 10); // + 10ms buffer
+    });
+}
+
+/**
+ * Move the opponents on the court to where they are in a position, like our players:
+ * opponents not in it are taken off, new ones appear and the rest move (all at once)
+ * @param {Array} targetOpponents - The position's opponents ([{ id, label, x, y }] in base coordinates)
+ * @param {Object} timing - Playback timing (see getPlaybackTiming)
+ * @returns {Promise} Resolves when the opponents are in place
+ */
+function animateOpponents(targetOpponents = [], timing) {
+    const targets = new Map(targetOpponents.map(opponent => [opponent.id, opponent]));
+    
+    // Show the opponent's half if the position has opponents
+    if (targetOpponents.length > 0) {
+        setFullCourtView(true);
+    }
+    
+    [...getOpponentElements().keys()].forEach(opponentId => {
+        if (!targets.has(opponentId)) {
+            removeOpponentFromCourt(opponentId);
         }
-    }, 100);
+    });
+    
+    const moving = [];
+    targetOpponents.forEach(target => {
+        const opponentElement = getOpponentElements().get(target.id);
+        if (!opponentElement) {
+            placeOpponentOnCourt(target, target.x, target.y);
+            return;
+        }
+        
+        opponentElement.querySelector('.opponent-on-court').textContent = target.label;
+        moving.push(moveWithTransition(opponentElement, target, timing));
+    });
+    
+    return Promise.all(moving);
+}
+
+/**
+ * Fly the ball from one point to another (base coordinates, center of the ball)
+ * The ball travels in a straight line over the court and rises and falls on the way,
+ * shown by growing towards the top of its arc. Its path is drawn on the court.
+ * @param {object|null} from - Where the ball starts, or null if it isn't on the court
+ * @param {object|null} to - Where the ball ends up, or null to take it off the court
+ * @param {number} duration - How long the flight takes (the time the players take to move), in milliseconds
+ * @returns {Promise} Resolves when the ball has landed
+ */
+function animateBall(from, to, duration) {
+    const flight = ++ballFlight;
+    
+    if (!to) {
+        removeBallFromCourt();
+        return Promise.resolve();
+    }
+    
+    if (!from) {
+        // No ball in the position before - it just appears
+        placeBallOnCourt(to.x, to.y);
+        return Promise.resolve();
+    }
+    
+    if (!getBallElement()) {
+        placeBallOnCourt(from.x, from.y);
+    }
+    const ballElement = getBallElement();
+    
+    if (from.x === to.x && from.y === to.y) {
+        moveElementTo(ballElement, to.x, to.y);
+        clearBallTrajectory();
+        return Promise.resolve();
+    }
+    
+    showBallTrajectory(from, to);
+    ballElement.classList.add('in-flight');
+    
+    return new Promise(resolve => {
+        const started = performance.now();
+        
+        const step = (now) => {
+            // Another flight has taken over the ball
+            if (flight !== ballFlight) {
+                resolve();
+                return;
+            }
+            
+            const progress = Math.min((now - started) / duration, 1);
+            const height = 4 * progress * (1 - progress); // 0 at both ends, 1 at the top of the arc
+            moveElementTo(
+                ballElement,
+                from.x + (to.x - from.x) * progress,
+                from.y + (to.y - from.y) * progress
+            );
+            ballElement.style.transform = `scale(${1 + BALL_FLIGHT_SCALE * height})`;
+            
+            if (progress < 1) {
+                requestAnimationFrame(step);
+                return;
+            }
+            
+            ballElement.style.transform = '';
+            ballElement.classList.remove('in-flight');
+            resolve();
+        };
+        
+        requestAnimationFrame(step);
+    });
+}
+
+/**
+ * Move a player along a route, with the same timing and easing as the players who move straight
+ * @param {HTMLElement} playerElement - Player's container on the court
+ * @param {Array} route - Points along the route ([{ x, y }] in base coordinates)
+ * @param {Object} timing - Playback timing (see getPlaybackTiming)
+ * @param {number} delay - How long to wait before setting off, in milliseconds
+ * @returns {Promise} Resolves when the player is at the end of the route
+ */
+function followRoute(playerElement, route, timing, delay = 0) {
+    // How far along the route each point is, so the player keeps a steady pace around the bends
+    const distances = [0];
+    for (let i = 1; i < route.length; i++) {
+        distances.push(distances[i - 1] + Math.hypot(route[i].x - route[i - 1].x, route[i].y - route[i - 1].y));
+    }
+    const length = distances[distances.length - 1];
+    
+    const ease = getEasingFunction(timing.easing);
+    
+    playerElement.classList.add('following-path');
+    
+    return new Promise(resolve => {
+        const started = performance.now() + delay;
+        let index = 1;
+        
+        const step = (now) => {
+            const progress = Math.max(0, Math.min((now - started) / timing.duration, 1));
+            const travelled = ease(progress) * length;
+            
+            while (index < route.length - 1 && distances[index] < travelled) {
+                index++;
+            }
+            const from = route[index - 1];
+            const to = route[index];
+            const stretch = distances[index] - distances[index - 1];
+            const t = stretch > 0 ? Math.min((travelled - distances[index - 1]) / stretch, 1) : 1;
+            moveElementTo(playerElement, from.x + (to.x - from.x) * t, from.y + (to.y - from.y) * t);
+            
+            if (progress < 1) {
+                requestAnimationFrame(step);
+                return;
+            }
+            
+            // Finish exactly on the spot, whatever the rounding on the way
+            const end = route[route.length - 1];
+            moveElementTo(playerElement, end.x, end.y);
+            playerElement.classList.remove('following-path');
+            resolve();
+        };
+        
+        requestAnimationFrame(step);
+    });
 }
 
 function finishAnimation() {
     setIsAnimating(false);
+    renderGhost();
+    renderPaths();
     dom.playAnimationBtn.disabled = false;
     if (dom.refreshPositionBtn) {
         dom.refreshPositionBtn.disabled = false;
@@ -127,7 +438,7 @@ export async function resetToStartPosition() {
     let startPositions = null;
     
     if (startPos) {
-        startPositions = startPos.playerPositions || [];
+        startPositions = resolvePlayerPositions(startPos);
     } else {
         // Fall back to legacy format
         startPositions = getSavedPositions()[state.lastStartPosition];
@@ -140,9 +451,8 @@ export async function resetToStartPosition() {
     getPlayerElements().forEach((element, playerId) => {
         const player = getPlayers().find(p => p.id === playerId);
         if (player) {
-            // Convert from percentage back to 600x600 coordinate system
-            const x = percentToCoordinate(element.style.left) || 0;
-            const y = percentToCoordinate(element.style.top) || 0;
+            // Convert from percentage back to base coordinates (center of the player circle)
+            const { x, y } = getElementCoordinates(element);
             currentPositions.push({
                 playerId: playerId,
                 x: x,
@@ -158,9 +468,19 @@ export async function resetToStartPosition() {
     });
     
     setIsAnimating(true);
+    renderGhost();
+    renderPaths();
     dom.playAnimationBtn.disabled = true;
     dom.refreshPositionBtn.disabled = true;
     
+    // Send the opponents and the ball back too, and put the start position's drawings back
+    showAnnotations(startPos ? startPos.annotations : []);
+    // Everything goes back together, at the playback speed
+    const timing = getPlaybackTiming(null);
+    animationEndsAt = Date.now() + timing.total;
+    animateOpponents(startPos ? startPos.opponents : [], timing);
+    animateBall(getBallCoordinates(), startPos ? startPos.ball : null, timing.duration);
+    
     // Animate each player back to start position
     let animationsComplete = 0;
     const totalAnimations = currentPositions.length;
@@ -207,23 +527,13 @@ export async function resetToStartPosition() {
             return;
         }
         
-        playerElement.classList.add('animating');
-        
-        // Set start position (convert from 600x600 coordinates to percentage)
-        setTimeout(() => {
-            playerElement.style.left = coordinateToPercent(startPos.x) + '%';
-            playerElement.style.top = coordinateToPercent(startPos.y) + '%';
-        }, 10);
-        
-        // Remove animating class after animation completes
-        setTimeout(() => {
-            playerElement.classList.remove('animating');
+        moveWithTransition(playerElement, startPos, timing).then(() => {
             animationsComplete++;
             
             if (animationsComplete === totalAnimations) {
                 finishAnimation();
             }
-        }, 1010); // 1s animation + 10ms buffer
+        });
     });
     
     // Also add any players that are in start position but not on court
@@ -238,7 +548,9 @@ export async function resetToStartPosition() {
 }
 
 // Animate from current court state to target position (for sequences)
-export async function animateToPosition(targetPositionId, updateLoadedItem = false) {
+// When the target is a scenario's end position, players follow the scenario's paths (if they have
+// waypoints) and timing; either way, animations play at the playback speed
+export async function animateToPosition(targetPositionId, updateLoadedItem = false, { paths = null, timing = null } = {}) {
     if (state.isAnimating) {
         return; // Animation already in progress
     }
@@ -259,7 +571,8 @@ export async function animateToPosition(targetPositionId, updateLoadedItem = fal
         return;
     }
     
-    const targetPositions = targetPosition.playerPositions || [];
+    // With the libero in for back-row middles
+    const targetPositions = resolvePlayerPositions(targetPosition);
     
     // Get current positions of players on court
     // Convert displayed coordinates (which may be rotated) back to base coordinates
@@ -269,7 +582,7 @@ export async function animateToPosition(targetPositionId, updateLoadedItem = fal
         if (player) {
             // Convert from percentage back to 600x600 coordinate system (displayed coordinates)
             const displayedX = percentToCoordinate(element.style.left) || 0;
-            const displayedY = percentToCoordinate(element.style.top) || 0;
+            const displayedY = percentToCoordinate(element.style.top, 'y') || 0;
             // Convert displayed coordinates back to base coordinates for comparison
             const baseCoords = convertDisplayedToBaseCoordinates(displayedX, displayedY);
             currentPositions.push({
@@ -287,6 +600,10 @@ export async function animateToPosition(targetPositionId, updateLoadedItem = fal
     });
     
     setIsAnimating(true);
+    renderGhost();
+    renderPaths();
+    const playbackTiming = getPlaybackTiming(timing);
+    animationEndsAt = Date.now() + playbackTiming.total;
     
     // Track operations that need to complete
     let operationsComplete = 0;
@@ -321,12 +638,68 @@ export async function animateToPosition(targetPositionId, updateLoadedItem = fal
         }
     });
     
+    // The libero and a middle swap at the sideline (going off and coming on count as two operations)
+    const substitutions = findSubstitutions(playersToRemove, playersToAdd, targetPosition);
+    substitutions.forEach(({ outId, inId }) => {
+        playersToRemove.delete(outId);
+        playersToAdd.delete(inId);
+    });
+    
+    // Opponents need to move, appear or be taken off the court
+    const targetOpponents = targetPosition.opponents || [];
+    const currentOpponents = getOpponentPositions();
+    const opponentsMove = currentOpponents.length !== targetOpponents.length || targetOpponents.some(target => {
+        const current = currentOpponents.find(opponent => opponent.id === target.id);
+        return !current || current.label !== target.label || current.x !== target.x || current.y !== target.y;
+    });
+    if (opponentsMove) {
+        totalOperations++;
+    }
+    
+    // The ball needs to fly, appear or be taken off the court
+    const currentBall = getBallCoordinates();
+    const targetBall = targetPosition.ball || null;
+    const ballMoves = !currentBall !== !targetBall ||
+        (currentBall && (currentBall.x !== targetBall.x || currentBall.y !== targetBall.y));
+    if (ballMoves) {
+        totalOperations++;
+    }
+    
     // If no operations needed, finish immediately
     if (totalOperations === 0) {
         finishSequenceAnimation(updateLoadedItem, targetPosition);
         return;
     }
     
+    // Opponents move with our players
+    if (opponentsMove) {
+        animateOpponents(targetOpponents, playbackTiming).then(() => {
+            operationsComplete++;
+            if (operationsComplete === totalOperations) {
+                finishSequenceAnimation(updateLoadedItem, targetPosition);
+            }
+        });
+    }
+    
+    // The ball flies along its own path while the players move
+    if (ballMoves) {
+        animateBall(currentBall, targetBall, playbackTiming.duration).then(() => {
+            operationsComplete++;
+            if (operationsComplete === totalOperations) {
+                finishSequenceAnimation(updateLoadedItem, targetPosition);
+            }
+        });
+    }
+    
+    substitutions.forEach(substitution => {
+        animateSubstitution(substitution, targetPosMap.get(substitution.inId), playbackTiming).then(() => {
+            operationsComplete += 2;
+            if (operationsComplete === totalOperations) {
+                finishSequenceAnimation(updateLoadedItem, targetPosition);
+            }
+        });
+    });
+    
     // Remove players not in target position
     playersToRemove.forEach(playerId => {
         const playerElement = getPlayerElements().get(playerId);
@@ -377,40 +750,28 @@ export async function animateToPosition(targetPositionId, updateLoadedItem = fal
             return;
         }
         
-        playerElement.classList.add('animating');
-        
-        // Transform target position (base coordinates) to displayed coordinates for current rotation
-        const rotation = getCourtRotation();
-        const dims = { playerSize: 50 }; // Match getCourtDimensions
-        const halfPlayerSize = dims.playerSize / 2;
-        
-        // Transform base coordinates to rotated coordinates (center of player circle)
-        const transformed = transformCoordinatesForRotation(targetPos.x, targetPos.y, rotation);
-        
-        // Convert center coordinates to top-left corner for CSS positioning
-        const offsetX = transformed.x - halfPlayerSize;
-        const offsetY = transformed.y - halfPlayerSize;
-        
-        // Set target position (convert from 600x600 coordinates to percentage)
-        setTimeout(() => {
-            playerElement.style.left = coordinateToPercent(offsetX) + '%';
-            playerElement.style.top = coordinateToPercent(offsetY) + '%';
-        }, 10);
-        
-        // Remove animating class after animation completes
-        setTimeout(() => {
-            playerElement.classList.remove('animating');
+        // Straight to the target position, or along the player's path if they have one
+        const delay = playbackTiming.getDelay(playerId);
+        const move = hasWaypoints(paths, playerId)
+            ? followRoute(playerElement, getRoute(paths, playerId, currentPos, targetPos), playbackTiming, delay)
+            : moveWithTransition(playerElement, targetPos, playbackTiming, delay);
+        move.then(() => {
             operationsComplete++;
             
             if (operationsComplete === totalOperations) {
                 finishSequenceAnimation(updateLoadedItem, targetPosition);
             }
-        }, 1010); // 1s animation + 10ms buffer
+        });
     });
 }
 
 async function finishSequenceAnimation(updateLoadedItem, targetPosition) {
     setIsAnimating(false);
+    renderGhost();
+    renderPaths();
+    
+    // Show the target position's drawings once everyone is in place
+    showAnnotations(targetPosition.annotations);
     
     // Update state only if requested
     if (updateLoadedItem) {
@@ -0,0 +1,309 @@
+// Annotations module - arrows, freehand lines, shaded zones and text labels drawn over the court
+// Drawings are saved with positions in base (0°) coordinates, like the players, and drawn
+// again for the current rotation and court view whenever either changes.
+
+import { state, getAnnotations, setAnnotations, getCourtRotation, checkForModifications } from './state.js';
+import { dom } from './dom.js';
+import { convertToCourtCoordinates, transformCoordinatesForRotation, getDisplayedCourtSize } from './court.js';
+import { prompt } from './modal.js';
+import { recordCourtChange } from './undo.js';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// Shapes dragged out smaller than this (in court units) are treated as slips and dropped
+const MIN_SHAPE_SIZE = 6;
+// Freehand lines keep a point every few court units, which keeps saved positions small
+const FREEHAND_POINT_SPACING = 4;
+// Text labels are kept short so they fit on the court
+const MAX_TEXT_LENGTH = 40;
+
+let layer = null;
+let currentTool = 'none';   // 'none' (move players), 'arrow', 'freehand', 'rect', 'ellipse', 'text' or 'eraser'
+let drawing = null;         // Annotation being drawn, until the pointer is released
+
+// Helper function to check if we're on a phone (matches CSS media query: max-width: 767px and orientation: portrait)
+function isPhoneView() {
+    return window.innerWidth <= 767 && window.innerHeight > window.innerWidth;
+}
+
+// Helper function to check if we're in view-only mode
+function isViewOnlyMode() {
+    return window.isViewOnlyMode === true;
+}
+
+// Generate unique ID
+function generateId() {
+    return `ann_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+}
+
+// Set up the drawing layer and toolbar
+export function initAnnotations() {
+    getLayer();
+
+    document.querySelectorAll('.annotation-tool-btn').forEach(btn => {
+        btn.addEventListener('click', () => {
+            setTool(currentTool === btn.dataset.tool ? 'none' : btn.dataset.tool);
+        });
+    });
+
+    const clearBtn = document.getElementById('annotation-clear-btn');
+    if (clearBtn) {
+        clearBtn.addEventListener('click', () => {
+            if (getAnnotations().length === 0) return;
+            recordCourtChange();
+            setAnnotations([]);
+            renderAnnotations();
+            updateModified();
+        });
+    }
+
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && currentTool !== 'none') {
+            setTool('none');
+        }
+    });
+
+    updateToolbar();
+}
+
+/**
+ * Show a position's drawings on the court (replacing what's there)
+ * @param {Array} annotations - The position's annotations, or nothing to clear the court
+ */
+export function showAnnotations(annotations = []) {
+    drawing = null;
+    setAnnotations(annotations || []);
+    renderAnnotations();
+}
+
+// Draw the annotations (and the one being drawn) for the current rotation and court view
+export function renderAnnotations() {
+    const svg = getLayer();
+    if (!svg) return;
+
+    const size = getDisplayedCourtSize();
+    svg.setAttribute('viewBox', `0 0 ${size.width} ${size.height}`);
+
+    const group = svg.querySelector('.annotation-shapes');
+    group.innerHTML = '';
+
+    const annotations = drawing ? [...getAnnotations(), drawing] : getAnnotations();
+    annotations.forEach(annotation => {
+        const shape = createShape(annotation);
+        if (shape) {
+            shape.setAttribute('data-annotation-id', annotation.id);
+            group.appendChild(shape);
+        }
+    });
+}
+
+// The SVG layer over the court, created the first time it's needed
+function getLayer() {
+    if (layer && layer.isConnected) return layer;
+    if (!dom.court) return null;
+
+    layer = document.createElementNS(SVG_NS, 'svg');
+    layer.setAttribute('class', 'annotation-layer');
+    layer.setAttribute('preserveAspectRatio', 'none');
+    layer.innerHTML = `
+        <defs>
+            <marker id="annotation-arrowhead" viewBox="0 0 10 10" refX="8" refY="5"
+                markerWidth="5" markerHeight="5" orient="auto-start-reverse">
+                <path d="M 0 0 L 10 5 L 0 10 z"></path>
+            </marker>
+        </defs>
+        <g class="annotation-shapes"></g>
+    `;
+
+    layer.addEventListener('pointerdown', handlePointerDown);
+    layer.addEventListener('pointermove', handlePointerMove);
+    layer.addEventListener('pointerup', handlePointerUp);
+    layer.addEventListener('pointercancel', () => {
+        drawing = null;
+        renderAnnotations();
+    });
+
+    dom.court.appendChild(layer);
+    return layer;
+}
+
+function createShape(annotation) {
+    const rotation = getCourtRotation();
+    const points = (annotation.points || []).map(point =>
+        transformCoordinatesForRotation(point.x, point.y, rotation)
+    );
+    if (points.length === 0) return null;
+
+    let shape;
+    switch (annotation.type) {
+        case 'arrow':
+            if (points.length < 2) return null;
+            shape = document.createElementNS(SVG_NS, 'line');
+            shape.setAttribute('x1', points[0].x);
+            shape.setAttribute('y1', points[0].y);
+            shape.setAttribute('x2', points[1].x);
+            shape.setAttribute('y2', points[1].y);
+            shape.setAttribute('marker-end', 'url(#annotation-arrowhead)');
+            break;
+        case 'freehand':
+            shape = document.createElementNS(SVG_NS, 'polyline');
+            shape.setAttribute('points', points.map(point => `${point.x},${point.y}`).join(' '));
+            break;
+        case 'rect':
+        case 'ellipse': {
+            if (points.length < 2) return null;
+            // Rotations are quarter turns, so the shape's box stays lined up with the court
+            const left = Math.min(points[0].x, points[1].x);
+            const top = Math.min(points[0].y, points[1].y);
+            const width = Math.abs(points[1].x - points[0].x);
+            const height = Math.abs(points[1].y - points[0].y);
+            if (annotation.type === 'rect') {
+                shape = document.createElementNS(SVG_NS, 'rect');
+                shape.setAttribute('x', left);
+                shape.setAttribute('y', top);
+                shape.setAttribute('width', width);
+                shape.setAttribute('height', height);
+            } else {
+                shape = document.createElementNS(SVG_NS, 'ellipse');
+                shape.setAttribute('cx', left + width / 2);
+                shape.setAttribute('cy', top + height / 2);
+                shape.setAttribute('rx', width / 2);
+                shape.setAttribute('ry', height / 2);
+            }
+            break;
+        }
+        case 'text':
+            shape = document.createElementNS(SVG_NS, 'text');
+            shape.setAttribute('x', points[0].x);
+            shape.setAttribute('y', points[0].y);
+            shape.textContent = annotation.text || '';
+            break;
+        default:
+            return null;
+    }
+
+    shape.setAttribute('class', `annotation annotation-${annotation.type}`);
+    return shape;
+}
+
+function setTool(tool) {
+    if (tool !== 'none' && (isPhoneView() || isViewOnlyMode())) return;
+
+    currentTool = tool;
+    drawing = null;
+    renderAnnotations();
+    updateToolbar();
+}
+
+function updateToolbar() {
+    document.querySelectorAll('.annotation-tool-btn').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.tool === currentTool);
+    });
+
+    // Drawing tools take the pointer; otherwise it goes through to the players underneath
+    const svg = getLayer();
+    if (svg) {
+        svg.classList.toggle('drawing', currentTool !== 'none');
+        svg.classList.toggle('erasing', currentTool === 'eraser');
+    }
+}
+
+// Court point under the pointer in base coordinates, rounded to keep saved positions small
+function getPoint(e) {
+    const { x, y } = convertToCourtCoordinates(e.clientX, e.clientY);
+    return { x: Math.round(x), y: Math.round(y) };
+}
+
+async function handlePointerDown(e) {
+    if (currentTool === 'none') return;
+    e.preventDefault();
+
+    if (currentTool === 'eraser') {
+        const target = e.target.closest('[data-annotation-id]');
+        if (target) {
+            const id = target.getAttribute('data-annotation-id');
+            recordCourtChange();
+            setAnnotations(getAnnotations().filter(annotation => annotation.id !== id));
+            renderAnnotations();
+            updateModified();
+        }
+        return;
+    }
+
+    const point = getPoint(e);
+
+    if (currentTool === 'text') {
+        const text = await prompt('Label text:', '', 'Add Label');
+        if (text === null || !text.trim()) return;
+        addAnnotation({ id: generateId(), type: 'text', points: [point], text: text.trim().slice(0, MAX_TEXT_LENGTH) });
+        return;
+    }
+
+    drawing = { id: generateId(), type: currentTool, points: [point, point] };
+    if (currentTool === 'freehand') {
+        drawing.points = [point];
+    }
+    layer.setPointerCapture(e.pointerId);
+    renderAnnotations();
+}
+
+function handlePointerMove(e) {
+    if (!drawing) return;
+    e.preventDefault();
+
+    const point = getPoint(e);
+    if (drawing.type === 'freehand') {
+        const last = drawing.points[drawing.points.length - 1];
+        if (Math.hypot(point.x - last.x, point.y - last.y) < FREEHAND_POINT_SPACING) return;
+        drawing.points = [...drawing.points, point];
+    } else {
+        drawing.points = [drawing.points[0], point];
+    }
+    renderAnnotations();
+}
+
+function handlePointerUp(e) {
+    if (!drawing) return;
+    if (layer.hasPointerCapture(e.pointerId)) {
+        layer.releasePointerCapture(e.pointerId);
+    }
+
+    const finished = drawing;
+    drawing = null;
+
+    if (isLargeEnough(finished)) {
+        addAnnotation(finished);
+    } else {
+        renderAnnotations();
+    }
+}
+
+function isLargeEnough(annotation) {
+    const [first, second] = annotation.points;
+    if (annotation.type === 'freehand') {
+        return annotation.points.length >= 2;
+    }
+    if (annotation.type === 'arrow') {
+        return Math.hypot(second.x - first.x, second.y - first.y) >= MIN_SHAPE_SIZE;
+    }
+    return Math.abs(second.x - first.x) >= MIN_SHAPE_SIZE && Math.abs(second.y - first.y) >= MIN_SHAPE_SIZE;
+}
+
+// Annotations are replaced, never changed in place, so saved positions keep their own copies
+// (and undo snapshots too: each drawing, erasing or clearing can be undone)
+function addAnnotation(annotation) {
+    recordCourtChange();
+    setAnnotations([...getAnnotations(), annotation]);
+    renderAnnotations();
+    updateModified();
+}
+
+// Mark the loaded position as modified when its drawings change
+async function updateModified() {
+    if (state.currentLoadedItem && state.currentLoadedItem.type === 'position') {
+        await checkForModifications();
+        // Import updateModifiedIndicator dynamically to avoid circular dependency
+        const { updateModifiedIndicator } = await import('./ui.js');
+        updateModifiedIndicator(state.isModified);
+    }
+}
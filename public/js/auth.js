@@ -2,9 +2,19 @@
 // Handles login/register UI and user session management
 
 import * as db from '../db.js';
+import { alert, confirm, customModal, hideModal } from './modal.js';
 
 let authModal = null;
 let currentUser = null;
+// Team invite token from an invite link (?invite=<token>), accepted after login or registration
+let pendingInviteToken = new URLSearchParams(window.location.search).get('invite');
+
+// Labels for team roles
+const ROLE_LABELS = {
+    'coach': 'Coach',
+    'assistant coach': 'Assistant Coach',
+    'player': 'Player'
+};
  
 /**
  * Initialize authentication UI
@@ -40,6 +50,9 @@ export async function initAuth() {
                 } else {
                     updateUserDisplay();
                     ensureAuthListeners();
+                    if (pendingInviteToken) {
+                        await acceptPendingInvite();
+                    }
                     return true; // Authenticated
                 }
             } catch (error) {
@@ -52,6 +65,9 @@ export async function initAuth() {
             // Not authenticated, show login
             showAuthModal();
             ensureAuthListeners();
+            if (pendingInviteToken) {
+                await showInviteDetails();
+            }
             return false;
         }
     } else {
@@ -250,12 +266,21 @@ async function handleLogin() {
         updateUserDisplay();
         hideAuthModal();
         
+        // Join the team from an invite link
+        if (pendingInviteToken) {
+            try {
+                await db.acceptInvite(pendingInviteToken);
+            } catch (error) {
+                await alert('Could not join the team: ' + error.message, 'Invite');
+            }
+        }
+        
         // Initialize the app now that we're authenticated
         // Dispatch event to trigger app initialization
         window.dispatchEvent(new CustomEvent('auth-success'));
         
         // Reload the page to refresh data and initialize app properly
-        window.location.reload();
+        reloadWithoutInvite();
     } catch (error) {
         errorEl.textContent = error.message || 'Login failed. Please try again.';
         errorEl.style.display = 'block';
@@ -284,7 +309,8 @@ async function handleRegister() {
     }
     
     try {
-        const result = await db.register(firstName, lastName, email, password, role);
+        // Registering from an invite link joins that team
+        const result = await db.register(firstName, lastName, email, password, role, pendingInviteToken || undefined);
         currentUser = result.user;
         updateUserDisplay();
         hideAuthModal();
@@ -294,13 +320,78 @@ async function handleRegister() {
         window.dispatchEvent(new CustomEvent('auth-success'));
         
         // Reload the page to refresh data and initialize app properly
-        window.location.reload();
+        reloadWithoutInvite();
     } catch (error) {
         errorEl.textContent = error.message || 'Registration failed. Please try again.';
         errorEl.style.display = 'block';
     }
 }
 
+/**
+ * Show who sent the pending invite on the auth screen and preselect registration
+ * with the invited role (the invite is dropped if it can't be used)
+ */
+async function showInviteDetails() {
+    const banner = document.getElementById('auth-invite-banner');
+    try {
+        const invite = await db.getInvite(pendingInviteToken);
+        if (banner) {
+            const invitedBy = invite.invitedBy ? `${invite.invitedBy} invited you` : 'You have been invited';
+            banner.textContent = `${invitedBy} to join ${invite.teamName} as ${ROLE_LABELS[invite.role] || invite.role}. Register or log in to accept.`;
+            banner.classList.remove('hidden');
+        }
+        
+        const roleSelect = document.getElementById('register-role');
+        if (roleSelect) {
+            roleSelect.value = invite.role;
+        }
+        switchTab('register');
+    } catch (error) {
+        pendingInviteToken = null;
+        if (banner) {
+            banner.textContent = `This invite can't be used: ${error.message}`;
+            banner.classList.remove('hidden');
+        }
+    }
+}
+
+/**
+ * Offer to join the team from an invite link when already logged in
+ */
+async function acceptPendingInvite() {
+    const token = pendingInviteToken;
+    pendingInviteToken = null;
+    
+    try {
+        const invite = await db.getInvite(token);
+        const confirmed = await confirm(
+            `Join ${invite.teamName} as ${ROLE_LABELS[invite.role] || invite.role}?`,
+            'Team Invite'
+        );
+        if (!confirmed) {
+            return;
+        }
+        
+        await db.acceptInvite(token);
+        reloadWithoutInvite();
+    } catch (error) {
+        console.error('Error accepting invite:', error);
+        await alert('Could not join the team: ' + error.message, 'Invite');
+    }
+}
+
+// Reload the app, dropping the invite token from the URL so it isn't used twice
+function reloadWithoutInvite() {
+    const params = new URLSearchParams(window.location.search);
+    if (params.has('invite')) {
+        params.delete('invite');
+        const query = params.toString();
+        window.location.href = window.location.pathname + (query ? '?' + query : '');
+    } else {
+        window.location.reload();
+    }
+}
+
 /**
  * Handle team code login (view-only mode)
  */
@@ -369,6 +460,51 @@ async function handleTeamCodeLogin() {
     }
 }
 
+/**
+ * Tell a logged in user who isn't on any team (e.g. a player who left or was removed from
+ * their only team) how to get one: open an invite link, or as a coach create a team
+ */
+export function showNoTeamNotice() {
+    const canCreate = db.hasPermission('share');
+    const bodyHtml = `
+        <p class="modal-body-text">You're not on a team yet.</p>
+        <p class="modal-body-text">Ask your coach for an invite link and open it to join their team${canCreate ? ', or create a team of your own' : ''}.</p>
+        ${canCreate ? `
+        <div class="modal-form-group">
+            <label for="no-team-name" class="modal-label">Team name</label>
+            <input type="text" id="no-team-name" class="modal-input modal-input-full" placeholder="e.g. Varsity">
+        </div>
+        <div class="settings-error" id="no-team-error"></div>
+        ` : ''}
+    `;
+    const footerHtml = `
+        <button class="modal-btn modal-btn-secondary" id="no-team-logout-btn">Log Out</button>
+        ${canCreate ? '<button class="modal-btn modal-btn-primary" id="no-team-create-btn">Create Team</button>' : ''}
+    `;
+    
+    // The modal Promise only resolves when it's closed, so don't wait for it
+    customModal('No Team', bodyHtml, footerHtml);
+    
+    document.getElementById('no-team-logout-btn').addEventListener('click', async () => {
+        hideModal();
+        await handleLogout();
+    });
+    document.getElementById('no-team-create-btn')?.addEventListener('click', async () => {
+        const name = document.getElementById('no-team-name').value.trim();
+        const errorEl = document.getElementById('no-team-error');
+        errorEl.textContent = name ? '' : 'Team name is required';
+        if (!name) return;
+        
+        try {
+            const team = await db.createTeam(name);
+            await db.switchTeam(team.id);
+            window.location.reload();
+        } catch (error) {
+            errorEl.textContent = error.message || 'Failed to create team';
+        }
+    });
+}
+
 /**
  * Handle logout
  */
@@ -1,7 +1,11 @@
 // Court and drag & drop functionality
 
-import { state, setDraggedPlayer, setDraggedElement, getPlayerElements, checkForModifications, getCourtRotation, setCourtRotation, getSavedCourtRotation } from './state.js';
+import { state, setDraggedPlayer, setDraggedElement, getPlayerElements, getOpponentElements, getBallElement, setBallElement, checkForModifications, getCourtRotation, setCourtRotation, getSavedCourtRotation, getFullCourt, setFullCourt } from './state.js';
 import { dom } from './dom.js';
+import { applyPlayerRole } from './playerRoles.js';
+import { recordCourtChange } from './undo.js';
+import { getSelectedPlayerElements, moveSelectionBy, updateSelectionToolbar } from './selection.js';
+import { isSnapToZonesOn, snapToZone } from './zones.js';
 
 // Helper function to check if we're on a phone (matches CSS media query: max-width: 767px and orientation: portrait)
 function isPhoneView() {
@@ -13,36 +17,69 @@ function isViewOnlyMode() {
     return window.isViewOnlyMode === true;
 }
 
-// Court coordinate system is 600x600, but positions are stored as percentages
+// Court coordinate system is 600x600 per half, but positions are stored as percentages
 // to scale proportionally when the court size changes
+// Base coordinates have the net at y = 0: our half runs from 0 to 600 and the opponent's
+// half from -600 to 0, so positions saved before full-court mode keep their coordinates.
+// The half-court view only shows our half; the opponent's half is outside the court.
 
-// Get court dimensions (always uses 600x600 coordinate system)
+// Each half is 30 ft x 30 ft, so a foot is 20 units
+export const UNITS_PER_FOOT = 20;
+
+// Get court dimensions (always uses the 600x600 coordinate system for each half)
 function getCourtDimensions() {
-    const baseSize = 600; // Court coordinate system is always 600x600
+    const baseSize = 600; // Each half of the court is always 600x600
     const playerSize = 50;
+    const ballSize = 24;
     const netOffset = 4;
+    const fullCourt = getFullCourt();
+    const display = getDisplaySize(getCourtRotation(), fullCourt);
     
     return {
         baseSize, // Always 600
         playerSize,
+        ballSize,
         netOffset,
+        fullCourt,
+        courtLength: fullCourt ? baseSize * 2 : baseSize, // Baseline to baseline of what's shown
+        minBaseY: fullCourt ? -baseSize : 0, // Base y of the far baseline shown
+        displayWidth: display.width, // Size of the displayed (rotated) court
+        displayHeight: display.height,
         maxX: baseSize - playerSize,
         maxY: baseSize - playerSize,
         minY: netOffset
     };
 }
 
-// Convert 600x600 coordinate to percentage for CSS positioning
-export function coordinateToPercent(value) {
-    return (value / 600) * 100;
+// Size of the displayed court: one half, or both halves end to end along the rotated length
+function getDisplaySize(rotation, fullCourt) {
+    const length = fullCourt ? 1200 : 600;
+    const sideways = rotation === 90 || rotation === 270;
+    return {
+        width: sideways ? length : 600,
+        height: sideways ? 600 : length
+    };
+}
+
+// Size of the displayed court in the current view (for drawing over it)
+export function getDisplayedCourtSize() {
+    return getDisplaySize(getCourtRotation(), getFullCourt());
+}
+
+// Convert a displayed coordinate to percentage for CSS positioning
+// axis is 'x' for left or 'y' for top (they differ in full-court view)
+export function coordinateToPercent(value, axis = 'x') {
+    const display = getDisplaySize(getCourtRotation(), getFullCourt());
+    return (value / (axis === 'y' ? display.height : display.width)) * 100;
 }
 
-// Convert percentage back to 600x600 coordinate (for reading positions)
-export function percentToCoordinate(percentValue) {
+// Convert percentage back to a displayed coordinate (for reading positions)
+export function percentToCoordinate(percentValue, axis = 'x') {
     // Handle both percentage strings ("50%") and numeric values
     if (typeof percentValue === 'string') {
+        const display = getDisplaySize(getCourtRotation(), getFullCourt());
         const percent = parseFloat(percentValue.replace('%', ''));
-        return (percent / 100) * 600;
+        return (percent / 100) * (axis === 'y' ? display.height : display.width);
     }
     // If it's already a number, assume it's already in coordinate space
     return percentValue;
@@ -51,15 +88,14 @@ export function percentToCoordinate(percentValue) {
 // Convert displayed coordinates (which may be rotated) back to base (0°) coordinates
 // This is used when reading positions from the DOM to compare with saved positions
 // displayedX/Y represent the top-left corner of the player container
-// We need to convert to the center of the player circle
-export function convertDisplayedToBaseCoordinates(displayedX, displayedY) {
+// We need to convert to the center of the player circle (or of the ball, when its size is passed)
+export function convertDisplayedToBaseCoordinates(displayedX, displayedY, elementSize = getCourtDimensions().playerSize) {
     const rotation = getCourtRotation();
-    const dims = getCourtDimensions();
-    const halfPlayerSize = dims.playerSize / 2;
+    const halfSize = elementSize / 2;
     
-    // Add half player size to get center coordinates
-    const centerX = displayedX + halfPlayerSize;
-    const centerY = displayedY + halfPlayerSize;
+    // Add half the element size to get center coordinates
+    const centerX = displayedX + halfSize;
+    const centerY = displayedY + halfSize;
     
     // Reverse transform to get base coordinates
     return reverseTransformCoordinates(centerX, centerY, rotation);
@@ -67,18 +103,24 @@ export function convertDisplayedToBaseCoordinates(displayedX, displayedY) {
 
 // Transform coordinates based on rotation
 // This transforms from the base coordinate system (0°) to the rotated coordinate system
-export function transformCoordinatesForRotation(x, y, rotation) {
+// In full-court view the opponent's half (negative y) is shown beyond the net, so y is
+// shifted down by a half first and the court is 1200 long instead of 600
+export function transformCoordinatesForRotation(x, y, rotation, fullCourt = getFullCourt()) {
     const baseSize = 600;
+    const length = fullCourt ? baseSize * 2 : baseSize;
+    if (fullCourt) {
+        y += baseSize;
+    }
     
     switch (rotation) {
         case 0:
             return { x, y };
         case 90:
-            // Rotate 90° clockwise: (x, y) -> (600 - y, x)
-            return { x: baseSize - y, y: x };
+            // Rotate 90° clockwise: (x, y) -> (length - y, x)
+            return { x: length - y, y: x };
         case 180:
-            // Rotate 180°: (x, y) -> (600 - x, 600 - y)
-            return { x: baseSize - x, y: baseSize - y };
+            // Rotate 180°: (x, y) -> (600 - x, length - y)
+            return { x: baseSize - x, y: length - y };
         case 270:
             // Rotate 270° clockwise (90° counter-clockwise): (x, y) -> (y, 600 - x)
             return { x: y, y: baseSize - x };
@@ -88,24 +130,107 @@ export function transformCoordinatesForRotation(x, y, rotation) {
 }
 
 // Reverse transform - converts from rotated coordinate system back to base (0°)
-function reverseTransformCoordinates(x, y, rotation) {
+function reverseTransformCoordinates(x, y, rotation, fullCourt = getFullCourt()) {
     const baseSize = 600;
+    const length = fullCourt ? baseSize * 2 : baseSize;
+    let base;
     
     switch (rotation) {
-        case 0:
-            return { x, y };
         case 90:
-            // Reverse of 90°: (x, y) -> (y, 600 - x)
-            return { x: y, y: baseSize - x };
+            // Reverse of 90°: (x, y) -> (y, length - x)
+            base = { x: y, y: length - x };
+            break;
         case 180:
-            // Reverse of 180°: (x, y) -> (600 - x, 600 - y)
-            return { x: baseSize - x, y: baseSize - y };
+            // Reverse of 180°: (x, y) -> (600 - x, length - y)
+            base = { x: baseSize - x, y: length - y };
+            break;
         case 270:
             // Reverse of 270°: (x, y) -> (600 - y, x)
-            return { x: baseSize - y, y: x };
+            base = { x: baseSize - y, y: x };
+            break;
         default:
-            return { x, y };
+            base = { x, y };
+    }
+    
+    // Undo the shift that puts the opponent's half above ours
+    if (fullCourt) {
+        base.y -= baseSize;
+    }
+    return base;
+}
+
+// Size of a court element in the 600x600 system (the ball is smaller than the players)
+function getElementSize(element) {
+    const dims = getCourtDimensions();
+    return isBall(element) ? dims.ballSize : dims.playerSize;
+}
+
+function isBall(element) {
+    return element.classList.contains('ball-marker');
+}
+
+function isOpponent(element) {
+    return element.classList.contains('opponent-container');
+}
+
+// Where an element's center may go, in base coordinates
+// Our players stay on our side of the net, opponents on theirs, and the ball can go anywhere shown
+export function getElementBounds(element) {
+    const dims = getCourtDimensions();
+    const halfSize = getElementSize(element) / 2;
+    const bounds = { minX: halfSize, maxX: dims.baseSize - halfSize };
+    
+    if (isBall(element)) {
+        bounds.minY = dims.minBaseY + halfSize;
+        bounds.maxY = dims.baseSize - halfSize;
+    } else if (isOpponent(element)) {
+        bounds.minY = -dims.baseSize + halfSize;
+        bounds.maxY = -dims.minY - halfSize;
+    } else {
+        bounds.minY = dims.minY + halfSize;
+        bounds.maxY = dims.baseSize - halfSize;
     }
+    return bounds;
+}
+
+// Where an element's center may be dropped without being taken off the court (anywhere shown)
+function getVisibleBounds(element) {
+    const dims = getCourtDimensions();
+    const halfSize = getElementSize(element) / 2;
+    return {
+        minX: halfSize,
+        maxX: dims.baseSize - halfSize,
+        minY: dims.minBaseY + halfSize,
+        maxY: dims.baseSize - halfSize
+    };
+}
+
+function isWithinBounds(x, y, bounds) {
+    return x >= bounds.minX && x <= bounds.maxX && y >= bounds.minY && y <= bounds.maxY;
+}
+
+function constrainToBounds(x, y, bounds) {
+    return {
+        x: Math.max(bounds.minX, Math.min(x, bounds.maxX)),
+        y: Math.max(bounds.minY, Math.min(y, bounds.maxY))
+    };
+}
+
+// Move a court element (player, opponent or ball) so its center is at x, y in base coordinates
+export function moveElementTo(element, x, y) {
+    const halfSize = getElementSize(element) / 2;
+    const transformed = transformCoordinatesForRotation(x, y, getCourtRotation());
+    
+    // CSS left/top positions the top-left corner, so offset by half the element size
+    element.style.left = coordinateToPercent(transformed.x - halfSize) + '%';
+    element.style.top = coordinateToPercent(transformed.y - halfSize, 'y') + '%';
+}
+
+// Get the center of a court element in base coordinates
+export function getElementCoordinates(element) {
+    const displayedX = percentToCoordinate(element.style.left) || 0;
+    const displayedY = percentToCoordinate(element.style.top, 'y') || 0;
+    return convertDisplayedToBaseCoordinates(displayedX, displayedY, getElementSize(element));
 }
 
 // Convert mouse coordinates from rendered space to 600x600 coordinate space
@@ -121,9 +246,9 @@ export function convertToCourtCoordinates(clientX, clientY) {
     const relativeX = clientX - rect.left;
     const relativeY = clientY - rect.top;
     
-    // Convert to 600x600 coordinate system (in the rotated view)
-    const rotatedX = (relativeX / rect.width) * dims.baseSize;
-    const rotatedY = (relativeY / rect.height) * dims.baseSize;
+    // Convert to the displayed coordinate system (in the rotated view)
+    const rotatedX = (relativeX / rect.width) * dims.displayWidth;
+    const rotatedY = (relativeY / rect.height) * dims.displayHeight;
     
     // Reverse transform to get base coordinates
     return reverseTransformCoordinates(rotatedX, rotatedY, rotation);
@@ -169,7 +294,7 @@ export function placePlayerOnCourt(player, x, y) {
     const offsetX = transformed.x - halfPlayerSize;
     const offsetY = transformed.y - halfPlayerSize;
     playerContainer.style.left = coordinateToPercent(offsetX) + '%';
-    playerContainer.style.top = coordinateToPercent(offsetY) + '%';
+    playerContainer.style.top = coordinateToPercent(offsetY, 'y') + '%';
     
     // Create player circle
     const playerElement = document.createElement('div');
@@ -185,6 +310,9 @@ export function placePlayerOnCourt(player, x, y) {
     playerContainer.appendChild(playerElement);
     playerContainer.appendChild(playerLabel);
     
+    // Colour and shape the marker by the player's role
+    applyPlayerRole(playerContainer, player);
+    
     // Only enable dragging if NOT on a phone (phones are read-only)
     if (!isPhoneView()) {
         // Make draggable on court (drag from the circle)
@@ -243,6 +371,8 @@ export function placePlayerOnCourt(player, x, y) {
     
     getPlayerElements().set(player.id, playerContainer);
     dom.court.appendChild(playerContainer);
+    // A player placed again starts out unselected
+    updateSelectionToolbar();
 }
 
 // Remove player from court (but keep in lineup)
@@ -251,9 +381,288 @@ export function removePlayerFromCourt(playerId) {
     if (playerElement) {
         playerElement.remove();
         getPlayerElements().delete(playerId);
+        updateSelectionToolbar();
+    }
+}
+
+// Place the ball on court
+// x and y are in the base (0°) coordinate system and represent the CENTER of the ball
+export function placeBallOnCourt(x, y) {
+    removeBallFromCourt();
+    
+    const ballElement = document.createElement('div');
+    ballElement.className = 'ball-marker';
+    ballElement.title = 'Ball';
+    
+    // The ball can go anywhere on the court, including right up to the net (or over it)
+    // Saved positions aren't constrained, so a ball in the opponent's half stays there in half-court view
+    moveElementTo(ballElement, x, y);
+    
+    // Dragging works like the players: move it on the court, or drag it off to remove it
+    if (!isPhoneView() && !isViewOnlyMode()) {
+        ballElement.draggable = true;
+        ballElement.addEventListener('dragstart', (e) => {
+            setDraggedElement(ballElement);
+            ballElement.classList.add('dragging');
+            e.dataTransfer.effectAllowed = 'move';
+        });
+        
+        ballElement.addEventListener('dragend', () => {
+            ballElement.classList.remove('dragging');
+            setDraggedElement(null);
+        });
+        
+        setTimeout(() => {
+            import('./touchDrag.js').then(({ initTouchDrag }) => {
+                initTouchDrag(ballElement, {
+                    dragType: 'element',
+                    dragData: ballElement,
+                    onDragStart: () => {
+                        setDraggedElement(ballElement);
+                        ballElement.classList.add('dragging');
+                    },
+                    onDragEnd: () => {
+                        ballElement.classList.remove('dragging');
+                    }
+                });
+            });
+        }, 0);
+    }
+    
+    setBallElement(ballElement);
+    dom.court.appendChild(ballElement);
+}
+
+// Remove the ball (and its trajectory) from the court
+export function removeBallFromCourt() {
+    const ballElement = getBallElement();
+    if (ballElement) {
+        ballElement.remove();
+        setBallElement(null);
+    }
+    clearBallTrajectory();
+}
+
+// Get the ball's position in base (0°) coordinates (center of the ball), or null if it's not on the court
+export function getBallCoordinates() {
+    const ballElement = getBallElement();
+    if (!ballElement) return null;
+    
+    const baseCoords = getElementCoordinates(ballElement);
+    return { x: Math.round(baseCoords.x), y: Math.round(baseCoords.y) };
+}
+
+// Put the ball on the court (in the middle of the back court), or take it off again
+export function toggleBall() {
+    if (isPhoneView() || isViewOnlyMode()) return;
+    
+    recordCourtChange();
+    if (getBallElement()) {
+        removeBallFromCourt();
+    } else {
+        placeBallOnCourt(300, 450);
+    }
+    
+    updateModifiedAfterChange();
+}
+
+// Place an opponent on court
+// opponent is { id, label } - opponents aren't linked to the roster, the label is free text
+// x and y are in the base (0°) coordinate system and represent the CENTER of the marker
+export function placeOpponentOnCourt(opponent, x, y) {
+    removeOpponentFromCourt(opponent.id);
+    
+    const opponentContainer = document.createElement('div');
+    opponentContainer.className = 'opponent-container';
+    opponentContainer.dataset.opponentId = opponent.id;
+    
+    const opponentElement = document.createElement('div');
+    opponentElement.className = 'opponent-on-court';
+    opponentElement.textContent = opponent.label;
+    opponentContainer.appendChild(opponentElement);
+    
+    moveElementTo(opponentContainer, x, y);
+    
+    if (!isPhoneView() && !isViewOnlyMode()) {
+        opponentContainer.title = 'Opponent - double-click to rename';
+        opponentElement.draggable = true;
+        opponentElement.addEventListener('dragstart', (e) => {
+            setDraggedElement(opponentContainer);
+            opponentContainer.classList.add('dragging');
+            e.dataTransfer.effectAllowed = 'move';
+        });
+        
+        opponentElement.addEventListener('dragend', () => {
+            opponentContainer.classList.remove('dragging');
+            setDraggedElement(null);
+        });
+        
+        opponentElement.addEventListener('dblclick', () => {
+            renameOpponent(opponent.id);
+        });
+        
+        setTimeout(() => {
+            import('./touchDrag.js').then(({ initTouchDrag }) => {
+                initTouchDrag(opponentContainer, {
+                    dragType: 'element',
+                    dragData: opponentContainer,
+                    onDragStart: () => {
+                        setDraggedElement(opponentContainer);
+                        opponentContainer.classList.add('dragging');
+                    },
+                    onDragEnd: () => {
+                        opponentContainer.classList.remove('dragging');
+                    }
+                });
+            });
+        }, 0);
+    }
+    
+    getOpponentElements().set(opponent.id, opponentContainer);
+    dom.court.appendChild(opponentContainer);
+}
+
+export function removeOpponentFromCourt(opponentId) {
+    const opponentElement = getOpponentElements().get(opponentId);
+    if (opponentElement) {
+        opponentElement.remove();
+        getOpponentElements().delete(opponentId);
+    }
+}
+
+// Remove every opponent from the court
+export function clearOpponentsFromCourt() {
+    getOpponentElements().forEach((element) => {
+        element.remove();
+    });
+    getOpponentElements().clear();
+}
+
+// Get the opponents on the court as saved with positions: [{ id, label, x, y }] in base coordinates
+export function getOpponentPositions() {
+    const opponents = [];
+    getOpponentElements().forEach((element, opponentId) => {
+        const baseCoords = getElementCoordinates(element);
+        opponents.push({
+            id: opponentId,
+            label: element.querySelector('.opponent-on-court').textContent,
+            x: Math.round(baseCoords.x),
+            y: Math.round(baseCoords.y)
+        });
+    });
+    return opponents;
+}
+
+// Starting spots for new opponents (their rotation order, mirrored across the net)
+const OPPONENT_SPOTS = [
+    { x: 100, y: -450 },
+    { x: 100, y: -150 },
+    { x: 300, y: -150 },
+    { x: 500, y: -150 },
+    { x: 500, y: -450 },
+    { x: 300, y: -450 }
+];
+
+// Add the next opponent (numbered 1, 2, 3...) in the opponent's half
+export function addOpponent() {
+    if (isPhoneView() || isViewOnlyMode()) return;
+    
+    const labels = new Set([...getOpponentElements().values()].map(element => element.textContent));
+    let number = 1;
+    while (labels.has(number.toString())) {
+        number++;
+    }
+    
+    const spot = OPPONENT_SPOTS[(number - 1) % OPPONENT_SPOTS.length];
+    const opponent = {
+        id: `opp_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+        label: number.toString()
+    };
+    recordCourtChange();
+    placeOpponentOnCourt(opponent, spot.x, spot.y);
+    
+    updateModifiedAfterChange();
+}
+
+// Give an opponent a label of its own (a number, or something like "OH" or "MB")
+async function renameOpponent(opponentId) {
+    const opponentElement = getOpponentElements().get(opponentId);
+    if (!opponentElement) return;
+    
+    const label = opponentElement.querySelector('.opponent-on-court');
+    const { prompt } = await import('./modal.js');
+    const newLabel = await prompt('Opponent label (e.g. a jersey number or "OH"):', label.textContent, 'Rename Opponent');
+    if (newLabel === null || !newLabel.trim()) return;
+    
+    recordCourtChange();
+    label.textContent = newLabel.trim().slice(0, 3);
+    updateModifiedAfterChange();
+}
+
+// Draw the ball's path between two points (base coordinates) as a dashed line on the court
+export function showBallTrajectory(from, to) {
+    clearBallTrajectory();
+    if (!from || !to || (from.x === to.x && from.y === to.y)) return;
+    
+    const rotation = getCourtRotation();
+    const start = transformCoordinatesForRotation(from.x, from.y, rotation);
+    const end = transformCoordinatesForRotation(to.x, to.y, rotation);
+    
+    const svgNS = 'http://www.w3.org/2000/svg';
+    const dims = getCourtDimensions();
+    const svg = document.createElementNS(svgNS, 'svg');
+    svg.setAttribute('class', 'ball-trajectory');
+    svg.setAttribute('viewBox', `0 0 ${dims.displayWidth} ${dims.displayHeight}`);
+    svg.setAttribute('preserveAspectRatio', 'none');
+    
+    const line = document.createElementNS(svgNS, 'line');
+    line.setAttribute('x1', start.x);
+    line.setAttribute('y1', start.y);
+    line.setAttribute('x2', end.x);
+    line.setAttribute('y2', end.y);
+    svg.appendChild(line);
+    
+    dom.court.appendChild(svg);
+}
+
+export function clearBallTrajectory() {
+    if (!dom.court) return;
+    dom.court.querySelectorAll('.ball-trajectory').forEach(trajectory => trajectory.remove());
+}
+
+// Remove a dragged element (player, opponent or ball) from the court
+// Dragging one of the selected players off takes them all off
+function removeElementFromCourt(element) {
+    if (element.classList.contains('selected')) {
+        getSelectedPlayerElements().forEach(selected => removePlayerFromCourt(selected.dataset.playerId));
+    } else if (isBall(element)) {
+        removeBallFromCourt();
+    } else if (isOpponent(element)) {
+        removeOpponentFromCourt(element.dataset.opponentId);
+    } else {
+        removePlayerFromCourt(element.dataset.playerId);
     }
 }
 
+// Check for modifications after something on the court changed (for both mouse and touch drag)
+// Use setTimeout to ensure DOM has updated
+export function updateModifiedAfterChange() {
+    setTimeout(async () => {
+        if (state.currentLoadedItem && state.currentLoadedItem.type === 'position') {
+            await checkForModifications();
+            // Import updateModifiedIndicator dynamically to avoid circular dependency
+            const { updateModifiedIndicator } = await import('./ui.js');
+            updateModifiedIndicator(state.isModified);
+        }
+        // Moving a player can make (or fix) an overlap fault
+        const { updateOverlapWarnings } = await import('./rotationRules.js');
+        updateOverlapWarnings();
+        // And changes how far they are from the ghosted position
+        const { renderGhost } = await import('./ghost.js');
+        renderGhost();
+    }, 50);
+}
+
 // Handle dragging within court
 export function handleCourtDragOver(e) {
     // Skip on phones or in view-only mode - read-only mode
@@ -263,14 +672,9 @@ export function handleCourtDragOver(e) {
         e.preventDefault();
         
         const { x, y } = convertToCourtCoordinates(e.clientX, e.clientY);
-        const dims = getCourtDimensions();
-        const halfPlayerSize = dims.playerSize / 2;
-        
-        // Check if within court bounds (x and y represent center of player circle)
-        const isWithinBounds = x >= halfPlayerSize && x <= dims.baseSize - halfPlayerSize && 
-                               y >= dims.minY + halfPlayerSize && y <= dims.baseSize - halfPlayerSize;
         
-        if (isWithinBounds) {
+        // Check if within court bounds (x and y represent center of player circle or ball)
+        if (isWithinBounds(x, y, getVisibleBounds(state.draggedElement))) {
             e.dataTransfer.dropEffect = 'move';
             state.draggedElement.classList.remove('removing');
         } else {
@@ -290,50 +694,36 @@ export function handleCourtDrop(e) {
     e.preventDefault();
     
     const { x, y } = convertToCourtCoordinates(e.clientX, e.clientY);
-    const dims = getCourtDimensions();
-    const halfPlayerSize = dims.playerSize / 2;
     
-    // Check if drop is outside court bounds (x and y represent center of player circle)
-    const isOutsideBounds = x < halfPlayerSize || x > dims.baseSize - halfPlayerSize || 
-                           y < dims.minY + halfPlayerSize || y > dims.baseSize - halfPlayerSize;
+    // Remember the court before the move (or removal) so it can be undone
+    recordCourtChange();
     
-    if (isOutsideBounds) {
-        // Remove player from court
-        const playerId = state.draggedElement.dataset.playerId;
-        removePlayerFromCourt(playerId);
+    // Check if drop is outside court bounds (x and y represent center of player circle or ball)
+    if (!isWithinBounds(x, y, getVisibleBounds(state.draggedElement))) {
+        // Remove player (or opponent or ball) from court
+        removeElementFromCourt(state.draggedElement);
     } else {
         // Move within court bounds - coordinates are in base (0°) coordinate system
-        // x and y represent the center of the player circle
-        const halfPlayerSize = dims.playerSize / 2;
-        const constrainedX = Math.max(halfPlayerSize, Math.min(x, dims.baseSize - halfPlayerSize));
-        const constrainedY = Math.max(dims.minY + halfPlayerSize, Math.min(y, dims.baseSize - halfPlayerSize));
-        
-        // Transform coordinates for current rotation
-        const rotation = getCourtRotation();
-        const transformed = transformCoordinatesForRotation(constrainedX, constrainedY, rotation);
-        
-        // CSS left/top positions the top-left corner, so offset by half player size
-        const offsetX = transformed.x - halfPlayerSize;
-        const offsetY = transformed.y - halfPlayerSize;
-        
-        // Use percentages so positions scale with court size
-        state.draggedElement.style.left = coordinateToPercent(offsetX) + '%';
-        state.draggedElement.style.top = coordinateToPercent(offsetY) + '%';
+        // x and y represent the center of the player circle or ball
+        // Players and opponents stay on their own side of the net
+        let constrained = constrainToBounds(x, y, getElementBounds(state.draggedElement));
+        if (isSnapToZonesOn() && state.draggedElement.classList.contains('player-container')) {
+            constrained = snapToZone(constrained.x, constrained.y);
+        }
+        if (state.draggedElement.classList.contains('selected')) {
+            // The rest of the selection moves with the dragged player
+            const from = getElementCoordinates(state.draggedElement);
+            moveSelectionBy(constrained.x - from.x, constrained.y - from.y);
+        } else {
+            moveElementTo(state.draggedElement, constrained.x, constrained.y);
+        }
     }
     
     state.draggedElement.classList.remove('removing');
     setDraggedElement(null);
     
-    // Check for modifications after player is moved (for both mouse and touch drag)
-    // Use setTimeout to ensure DOM has updated
-    setTimeout(async () => {
-        if (state.currentLoadedItem && state.currentLoadedItem.type === 'position') {
-            await checkForModifications();
-            // Import updateModifiedIndicator dynamically to avoid circular dependency
-            const { updateModifiedIndicator } = await import('./ui.js');
-            updateModifiedIndicator(state.isModified);
-        }
-    }, 50);
+    // Check for modifications after player or ball is moved
+    updateModifiedAfterChange();
 }
 
 // Ensure court's visual rotation matches the state rotation
@@ -345,6 +735,90 @@ export function syncCourtRotation() {
         if (currentDataRotation !== currentRotation.toString()) {
             dom.court.setAttribute('data-rotation', currentRotation.toString());
         }
+        dom.court.classList.toggle('full-court', getFullCourt());
+    }
+}
+
+// Everything placed on the court: players, opponents and the ball
+function getCourtElements() {
+    const courtElements = [...getPlayerElements().values(), ...getOpponentElements().values()];
+    if (getBallElement()) {
+        courtElements.push(getBallElement());
+    }
+    return courtElements;
+}
+
+// Change how the court is shown (rotation or full court) and put everything back in the same place
+// Positions are read as base coordinates in the old view and transformed for the new one
+function relayoutCourtElements(changeView) {
+    const courtElements = getCourtElements();
+    const centers = courtElements.map(element => getElementCoordinates(element));
+    
+    changeView();
+    
+    courtElements.forEach((element, index) => {
+        moveElementTo(element, centers[index].x, centers[index].y);
+    });
+    
+    // The trajectory is drawn in displayed coordinates, so it no longer lines up
+    clearBallTrajectory();
+    
+    // Drawings are kept in base coordinates, so draw them again for the new view
+    import('./annotations.js').then(({ renderAnnotations }) => {
+        renderAnnotations();
+    });
+    import('./ghost.js').then(({ renderGhost }) => {
+        renderGhost();
+    });
+    import('./zones.js').then(({ renderZones }) => {
+        renderZones();
+    });
+    import('./paths.js').then(({ renderPaths }) => {
+        renderPaths();
+    });
+}
+
+// Show or hide the opponent's half of the court
+// Opponents (and a ball in their half) stay on the court in half-court view, just out of sight
+export function setFullCourtView(fullCourt) {
+    if (getFullCourt() !== fullCourt) {
+        relayoutCourtElements(() => {
+            setFullCourt(fullCourt);
+            dom.court.classList.toggle('full-court', fullCourt);
+        });
+    }
+    updateFullCourtControls();
+}
+
+// Switch between half-court and full-court view
+export function toggleFullCourt() {
+    const fullCourt = !getFullCourt();
+    
+    // Fade out the court like rotateCourt, since its shape changes
+    dom.court.style.opacity = '0';
+    
+    setTimeout(() => {
+        setFullCourtView(fullCourt);
+        
+        requestAnimationFrame(() => {
+            dom.court.style.opacity = '1';
+        });
+    }, 200);
+}
+
+function updateFullCourtControls() {
+    const fullCourt = getFullCourt();
+    
+    const fullCourtBtn = document.getElementById('court-full-btn');
+    if (fullCourtBtn) {
+        fullCourtBtn.classList.toggle('active', fullCourt);
+        fullCourtBtn.title = fullCourt ? 'Show our half of the court' : 'Show the full court';
+    }
+    
+    // Opponents can only be added where they can be seen
+    const opponentBtn = document.getElementById('court-opponent-btn');
+    if (opponentBtn) {
+        opponentBtn.classList.toggle('hidden', !fullCourt || isPhoneView() || isViewOnlyMode());
     }
 }
 
@@ -358,38 +832,13 @@ export function rotateCourt() {
     
     // After fade out, update rotation and transform positions
     setTimeout(() => {
-        // Update rotation state
-        setCourtRotation(newRotation);
-        
-        // Update court data attribute for CSS
-        dom.court.setAttribute('data-rotation', newRotation.toString());
-        
-        // Transform all player positions
-        const dims = getCourtDimensions();
-        const halfPlayerSize = dims.playerSize / 2;
-        
-        getPlayerElements().forEach((element, playerId) => {
-            // Get current displayed position (top-left corner in rotated coordinates)
-            const currentX = percentToCoordinate(element.style.left);
-            const currentY = percentToCoordinate(element.style.top);
-            
-            // Add half player size to get center coordinates
-            const centerX = currentX + halfPlayerSize;
-            const centerY = currentY + halfPlayerSize;
-            
-            // Reverse transform to get base coordinates (center)
-            const baseCoords = reverseTransformCoordinates(centerX, centerY, currentRotation);
-            
-            // Transform to new rotation (center)
-            const newCenterCoords = transformCoordinatesForRotation(baseCoords.x, baseCoords.y, newRotation);
+        // Transform all player positions (and opponents and the ball)
+        relayoutCourtElements(() => {
+            // Update rotation state
+            setCourtRotation(newRotation);
             
-            // Convert back to top-left corner for CSS positioning
-            const newX = newCenterCoords.x - halfPlayerSize;
-            const newY = newCenterCoords.y - halfPlayerSize;
-            
-            // Update position
-            element.style.left = coordinateToPercent(newX) + '%';
-            element.style.top = coordinateToPercent(newY) + '%';
+            // Update court data attribute for CSS
+            dom.court.setAttribute('data-rotation', newRotation.toString());
         });
         
         // Fade back in
@@ -425,8 +874,10 @@ export function initCourtListeners() {
         const halfPlayerSize = dims.playerSize / 2;
         const constrainedX = Math.max(halfPlayerSize, Math.min(x, dims.baseSize - halfPlayerSize));
         const constrainedY = Math.max(dims.minY + halfPlayerSize, Math.min(y, dims.baseSize - halfPlayerSize));
+        const spot = isSnapToZonesOn() ? snapToZone(constrainedX, constrainedY) : { x: constrainedX, y: constrainedY };
         
-        placePlayerOnCourt(state.draggedPlayer, constrainedX, constrainedY);
+        recordCourtChange();
+        placePlayerOnCourt(state.draggedPlayer, spot.x, spot.y);
         setDraggedPlayer(null);
     });
     
@@ -454,8 +905,8 @@ export function initCourtListeners() {
         if (state.draggedElement && !dom.court.contains(e.target)) {
             e.preventDefault();
             
-            const playerId = state.draggedElement.dataset.playerId;
-            removePlayerFromCourt(playerId);
+            recordCourtChange();
+            removeElementFromCourt(state.draggedElement);
             
             state.draggedElement.classList.remove('removing');
             setDraggedElement(null);
@@ -470,6 +921,41 @@ export function initCourtListeners() {
         });
     }
     
-    // Initialize court rotation attribute (state is already initialized from localStorage)
+    // Ball button
+    const ballBtn = document.getElementById('court-ball-btn');
+    if (ballBtn) {
+        ballBtn.addEventListener('click', () => {
+            toggleBall();
+        });
+    }
+    
+    // Full court and opponent buttons
+    const fullCourtBtn = document.getElementById('court-full-btn');
+    if (fullCourtBtn) {
+        fullCourtBtn.addEventListener('click', () => {
+            toggleFullCourt();
+        });
+    }
+    
+    const opponentBtn = document.getElementById('court-opponent-btn');
+    if (opponentBtn) {
+        opponentBtn.addEventListener('click', () => {
+            addOpponent();
+        });
+    }
+    
+    // Transform button (mirror, shift or spread out the formation)
+    const transformBtn = document.getElementById('court-transform-btn');
+    if (transformBtn) {
+        transformBtn.addEventListener('click', async () => {
+            if (state.isAnimating) return;
+            const { openTransformTool } = await import('./transforms.js');
+            openTransformTool();
+        });
+    }
+    
+    // Initialize court rotation attribute and view (state is already initialized from localStorage)
     dom.court.setAttribute('data-rotation', getCourtRotation().toString());
+    dom.court.classList.toggle('full-court', getFullCourt());
+    updateFullCourtControls();
 }
@@ -4,11 +4,18 @@ export const dom = {
     // Court
     court: null,
     courtRotateBtn: null,
+    courtBallBtn: null,
+    courtOpponentBtn: null,
+    courtTransformBtn: null,
+    courtZonesBtn: null,
+    courtSnapBtn: null,
+    annotationToolbar: null,
     
     // Players
     lineupList: null,
     jerseyInput: null,
     nameInput: null,
+    roleInput: null,
     addPlayerBtn: null,
     
     // Positions
@@ -16,6 +23,7 @@ export const dom = {
     tagFilterBtn: null,
     selectedTagsContainer: null,
     newPositionBtn: null,
+    generateRotationsBtn: null,
     positionsList: null,
     
     // Scenarios
@@ -30,6 +38,9 @@ export const dom = {
     createSequenceBtn: null,
     sequencesList: null,
     
+    // Trash
+    trashList: null,
+    
     // Animation
     playAnimationBtn: null,
     nextScenarioBtn: null,
@@ -43,6 +54,9 @@ export const dom = {
     clearStartPositionBtn: null,
     clearEndPositionBtn: null,
     clearScenarioBtn: null,
+    editPathsBtn: null,
+    editTimingBtn: null,
+    playbackSpeedSelect: null,
     positionDropZones: null,
     positionDropZonesContainer: null,
     sequenceTimeline: null,
@@ -60,6 +74,9 @@ export const dom = {
     saveBtn: null,
     saveAsBtn: null,
     discardBtn: null,
+    undoControls: null,
+    undoBtn: null,
+    redoBtn: null,
     
     // Edit Modes
     modeButtons: null,
@@ -88,11 +105,18 @@ export function initDOM() {
     // Court
     dom.court = document.getElementById('court');
     dom.courtRotateBtn = document.getElementById('court-rotate-btn');
+    dom.courtBallBtn = document.getElementById('court-ball-btn');
+    dom.courtOpponentBtn = document.getElementById('court-opponent-btn');
+    dom.courtTransformBtn = document.getElementById('court-transform-btn');
+    dom.courtZonesBtn = document.getElementById('court-zones-btn');
+    dom.courtSnapBtn = document.getElementById('court-snap-btn');
+    dom.annotationToolbar = document.getElementById('annotation-toolbar');
     
     // Players
     dom.lineupList = document.getElementById('lineup-list');
     dom.jerseyInput = document.getElementById('jersey-number');
     dom.nameInput = document.getElementById('player-name');
+    dom.roleInput = document.getElementById('player-role');
     dom.addPlayerBtn = document.getElementById('add-player-btn');
     
     // Positions
@@ -100,6 +124,7 @@ export function initDOM() {
     dom.tagFilterBtn = document.getElementById('tag-filter-btn');
     dom.selectedTagsContainer = document.getElementById('selected-tags-container');
     dom.newPositionBtn = document.getElementById('new-position-btn');
+    dom.generateRotationsBtn = document.getElementById('generate-rotations-btn');
     dom.positionsList = document.getElementById('positions-list');
     
     // Scenarios
@@ -114,6 +139,9 @@ export function initDOM() {
     dom.createSequenceBtn = document.getElementById('create-sequence-btn');
     dom.sequencesList = document.getElementById('sequences-list');
     
+    // Trash
+    dom.trashList = document.getElementById('trash-list');
+    
     // Animation
     dom.playAnimationBtn = document.getElementById('play-animation-btn');
     dom.nextScenarioBtn = document.getElementById('next-scenario-btn');
@@ -127,6 +155,9 @@ export function initDOM() {
     dom.clearStartPositionBtn = document.getElementById('clear-start-position');
     dom.clearEndPositionBtn = document.getElementById('clear-end-position');
     dom.clearScenarioBtn = document.getElementById('clear-scenario-btn');
+    dom.editPathsBtn = document.getElementById('edit-paths-btn');
+    dom.editTimingBtn = document.getElementById('edit-timing-btn');
+    dom.playbackSpeedSelect = document.getElementById('playback-speed');
     dom.positionDropZones = document.getElementById('position-drop-zones');
     dom.positionDropZonesContainer = document.getElementById('position-drop-zones-container');
     dom.sequenceTimeline = document.getElementById('sequence-timeline');
@@ -144,6 +175,9 @@ export function initDOM() {
     dom.saveBtn = document.getElementById('save-btn');
     dom.saveAsBtn = document.getElementById('save-as-btn');
     dom.discardBtn = document.getElementById('discard-btn');
+    dom.undoControls = document.getElementById('undo-controls');
+    dom.undoBtn = document.getElementById('undo-btn');
+    dom.redoBtn = document.getElementById('redo-btn');
     
     // Edit Modes
     dom.modeButtons = document.querySelectorAll('.mode-btn');
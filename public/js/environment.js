@@ -1,6 +1,11 @@
 // Environment detection utility
 // Determines if we're running in Capacitor (native) or web mode
 
+// Server the native app syncs with, including /api (e.g. 'https://volleyboard.example.com/api'),
+// set with NATIVE_API_BASE when the app is built (see nativeConfig.js). Empty keeps the native
+// app's data on the device only.
+import { NATIVE_API_BASE } from './nativeConfig.js';
+
 let _isNative = null;
 let _isWeb = null;
 
@@ -38,15 +43,12 @@ export function getPlatform() {
 /**
  * Get the API base URL
  * In web mode, uses relative paths (works with Express server)
- * In native mode, could use a remote server URL or return null to use local storage
+ * In native mode, uses NATIVE_API_BASE, or returns null to use local storage only
+ * With a server, data is still available offline (see Offline Sync in db.js)
  */
 export function getApiBase() {
     if (isNative()) {
-        // In native mode, you can either:
-        // 1. Return null to use local storage (recommended for offline-first)
-        // 2. Return a remote server URL if you want to sync with a server
-        // For now, we'll use local storage in native mode
-        return null;
+        return NATIVE_API_BASE || null;
     }
     // In web mode, use relative API paths
     return '/api';
@@ -0,0 +1,131 @@
+// Ghost module - show a scenario's start or end position faintly over the court
+// The ghosted position's players are drawn as outlines, and each player on the court gets a
+// line to where they are in it, labelled with how far that is in feet. It's toggled from the
+// scenario's drop zones and drawn again whenever the court changes.
+
+import { state, getPlayerElements, getSelectedStartPosition, getSelectedEndPosition, getCourtRotation } from './state.js';
+import { dom } from './dom.js';
+import { getElementCoordinates, transformCoordinatesForRotation, getDisplayedCourtSize, UNITS_PER_FOOT } from './court.js';
+import { resolvePlayerPositions } from './libero.js';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// Radius of a player marker, in court units
+const MARKER_RADIUS = 25;
+// Players who move less than this (in court units, half a foot) don't get a line
+const MIN_MOVE = 10;
+
+let layer = null;
+let ghostZone = null;   // 'start' or 'end' while that drop zone's position is ghosted
+
+// Which drop zone's position is ghosted, if any
+export function getGhostZone() {
+    return ghostZone;
+}
+
+/**
+ * Ghost a drop zone's position over the court, or stop ghosting it
+ * @param {string} zone - 'start' or 'end'
+ */
+export function toggleGhost(zone) {
+    ghostZone = ghostZone === zone ? null : zone;
+    renderGhost();
+}
+
+// Draw the ghosted position (and the movement lines) for the current court, or clear it
+// Nothing is drawn while players are animating, as the lines would be out of date
+export function renderGhost() {
+    const position = ghostZone === 'start' ? getSelectedStartPosition() :
+        ghostZone === 'end' ? getSelectedEndPosition() : null;
+    if (!position) {
+        // The position was taken out of its drop zone
+        ghostZone = null;
+    }
+
+    const svg = getLayer();
+    if (!svg) return;
+    svg.innerHTML = '';
+    if (!position || state.isAnimating) return;
+
+    const size = getDisplayedCourtSize();
+    svg.setAttribute('viewBox', `0 0 ${size.width} ${size.height}`);
+
+    resolvePlayerPositions(position).forEach(pos => {
+        const element = getPlayerElements().get(pos.playerId);
+        if (element) {
+            const line = createMovementLine(getElementCoordinates(element), pos);
+            if (line) svg.appendChild(line);
+        }
+        svg.appendChild(createMarker(toDisplayed(pos), pos));
+    });
+}
+
+// The SVG layer over the court, created the first time it's needed
+function getLayer() {
+    if (layer && layer.isConnected) return layer;
+    if (!dom.court) return null;
+
+    layer = document.createElementNS(SVG_NS, 'svg');
+    layer.setAttribute('class', 'ghost-layer');
+    layer.setAttribute('preserveAspectRatio', 'none');
+    dom.court.appendChild(layer);
+    return layer;
+}
+
+function toDisplayed(point) {
+    return transformCoordinatesForRotation(point.x, point.y, getCourtRotation());
+}
+
+function createMarker(center, pos) {
+    const group = document.createElementNS(SVG_NS, 'g');
+    group.setAttribute('class', 'ghost-marker');
+
+    const circle = document.createElementNS(SVG_NS, 'circle');
+    circle.setAttribute('cx', center.x);
+    circle.setAttribute('cy', center.y);
+    circle.setAttribute('r', MARKER_RADIUS);
+    group.appendChild(circle);
+
+    const label = document.createElementNS(SVG_NS, 'text');
+    label.setAttribute('x', center.x);
+    label.setAttribute('y', center.y);
+    label.textContent = pos.jersey || pos.name || '';
+    group.appendChild(label);
+
+    return group;
+}
+
+// A line from where the player is to the edge of their ghost, with the distance in feet
+// Distances are measured in base coordinates, so they're the same whichever way the court is turned
+function createMovementLine(fromBase, toBase) {
+    const distance = Math.hypot(toBase.x - fromBase.x, toBase.y - fromBase.y);
+    if (distance < MIN_MOVE) return null;
+
+    const from = toDisplayed(fromBase);
+    const to = toDisplayed(toBase);
+    const dx = to.x - from.x;
+    const dy = to.y - from.y;
+    const length = Math.hypot(dx, dy);
+    const end = {
+        x: to.x - (dx / length) * MARKER_RADIUS,
+        y: to.y - (dy / length) * MARKER_RADIUS
+    };
+
+    const group = document.createElementNS(SVG_NS, 'g');
+    group.setAttribute('class', 'ghost-move');
+
+    const line = document.createElementNS(SVG_NS, 'line');
+    line.setAttribute('x1', from.x);
+    line.setAttribute('y1', from.y);
+    line.setAttribute('x2', end.x);
+    line.setAttribute('y2', end.y);
+    group.appendChild(line);
+
+    const label = document.createElementNS(SVG_NS, 'text');
+    label.setAttribute('x', (from.x + end.x) / 2);
+    label.setAttribute('y', (from.y + end.y) / 2);
+    label.textContent = `${(distance / UNITS_PER_FOOT).toFixed(1)} ft`;
+    group.appendChild(label);
+
+    return group;
+}
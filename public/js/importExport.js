@@ -1,7 +1,7 @@
 // Import/Export module
 
 import * as db from '../db.js';
-import { state, setPlayers, setSavedPositions, setPositions, setScenarios, setSequences, setDbInitialized } from './state.js';
+import { state, setPlayers, setSavedPositions, setPositions, setRotations, setScenarios, setSequences, setDbInitialized } from './state.js';
 import { dom } from './dom.js';
 import { alert } from './modal.js';
 import { 
@@ -112,6 +112,7 @@ export async function selectDataFile() {
         // Load new format
         try {
             setPositions(await db.getAllPositionsNew());
+            setRotations(await db.getAllRotations());
             setScenarios(await db.getAllScenarios());
             setSequences(await db.getAllSequences());
         } catch (error) {
@@ -209,6 +210,7 @@ export async function handleFileImport(event) {
             // Load new format
             try {
                 setPositions(await db.getAllPositionsNew());
+                setRotations(await db.getAllRotations());
                 setScenarios(await db.getAllScenarios());
                 setSequences(await db.getAllSequences());
             } catch (error) {
@@ -0,0 +1,119 @@
+// Libero module - the libero comes in for a middle blocker whenever the middle is in the back row
+// Replacement pairs ([{ liberoId, playerId }]) are declared on a position, or on the rotations it
+// belongs to (a position's own pairs win). Positions are saved with the middle: the libero is
+// swapped in when the position is shown on the court, and the middle is put back when it's saved.
+
+import { getPlayers, getRotations } from './state.js';
+
+// In base coordinates the attack line is 200 from the net; players behind it are in the back row
+// when the position doesn't say which court position (1-6) they're in
+const ATTACK_LINE_Y = 200;
+const BACK_ROW = [5, 6, 1];
+
+/**
+ * Get the libero replacement pairs that apply to a position
+ * @param {Object} position - Saved position
+ * @returns {Array} [{ liberoId, playerId }]
+ */
+export function getLiberoSwaps(position) {
+    if (!position) return [];
+    if (position.liberoSwaps && position.liberoSwaps.length > 0) {
+        return position.liberoSwaps;
+    }
+
+    return getPositionRotations(position).flatMap(rotation => rotation.liberoSwaps || []);
+}
+
+// The rotations a position is grouped under
+export function getPositionRotations(position) {
+    return getRotations().filter(rotation =>
+        (rotation.positionIds || []).includes(position.id) || (position.rotationIds || []).includes(rotation.id)
+    );
+}
+
+/**
+ * Get a position's players as they go on the court, with the libero in for back-row middles
+ * Swapped-in entries keep the middle's spot and court position, and note who they replace
+ * @param {Object} position - Saved position
+ * @returns {Array} Player positions
+ */
+export function resolvePlayerPositions(position) {
+    const playerPositions = position.playerPositions || [];
+    const swaps = getLiberoSwaps(position);
+    if (swaps.length === 0) return playerPositions;
+
+    const players = getPlayers();
+    const onCourt = new Set(playerPositions.map(pos => pos.playerId));
+    const subbedIn = new Set();
+
+    return playerPositions.map(pos => {
+        const swap = swaps.find(s => s.playerId === pos.playerId);
+        if (!swap || onCourt.has(swap.liberoId) || subbedIn.has(swap.liberoId) || !isBackRow(pos, position)) {
+            return pos;
+        }
+
+        const libero = players.find(p => p.id === swap.liberoId);
+        if (!libero) return pos;
+
+        subbedIn.add(libero.id);
+        return {
+            ...pos,
+            playerId: libero.id,
+            jersey: libero.jersey,
+            name: libero.name,
+            replaces: pos.playerId
+        };
+    });
+}
+
+/**
+ * Put the middles back in player positions read from the court, before saving them
+ * A libero who came in for a middle (and is where the middle would be) is saved as the middle
+ * @param {Array} playerPositions - Player positions read from the court
+ * @param {Object} position - The saved position they're being saved over
+ * @returns {Array} Player positions to save
+ */
+export function unresolvePlayerPositions(playerPositions, position) {
+    const resolved = resolvePlayerPositions(position);
+    const onCourt = new Set(playerPositions.map(pos => pos.playerId));
+    const players = getPlayers();
+
+    return playerPositions.map(pos => {
+        const subbedIn = resolved.find(r => r.playerId === pos.playerId && r.replaces);
+        if (!subbedIn || onCourt.has(subbedIn.replaces)) return pos;
+
+        const middle = players.find(p => p.id === subbedIn.replaces);
+        if (!middle) return pos;
+
+        return { ...pos, playerId: middle.id, jersey: middle.jersey, name: middle.name };
+    });
+}
+
+/**
+ * Pair players leaving the court with the players coming on for them (libero and middle)
+ * @param {Set} leaving - IDs of players going off
+ * @param {Set} arriving - IDs of players coming on
+ * @param {Object} position - The position being moved to
+ * @returns {Array} [{ outId, inId }]
+ */
+export function findSubstitutions(leaving, arriving, position) {
+    const substitutions = [];
+    getLiberoSwaps(position).forEach(({ liberoId, playerId }) => {
+        [[playerId, liberoId], [liberoId, playerId]].forEach(([outId, inId]) => {
+            const alreadyPaired = substitutions.some(s => s.outId === outId || s.inId === inId);
+            if (!alreadyPaired && leaving.has(outId) && arriving.has(inId)) {
+                substitutions.push({ outId, inId });
+            }
+        });
+    });
+    return substitutions;
+}
+
+// A middle serving from position 1 stays on; otherwise back-row middles come off
+function isBackRow(pos, position) {
+    if (pos.courtPosition) {
+        const serving = pos.courtPosition === 1 && (position.tags || []).includes('serve');
+        return BACK_ROW.includes(pos.courtPosition) && !serving;
+    }
+    return pos.y > ATTACK_LINE_Y;
+}
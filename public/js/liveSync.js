@@ -0,0 +1,164 @@
+// Live sync module - apply changes made on other devices as they arrive
+// (and the coach's changes, for players viewing with a team code)
+
+import * as db from '../db.js';
+import {
+    state,
+    getPlayers,
+    getPositions,
+    getRotations,
+    getScenarios,
+    getSequences,
+    setPlayers,
+    setPositions,
+    setRotations,
+    setScenarios,
+    setSequences,
+    getCurrentLoadedItem,
+    getIsModified
+} from './state.js';
+import { renderLineup, renderPositionsList, renderScenariosList, renderSequencesList } from './ui.js';
+import { updateScenarioSelects } from './scenarios.js';
+import { loadPosition } from './positions.js';
+import { handlePresenterEvent, handleReconnect } from './presenter.js';
+
+// How each collection is read from state, stored, reloaded from the database and re-rendered
+const COLLECTIONS = {
+    players: {
+        get: getPlayers,
+        set: setPlayers,
+        load: () => db.getAllPlayers(),
+        render: () => renderLineup()
+    },
+    positions: {
+        get: getPositions,
+        set: setPositions,
+        load: () => db.getAllPositionsNew(),
+        render: () => {
+            renderPositionsList();
+            updateScenarioSelects();
+        }
+    },
+    rotations: {
+        get: getRotations,
+        set: setRotations,
+        load: () => db.getAllRotations(),
+        render: () => {} // Rotations have no list of their own
+    },
+    scenarios: {
+        get: getScenarios,
+        set: setScenarios,
+        load: () => db.getAllScenarios(),
+        render: () => {
+            renderScenariosList();
+            updateScenarioSelects();
+        }
+    },
+    sequences: {
+        get: getSequences,
+        set: setSequences,
+        load: () => db.getAllSequences(),
+        render: () => renderSequencesList()
+    }
+};
+
+let unsubscribe = null;
+
+// Start listening for changes (no-op in local mode)
+export async function initLiveSync() {
+    if (unsubscribe) return;
+
+    try {
+        unsubscribe = await db.subscribeToChanges(applyChange);
+    } catch (error) {
+        // Live sync is a convenience - the app still works with manual reloads
+        console.warn('Live sync unavailable:', error);
+    }
+}
+
+// Stop listening for changes
+export function stopLiveSync() {
+    if (unsubscribe) {
+        unsubscribe();
+        unsubscribe = null;
+    }
+}
+
+// Apply one change event to state and re-render what it touched
+async function applyChange(event) {
+    if (event.type === 'present') {
+        handlePresenterEvent(event);
+        return;
+    }
+
+    if (event.type === 'saved') {
+        const collection = COLLECTIONS[event.collection];
+        if (!collection || !event.item) return;
+
+        const items = [...collection.get()];
+        const index = items.findIndex(existing => existing.id === event.item.id);
+        if (index === -1) {
+            items.push(event.item);
+        } else {
+            items[index] = event.item;
+        }
+        collection.set(items);
+        collection.render();
+
+        if (event.collection === 'positions') {
+            refreshLoadedPosition(event.item.id);
+        }
+        return;
+    }
+
+    if (event.type === 'deleted') {
+        const collection = COLLECTIONS[event.collection];
+        if (!collection) return;
+
+        collection.set(collection.get().filter(existing => existing.id !== event.id));
+
+        // The delete also removed links from these collections, so fetch their current state
+        const refreshed = (event.refresh || []).filter(name => COLLECTIONS[name]);
+        const reloaded = await Promise.all(refreshed.map(name => COLLECTIONS[name].load()));
+        refreshed.forEach((name, i) => COLLECTIONS[name].set(reloaded[i]));
+
+        [event.collection, ...refreshed].forEach(name => COLLECTIONS[name].render());
+        return;
+    }
+
+    if (event.type === 'reload') {
+        if (event.reconnected) {
+            // Changes made while the connection was down may still be queued
+            await db.syncPendingChanges();
+        }
+
+        await reloadAllData();
+
+        if (event.reconnected) {
+            handleReconnect();
+        }
+    }
+}
+
+// Reload every collection and re-render
+export async function reloadAllData() {
+    const names = Object.keys(COLLECTIONS);
+    const reloaded = await Promise.all(names.map(name => COLLECTIONS[name].load()));
+    names.forEach((name, i) => COLLECTIONS[name].set(reloaded[i]));
+    names.forEach(name => COLLECTIONS[name].render());
+
+    const loaded = getCurrentLoadedItem();
+    if (loaded && loaded.type === 'position') {
+        refreshLoadedPosition(loaded.id);
+    }
+}
+
+// Move the players on the court if the position shown there changed,
+// unless the user has unsaved changes of their own or an animation is playing
+function refreshLoadedPosition(positionId) {
+    const loaded = getCurrentLoadedItem();
+    if (!loaded || loaded.type !== 'position' || loaded.id !== positionId) return;
+    if (getIsModified() || state.isAnimating) return;
+
+    loadPosition(positionId);
+}
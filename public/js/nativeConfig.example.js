@@ -0,0 +1,5 @@
+// Native app configuration. public/js/nativeConfig.js (not committed) is written from the template
+// public/js/nativeConfig.example.js by `npm run config:native`, which fills in the NATIVE_API_BASE
+// environment variable when the app is built. Empty keeps the native app's data on the device only.
+
+export const NATIVE_API_BASE = '';
@@ -0,0 +1,296 @@
+// Paths module - the routes players take between a scenario's start and end positions
+// A player's path is a list of waypoints ([{ x, y }] in base coordinates) between their spot in
+// the start position and their spot in the end position, saved on the scenario as
+// paths: { [playerId]: waypoints }. The route through the waypoints is smoothed (a Catmull-Rom
+// curve), drawn with draggable handles while editing, and followed when the scenario plays.
+
+import { state, getCurrentLoadedItem, getSelectedStartPosition, getSelectedEndPosition, getScenarioPaths, setScenarioPaths, getCourtRotation } from './state.js';
+import { dom } from './dom.js';
+import { convertToCourtCoordinates, transformCoordinatesForRotation, getDisplayedCourtSize } from './court.js';
+import { resolvePlayerPositions } from './libero.js';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// Points worked out along each stretch of a route, for drawing it and following it
+const SAMPLES_PER_SEGMENT = 16;
+// A player can have this many waypoints
+const MAX_WAYPOINTS = 8;
+
+let layer = null;
+let editing = false;
+let draggedHandle = null;   // { playerId, index, moved } while a waypoint is being dragged
+
+// Helper function to check if we're on a phone (matches CSS media query: max-width: 767px and orientation: portrait)
+function isPhoneView() {
+    return window.innerWidth <= 767 && window.innerHeight > window.innerWidth;
+}
+
+// Helper function to check if we're in view-only mode
+function isViewOnlyMode() {
+    return window.isViewOnlyMode === true;
+}
+
+// Wire the Paths button
+export function initPaths() {
+    if (dom.editPathsBtn) {
+        dom.editPathsBtn.addEventListener('click', () => {
+            editing = !editing;
+            renderPaths();
+        });
+    }
+}
+
+/**
+ * Get the route a player takes: their start spot, their waypoints, then their end spot
+ * @param {Object} paths - { [playerId]: waypoints }
+ * @param {string} playerId - Player to get the route of
+ * @param {Object} from - Start spot ({ x, y } in base coordinates)
+ * @param {Object} to - End spot ({ x, y } in base coordinates)
+ * @returns {Array} Points along the smoothed route, from the start to the end
+ */
+export function getRoute(paths, playerId, from, to) {
+    return smoothRoute([from, ...((paths || {})[playerId] || []), to]);
+}
+
+/**
+ * Whether a player has waypoints, so they follow a route instead of moving straight
+ * @param {Object} paths - { [playerId]: waypoints }
+ * @param {string} playerId - Player to check
+ */
+export function hasWaypoints(paths, playerId) {
+    return !!paths && Array.isArray(paths[playerId]) && paths[playerId].length > 0;
+}
+
+/**
+ * The paths to save on a scenario (players without waypoints are left out)
+ * @param {Object} paths - { [playerId]: waypoints }
+ * @returns {Object}
+ */
+export function getPathsToSave(paths) {
+    const saved = {};
+    Object.entries(paths || {}).forEach(([playerId, waypoints]) => {
+        if (waypoints && waypoints.length > 0) {
+            saved[playerId] = waypoints.map(point => ({ x: Math.round(point.x), y: Math.round(point.y) }));
+        }
+    });
+    return saved;
+}
+
+// Whether two scenarios' paths have the same waypoints
+export function pathsEqual(a, b) {
+    const first = getPathsToSave(a);
+    const second = getPathsToSave(b);
+    const playerIds = Object.keys(first);
+    return playerIds.length === Object.keys(second).length && playerIds.every(playerId =>
+        second[playerId] && first[playerId].length === second[playerId].length &&
+        first[playerId].every((point, i) => point.x === second[playerId][i].x && point.y === second[playerId][i].y)
+    );
+}
+
+// Draw every player's route and waypoint handles while editing (or take them away)
+// Routes go from the start position to the end position in the drop zones
+export function renderPaths() {
+    const loaded = getCurrentLoadedItem();
+    const startPos = getSelectedStartPosition();
+    const endPos = getSelectedEndPosition();
+    if (!loaded || loaded.type !== 'scenario' || !startPos || !endPos || isPhoneView() || isViewOnlyMode()) {
+        editing = false;
+    }
+    if (dom.editPathsBtn) {
+        dom.editPathsBtn.classList.toggle('active', editing);
+    }
+
+    const svg = getLayer();
+    if (!svg) return;
+    svg.innerHTML = '';
+    if (!editing || state.isAnimating) return;
+
+    const size = getDisplayedCourtSize();
+    svg.setAttribute('viewBox', `0 0 ${size.width} ${size.height}`);
+
+    const paths = getScenarioPaths();
+    const endSpots = new Map(resolvePlayerPositions(endPos).map(pos => [pos.playerId, pos]));
+    resolvePlayerPositions(startPos).forEach(from => {
+        const to = endSpots.get(from.playerId);
+        if (!to) return;
+
+        const waypoints = paths[from.playerId] || [];
+        svg.appendChild(createRouteLine(from, to, waypoints));
+        waypoints.forEach((point, index) => {
+            svg.appendChild(createHandle(from.playerId, point, index));
+        });
+    });
+}
+
+// The SVG layer over the court, created the first time it's needed
+function getLayer() {
+    if (layer && layer.isConnected) return layer;
+    if (!dom.court) return null;
+
+    layer = document.createElementNS(SVG_NS, 'svg');
+    layer.setAttribute('class', 'path-layer');
+    layer.setAttribute('preserveAspectRatio', 'none');
+    layer.addEventListener('pointermove', handlePointerMove);
+    layer.addEventListener('pointerup', handlePointerUp);
+    layer.addEventListener('pointercancel', handlePointerUp);
+    dom.court.appendChild(layer);
+    return layer;
+}
+
+// A player's route; double-click it to add a waypoint there
+function createRouteLine(from, to, waypoints) {
+    const route = [from, ...waypoints, to].map(toDisplayed);
+    const line = document.createElementNS(SVG_NS, 'path');
+    line.setAttribute('class', 'path-line');
+    line.setAttribute('d', getCurvePath(route));
+
+    // Keep the press from starting a selection box on the court
+    line.addEventListener('pointerdown', (e) => e.stopPropagation());
+    line.addEventListener('dblclick', (e) => {
+        e.stopPropagation();
+        if (waypoints.length >= MAX_WAYPOINTS) return;
+        const point = convertToCourtCoordinates(e.clientX, e.clientY);
+        const updated = [...waypoints];
+        updated.splice(findInsertIndex([from, ...waypoints, to], point), 0, {
+            x: Math.round(point.x),
+            y: Math.round(point.y)
+        });
+        updatePlayerPath(from.playerId, updated);
+    });
+    return line;
+}
+
+// A waypoint's handle; drag it to move the waypoint, double-click it to remove it
+function createHandle(playerId, point, index) {
+    const displayed = toDisplayed(point);
+    const handle = document.createElementNS(SVG_NS, 'circle');
+    handle.setAttribute('class', 'path-handle');
+    handle.setAttribute('cx', displayed.x);
+    handle.setAttribute('cy', displayed.y);
+    handle.setAttribute('r', 9);
+
+    handle.addEventListener('pointerdown', (e) => {
+        e.stopPropagation();
+        e.preventDefault();
+        draggedHandle = { playerId, index, moved: false };
+        layer.setPointerCapture(e.pointerId);
+    });
+    handle.addEventListener('dblclick', (e) => {
+        e.stopPropagation();
+        const waypoints = [...(getScenarioPaths()[playerId] || [])];
+        waypoints.splice(index, 1);
+        updatePlayerPath(playerId, waypoints);
+    });
+    return handle;
+}
+
+function handlePointerMove(e) {
+    if (!draggedHandle) return;
+
+    const point = convertToCourtCoordinates(e.clientX, e.clientY);
+    const waypoints = [...(getScenarioPaths()[draggedHandle.playerId] || [])];
+    waypoints[draggedHandle.index] = { x: Math.round(point.x), y: Math.round(point.y) };
+    draggedHandle.moved = true;
+    setScenarioPaths({ ...getScenarioPaths(), [draggedHandle.playerId]: waypoints });
+    renderPaths();
+}
+
+function handlePointerUp() {
+    if (!draggedHandle) return;
+
+    const moved = draggedHandle.moved;
+    draggedHandle = null;
+    if (moved) {
+        updateModified();
+    }
+}
+
+function updatePlayerPath(playerId, waypoints) {
+    const paths = { ...getScenarioPaths() };
+    if (waypoints.length > 0) {
+        paths[playerId] = waypoints;
+    } else {
+        delete paths[playerId];
+    }
+    setScenarioPaths(paths);
+    renderPaths();
+    updateModified();
+}
+
+// Changing a route changes the scenario
+async function updateModified() {
+    const { checkScenarioModifications } = await import('./scenarios.js');
+    const { updateModifiedIndicator } = await import('./ui.js');
+    checkScenarioModifications();
+    updateModifiedIndicator(state.isModified);
+}
+
+// Where a new waypoint goes in a route: after the corner that starts the stretch nearest to it
+function findInsertIndex(route, point) {
+    let best = 0;
+    let bestDistance = Infinity;
+    for (let i = 0; i < route.length - 1; i++) {
+        const distance = distanceToSegment(point, route[i], route[i + 1]);
+        if (distance < bestDistance) {
+            bestDistance = distance;
+            best = i;
+        }
+    }
+    return best;
+}
+
+function distanceToSegment(point, a, b) {
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const lengthSquared = dx * dx + dy * dy;
+    const t = lengthSquared === 0 ? 0 :
+        Math.max(0, Math.min(1, ((point.x - a.x) * dx + (point.y - a.y) * dy) / lengthSquared));
+    return Math.hypot(point.x - (a.x + t * dx), point.y - (a.y + t * dy));
+}
+
+// Points along a Catmull-Rom curve through the given points (the ends are repeated so the
+// curve starts and finishes at them)
+function smoothRoute(points) {
+    if (points.length < 3) return points.map(point => ({ x: point.x, y: point.y }));
+
+    const route = [{ x: points[0].x, y: points[0].y }];
+    for (let i = 0; i < points.length - 1; i++) {
+        const p0 = points[Math.max(i - 1, 0)];
+        const p1 = points[i];
+        const p2 = points[i + 1];
+        const p3 = points[Math.min(i + 2, points.length - 1)];
+        for (let step = 1; step <= SAMPLES_PER_SEGMENT; step++) {
+            const t = step / SAMPLES_PER_SEGMENT;
+            route.push({
+                x: catmullRom(p0.x, p1.x, p2.x, p3.x, t),
+                y: catmullRom(p0.y, p1.y, p2.y, p3.y, t)
+            });
+        }
+    }
+    return route;
+}
+
+function catmullRom(p0, p1, p2, p3, t) {
+    const t2 = t * t;
+    const t3 = t2 * t;
+    return 0.5 * ((2 * p1) + (-p0 + p2) * t + (2 * p0 - 5 * p1 + 4 * p2 - p3) * t2 + (-p0 + 3 * p1 - 3 * p2 + p3) * t3);
+}
+
+// The same curve as smoothRoute, as an SVG path (each stretch is a cubic Bézier)
+function getCurvePath(points) {
+    let d = `M ${points[0].x} ${points[0].y}`;
+    for (let i = 0; i < points.length - 1; i++) {
+        const p0 = points[Math.max(i - 1, 0)];
+        const p1 = points[i];
+        const p2 = points[i + 1];
+        const p3 = points[Math.min(i + 2, points.length - 1)];
+        const c1 = { x: p1.x + (p2.x - p0.x) / 6, y: p1.y + (p2.y - p0.y) / 6 };
+        const c2 = { x: p2.x - (p3.x - p1.x) / 6, y: p2.y - (p3.y - p1.y) / 6 };
+        d += ` C ${c1.x} ${c1.y}, ${c2.x} ${c2.y}, ${p2.x} ${p2.y}`;
+    }
+    return d;
+}
+
+function toDisplayed(point) {
+    return transformCoordinatesForRotation(point.x, point.y, getCourtRotation());
+}
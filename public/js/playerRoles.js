@@ -0,0 +1,71 @@
+// Player roles module - each player's volleyball role (plus an optional secondary role),
+// how their marker looks on the court and which roles a position includes
+
+import { getPlayers } from './state.js';
+import { resolvePlayerPositions } from './libero.js';
+
+export const PLAYER_ROLES = {
+    S: 'Setter',
+    OH: 'Outside Hitter',
+    MB: 'Middle Blocker',
+    OPP: 'Opposite',
+    L: 'Libero',
+    DS: 'Defensive Specialist'
+};
+
+/**
+ * Get a player's roles, main role first
+ * @param {Object} player - Player from the lineup
+ * @returns {Array<string>} Role codes (empty if the player has no role)
+ */
+export function getPlayerRoles(player) {
+    if (!player) return [];
+    const roles = [player.role, player.secondaryRole].filter(role => PLAYER_ROLES[role]);
+    return [...new Set(roles)];
+}
+
+// Describe a player's roles, e.g. "Setter / Opposite"
+export function getRolesLabel(player) {
+    return getPlayerRoles(player).map(role => PLAYER_ROLES[role]).join(' / ');
+}
+
+/**
+ * Get the roles of the players in a position (main and secondary roles)
+ * Roles come from the current lineup, so changing a player's role updates every position they're in,
+ * and a libero swapped in for a back-row middle counts
+ * @param {Object} position - Saved position
+ * @returns {Array<string>} Role codes
+ */
+export function getPositionRoles(position) {
+    const players = getPlayers();
+    const roles = new Set();
+    (position.playerPositions || []).concat(resolvePlayerPositions(position)).forEach(pos => {
+        getPlayerRoles(players.find(p => p.id === pos.playerId)).forEach(role => roles.add(role));
+    });
+    return Object.keys(PLAYER_ROLES).filter(role => roles.has(role));
+}
+
+// Options for a role select, with the given role selected
+export function getRoleOptionsHtml(selectedRole, emptyLabel = 'No role') {
+    return `
+        <option value="">${emptyLabel}</option>
+        ${Object.entries(PLAYER_ROLES).map(([role, label]) => `
+            <option value="${role}" ${role === selectedRole ? 'selected' : ''}>${role} - ${label}</option>
+        `).join('')}
+    `;
+}
+
+// Style a player's marker on the court by their main role (colour and shape are set in CSS)
+export function applyPlayerRole(playerContainer, player) {
+    Object.keys(PLAYER_ROLES).forEach(role => {
+        playerContainer.classList.remove(`role-${role.toLowerCase()}`);
+    });
+
+    const [role] = getPlayerRoles(player);
+    if (role) {
+        playerContainer.classList.add(`role-${role.toLowerCase()}`);
+        playerContainer.title = `${player.name} (${getRolesLabel(player)})`;
+    } else {
+        playerContainer.removeAttribute('title');
+    }
+}
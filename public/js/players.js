@@ -5,11 +5,14 @@ import { state, setPlayers, getPlayers, getPlayerElements, setDbInitialized } fr
 import { dom } from './dom.js';
 import { renderLineup, updateSavedPositionsList } from './ui.js';
 import { alert, confirm } from './modal.js';
+import { showUndoToast } from './trash.js';
+import { getRoleOptionsHtml, applyPlayerRole } from './playerRoles.js';
 
 // Add player to lineup
 export async function addPlayer() {
     const jersey = dom.jerseyInput.value.trim();
     const name = dom.nameInput.value.trim();
+    const role = dom.roleInput ? dom.roleInput.value : '';
     
     if (!jersey || !name) {
         await alert('Please enter both jersey number and name');
@@ -27,6 +30,9 @@ export async function addPlayer() {
         jersey: jersey,
         name: name
     };
+    if (role) {
+        player.role = role;
+    }
     
     state.players.push(player);
     
@@ -45,17 +51,20 @@ export async function addPlayer() {
     // Clear inputs
     dom.jerseyInput.value = '';
     dom.nameInput.value = '';
+    if (dom.roleInput) dom.roleInput.value = '';
     dom.jerseyInput.focus();
 }
 
 // Delete player
 export async function deletePlayer(playerId) {
+    const player = getPlayers().find(p => p.id === playerId);
     setPlayers(getPlayers().filter(p => p.id !== playerId));
     
     // Remove from file-based storage
     if (state.dbInitialized) {
         try {
-            await db.deletePlayer(playerId);
+            const result = await db.deletePlayer(playerId);
+            showUndoToast(`Player "${player ? player.name : playerId}" moved to trash`, result && result.trashId);
         } catch (error) {
             console.error('Error deleting player:', error);
             await alert('Error deleting player: ' + error.message);
@@ -98,6 +107,8 @@ export async function editPlayer(playerId) {
     
     const jerseyInputId = 'edit-player-jersey-' + Date.now();
     const nameInputId = 'edit-player-name-' + Date.now();
+    const roleInputId = 'edit-player-role-' + Date.now();
+    const secondaryRoleInputId = 'edit-player-secondary-role-' + Date.now();
     
     const bodyHtml = `
         <div class="modal-form-container">
@@ -109,6 +120,18 @@ export async function editPlayer(playerId) {
                 <label for="${nameInputId}" class="modal-label">Player Name</label>
                 <input type="text" id="${nameInputId}" class="modal-input modal-input-full" value="${escapeHtml(player.name)}">
             </div>
+            <div class="modal-form-group">
+                <label for="${roleInputId}" class="modal-label">Role</label>
+                <select id="${roleInputId}" class="modal-input modal-input-full">
+                    ${getRoleOptionsHtml(player.role)}
+                </select>
+            </div>
+            <div class="modal-form-group">
+                <label for="${secondaryRoleInputId}" class="modal-label">Secondary Role (optional)</label>
+                <select id="${secondaryRoleInputId}" class="modal-input modal-input-full">
+                    ${getRoleOptionsHtml(player.secondaryRole, 'None')}
+                </select>
+            </div>
         </div>
     `;
     
@@ -139,6 +162,8 @@ export async function editPlayer(playerId) {
         
         const jerseyInput = document.getElementById(jerseyInputId);
         const nameInput = document.getElementById(nameInputId);
+        const roleInput = document.getElementById(roleInputId);
+        const secondaryRoleInput = document.getElementById(secondaryRoleInputId);
         const cancelBtn = document.getElementById('modal-cancel');
         const confirmBtn = document.getElementById('modal-confirm');
         
@@ -174,6 +199,8 @@ export async function editPlayer(playerId) {
             confirmBtn.addEventListener('click', async () => {
                 const newJersey = jerseyInput ? jerseyInput.value.trim() : '';
                 const newName = nameInput ? nameInput.value.trim() : '';
+                const newRole = roleInput ? roleInput.value : '';
+                const newSecondaryRole = secondaryRoleInput ? secondaryRoleInput.value : '';
                 
                 if (!newJersey || !newName) {
                     await alert('Please enter both jersey number and name');
@@ -187,11 +214,13 @@ export async function editPlayer(playerId) {
                     return;
                 }
                 
-                // Update player
+                // Update player (a secondary role is only kept alongside a different main role)
                 const updated = {
                     ...player,
                     jersey: newJersey,
-                    name: newName
+                    name: newName,
+                    role: newRole,
+                    secondaryRole: newRole && newSecondaryRole !== newRole ? newSecondaryRole : ''
                 };
                 
                 try {
@@ -216,6 +245,8 @@ export async function editPlayer(playerId) {
                         if (playerLabel) {
                             playerLabel.textContent = newName;
                         }
+                        // Update the marker's colour and shape for the role
+                        applyPlayerRole(playerElement, updated);
                     }
                     
                     renderLineup();
@@ -5,16 +5,38 @@ import {
     state, 
     getPositions, 
     getPlayerElements, 
+    getAnnotations, 
     getPlayers, 
     setPositions,
     setCurrentLoadedItem,
     setIsModified,
     checkForModifications
 } from './state.js';
-import { placePlayerOnCourt, percentToCoordinate, convertDisplayedToBaseCoordinates, syncCourtRotation } from './court.js';
+import {
+    placePlayerOnCourt,
+    placeOpponentOnCourt,
+    clearOpponentsFromCourt,
+    getOpponentPositions,
+    setFullCourtView,
+    placeBallOnCourt,
+    removeBallFromCourt,
+    getBallCoordinates,
+    percentToCoordinate,
+    convertDisplayedToBaseCoordinates,
+    syncCourtRotation
+} from './court.js';
 import { renderPositionsList, updateCurrentItemDisplay, updateModifiedIndicator } from './ui.js';
-import { alert, confirm } from './modal.js';
+import { alert, confirm, customModal, hideModal } from './modal.js';
 import { animateToPosition } from './animation.js';
+import { showUndoToast } from './trash.js';
+import { broadcast } from './presenter.js';
+import { showAnnotations } from './annotations.js';
+import { COURT_POSITIONS, updateOverlapWarnings, getRotationNumber } from './rotationRules.js';
+import { resolvePlayerPositions, unresolvePlayerPositions, getLiberoSwaps, getPositionRotations } from './libero.js';
+import { setRotationLiberoSwaps } from './rotations.js';
+import { recordCourtChange } from './undo.js';
+import { renderGhost } from './ghost.js';
+import { addZones } from './zones.js';
 
 // Generate unique ID
 function generateId() {
@@ -30,7 +52,7 @@ export async function createNewPosition() {
         if (player) {
             // Convert from percentage back to 600x600 coordinate system (displayed coordinates)
             const displayedX = percentToCoordinate(element.style.left) || 0;
-            const displayedY = percentToCoordinate(element.style.top) || 0;
+            const displayedY = percentToCoordinate(element.style.top, 'y') || 0;
             // Convert displayed coordinates back to base (0°) coordinates for saving
             const baseCoords = convertDisplayedToBaseCoordinates(displayedX, displayedY);
             playerPositions.push({
@@ -43,6 +65,11 @@ export async function createNewPosition() {
         }
     });
     
+    // Collect the opponents, the ball's position (null if it isn't on the court) and the drawings
+    const opponents = getOpponentPositions();
+    const ball = getBallCoordinates();
+    const annotations = getAnnotations();
+    
     const nameInputId = 'new-position-name-' + Date.now();
     const tagsInputId = 'new-position-tags-' + Date.now();
     const tagsContainerId = 'new-position-tags-container-' + Date.now();
@@ -184,7 +211,10 @@ export async function createNewPosition() {
                     id: generateId(),
                     name: newName,
                     tags: newTags,
-                    playerPositions: playerPositions
+                    playerPositions: addZones(playerPositions),
+                    opponents: opponents,
+                    ball: ball,
+                    annotations: annotations
                 };
                 
                 try {
@@ -251,7 +281,7 @@ export async function savePosition() {
         if (player) {
             // Convert from percentage back to 600x600 coordinate system (displayed coordinates)
             const displayedX = percentToCoordinate(element.style.left) || 0;
-            const displayedY = percentToCoordinate(element.style.top) || 0;
+            const displayedY = percentToCoordinate(element.style.top, 'y') || 0;
             // Convert displayed coordinates back to base (0°) coordinates for saving
             const baseCoords = convertDisplayedToBaseCoordinates(displayedX, displayedY);
             playerPositions.push({
@@ -264,10 +294,13 @@ export async function savePosition() {
         }
     });
     
-    // Update position with current player positions
+    // Update position with current player positions, opponents and ball
     const updated = {
         ...position,
-        playerPositions: playerPositions
+        playerPositions: addZones(keepCourtPositions(unresolvePlayerPositions(playerPositions, position), position)),
+        opponents: getOpponentPositions(),
+        ball: getBallCoordinates(),
+        annotations: getAnnotations()
     };
     
     try {
@@ -289,6 +322,13 @@ export async function savePosition() {
 
 // Load position by ID
 export async function loadPosition(positionId, updateLoadedItem = true, skipAnimation = false) {
+    // Loading a position as the current item is what followers of a presentation see
+    if (updateLoadedItem) {
+        broadcast('loadPosition', { positionId });
+        // Loading replaces what's on the court, so it can be undone like a move
+        recordCourtChange();
+    }
+    
     const position = getPositions().find(p => p.id === positionId);
     if (!position) {
         // Try legacy format
@@ -326,6 +366,7 @@ export async function loadPosition(positionId, updateLoadedItem = true, skipAnim
         // Check for modifications when players move (after animation)
         setTimeout(async () => {
             await checkForModifications();
+            updateOverlapWarnings();
         }, 1100); // Wait for animation to complete
         return;
     }
@@ -340,13 +381,17 @@ export async function loadPosition(positionId, updateLoadedItem = true, skipAnim
     });
     getPlayerElements().clear();
     
-    // Place players in saved positions
-    (position.playerPositions || []).forEach(pos => {
+    // Place players in saved positions (with the libero in for back-row middles)
+    resolvePlayerPositions(position).forEach(pos => {
         const player = getPlayers().find(p => p.id === pos.playerId);
         if (player) {
             placePlayerOnCourt(player, pos.x, pos.y);
         }
     });
+    placeOpponents(position.opponents);
+    placeBall(position.ball);
+    showAnnotations(position.annotations);
+    renderGhost();
     
     // Update state only if requested (don't override scenario/sequence when loading position for them)
     if (updateLoadedItem) {
@@ -373,6 +418,34 @@ export async function loadPosition(positionId, updateLoadedItem = true, skipAnim
     }, 100);
 }
 
+// Carry each player's court position (1-6) over from a saved position to positions read from the court
+function keepCourtPositions(playerPositions, position) {
+    return playerPositions.map(pos => {
+        const saved = (position.playerPositions || []).find(p => p.playerId === pos.playerId);
+        return saved && saved.courtPosition ? { ...pos, courtPosition: saved.courtPosition } : pos;
+    });
+}
+
+// Put a position's opponents on the court, switching to full-court view so they can be seen
+function placeOpponents(opponents = []) {
+    clearOpponentsFromCourt();
+    if (opponents.length > 0) {
+        setFullCourtView(true);
+    }
+    opponents.forEach(opponent => {
+        placeOpponentOnCourt(opponent, opponent.x, opponent.y);
+    });
+}
+
+// Put a position's ball on the court (or clear the court's ball if the position has none)
+function placeBall(ball) {
+    if (ball) {
+        placeBallOnCourt(ball.x, ball.y);
+    } else {
+        removeBallFromCourt();
+    }
+}
+
 // Load legacy position (for backward compatibility)
 function loadLegacyPosition(positionName, positions, updateLoadedItem = true) {
     // Ensure court's visual rotation is synchronized before loading positions
@@ -383,6 +456,9 @@ function loadLegacyPosition(positionName, positions, updateLoadedItem = true) {
         element.remove();
     });
     getPlayerElements().clear();
+    clearOpponentsFromCourt(); // Legacy positions have no opponents, ball or drawings
+    removeBallFromCourt();
+    showAnnotations([]);
     
     // Place players in saved positions
     positions.forEach(pos => {
@@ -450,8 +526,23 @@ export async function editPosition(positionId) {
     const nameInputId = 'edit-position-name-' + Date.now();
     const tagsInputId = 'edit-position-tags-' + Date.now();
     const tagsContainerId = 'edit-position-tags-container-' + Date.now();
+    const courtPositionsId = 'edit-position-court-positions-' + Date.now();
+    const liberoSwapsId = 'edit-position-libero-swaps-' + Date.now();
+    const liberoRotationId = 'edit-position-libero-rotation-' + Date.now();
     const currentTags = new Set((position.tags || []).map(t => t.trim()).filter(Boolean));
     const allTags = getAllTagsForModal();
+    const playerPositions = position.playerPositions || [];
+    
+    // Libero pairs are the position's own, or inherited from its rotation
+    const rotation = getPositionRotations(position)[0] || null;
+    const liberoSwaps = getLiberoSwaps(position);
+    const inheritsLiberoSwaps = !(position.liberoSwaps && position.liberoSwaps.length > 0) && liberoSwaps.length > 0;
+    const playerOptionsHtml = (selectedId, emptyLabel) => `
+        <option value="">${emptyLabel}</option>
+        ${getPlayers().map(player => `
+            <option value="${escapeHtml(player.id)}" ${player.id === selectedId ? 'selected' : ''}>${escapeHtml(`#${player.jersey} ${player.name}`)}</option>
+        `).join('')}
+    `;
     
     // Build tag selector HTML
     const tagsSelectorHtml = allTags.length > 0 ? `
@@ -478,10 +569,51 @@ export async function editPosition(positionId) {
                 <input type="text" id="${tagsInputId}" class="modal-input modal-input-full" value="${Array.from(currentTags).join(', ')}" placeholder="Type tags (comma-separated) or select below">
                 ${tagsSelectorHtml}
             </div>
+            ${playerPositions.length > 0 ? `
+            <div class="modal-form-group">
+                <label class="modal-label">Court Positions</label>
+                <div class="court-position-hint">Give each player their court position (1-6) and tag the position with its rotation (e.g. rotation-1) to check it for overlap faults.</div>
+                <div class="court-position-assignments" id="${courtPositionsId}">
+                    ${playerPositions.map(pos => `
+                        <label class="court-position-assignment">
+                            <span>${escapeHtml(pos.jersey ? `#${pos.jersey} ${pos.name || ''}` : (pos.name || 'Player'))}</span>
+                            <select class="modal-input" data-player-id="${escapeHtml(pos.playerId)}">
+                                <option value="">-</option>
+                                ${COURT_POSITIONS.map(number => `
+                                    <option value="${number}" ${pos.courtPosition === number ? 'selected' : ''}>${number}</option>
+                                `).join('')}
+                            </select>
+                        </label>
+                    `).join('')}
+                </div>
+            </div>
+            ` : ''}
+            ${getPlayers().length > 0 ? `
+            <div class="modal-form-group">
+                <label class="modal-label">Libero Replacement</label>
+                <div class="court-position-hint">The libero comes in for these players (usually the middles) whenever they're in the back row, except a middle serving from position 1.</div>
+                <div class="libero-swaps" id="${liberoSwapsId}">
+                    ${[0, 1].map(index => `
+                        <div class="libero-swap-row">
+                            <select class="modal-input libero-swap-libero">${playerOptionsHtml(liberoSwaps[index] && liberoSwaps[index].liberoId, 'Libero')}</select>
+                            <span>replaces</span>
+                            <select class="modal-input libero-swap-player">${playerOptionsHtml(liberoSwaps[index] && liberoSwaps[index].playerId, 'Player')}</select>
+                        </div>
+                    `).join('')}
+                </div>
+                ${rotation ? `
+                <label class="libero-swap-rotation">
+                    <input type="checkbox" id="${liberoRotationId}" ${inheritsLiberoSwaps ? 'checked' : ''}>
+                    Use for every position in ${escapeHtml(rotation.name)}
+                </label>
+                ` : ''}
+            </div>
+            ` : ''}
         </div>
     `;
     
     const footerHtml = `
+        <button class="modal-btn modal-btn-secondary" id="modal-history">History</button>
         <button class="modal-btn modal-btn-secondary" id="modal-cancel">Cancel</button>
         <button class="modal-btn modal-btn-primary" id="modal-confirm">Save</button>
     `;
@@ -509,6 +641,7 @@ export async function editPosition(positionId) {
         const nameInput = document.getElementById(nameInputId);
         const tagsInput = document.getElementById(tagsInputId);
         const tagsContainer = document.getElementById(tagsContainerId);
+        const historyBtn = document.getElementById('modal-history');
         const cancelBtn = document.getElementById('modal-cancel');
         const confirmBtn = document.getElementById('modal-confirm');
         
@@ -556,6 +689,18 @@ export async function editPosition(positionId) {
             });
         }
         
+        if (historyBtn) {
+            historyBtn.addEventListener('click', () => {
+                overlay.classList.add('hidden');
+                overlay.style.display = 'none';
+                document.body.style.overflow = '';
+                document.removeEventListener('keydown', closeHandler);
+                overlay.removeEventListener('click', closeHandler);
+                resolve(false);
+                showPositionHistory(positionId);
+            });
+        }
+        
         if (cancelBtn) {
             cancelBtn.addEventListener('click', () => {
                 overlay.classList.add('hidden');
@@ -585,14 +730,69 @@ export async function editPosition(positionId) {
                 const allSelectedTags = new Set([...selectedTagsInModal, ...typedTags]);
                 const newTags = Array.from(allSelectedTags);
                 
+                // Read the court position given to each player (a position can only be given once)
+                const courtPositions = new Map();
+                document.querySelectorAll(`#${courtPositionsId} select`).forEach(select => {
+                    if (select.value) {
+                        courtPositions.set(select.dataset.playerId, parseInt(select.value, 10));
+                    }
+                });
+                const assigned = Array.from(courtPositions.values());
+                if (new Set(assigned).size !== assigned.length) {
+                    await alert('Each court position can only be given to one player');
+                    return;
+                }
+                
+                // Read the libero pairs (rows left empty are ignored)
+                const newLiberoSwaps = [];
+                for (const row of document.querySelectorAll(`#${liberoSwapsId} .libero-swap-row`)) {
+                    const liberoId = row.querySelector('.libero-swap-libero').value;
+                    const playerId = row.querySelector('.libero-swap-player').value;
+                    if (!liberoId && !playerId) continue;
+                    if (!liberoId || !playerId) {
+                        await alert('Choose both the libero and the player they replace');
+                        return;
+                    }
+                    if (liberoId === playerId) {
+                        await alert('The libero cannot replace themselves');
+                        return;
+                    }
+                    newLiberoSwaps.push({ liberoId, playerId });
+                }
+                const rotationCheckbox = document.getElementById(liberoRotationId);
+                const useForRotation = !!(rotation && rotationCheckbox && rotationCheckbox.checked);
+                
                 overlay.style.display = 'none';
                 document.body.style.overflow = '';
                 
+                // Pairs for the whole rotation are saved on it, so the position doesn't override them
+                if (useForRotation) {
+                    try {
+                        await setRotationLiberoSwaps(rotation.id, newLiberoSwaps);
+                    } catch (error) {
+                        console.error('Error updating rotation:', error);
+                        await alert('Error updating rotation: ' + error.message);
+                    }
+                }
+                
                 await updatePosition(positionId, { 
                     name: newName,
-                    tags: newTags
+                    tags: newTags,
+                    playerPositions: addZones(playerPositions.map(pos => {
+                        const { courtPosition, ...rest } = pos;
+                        return courtPositions.has(pos.playerId)
+                            ? { ...rest, courtPosition: courtPositions.get(pos.playerId) }
+                            : rest;
+                    })),
+                    liberoSwaps: useForRotation ? [] : newLiberoSwaps
                 });
                 
+                // Show the loaded position with the libero in (or out) where the new pairs say
+                const loaded = state.currentLoadedItem;
+                if (loaded && loaded.type === 'position' && loaded.id === positionId && !state.isModified) {
+                    await loadPosition(positionId);
+                }
+                
                 resolve(true);
             });
         }
@@ -614,6 +814,123 @@ export async function editPosition(positionId) {
     });
 }
 
+// Show saved versions of a position so one can be previewed and restored
+export async function showPositionHistory(positionId) {
+    const position = getPositions().find(p => p.id === positionId);
+    if (!position) return;
+    
+    let history;
+    try {
+        history = await db.getItemHistory('positions', positionId);
+    } catch (error) {
+        console.error('Error loading position history:', error);
+        await alert('Error loading history: ' + error.message);
+        return;
+    }
+    
+    if (history.length === 0) {
+        await alert(`"${position.name}" has no earlier versions yet. A version is kept every time the position is saved.`, 'History');
+        return;
+    }
+    
+    const bodyHtml = `
+        <div class="history-list">
+            ${history.map((entry, index) => `
+                <div class="history-item">
+                    <div class="history-item-info">
+                        <div class="history-item-name">${escapeHtml(entry.item.name)}</div>
+                        <div class="history-item-meta">
+                            Saved ${escapeHtml(new Date(entry.savedAt).toLocaleString())} · ${(entry.item.playerPositions || []).length} players
+                        </div>
+                    </div>
+                    <button type="button" class="modal-btn modal-btn-secondary history-preview-btn" data-index="${index}">Preview</button>
+                </div>
+            `).join('')}
+        </div>
+    `;
+    const footerHtml = `
+        <button class="modal-btn modal-btn-secondary" id="modal-cancel">Close</button>
+    `;
+    
+    customModal(`History: ${position.name}`, bodyHtml, footerHtml);
+    
+    document.getElementById('modal-cancel')?.addEventListener('click', hideModal);
+    document.querySelectorAll('.history-preview-btn').forEach(btn => {
+        btn.addEventListener('click', () => {
+            hideModal();
+            previewPositionVersion(positionId, history[parseInt(btn.dataset.index, 10)]);
+        });
+    });
+}
+
+// Place an old version of a position on the court without saving it
+function previewPositionVersion(positionId, entry) {
+    syncCourtRotation();
+    
+    getPlayerElements().forEach((element) => {
+        element.remove();
+    });
+    getPlayerElements().clear();
+    
+    resolvePlayerPositions(entry.item).forEach(pos => {
+        const player = getPlayers().find(p => p.id === pos.playerId);
+        if (player) {
+            placePlayerOnCourt(player, pos.x, pos.y);
+        }
+    });
+    placeOpponents(entry.item.opponents);
+    placeBall(entry.item.ball);
+    showAnnotations(entry.item.annotations);
+    
+    updateModifiedIndicator(false);
+    
+    const indicator = document.getElementById('history-preview-indicator');
+    const label = document.getElementById('history-preview-label');
+    const restoreBtn = document.getElementById('history-restore-btn');
+    const backBtn = document.getElementById('history-back-btn');
+    const cancelBtn = document.getElementById('history-cancel-btn');
+    if (!indicator) return;
+    
+    if (label) {
+        label.textContent = `Previewing version from ${new Date(entry.savedAt).toLocaleString()}`;
+    }
+    indicator.classList.remove('hidden');
+    
+    // Leave preview and put the current version back on the court
+    const endPreview = async () => {
+        indicator.classList.add('hidden');
+        await loadPosition(positionId, true, true);
+    };
+    
+    // onclick (not addEventListener) so repeated previews don't stack handlers
+    if (restoreBtn) {
+        restoreBtn.onclick = async () => {
+            try {
+                const restored = await db.restoreItemVersion('positions', positionId, entry.revision);
+                const index = state.positions.findIndex(p => p.id === positionId);
+                if (index >= 0) {
+                    state.positions[index] = restored;
+                    setPositions([...state.positions]);
+                }
+                renderPositionsList();
+                await endPreview();
+            } catch (error) {
+                console.error('Error restoring position:', error);
+                await alert('Error restoring position: ' + error.message);
+            }
+        };
+    }
+    if (backBtn) {
+        backBtn.onclick = async () => {
+            await endPreview();
+            await showPositionHistory(positionId);
+        };
+    }
+    if (cancelBtn) {
+        cancelBtn.onclick = endPreview;
+    }
+}
+
 // Helper function to escape HTML
 function escapeHtml(text) {
     const div = document.createElement('div');
@@ -632,11 +949,12 @@ export async function deletePosition(positionId) {
     }
     
     try {
-        await db.deletePositionNew(positionId);
+        const result = await db.deletePositionNew(positionId);
         state.positions = state.positions.filter(p => p.id !== positionId);
         setPositions([...state.positions]);
         
         renderPositionsList();
+        showUndoToast(`Position "${position.name}" moved to trash`, result && result.trashId);
         
         // Clear loaded item if it was this position
         if (state.currentLoadedItem && state.currentLoadedItem.id === positionId) {
@@ -650,15 +968,17 @@ export async function deletePosition(positionId) {
 }
 
 // Create position from modal (for new positions or save as)
-export async function createPositionFromModal(isSaveAs = false) {
+// nameSuffix is added to the loaded position's name on Save As, e.g. "Base (Mirrored)"
+// mirrored is set when the court was mirrored since the position was loaded
+export async function createPositionFromModal(isSaveAs = false, nameSuffix = 'Copy', mirrored = false) {
     // Collect current player positions
-    const playerPositions = [];
+    let playerPositions = [];
     getPlayerElements().forEach((element, playerId) => {
         const player = getPlayers().find(p => p.id === playerId);
         if (player) {
             // Convert from percentage back to 600x600 coordinate system (displayed coordinates)
             const displayedX = percentToCoordinate(element.style.left) || 0;
-            const displayedY = percentToCoordinate(element.style.top) || 0;
+            const displayedY = percentToCoordinate(element.style.top, 'y') || 0;
             // Convert displayed coordinates back to base (0°) coordinates for saving
             const baseCoords = convertDisplayedToBaseCoordinates(displayedX, displayedY);
             playerPositions.push({
@@ -671,17 +991,32 @@ export async function createPositionFromModal(isSaveAs = false) {
         }
     });
     
+    // Collect the opponents, the ball's position (null if it isn't on the court) and the drawings
+    const opponents = getOpponentPositions();
+    const ball = getBallCoordinates();
+    const annotations = getAnnotations();
+    
     // Determine default name and tags
     let defaultName = '';
     let currentTags = new Set();
     
     if (isSaveAs && state.currentLoadedItem && state.currentLoadedItem.type === 'position' && state.currentLoadedItem.id) {
-        // Save As on existing position - preserve name (with Copy) and tags
+        // Save As on existing position - preserve name (with Copy, or the given suffix) and tags
         const currentPosition = getPositions().find(p => p.id === state.currentLoadedItem.id);
         if (currentPosition) {
-            defaultName = currentPosition.name + ' (Copy)';
+            defaultName = `${currentPosition.name} (${nameSuffix})`;
             // Preserve tags from original position
             currentTags = new Set((currentPosition.tags || []).map(t => t.trim()).filter(Boolean));
+            if (mirrored) {
+                // Left and right are swapped, so the players are no longer in the rotation's order:
+                // the copy isn't tagged with the rotation and has no court positions (give it
+                // them in Edit Position if it's used as a rotation)
+                currentTags = new Set([...currentTags].filter(tag => !getRotationNumber({ tags: [tag] })));
+            } else {
+                // And the players' court positions, so the copy is checked for overlap faults too
+                // (the copy doesn't have the original's libero pairs, so it's saved as it's shown)
+                playerPositions = keepCourtPositions(playerPositions, { playerPositions: resolvePlayerPositions(currentPosition) });
+            }
         } else {
             defaultName = 'New Position';
         }
@@ -833,7 +1168,10 @@ export async function createPositionFromModal(isSaveAs = false) {
                     id: generateId(),
                     name: newName,
                     tags: newTags,
-                    playerPositions: playerPositions
+                    playerPositions: addZones(playerPositions),
+                    opponents: opponents,
+                    ball: ball,
+                    annotations: annotations
                 };
                 
                 try {
@@ -0,0 +1,269 @@
+// Presenter module - "follow the coach" presentation mode
+// While a coach presents, loading a position, playing an animation and stepping through a
+// sequence are broadcast to the team. Team-code viewers (and players) follow along on their
+// own devices unless they break away to browse freely.
+
+import * as db from '../db.js';
+import {
+    state,
+    getPositions,
+    getScenarios,
+    getSequences,
+    setCurrentSequence,
+    setSelectedStartPosition,
+    setSelectedEndPosition
+} from './state.js';
+import { alert } from './modal.js';
+import { getApiBase } from './environment.js';
+
+// How long past its expected end a follower waits for its own animation to finish
+// before showing the next action anyway
+const ANIMATION_WAIT_MARGIN = 3000;
+
+let presenting = false;             // This device is presenting
+let quiet = 0;                      // > 0 while an action runs as part of another one that was already broadcast
+let sending = Promise.resolve();    // Presenter actions are sent one at a time, in order
+let presentationActive = false;     // Someone is presenting to this team
+let following = true;               // Follower hasn't broken away
+let latestAction = null;            // Presenter's latest action, shown again when a follower rejoins
+let applying = Promise.resolve();   // Followers show actions one at a time, in order
+
+// Set up the Present and Follow buttons
+export async function initPresenter() {
+    const presentBtn = document.getElementById('present-btn');
+    const followBtn = document.getElementById('follow-coach-btn');
+
+    // Presenting needs the server, and a role that may change what the team sees
+    const isViewOnly = await db.isViewOnlyMode();
+    if (presentBtn && getApiBase() && !isViewOnly && db.hasPermission('edit')) {
+        presentBtn.classList.remove('hidden');
+        presentBtn.addEventListener('click', togglePresenting);
+    }
+
+    if (followBtn) {
+        followBtn.addEventListener('click', toggleFollowing);
+    }
+
+    updatePresenterControls();
+}
+
+/**
+ * Broadcast an action to the team if this device is presenting
+ * @param {string} action - 'loadPosition', 'playAnimation' or 'sequenceStep'
+ * @param {object} details - The action's fields (see db.sendPresenterEvent)
+ */
+export function broadcast(action, details = {}) {
+    if (!presenting || quiet > 0) return;
+    send({ action, ...details });
+}
+
+/**
+ * Run fn without broadcasting the actions it triggers, for steps of an action
+ * that was already broadcast (e.g. loading the start position before an animation)
+ */
+export function withoutBroadcast(fn) {
+    quiet++;
+    try {
+        return fn();
+    } finally {
+        quiet--;
+    }
+}
+
+/**
+ * Handle a presenter event from the live event stream
+ * @param {object} event - { type: 'present', action, ... }
+ */
+export function handlePresenterEvent(event) {
+    if (event.action === 'stop') {
+        presentationActive = false;
+        latestAction = null;
+        updatePresenterControls();
+        return;
+    }
+
+    // Our own events are filtered out, so this is another device taking over
+    if (presenting) {
+        presenting = false;
+    }
+
+    presentationActive = true;
+    if (event.action !== 'start') {
+        latestAction = event;
+        if (isFollower() && following) {
+            showAction(event);
+        }
+    }
+    updatePresenterControls();
+}
+
+/**
+ * Called after the live event stream reconnects. The server ends a presentation when
+ * the presenter's stream closes, so pick it up again.
+ */
+export function handleReconnect() {
+    if (!presenting) return;
+
+    send({ action: 'start' });
+    broadcastCurrentView();
+}
+
+// Only users who can't change the team's data follow the coach
+function isFollower() {
+    return !db.hasPermission('edit');
+}
+
+// Queue an event to the server, stopping the presentation if the server no longer has us presenting
+function send(event) {
+    sending = sending
+        .then(() => db.sendPresenterEvent(event))
+        .catch(error => {
+            console.error('Error sending presenter action:', error);
+            if (error.message === 'You are not presenting to this team') {
+                presenting = false;
+                updatePresenterControls();
+            }
+        });
+    return sending;
+}
+
+async function togglePresenting() {
+    if (presenting) {
+        send({ action: 'stop' });
+        presenting = false;
+        updatePresenterControls();
+        return;
+    }
+
+    try {
+        await db.sendPresenterEvent({ action: 'start' });
+    } catch (error) {
+        console.error('Error starting presentation:', error);
+        await alert('Error starting presentation: ' + error.message);
+        return;
+    }
+
+    presenting = true;
+    updatePresenterControls();
+    broadcastCurrentView();
+}
+
+// Show followers what's on the court right now
+function broadcastCurrentView() {
+    const sequence = state.currentSequence;
+    if (sequence && sequence.currentPositionIndex >= 0) {
+        broadcast('sequenceStep', { sequenceId: sequence.sequenceId, index: sequence.currentPositionIndex });
+        return;
+    }
+
+    const loaded = state.currentLoadedItem;
+    if (loaded && loaded.type === 'position' && loaded.id) {
+        broadcast('loadPosition', { positionId: loaded.id });
+    }
+}
+
+function toggleFollowing() {
+    following = !following;
+    updatePresenterControls();
+
+    // Catch up with the coach
+    if (following && latestAction) {
+        showAction(latestAction);
+    }
+}
+
+// Queue an action to be shown on this device
+function showAction(event) {
+    applying = applying
+        .then(() => applyAction(event))
+        .catch(error => console.error('Error following presenter:', error));
+}
+
+async function applyAction(event) {
+    await waitForAnimation();
+
+    if (event.action === 'loadPosition') {
+        const { loadPosition } = await import('./positions.js');
+        await loadPosition(event.positionId);
+    } else if (event.action === 'playAnimation') {
+        await showAnimation(event);
+    } else if (event.action === 'sequenceStep') {
+        await showSequenceStep(event);
+    }
+}
+
+// Play the same animation as the presenter (as its scenario, if it has one)
+async function showAnimation(event) {
+    if (event.scenarioId && getScenarios().some(s => s.id === event.scenarioId)) {
+        const { playScenario } = await import('./scenarios.js');
+        await playScenario(event.scenarioId);
+        return;
+    }
+
+    const startPos = getPositions().find(p => p.id === event.startPositionId);
+    const endPos = getPositions().find(p => p.id === event.endPositionId);
+    if (!startPos || !endPos) return;
+
+    const { showDropZones, updateDropZoneDisplay } = await import('./ui.js');
+    showDropZones();
+    setSelectedStartPosition(startPos);
+    setSelectedEndPosition(endPos);
+    updateDropZoneDisplay();
+
+    const { playAnimation } = await import('./animation.js');
+    await playAnimation();
+}
+
+// Move to the same step of the same sequence as the presenter
+async function showSequenceStep(event) {
+    const sequence = getSequences().find(s => s.id === event.sequenceId);
+    if (!sequence) return;
+
+    const { loadSequence, startSequencePlayback, playNextPosition } = await import('./sequences.js');
+    if (!state.currentSequence || state.currentSequence.sequenceId !== sequence.id) {
+        await loadSequence(sequence.id);
+        await waitForAnimation();
+    }
+
+    if (event.index <= 0) {
+        await startSequencePlayback();
+        return;
+    }
+
+    // Step from the position before, so the court animates into this one
+    setCurrentSequence({
+        sequenceId: sequence.id,
+        currentPositionIndex: event.index - 1
+    });
+    const { updateSequenceButtons } = await import('./ui.js');
+    updateSequenceButtons('play');
+    await playNextPosition();
+}
+
+// Scenarios can take much longer than the default second (long durations and start delays,
+// a slow playback speed), so wait as long as the running animation's timing says it takes
+async function waitForAnimation() {
+    const { getAnimationEnd } = await import('./animation.js');
+    while (state.isAnimating && Date.now() < getAnimationEnd() + ANIMATION_WAIT_MARGIN) {
+        await new Promise(resolve => setTimeout(resolve, 50));
+    }
+}
+
+function updatePresenterControls() {
+    const presentBtn = document.getElementById('present-btn');
+    if (presentBtn) {
+        presentBtn.classList.toggle('active', presenting);
+        presentBtn.title = presenting ? 'Stop presenting' : 'Present to players';
+        const label = presentBtn.querySelector('span');
+        if (label) label.textContent = presenting ? 'Presenting' : 'Present';
+    }
+
+    const followBtn = document.getElementById('follow-coach-btn');
+    if (followBtn) {
+        followBtn.classList.toggle('hidden', !presentationActive || !isFollower());
+        followBtn.classList.toggle('active', following);
+        followBtn.title = following ? 'Break away and browse on your own' : 'Follow the coach again';
+        const label = followBtn.querySelector('span');
+        if (label) label.textContent = following ? 'Following coach' : 'Follow coach';
+    }
+}
@@ -1,13 +1,20 @@
 // Profile menu and settings module
 
 import * as db from '../db.js';
-import { customModal, prompt, confirm, hideModal } from './modal.js';
+import { customModal, prompt, confirm, hideModal, alert } from './modal.js';
 import { handleLogout, getCurrentUser } from './auth.js';
 import { exportToJSON, handleFileImport } from './importExport.js';
 import { dom } from './dom.js';
 
 let profileMenuOpen = false;
 
+// Labels for team roles
+const ROLE_LABELS = {
+    'coach': 'Coach',
+    'assistant coach': 'Assistant Coach',
+    'player': 'Player'
+};
+
 /**
  * Initialize profile menu
  */
@@ -90,11 +97,18 @@ export function initProfile() {
     // Load saved theme preference on initialization
     loadTheme();
     
+    // Team switcher
+    initTeamSwitcher();
+    
     // Logout button
     if (logoutBtn) {
         logoutBtn.addEventListener('click', async () => {
             closeProfileMenu();
-            const confirmed = await confirm('Are you sure you want to log out?', 'Logout');
+            // Changes made offline are only on this device until they're synced
+            const message = await db.hasPendingChanges()
+                ? 'Some changes made offline have not been synced yet and will be lost. Log out anyway?'
+                : 'Are you sure you want to log out?';
+            const confirmed = await confirm(message, 'Logout');
             if (confirmed) {
                 await handleLogout();
             }
@@ -183,6 +197,15 @@ async function showSettingsModal() {
             return;
         }
         
+        // Team settings are only shown when data is stored on the server, and only to coaches;
+        // other members of a team they don't own can leave it
+        const currentTeam = db.getCurrentTeam();
+        const team = db.hasPermission('share') ? currentTeam : null;
+        const ownsTeam = currentTeam && currentTeam.ownerId === user.id;
+        const teamButton = ownsTeam
+            ? '<button class="modal-btn modal-btn-secondary" id="settings-delete-team-btn">Delete Team</button>'
+            : '<button class="modal-btn modal-btn-secondary" id="settings-leave-team-btn">Leave Team</button>';
+        
         const bodyHtml = `
             <div class="settings-content">
                 <div class="settings-section">
@@ -219,19 +242,24 @@ async function showSettingsModal() {
                     </div>
                 </div>
                 
+                ${team ? `
                 <div class="settings-section">
-                    <h4 class="settings-section-title">Player View</h4>
+                    <h4 class="settings-section-title">Team</h4>
+                    <div class="form-group">
+                        <label for="settings-team-name">Team Name</label>
+                        <input type="text" id="settings-team-name" class="modal-input" value="${escapeHtml(team.name || '')}" placeholder="Team Name">
+                    </div>
                     <div class="form-group">
                         <label class="toggle-label">
-                            <input type="checkbox" id="settings-player-view-enabled" ${(user.playerViewEnabled === true) ? 'checked' : ''}>
+                            <input type="checkbox" id="settings-player-view-enabled" ${(team.playerViewEnabled === true) ? 'checked' : ''}>
                             <span>Enable Player View</span>
                         </label>
-                        <small class="form-help">Allow players to view your team data using a team code</small>
+                        <small class="form-help">Allow players to view this team's data using a team code</small>
                     </div>
-                    <div class="form-group" id="team-code-section" style="${(user.playerViewEnabled === true) ? '' : 'display: none;'}">
+                    <div class="form-group" id="team-code-section" style="${(team.playerViewEnabled === true) ? '' : 'display: none;'}">
                         <label for="team-code-display">Team Code</label>
                         <div class="team-code-display-wrapper">
-                            <input type="text" id="team-code-display" class="modal-input team-code-input" value="${escapeHtml(user.teamCode || '')}" readonly>
+                            <input type="text" id="team-code-display" class="modal-input team-code-input" value="${escapeHtml(team.teamCode || '')}" readonly>
                             <button type="button" class="copy-code-btn" id="copy-team-code-btn" title="Copy to clipboard">
                                 <i data-lucide="copy"></i>
                             </button>
@@ -240,21 +268,55 @@ async function showSettingsModal() {
                         <div class="team-code-url-wrapper" style="margin-top: 10px;">
                             <label for="team-code-url">Share URL</label>
                             <div class="team-code-display-wrapper">
-                                <input type="text" id="team-code-url" class="modal-input team-code-input" value="${user.teamCode ? window.location.origin + window.location.pathname + '?code=' + escapeHtml(user.teamCode) : ''}" readonly>
+                                <input type="text" id="team-code-url" class="modal-input team-code-input" value="${team.teamCode ? window.location.origin + window.location.pathname + '?code=' + escapeHtml(team.teamCode) : ''}" readonly>
                                 <button type="button" class="copy-code-btn" id="copy-url-btn" title="Copy to clipboard">
                                     <i data-lucide="copy"></i>
                                 </button>
                             </div>
                         </div>
                     </div>
+                    <div class="form-group">
+                        <label>Members</label>
+                        <div class="team-members-list" id="settings-members-list"></div>
+                    </div>
+                    <div class="form-group">
+                        <label for="settings-invite-role">Invite to Team</label>
+                        <div class="team-invite-row">
+                            <select id="settings-invite-role" class="modal-input">
+                                <option value="assistant coach">Assistant Coach</option>
+                                <option value="player">Player</option>
+                                <option value="coach">Coach</option>
+                            </select>
+                            <button type="button" class="modal-btn modal-btn-secondary" id="settings-create-invite-btn">Create Invite Link</button>
+                        </div>
+                        <small class="form-help">Invite links can be used once and let the person log in to this team with the chosen role</small>
+                        <div class="team-members-list" id="settings-invites-list"></div>
+                        <p class="data-info" id="settings-invite-status"></p>
+                    </div>
+                    <div class="data-buttons">
+                        ${teamButton}
+                    </div>
                 </div>
+                ` : ''}
+                
+                ${currentTeam && !team && !ownsTeam ? `
+                <div class="settings-section">
+                    <h4 class="settings-section-title">Team</h4>
+                    <p class="form-help">You are a member of ${escapeHtml(currentTeam.name)} as ${escapeHtml(ROLE_LABELS[currentTeam.role] || currentTeam.role)}.</p>
+                    <div class="data-buttons">
+                        ${teamButton}
+                    </div>
+                </div>
+                ` : ''}
                 
                 <div class="settings-section">
                     <h4 class="settings-section-title">Data Management</h4>
                     <div class="data-buttons">
                         <button class="modal-btn modal-btn-secondary" id="settings-export-btn">Export Data</button>
+                        ${db.hasPermission('delete') ? `
                         <button class="modal-btn modal-btn-secondary" id="settings-import-btn">Import File</button>
                         <input type="file" id="settings-import-file" accept=".json,.xml" class="hidden">
+                        ` : ''}
                     </div>
                     <p class="data-info" id="settings-file-status"></p>
                 </div>
@@ -401,6 +463,36 @@ function setupSettingsListeners(user) {
         });
     }
     
+    // Delete team button
+    const deleteTeamBtn = document.getElementById('settings-delete-team-btn');
+    if (deleteTeamBtn) {
+        deleteTeamBtn.addEventListener('click', async () => {
+            hideModal();
+            await handleDeleteTeam();
+        });
+    }
+    
+    // Leave team button
+    const leaveTeamBtn = document.getElementById('settings-leave-team-btn');
+    if (leaveTeamBtn) {
+        leaveTeamBtn.addEventListener('click', async () => {
+            hideModal();
+            await handleLeaveTeam(user);
+        });
+    }
+    
+    // Members, invites and the invite button (coaches only)
+    if (document.getElementById('settings-members-list')) {
+        renderTeamMembers();
+    }
+    
+    const createInviteBtn = document.getElementById('settings-create-invite-btn');
+    if (createInviteBtn) {
+        createInviteBtn.addEventListener('click', async () => {
+            await handleCreateInvite(errorEl);
+        });
+    }
+    
     // Copy team code button
     const copyTeamCodeBtn = document.getElementById('copy-team-code-btn');
     if (copyTeamCodeBtn) {
@@ -457,7 +549,9 @@ async function handleSaveSettings(user, errorEl) {
     const currentPassword = document.getElementById('settings-current-password')?.value;
     const newPassword = document.getElementById('settings-new-password')?.value;
     const confirmPassword = document.getElementById('settings-confirm-password')?.value;
+    const teamName = document.getElementById('settings-team-name')?.value.trim();
     const playerViewEnabled = document.getElementById('settings-player-view-enabled')?.checked || false;
+    const team = db.hasPermission('share') ? db.getCurrentTeam() : null;
     
     // Validate name fields
     if (!firstName || !lastName) {
@@ -468,6 +562,14 @@ async function handleSaveSettings(user, errorEl) {
         return;
     }
     
+    if (team && !teamName) {
+        if (errorEl) {
+            errorEl.textContent = 'Team name is required.';
+            errorEl.style.display = 'block';
+        }
+        return;
+    }
+    
     // Validate password if provided
     if (newPassword || currentPassword || confirmPassword) {
         if (!currentPassword) {
@@ -499,8 +601,7 @@ async function handleSaveSettings(user, errorEl) {
         // Update user profile
         const updates = {
             firstName,
-            lastName,
-            playerViewEnabled
+            lastName
         };
         
         if (newPassword && currentPassword) {
@@ -544,32 +645,14 @@ async function handleSaveSettings(user, errorEl) {
                 throw new Error(errorData.error || `Failed to update profile (${response.status})`);
             }
             
-            const updatedUser = await response.json();
             // Refresh user data
             await db.fetchCurrentUser();
             updateProfileName();
             
-            // Update team code display if player view was enabled
-            if (updatedUser.teamCode) {
-                const teamCodeInput = document.getElementById('team-code-display');
-                const urlInput = document.getElementById('team-code-url');
-                if (teamCodeInput) {
-                    teamCodeInput.value = updatedUser.teamCode;
-                }
-                if (urlInput) {
-                    urlInput.value = window.location.origin + window.location.pathname + '?code=' + updatedUser.teamCode;
-                }
-                // Make sure team code section is visible if it was just enabled
-                const teamCodeSection = document.getElementById('team-code-section');
-                if (teamCodeSection) {
-                    teamCodeSection.style.display = 'block';
-                }
-            } else if (!updatedUser.playerViewEnabled) {
-                // If player view was disabled, hide the section
-                const teamCodeSection = document.getElementById('team-code-section');
-                if (teamCodeSection) {
-                    teamCodeSection.style.display = 'none';
-                }
+            // Save team settings
+            if (team) {
+                await db.updateTeam(team.id, { name: teamName, playerViewEnabled });
+                updateTeamName();
             }
             
             // Close modal
@@ -593,6 +676,306 @@ async function handleSaveSettings(user, errorEl) {
     }
 }
 
+/**
+ * Set up the team switcher in the profile menu (hidden in local mode)
+ */
+function initTeamSwitcher() {
+    const teamSection = document.getElementById('profile-team-section');
+    const teamToggleBtn = document.getElementById('profile-team-toggle');
+    if (!teamSection) return;
+    
+    if (!db.getCurrentTeam()) {
+        teamSection.style.display = 'none';
+        return;
+    }
+    
+    updateTeamName();
+    
+    if (teamToggleBtn) {
+        teamToggleBtn.addEventListener('click', async (e) => {
+            e.stopPropagation();
+            await toggleTeamOptions();
+        });
+    }
+}
+
+/**
+ * Show the current team's name on the team switcher
+ */
+function updateTeamName() {
+    const teamNameEl = document.getElementById('profile-team-name');
+    const team = db.getCurrentTeam();
+    if (teamNameEl && team) {
+        teamNameEl.textContent = team.name;
+    }
+}
+
+/**
+ * Toggle team options visibility (the team list is loaded when opened)
+ */
+async function toggleTeamOptions() {
+    const teamOptions = document.getElementById('profile-team-options');
+    const teamToggleBtn = document.getElementById('profile-team-toggle');
+    
+    if (teamOptions && teamToggleBtn) {
+        const isHidden = teamOptions.classList.contains('hidden');
+        
+        if (isHidden) {
+            await renderTeamOptions();
+            teamOptions.classList.remove('hidden');
+            teamToggleBtn.classList.add('active');
+        } else {
+            teamOptions.classList.add('hidden');
+            teamToggleBtn.classList.remove('active');
+        }
+    }
+}
+
+/**
+ * Render the list of teams (plus a "New Team" option for coaches)
+ */
+async function renderTeamOptions() {
+    const teamOptions = document.getElementById('profile-team-options');
+    if (!teamOptions) return;
+    
+    let teams = [];
+    try {
+        teams = await db.getTeams();
+    } catch (error) {
+        console.error('Error loading teams:', error);
+    }
+    
+    const currentTeam = db.getCurrentTeam();
+    teamOptions.innerHTML = teams.map(team => `
+        <button class="profile-menu-item profile-menu-item-sub ${currentTeam && team.id === currentTeam.id ? 'current' : ''}" data-team-id="${escapeHtml(team.id)}">
+            <i data-lucide="${currentTeam && team.id === currentTeam.id ? 'check' : 'users'}"></i>
+            <span>${escapeHtml(team.name)}</span>
+        </button>
+    `).join('') + (db.hasPermission('share') ? `
+        <button class="profile-menu-item profile-menu-item-sub" id="profile-team-new">
+            <i data-lucide="plus"></i>
+            <span>New Team</span>
+        </button>
+    ` : '');
+    
+    teamOptions.querySelectorAll('[data-team-id]').forEach(button => {
+        button.addEventListener('click', async () => {
+            await handleSwitchTeam(button.dataset.teamId);
+        });
+    });
+    
+    const newTeamBtn = document.getElementById('profile-team-new');
+    if (newTeamBtn) {
+        newTeamBtn.addEventListener('click', async () => {
+            closeProfileMenu();
+            await handleCreateTeam();
+        });
+    }
+    
+    if (window.lucide) {
+        window.lucide.createIcons();
+    }
+}
+
+/**
+ * Switch to another team and reload the app with its data
+ */
+async function handleSwitchTeam(teamId) {
+    const currentTeam = db.getCurrentTeam();
+    if (currentTeam && currentTeam.id === teamId) {
+        closeProfileMenu();
+        return;
+    }
+    
+    await db.switchTeam(teamId);
+    window.location.reload();
+}
+
+/**
+ * Create a new team and switch to it
+ */
+async function handleCreateTeam() {
+    const name = await prompt('Enter a name for the new team:', '', 'New Team');
+    if (!name || !name.trim()) {
+        return;
+    }
+    
+    try {
+        const team = await db.createTeam(name.trim());
+        await db.switchTeam(team.id);
+        window.location.reload();
+    } catch (error) {
+        console.error('Error creating team:', error);
+        await alert('Error creating team: ' + error.message, 'Error');
+    }
+}
+
+/**
+ * Delete the current team and switch to another one
+ */
+async function handleDeleteTeam() {
+    const team = db.getCurrentTeam();
+    if (!team) return;
+    
+    const confirmed = await confirm(`Delete "${team.name}" and all of its players, positions, scenarios and sequences? This cannot be undone.`, 'Delete Team');
+    if (!confirmed) {
+        return;
+    }
+    
+    try {
+        await db.deleteTeam(team.id);
+        const remaining = await db.getTeams();
+        if (remaining.length > 0) {
+            await db.switchTeam(remaining[0].id);
+        }
+        window.location.reload();
+    } catch (error) {
+        console.error('Error deleting team:', error);
+        await alert('Error deleting team: ' + error.message, 'Error');
+    }
+}
+
+/**
+ * Leave a team you were invited to and switch to another one
+ */
+async function handleLeaveTeam(user) {
+    const team = db.getCurrentTeam();
+    if (!team) return;
+    
+    const confirmed = await confirm(`Leave "${team.name}"? You will need a new invite to rejoin.`, 'Leave Team');
+    if (!confirmed) {
+        return;
+    }
+    
+    try {
+        await db.removeTeamMember(user.id);
+        const remaining = await db.getTeams();
+        if (remaining.length > 0) {
+            await db.switchTeam(remaining[0].id);
+        }
+        window.location.reload();
+    } catch (error) {
+        console.error('Error leaving team:', error);
+        await alert('Error leaving team: ' + error.message, 'Error');
+    }
+}
+
+/**
+ * Render the current team's members and pending invites in the settings modal
+ */
+async function renderTeamMembers() {
+    const membersList = document.getElementById('settings-members-list');
+    const invitesList = document.getElementById('settings-invites-list');
+    if (!membersList) return;
+    
+    let members = [];
+    let invites = [];
+    try {
+        [members, invites] = await Promise.all([db.getTeamMembers(), db.getTeamInvites()]);
+    } catch (error) {
+        console.error('Error loading team members:', error);
+        membersList.textContent = 'Unable to load members.';
+        return;
+    }
+    
+    membersList.innerHTML = members.map(member => `
+        <div class="team-member-row">
+            <div class="team-member-info">
+                <span class="team-member-name">${escapeHtml(`${member.firstName || ''} ${member.lastName || ''}`.trim() || member.email || 'Team member')}</span>
+                <span class="team-member-role">${member.isOwner ? 'Owner' : escapeHtml(ROLE_LABELS[member.role] || member.role)}</span>
+            </div>
+            ${!member.isOwner ? `
+            <button type="button" class="copy-code-btn" data-remove-member="${escapeHtml(member.userId)}" title="Remove from team">
+                <i data-lucide="user-minus"></i>
+            </button>
+            ` : ''}
+        </div>
+    `).join('');
+    
+    if (invitesList) {
+        invitesList.innerHTML = invites.map(invite => `
+            <div class="team-member-row">
+                <div class="team-member-info">
+                    <span class="team-member-name">Invite link</span>
+                    <span class="team-member-role">${escapeHtml(ROLE_LABELS[invite.role] || invite.role)} · expires ${new Date(invite.expiresAt).toLocaleDateString()}</span>
+                </div>
+                <button type="button" class="copy-code-btn" data-copy-invite="${escapeHtml(invite.token)}" title="Copy invite link">
+                    <i data-lucide="copy"></i>
+                </button>
+                <button type="button" class="copy-code-btn" data-revoke-invite="${escapeHtml(invite.token)}" title="Revoke invite">
+                    <i data-lucide="x"></i>
+                </button>
+            </div>
+        `).join('');
+        
+        invitesList.querySelectorAll('[data-copy-invite]').forEach(button => {
+            button.addEventListener('click', async () => {
+                try {
+                    await navigator.clipboard.writeText(db.getInviteUrl(button.dataset.copyInvite));
+                    button.title = 'Copied!';
+                } catch (error) {
+                    console.error('Failed to copy:', error);
+                }
+            });
+        });
+        
+        invitesList.querySelectorAll('[data-revoke-invite]').forEach(button => {
+            button.addEventListener('click', async () => {
+                try {
+                    await db.revokeInvite(button.dataset.revokeInvite);
+                    await renderTeamMembers();
+                } catch (error) {
+                    console.error('Error revoking invite:', error);
+                }
+            });
+        });
+    }
+    
+    membersList.querySelectorAll('[data-remove-member]').forEach(button => {
+        button.addEventListener('click', async () => {
+            try {
+                await db.removeTeamMember(button.dataset.removeMember);
+                await renderTeamMembers();
+            } catch (error) {
+                console.error('Error removing member:', error);
+            }
+        });
+    });
+    
+    if (window.lucide) {
+        window.lucide.createIcons();
+    }
+}
+
+/**
+ * Create an invite link for the selected role and copy it to the clipboard
+ */
+async function handleCreateInvite(errorEl) {
+    const role = document.getElementById('settings-invite-role')?.value;
+    
+    try {
+        const invite = await db.createInvite(role);
+        await renderTeamMembers();
+        
+        const inviteStatus = document.getElementById('settings-invite-status');
+        try {
+            await navigator.clipboard.writeText(db.getInviteUrl(invite.token));
+            if (inviteStatus) {
+                inviteStatus.textContent = '✓ Invite link copied to clipboard.';
+                inviteStatus.style.color = '#27ae60';
+            }
+        } catch (error) {
+            // Clipboard not available - the link can still be copied from the invite list
+            console.error('Failed to copy:', error);
+        }
+    } catch (error) {
+        if (errorEl) {
+            errorEl.textContent = 'Error creating invite: ' + error.message;
+            errorEl.style.display = 'block';
+        }
+    }
+}
+
 /**
  * Escape HTML to prevent XSS
  */
@@ -0,0 +1,390 @@
+// Rotation generator module - build the base, serve and serve-receive positions for all six
+// rotations of a 5-1, 6-2 or 4-2 from the players the coach picks for each slot
+// Coordinates are base (0°) coordinates: the net is at y=0 and x grows to the right
+// (as seen from our baseline, facing the net). Each rotation's positions are grouped
+// under a rotation and tagged with the system, the rotation and the phase.
+
+import * as db from '../db.js';
+import { state, getPlayers, setPositions } from './state.js';
+import { renderPositionsList } from './ui.js';
+import { updateScenarioSelects } from './scenarios.js';
+import { createRotationGroup } from './rotations.js';
+import { customModal, hideModal, alert } from './modal.js';
+import { COURT_POSITIONS } from './rotationRules.js';
+import { addZones } from './zones.js';
+
+// Slots in rotation order: the player in the first slot starts rotation 1 in court position 1,
+// the next in position 2, and so on. Players across from each other (setter and opposite or
+// the two setters, the two outsides, the two middles) are always in different rows.
+const SYSTEMS = {
+    '5-1': ['S', 'OH1', 'MB1', 'OPP', 'OH2', 'MB2'],
+    '6-2': ['S1', 'OH1', 'MB1', 'S2', 'OH2', 'MB2'],
+    '4-2': ['S1', 'OH1', 'MB1', 'S2', 'OH2', 'MB2']
+};
+
+// With two setters, the one in this row sets and the other plays as a right-side hitter:
+// in a 6-2 the back-row setter comes forward to set, in a 4-2 the front-row setter sets
+const SETTING_ROW = {
+    '6-2': 'back',
+    '4-2': 'front'
+};
+
+const SLOT_LABELS = {
+    S: 'Setter',
+    S1: 'Setter 1',
+    S2: 'Setter 2',
+    OH1: 'Outside Hitter 1',
+    OH2: 'Outside Hitter 2',
+    MB1: 'Middle Blocker 1',
+    MB2: 'Middle Blocker 2',
+    OPP: 'Opposite',
+    L: 'Libero'
+};
+
+const PHASES = [
+    { key: 'serve-receive', label: 'Serve Receive' },
+    { key: 'serve', label: 'Serve' },
+    { key: 'base', label: 'Base' }
+];
+
+const FRONT_ROW = [4, 3, 2];    // Left to right
+const BACK_ROW = [5, 6, 1];     // Left to right
+const HOME_X = { 4: 100, 3: 300, 2: 500, 5: 100, 6: 300, 1: 500 };
+const FRONT_OF = { 5: 4, 6: 3, 1: 2 };
+
+// Players stay this far from the sidelines and baseline (half a player marker)
+const MIN_X = 25;
+const MAX_X = 575;
+const BASELINE_Y = 575;
+
+// Serve: everyone in their court position, the server at the baseline
+const SERVE_FRONT_Y = 100;
+const SERVE_BACK_Y = 400;
+
+// Serve receive: the three passers spread across the court, everyone else out of the way
+const RECEIVE_NET_Y = 60;
+const RECEIVE_HITTER_Y = 150;       // A front-row opposite stays off the net, ready to approach
+const RECEIVE_FRONT_PASSER_Y = 300;
+const RECEIVE_BACK_PASSER_Y = 420;
+const RECEIVE_HIDE_DISTANCE = 60;   // How far a back-row non-passer stands behind the front-row player
+const PASSER_X = [100, 300, 500];
+
+// Base defense: everyone switched to their specialty spot (a front-row setter at the target,
+// just right of the middle; a back-row setter defends right back, ready to come forward)
+const BASE_SPOTS = {
+    front: { OH: { x: 100, y: 80 }, MB: { x: 300, y: 60 }, S: { x: 420, y: 60 }, RIGHT: { x: 500, y: 80 } },
+    back: { MB: { x: 120, y: 450 }, OH: { x: 300, y: 520 }, S: { x: 480, y: 450 }, RIGHT: { x: 480, y: 450 } }
+};
+
+// Helper function to escape HTML
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
+
+// Generate unique ID
+function generateId() {
+    return `pos_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+}
+
+// Role of a slot: S, OH, MB, OPP or L
+function getRole(slot) {
+    return slot.replace(/\d$/, '');
+}
+
+// Role a slot plays in a court position: in a 6-2 or 4-2, the setter who isn't setting is an opposite
+function getPlayedRole(system, slot, courtPosition) {
+    const role = getRole(slot);
+    if (role !== 'S' || !SETTING_ROW[system]) return role;
+    const row = FRONT_ROW.includes(courtPosition) ? 'front' : 'back';
+    return row === SETTING_ROW[system] ? 'S' : 'OPP';
+}
+
+// Opposites play on the right
+function getSpecialty(role) {
+    return role === 'OPP' ? 'RIGHT' : role;
+}
+
+// Open the generator: pick a system and the players for each slot
+export async function openRotationGenerator() {
+    const players = getPlayers();
+    if (players.length < 6) {
+        await alert('Add at least six players to the lineup first');
+        return;
+    }
+
+    const playerOptions = players.map(player => `
+        <option value="${escapeHtml(player.id)}">#${escapeHtml(String(player.jersey))} ${escapeHtml(player.name)}</option>
+    `).join('');
+    const slotsHtml = [...new Set([...Object.values(SYSTEMS).flat(), 'L'])].map(slot => `
+        <label class="generator-slot" data-slot="${slot}">
+            <span>${SLOT_LABELS[slot]}${slot === 'L' ? ' (optional)' : ''}</span>
+            <select class="modal-input" data-slot="${slot}">
+                <option value="">-</option>
+                ${playerOptions}
+            </select>
+        </label>
+    `).join('');
+
+    const bodyHtml = `
+        <div class="modal-form-container">
+            <div class="modal-form-group">
+                <label for="generator-system" class="modal-label">System</label>
+                <select id="generator-system" class="modal-input modal-input-full">
+                    ${Object.keys(SYSTEMS).map(system => `<option value="${system}">${system}</option>`).join('')}
+                </select>
+            </div>
+            <div class="modal-form-group">
+                <label class="modal-label">Players</label>
+                <div class="generator-hint">Rotation 1 starts with the first setter in position 1. In a 6-2 the back-row setter sets and the front-row setter hits; in a 4-2 the front-row setter sets. The libero replaces the middle blockers in the back row, except when a middle is serving.</div>
+                <div class="generator-slots" id="generator-slots">
+                    ${slotsHtml}
+                </div>
+            </div>
+            <div class="settings-error" id="generator-error"></div>
+        </div>
+    `;
+
+    const footerHtml = `
+        <button class="modal-btn modal-btn-secondary" id="generator-cancel-btn">Cancel</button>
+        <button class="modal-btn modal-btn-primary" id="generator-create-btn">Create Positions</button>
+    `;
+
+    // The modal Promise only resolves when it's closed, so don't wait for it
+    customModal('Generate Rotations', bodyHtml, footerHtml);
+
+    const systemSelect = document.getElementById('generator-system');
+    const showSlots = () => {
+        const slots = [...SYSTEMS[systemSelect.value], 'L'];
+        document.querySelectorAll('.generator-slot').forEach(label => {
+            label.classList.toggle('hidden', !slots.includes(label.dataset.slot));
+        });
+        preselectByRole(slots);
+    };
+    systemSelect.addEventListener('change', showSlots);
+    showSlots();
+
+    document.getElementById('generator-cancel-btn').addEventListener('click', hideModal);
+    document.getElementById('generator-create-btn').addEventListener('click', async () => {
+        const system = systemSelect.value;
+        const assignments = {};
+        [...SYSTEMS[system], 'L'].forEach(slot => {
+            const select = document.querySelector(`#generator-slots select[data-slot="${slot}"]`);
+            if (select && select.value) {
+                assignments[slot] = select.value;
+            }
+        });
+
+        // Shown in the form, so the picks aren't lost
+        const error = checkAssignments(system, assignments);
+        document.getElementById('generator-error').textContent = error || '';
+        if (error) return;
+
+        hideModal();
+        try {
+            await generateRotations(system, assignments);
+        } catch (error) {
+            console.error('Error generating rotations:', error);
+            await alert('Error generating rotations: ' + error.message);
+        }
+    });
+}
+
+// Fill empty slots with players whose main role matches, in lineup order
+function preselectByRole(slots) {
+    const selects = slots.map(slot => document.querySelector(`#generator-slots select[data-slot="${slot}"]`));
+    const used = new Set(selects.map(select => select.value).filter(Boolean));
+    slots.forEach((slot, i) => {
+        if (selects[i].value) return;
+        const player = getPlayers().find(p => p.role === getRole(slot) && !used.has(p.id));
+        if (player) {
+            selects[i].value = player.id;
+            used.add(player.id);
+        }
+    });
+}
+
+// Every slot but the libero needs a player, and nobody can fill two slots
+function checkAssignments(system, assignments) {
+    const missing = SYSTEMS[system].filter(slot => !assignments[slot]);
+    if (missing.length > 0) {
+        return `Pick a player for: ${missing.map(slot => SLOT_LABELS[slot]).join(', ')}`;
+    }
+    const playerIds = Object.values(assignments);
+    if (new Set(playerIds).size !== playerIds.length) {
+        return 'Each player can only fill one slot';
+    }
+    return null;
+}
+
+/**
+ * Create and save the positions for all six rotations, grouped by rotation
+ * @param {string} system - '5-1', '6-2' or '4-2'
+ * @param {Object} assignments - Player ID for each slot (the libero, L, is optional)
+ * @returns {Promise<Array>} The positions created
+ */
+export async function generateRotations(system, assignments) {
+    const created = [];
+
+    // Positions are saved with the middles; the libero comes in for them through the rotation's pairs
+    const liberoSwaps = assignments.L
+        ? SYSTEMS[system].filter(slot => getRole(slot) === 'MB').map(slot => ({ liberoId: assignments.L, playerId: assignments[slot] }))
+        : [];
+
+    for (let rotation = 1; rotation <= 6; rotation++) {
+        const positions = PHASES.map(phase => {
+            const position = {
+                id: generateId(),
+                name: `${system} Rotation ${rotation} - ${phase.label}`,
+                tags: [system, `rotation-${rotation}`, phase.key],
+                playerPositions: addZones(buildPlayerPositions(system, rotation, phase.key, assignments)),
+                opponents: [],
+                ball: null,
+                annotations: []
+            };
+            // A middle who just served stays on in base defense, so only the other middle is replaced
+            const server = assignments[getLineup(system, rotation).get(1)];
+            if (phase.key === 'base' && liberoSwaps.some(swap => swap.playerId === server)) {
+                position.liberoSwaps = liberoSwaps.filter(swap => swap.playerId !== server);
+            }
+            return position;
+        });
+
+        const group = await createRotationGroup(
+            `${system} Rotation ${rotation}`,
+            positions.map(position => position.id),
+            liberoSwaps
+        );
+
+        for (const position of positions) {
+            position.rotationIds = [group.id];
+            await db.savePositionNew(position);
+            created.push(position);
+        }
+    }
+
+    setPositions([...state.positions, ...created]);
+    renderPositionsList();
+    updateScenarioSelects();
+    return created;
+}
+
+// Which slot is in each court position for a rotation (the team rotates clockwise:
+// the player in position 2 moves to 1, 1 moves to 6, and so on)
+function getLineup(system, rotation) {
+    const slots = SYSTEMS[system];
+    const lineup = new Map();
+    COURT_POSITIONS.forEach(courtPosition => {
+        lineup.set(courtPosition, slots[(courtPosition - 1 + rotation - 1) % slots.length]);
+    });
+    return lineup;
+}
+
+// Player positions for one rotation and phase
+function buildPlayerPositions(system, rotation, phase, assignments) {
+    const lineup = getLineup(system, rotation);
+
+    // The libero takes over a back-row middle's spot when the position is shown, so lay out the middles
+    const onCourt = new Map();
+    lineup.forEach((slot, courtPosition) => {
+        onCourt.set(courtPosition, { slot, role: getPlayedRole(system, slot, courtPosition) });
+    });
+
+    const spots = phase === 'serve'
+        ? getServeSpots()
+        : phase === 'serve-receive' ? getReceiveSpots(onCourt) : getBaseSpots(onCourt);
+
+    return COURT_POSITIONS.map(courtPosition => {
+        const { slot } = onCourt.get(courtPosition);
+        const player = getPlayers().find(p => p.id === assignments[slot]);
+        const spot = spots.get(courtPosition);
+        const pos = {
+            playerId: player.id,
+            jersey: player.jersey,
+            name: player.name,
+            x: spot.x,
+            y: spot.y
+        };
+        // Players switch after the serve, so only serve and serve receive are checked for overlaps
+        if (phase !== 'base') {
+            pos.courtPosition = courtPosition;
+        }
+        return pos;
+    });
+}
+
+function getServeSpots() {
+    const spots = new Map();
+    FRONT_ROW.forEach(courtPosition => spots.set(courtPosition, { x: HOME_X[courtPosition], y: SERVE_FRONT_Y }));
+    BACK_ROW.forEach(courtPosition => spots.set(courtPosition, { x: HOME_X[courtPosition], y: SERVE_BACK_Y }));
+    spots.set(1, { x: HOME_X[1], y: BASELINE_Y });
+    return spots;
+}
+
+// The outsides and the back-row middle (the libero, once swapped in) pass; the front-row setter and middle
+// wait at the net, a front-row opposite a step off it, and a back-row setter or opposite hides behind the player in front
+function getReceiveSpots(onCourt) {
+    const isPasser = courtPosition => {
+        const { role } = onCourt.get(courtPosition);
+        return role === 'OH' || (role === 'MB' && BACK_ROW.includes(courtPosition));
+    };
+
+    const spots = new Map();
+
+    // Passers take the left, middle and right lanes in court order (front row first in a column),
+    // which keeps their order within each row
+    const passers = COURT_POSITIONS.filter(isPasser).sort((a, b) =>
+        HOME_X[a] - HOME_X[b] || FRONT_ROW.includes(b) - FRONT_ROW.includes(a)
+    );
+    passers.forEach((courtPosition, i) => {
+        const y = FRONT_ROW.includes(courtPosition) ? RECEIVE_FRONT_PASSER_Y : RECEIVE_BACK_PASSER_Y;
+        spots.set(courtPosition, { x: PASSER_X[i], y });
+    });
+
+    FRONT_ROW.filter(courtPosition => !isPasser(courtPosition)).forEach(courtPosition => {
+        const { role } = onCourt.get(courtPosition);
+        spots.set(courtPosition, { y: role === 'OPP' ? RECEIVE_HITTER_Y : RECEIVE_NET_Y });
+    });
+    BACK_ROW.filter(courtPosition => !isPasser(courtPosition)).forEach(courtPosition => {
+        spots.set(courtPosition, { y: spots.get(FRONT_OF[courtPosition]).y + RECEIVE_HIDE_DISTANCE });
+    });
+
+    // Non-passers stand between their neighbours in the row, so the left-to-right order holds
+    [FRONT_ROW, BACK_ROW].forEach(row => fillRowGaps(row, spots));
+    return spots;
+}
+
+// Give spots without an x one that's evenly spaced between the players either side in the row
+function fillRowGaps(row, spots) {
+    let i = 0;
+    while (i < row.length) {
+        if (spots.get(row[i]).x !== undefined) {
+            i++;
+            continue;
+        }
+        let end = i;
+        while (end < row.length && spots.get(row[end]).x === undefined) {
+            end++;
+        }
+        const left = i > 0 ? spots.get(row[i - 1]).x : MIN_X;
+        const right = end < row.length ? spots.get(row[end]).x : MAX_X;
+        const gaps = end - i + 1;
+        for (let k = i; k < end; k++) {
+            spots.get(row[k]).x = Math.round(left + (right - left) * (k - i + 1) / gaps);
+        }
+        i = end;
+    }
+}
+
+// Base defense: outsides on the left, middles in the middle, setters and opposites on the right
+// (the back-row middle, or the libero in for them, takes left back, the back-row outside middle back)
+function getBaseSpots(onCourt) {
+    const spots = new Map();
+    onCourt.forEach(({ role }, courtPosition) => {
+        const row = FRONT_ROW.includes(courtPosition) ? 'front' : 'back';
+        const specialty = getSpecialty(role);
+        spots.set(courtPosition, { ...BASE_SPOTS[row][specialty] });
+    });
+    return spots;
+}
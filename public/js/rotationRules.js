@@ -0,0 +1,147 @@
+// Rotation rules module - check serve-receive formations for overlap faults
+// A position is checked when it's tagged with its rotation (e.g. "rotation-3") and each of
+// the six court positions (1-6) has been given to a player in Edit Position.
+// Coordinates are base (0°) coordinates: the net is at y=0 and x grows to the right
+// (as seen from our baseline, facing the net), so "in front" means a smaller y.
+
+import { getPositions, getPlayerElements, getCurrentLoadedItem } from './state.js';
+import { getElementCoordinates } from './court.js';
+import { resolvePlayerPositions } from './libero.js';
+
+export const COURT_POSITIONS = [1, 2, 3, 4, 5, 6];
+
+// Each front-row player must be closer to the net than the back-row player behind them
+const FRONT_BACK_PAIRS = [[4, 5], [3, 6], [2, 1]];
+// In each row, players must keep their left-to-right order
+const LEFT_RIGHT_PAIRS = [[4, 3], [3, 2], [5, 6], [6, 1]];
+
+const ROTATION_TAG = /^(?:rotation|rot|r)[-\s]?([1-6])$/i;
+
+// Helper function to escape HTML
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
+
+/**
+ * Get the rotation a position is tagged with
+ * @param {Object} position - Saved position
+ * @returns {number|null} Rotation number (1-6), or null if the position isn't tagged with one
+ */
+export function getRotationNumber(position) {
+    for (const tag of position.tags || []) {
+        const match = tag.trim().match(ROTATION_TAG);
+        if (match) {
+            return parseInt(match[1], 10);
+        }
+    }
+    return null;
+}
+
+/**
+ * Check a set of player positions for overlap faults
+ * @param {Array} playerPositions - [{playerId, jersey, name, courtPosition, x, y}]
+ * @returns {Array|null} Faults as [{playerIds, message}], or null if the six court positions
+ *     aren't each given to exactly one player
+ */
+export function findOverlapFaults(playerPositions) {
+    const byCourtPosition = new Map();
+    for (const pos of playerPositions) {
+        if (!COURT_POSITIONS.includes(pos.courtPosition)) continue;
+        if (byCourtPosition.has(pos.courtPosition)) return null;
+        byCourtPosition.set(pos.courtPosition, pos);
+    }
+    if (byCourtPosition.size !== COURT_POSITIONS.length) return null;
+
+    const faults = [];
+    FRONT_BACK_PAIRS.forEach(([front, back]) => {
+        const frontPlayer = byCourtPosition.get(front);
+        const backPlayer = byCourtPosition.get(back);
+        if (!(frontPlayer.y < backPlayer.y)) {
+            faults.push({
+                playerIds: [frontPlayer.playerId, backPlayer.playerId],
+                message: `${describe(frontPlayer)} must be closer to the net than ${describe(backPlayer)}`
+            });
+        }
+    });
+    LEFT_RIGHT_PAIRS.forEach(([left, right]) => {
+        const leftPlayer = byCourtPosition.get(left);
+        const rightPlayer = byCourtPosition.get(right);
+        if (!(leftPlayer.x < rightPlayer.x)) {
+            faults.push({
+                playerIds: [leftPlayer.playerId, rightPlayer.playerId],
+                message: `${describe(leftPlayer)} must be left of ${describe(rightPlayer)}`
+            });
+        }
+    });
+    return faults;
+}
+
+/**
+ * Check a saved position for overlap faults
+ * @param {Object} position - Saved position
+ * @returns {Object|null} {rotation, faults}, or null if the position can't be checked
+ */
+export function validatePosition(position) {
+    const rotation = getRotationNumber(position);
+    if (!rotation) return null;
+
+    const faults = findOverlapFaults(position.playerPositions || []);
+    return faults ? { rotation, faults } : null;
+}
+
+// Check the loaded position as it stands on the court (including unsaved moves),
+// highlight the players at fault and explain what's wrong
+export function updateOverlapWarnings() {
+    getPlayerElements().forEach(element => element.classList.remove('overlap-fault'));
+
+    const result = validateCourt();
+    const panel = document.getElementById('overlap-warning');
+    if (!result || result.faults.length === 0) {
+        if (panel) panel.classList.add('hidden');
+        return;
+    }
+
+    result.faults.forEach(fault => {
+        fault.playerIds.forEach(playerId => {
+            const element = getPlayerElements().get(playerId);
+            if (element) element.classList.add('overlap-fault');
+        });
+    });
+
+    if (panel) {
+        panel.innerHTML = `
+            <div class="overlap-warning-title">Overlap fault (rotation ${result.rotation})</div>
+            <ul class="overlap-warning-list">
+                ${result.faults.map(fault => `<li>${escapeHtml(fault.message)}</li>`).join('')}
+            </ul>
+        `;
+        panel.classList.remove('hidden');
+    }
+}
+
+// The loaded position's court position assignments, checked against where the players are now
+function validateCourt() {
+    const loaded = getCurrentLoadedItem();
+    if (!loaded || loaded.type !== 'position' || !loaded.id) return null;
+
+    const position = getPositions().find(p => p.id === loaded.id);
+    if (!position) return null;
+
+    const rotation = getRotationNumber(position);
+    if (!rotation) return null;
+
+    // A libero who came in for a middle takes the middle's court position
+    const playerPositions = resolvePlayerPositions(position)
+        .filter(pos => getPlayerElements().has(pos.playerId))
+        .map(pos => ({ ...pos, ...getElementCoordinates(getPlayerElements().get(pos.playerId)) }));
+
+    const faults = findOverlapFaults(playerPositions);
+    return faults ? { rotation, faults } : null;
+}
+
+function describe(pos) {
+    const player = pos.jersey ? `#${pos.jersey} ${pos.name || ''}`.trim() : (pos.name || 'Player');
+    return `${player} (position ${pos.courtPosition})`;
+}
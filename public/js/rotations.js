@@ -3,7 +3,6 @@
 import * as db from '../db.js';
 import { state, getRotations, setRotations, getPositions } from './state.js';
 import { dom } from './dom.js';
-import { renderRotationsList } from './ui.js';
 
 // Generate unique ID
 function generateId() {
@@ -38,7 +37,6 @@ export async function createRotation() {
         setRotations([...state.rotations]);
         
         dom.rotationNameInput.value = '';
-        renderRotationsList();
         
         // Update position rotation select
         updatePositionRotationSelect();
@@ -48,6 +46,24 @@ export async function createRotation() {
     }
 }
 
+// Group positions under a new rotation (used by the rotation generator)
+// liberoSwaps ([{ liberoId, playerId }]) apply to every position in the rotation
+// Errors are left to the caller, which is saving the positions as well
+export async function createRotationGroup(name, positionIds, liberoSwaps = []) {
+    const rotation = {
+        id: generateId(),
+        name: name,
+        positionIds: positionIds
+    };
+    if (liberoSwaps.length > 0) {
+        rotation.liberoSwaps = liberoSwaps;
+    }
+    
+    await db.saveRotation(rotation);
+    setRotations([...getRotations(), rotation]);
+    return rotation;
+}
+
 // Update rotation
 export async function updateRotation(rotationId, name, positionIds) {
     const rotation = getRotations().find(r => r.id === rotationId);
@@ -65,8 +81,7 @@ export async function updateRotation(rotationId, name, positionIds) {
         if (index >= 0) {
             state.rotations[index] = updated;
             setRotations([...state.rotations]);
-            renderRotationsList();
-            updatePositionRotationSelect();
+                updatePositionRotationSelect();
         }
     } catch (error) {
         console.error('Error updating rotation:', error);
@@ -74,6 +89,17 @@ export async function updateRotation(rotationId, name, positionIds) {
     }
 }
 
+// Set which middles the libero replaces in every position of a rotation
+// Errors are left to the caller, which is saving the position as well
+export async function setRotationLiberoSwaps(rotationId, liberoSwaps) {
+    const rotation = getRotations().find(r => r.id === rotationId);
+    if (!rotation) return;
+    
+    const updated = { ...rotation, liberoSwaps: liberoSwaps };
+    await db.saveRotation(updated);
+    setRotations(getRotations().map(r => r.id === rotationId ? updated : r));
+}
+
 // Delete rotation
 export async function deleteRotation(rotationId) {
     if (!confirm('Delete this rotation? Positions will not be deleted, only the rotation grouping.')) {
@@ -87,10 +113,9 @@ export async function deleteRotation(rotationId) {
         
         // Remove rotation from positions
         state.positions.forEach(position => {
-            position.rotationIds = position.rotationIds.filter(id => id !== rotationId);
+            position.rotationIds = (position.rotationIds || []).filter(id => id !== rotationId);
         });
         
-        renderRotationsList();
         updatePositionRotationSelect();
     } catch (error) {
         console.error('Error deleting rotation:', error);
@@ -1,12 +1,17 @@
 // Scenarios management module
 
 import * as db from '../db.js';
-import { state, getScenarios, setScenarios, getPositions, setSelectedStartPosition, setSelectedEndPosition, getSelectedStartPosition, getSelectedEndPosition, setCurrentLoadedItem, setIsModified, getPlayerElements } from './state.js';
+import { state, getScenarios, setScenarios, getPositions, setSelectedStartPosition, setSelectedEndPosition, getSelectedStartPosition, getSelectedEndPosition, setCurrentLoadedItem, setIsModified, getPlayerElements, getScenarioPaths, setScenarioPaths, getScenarioTiming, setScenarioTiming } from './state.js';
 import { dom } from './dom.js';
 import { renderScenariosList, updateDropZoneDisplay, updateCurrentItemDisplay, updateModifiedIndicator } from './ui.js';
 import { loadPosition } from './positions.js';
+import { clearOpponentsFromCourt, removeBallFromCourt } from './court.js';
+import { showAnnotations } from './annotations.js';
 import { playAnimation } from './animation.js';
 import { alert, confirm, prompt } from './modal.js';
+import { showUndoToast } from './trash.js';
+import { getPathsToSave, pathsEqual, renderPaths } from './paths.js';
+import { getTimingToSave, timingEqual } from './timing.js';
 
 // Helper function to escape HTML
 function escapeHtml(text) {
@@ -135,7 +140,7 @@ export async function deleteScenario(scenarioId) {
     }
     
     try {
-        await db.deleteScenario(scenarioId);
+        const result = await db.deleteScenario(scenarioId);
         state.scenarios = state.scenarios.filter(s => s.id !== scenarioId);
         setScenarios([...state.scenarios]);
         
@@ -145,6 +150,7 @@ export async function deleteScenario(scenarioId) {
         });
         
         renderScenariosList();
+        showUndoToast(`Scenario "${scenario.name}" moved to trash`, result && result.trashId);
         
         // Clear loaded item if it was this scenario
         if (state.currentLoadedItem && state.currentLoadedItem.id === scenarioId) {
@@ -176,13 +182,16 @@ export async function loadScenario(scenarioId) {
     const { showDropZones } = await import('./ui.js');
     showDropZones();
     
-    // Populate drop zones
+    // Populate drop zones (and the players' paths and timing between them)
     setSelectedStartPosition(startPos);
     setSelectedEndPosition(endPos);
+    setScenarioPaths(scenario.paths);
+    setScenarioTiming(scenario.timing);
     updateDropZoneDisplay();
     
     // Update state first (before loading position)
     setCurrentLoadedItem({ type: 'scenario', id: scenario.id, name: scenario.name });
+    renderPaths();
     
     // Load start position on court (don't update loaded item - keep scenario as loaded)
     loadPosition(scenario.startPositionId, false);
@@ -216,9 +225,11 @@ export async function playScenario(scenarioId) {
     const { showDropZones } = await import('./ui.js');
     showDropZones();
     
-    // Set the drop zones with the scenario positions
+    // Set the drop zones with the scenario positions (and the players' paths and timing between them)
     setSelectedStartPosition(startPos);
     setSelectedEndPosition(endPos);
+    setScenarioPaths(scenario.paths);
+    setScenarioTiming(scenario.timing);
     updateDropZoneDisplay();
     
     // Set as loaded item (so it shows as active/green)
@@ -278,6 +289,8 @@ export async function saveScenario() {
         ...scenario,
         startPositionId: startPos.id,
         endPositionId: endPos.id,
+        paths: getPathsToSave(getScenarioPaths()),
+        timing: getTimingToSave(getScenarioTiming()),
         tags: scenario.tags || [] // Preserve existing tags
     };
     
@@ -335,8 +348,9 @@ export function checkScenarioModifications() {
         return;
     }
     
-    // Check if positions have changed
-    const isModified = scenario.startPositionId !== startPos.id || scenario.endPositionId !== endPos.id;
+    // Check if positions (or the players' paths or the timing) have changed
+    const isModified = scenario.startPositionId !== startPos.id || scenario.endPositionId !== endPos.id ||
+        !pathsEqual(scenario.paths, getScenarioPaths()) || !timingEqual(scenario.timing, getScenarioTiming());
     setIsModified(isModified);
 }
 
@@ -344,17 +358,22 @@ export function checkScenarioModifications() {
 export async function clearScenario() {
     setSelectedStartPosition(null);
     setSelectedEndPosition(null);
+    setScenarioPaths({});
+    setScenarioTiming(null);
     updateDropZoneDisplay();
     
     // Show drop zones, hide timeline
     const { showDropZones } = await import('./ui.js');
     showDropZones();
     
-    // Clear players from court
+    // Clear players, opponents, ball and drawings from court
     getPlayerElements().forEach((element) => {
         element.remove();
     });
     getPlayerElements().clear();
+    clearOpponentsFromCourt();
+    removeBallFromCourt();
+    showAnnotations([]);
     
     setCurrentLoadedItem(null);
     setIsModified(false);
@@ -554,6 +573,8 @@ export async function createScenarioFromModal(isSaveAs = false) {
                     name: newName,
                     startPositionId: startPos.id,
                     endPositionId: endPos.id,
+                    paths: getPathsToSave(getScenarioPaths()),
+                    timing: getTimingToSave(getScenarioTiming()),
                     tags: newTags
                 };
                 
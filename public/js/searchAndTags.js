@@ -58,6 +58,11 @@ function initializeIcons(container) {
 }
 
 // Create a search and tags filter instance
+// An optional facet adds another way to filter alongside tags (e.g. the roles in a position):
+// { title, getOptions: () => [{ value, label }], getItemValues: (item) => [values] }
+// Searching for an option's value or label (e.g. "MB" or "libero") finds the items that have it
+// An optional matchSearch(item, searchTerm) handles searches of its own (e.g. "#7 in zone 5"):
+// it returns whether the item matches, or null to search by name as usual
 export function createSearchAndTagsFilter(config) {
     const {
         searchInputId,
@@ -66,10 +71,13 @@ export function createSearchAndTagsFilter(config) {
         getAllItems,
         getItemTags,
         getItemName,
-        onFilterChange
+        onFilterChange,
+        facet = null,
+        matchSearch = null
     } = config;
     
     let selectedTags = new Set();
+    let selectedFacetValues = new Set();
     
     // Get all unique tags from items
     function getAllTags() {
@@ -85,22 +93,52 @@ export function createSearchAndTagsFilter(config) {
         return Array.from(allTags).sort();
     }
     
+    // Facet options that at least one item has
+    function getFacetOptions() {
+        if (!facet) return [];
+        const values = new Set();
+        getAllItems().forEach(item => {
+            facet.getItemValues(item).forEach(value => values.add(value));
+        });
+        return facet.getOptions().filter(option => values.has(option.value));
+    }
+    
+    // Facet values whose value or label is exactly the search term
+    function getFacetValuesForSearch(searchTerm) {
+        if (!facet) return [];
+        return facet.getOptions()
+            .filter(option => option.value.toLowerCase() === searchTerm || option.label.toLowerCase() === searchTerm)
+            .map(option => option.value);
+    }
+    
     // Filter items based on search and selected tags
     function filterItems(items) {
         let filtered = items;
         
-        // Filter by search term (name only)
+        // Filter by search term (name, or a facet value searched for by name)
         const searchInput = document.getElementById(searchInputId);
         if (searchInput) {
-            const searchTerm = (searchInput.value || '').toLowerCase();
+            const searchTerm = (searchInput.value || '').trim().toLowerCase();
             if (searchTerm) {
+                const searchedValues = getFacetValuesForSearch(searchTerm);
                 filtered = filtered.filter(item => {
+                    const matched = matchSearch ? matchSearch(item, searchTerm) : null;
+                    if (matched !== null) return matched;
                     const name = getItemName(item);
-                    return name.toLowerCase().includes(searchTerm);
+                    return name.toLowerCase().includes(searchTerm) ||
+                        (searchedValues.length > 0 && searchedValues.some(value => facet.getItemValues(item).includes(value)));
                 });
             }
         }
         
+        // Filter by selected facet values (item must have ALL of them)
+        if (facet && selectedFacetValues.size > 0) {
+            filtered = filtered.filter(item => {
+                const itemValues = facet.getItemValues(item);
+                return Array.from(selectedFacetValues).every(value => itemValues.includes(value));
+            });
+        }
+        
         // Filter by selected tags (item must have ALL selected tags)
         if (selectedTags.size > 0) {
             filtered = filtered.filter(item => {
@@ -121,13 +159,34 @@ export function createSearchAndTagsFilter(config) {
         
         container.innerHTML = '';
         
-        if (selectedTags.size === 0) {
+        if (selectedTags.size === 0 && selectedFacetValues.size === 0) {
             container.style.display = 'none';
             return;
         }
         
         container.style.display = 'flex';
         
+        const options = facet ? facet.getOptions() : [];
+        Array.from(selectedFacetValues).forEach(value => {
+            const option = options.find(o => o.value === value);
+            const facetChip = document.createElement('div');
+            facetChip.className = 'selected-tag-chip selected-facet-chip';
+            facetChip.innerHTML = `
+                <span>${escapeHtml(option ? option.label : value)}</span>
+                <button class="remove-tag-btn" title="Remove filter">
+                    <i data-lucide="x"></i>
+                </button>
+            `;
+            
+            facetChip.querySelector('.remove-tag-btn').addEventListener('click', () => {
+                selectedFacetValues.delete(value);
+                renderSelectedTags();
+                onFilterChange();
+            });
+            
+            container.appendChild(facetChip);
+        });
+        
         Array.from(selectedTags).forEach(tag => {
             const colorIndex = getTagColor(tag);
             const tagChip = document.createElement('div');
@@ -163,7 +222,8 @@ export function createSearchAndTagsFilter(config) {
         }
         
         const allTags = getAllTags();
-        if (allTags.length === 0) {
+        const facetOptions = getFacetOptions();
+        if (allTags.length === 0 && facetOptions.length === 0) {
             return;
         }
         
@@ -187,16 +247,17 @@ export function createSearchAndTagsFilter(config) {
         const tagsList = document.createElement('div');
         tagsList.className = 'tag-filter-list';
         
-        allTags.forEach(tag => {
+        // One checkbox row per tag or facet option, toggling its value in the given set
+        const createFilterItem = (value, text, checkboxId, selectedSet) => {
             const tagItem = document.createElement('div');
             tagItem.className = 'tag-filter-item';
-            if (selectedTags.has(tag)) {
+            if (selectedSet.has(value)) {
                 tagItem.classList.add('selected');
             }
             
             tagItem.innerHTML = `
-                <input type="checkbox" id="tag-${escapeHtml(tag)}-${searchInputId}" ${selectedTags.has(tag) ? 'checked' : ''}>
-                <label for="tag-${escapeHtml(tag)}-${searchInputId}">${escapeHtml(tag)}</label>
+                <input type="checkbox" id="${escapeHtml(checkboxId)}" ${selectedSet.has(value) ? 'checked' : ''}>
+                <label for="${escapeHtml(checkboxId)}">${escapeHtml(text)}</label>
             `;
             
             // Get checkbox and label after they're created
@@ -206,10 +267,10 @@ export function createSearchAndTagsFilter(config) {
             // Function to update state based on checkbox checked status
             const updateState = () => {
                 if (checkbox.checked) {
-                    selectedTags.add(tag);
+                    selectedSet.add(value);
                     tagItem.classList.add('selected');
                 } else {
-                    selectedTags.delete(tag);
+                    selectedSet.delete(value);
                     tagItem.classList.remove('selected');
                 }
                 renderSelectedTags();
@@ -237,9 +298,24 @@ export function createSearchAndTagsFilter(config) {
                 updateState();
             });
             
-            tagsList.appendChild(tagItem);
+            return tagItem;
+        };
+        
+        allTags.forEach(tag => {
+            tagsList.appendChild(createFilterItem(tag, tag, `tag-${tag}-${searchInputId}`, selectedTags));
         });
         
+        if (facetOptions.length > 0) {
+            const facetHeader = document.createElement('div');
+            facetHeader.className = 'tag-filter-section-title';
+            facetHeader.textContent = facet.title;
+            tagsList.appendChild(facetHeader);
+            
+            facetOptions.forEach(option => {
+                tagsList.appendChild(createFilterItem(option.value, option.label, `facet-${option.value}-${searchInputId}`, selectedFacetValues));
+            });
+        }
+        
         dropdown.appendChild(tagsList);
         
         // Position dropdown - append first to get dimensions
@@ -305,8 +381,10 @@ export function createSearchAndTagsFilter(config) {
         showTagFilterDropdown,
         init,
         getSelectedTags: () => selectedTags,
+        getSelectedFacetValues: () => selectedFacetValues,
         clearTags: () => {
             selectedTags.clear();
+            selectedFacetValues.clear();
             renderSelectedTags();
             onFilterChange();
         }
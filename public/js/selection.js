@@ -0,0 +1,272 @@
+// Selection module - select several players on the court and move or line them up together
+// Shift-click a player to add or remove them, or drag a box around players on an empty part of
+// the court. Dragging one selected player (mouse or touch) moves them all, arrow keys nudge them,
+// and the toolbar lines them up or spaces them evenly. Selected players carry the "selected" class.
+
+import { state, getPlayerElements } from './state.js';
+import { dom } from './dom.js';
+import {
+    moveElementTo,
+    getElementCoordinates,
+    getElementBounds,
+    percentToCoordinate,
+    convertDisplayedToBaseCoordinates,
+    updateModifiedAfterChange
+} from './court.js';
+import { recordCourtChange } from './undo.js';
+
+// Arrow keys move the selection this far (in court units, 600 = 30 ft), or further with Shift
+const NUDGE_STEP = 5;
+const NUDGE_STEP_LARGE = 25;
+// A press that moves less than this (in pixels) is a click, not a selection box
+const MARQUEE_THRESHOLD = 5;
+
+let marquee = null;     // { startX, startY, courtRect, element, additive } while a box is being dragged
+
+// Helper function to check if we're on a phone (matches CSS media query: max-width: 767px and orientation: portrait)
+function isPhoneView() {
+    return window.innerWidth <= 767 && window.innerHeight > window.innerWidth;
+}
+
+// Helper function to check if we're in view-only mode
+function isViewOnlyMode() {
+    return window.isViewOnlyMode === true;
+}
+
+// Set up selecting on the court, the arrow keys and the toolbar
+export function initSelection() {
+    if (!dom.court) return;
+
+    dom.court.addEventListener('click', (e) => {
+        if (!e.shiftKey || isPhoneView() || isViewOnlyMode()) return;
+        const playerContainer = e.target.closest('.player-container');
+        if (playerContainer) {
+            playerContainer.classList.toggle('selected');
+            updateSelectionToolbar();
+        }
+    });
+
+    dom.court.addEventListener('pointerdown', handlePointerDown);
+    dom.court.addEventListener('pointermove', handlePointerMove);
+    dom.court.addEventListener('pointerup', handlePointerUp);
+    dom.court.addEventListener('pointercancel', () => endMarquee());
+
+    document.addEventListener('keydown', handleKeyDown);
+
+    document.querySelectorAll('.selection-action-btn').forEach(btn => {
+        btn.addEventListener('click', () => {
+            if (btn.dataset.action === 'clear') {
+                clearSelection();
+            } else {
+                arrangeSelection(btn.dataset.action);
+            }
+        });
+    });
+}
+
+/**
+ * Get the selected players' containers on the court
+ * @returns {Array<HTMLElement>}
+ */
+export function getSelectedPlayerElements() {
+    return [...getPlayerElements().values()].filter(element => element.classList.contains('selected'));
+}
+
+export function clearSelection() {
+    getPlayerElements().forEach(element => element.classList.remove('selected'));
+    updateSelectionToolbar();
+}
+
+/**
+ * Move the selected players together, keeping their shape
+ * The move is cut short so nobody leaves our side of the court
+ * @param {number} dx - Distance to move in base coordinates
+ * @param {number} dy - Distance to move in base coordinates
+ */
+export function moveSelectionBy(dx, dy) {
+    const selected = getSelectedPlayerElements();
+    const positions = selected.map(element => getElementCoordinates(element));
+
+    selected.forEach((element, i) => {
+        const bounds = getElementBounds(element);
+        dx = Math.max(bounds.minX - positions[i].x, Math.min(dx, bounds.maxX - positions[i].x));
+        dy = Math.max(bounds.minY - positions[i].y, Math.min(dy, bounds.maxY - positions[i].y));
+    });
+
+    selected.forEach((element, i) => {
+        moveElementTo(element, positions[i].x + dx, positions[i].y + dy);
+    });
+}
+
+// Start a selection box on an empty part of the court
+function handlePointerDown(e) {
+    if (isPhoneView() || isViewOnlyMode() || state.isAnimating) return;
+    if (e.pointerType === 'mouse' && e.button !== 0) return;
+    // Players, opponents, the ball and drawing tools handle their own presses
+    if (e.target.closest('.player-container, .opponent-container, .ball-marker, .annotation-layer.drawing')) return;
+
+    const rect = dom.court.getBoundingClientRect();
+    marquee = {
+        startX: e.clientX,
+        startY: e.clientY,
+        courtRect: rect,
+        element: null,
+        additive: e.shiftKey
+    };
+    dom.court.setPointerCapture(e.pointerId);
+}
+
+function handlePointerMove(e) {
+    if (!marquee) return;
+
+    const width = Math.abs(e.clientX - marquee.startX);
+    const height = Math.abs(e.clientY - marquee.startY);
+    if (!marquee.element) {
+        if (width < MARQUEE_THRESHOLD && height < MARQUEE_THRESHOLD) return;
+        marquee.element = document.createElement('div');
+        marquee.element.className = 'selection-marquee';
+        dom.court.appendChild(marquee.element);
+    }
+
+    const { courtRect } = marquee;
+    marquee.element.style.left = `${Math.min(e.clientX, marquee.startX) - courtRect.left}px`;
+    marquee.element.style.top = `${Math.min(e.clientY, marquee.startY) - courtRect.top}px`;
+    marquee.element.style.width = `${width}px`;
+    marquee.element.style.height = `${height}px`;
+}
+
+function handlePointerUp(e) {
+    if (!marquee) return;
+
+    if (marquee.element) {
+        // Select the players whose centers are inside the box
+        const left = Math.min(e.clientX, marquee.startX);
+        const right = Math.max(e.clientX, marquee.startX);
+        const top = Math.min(e.clientY, marquee.startY);
+        const bottom = Math.max(e.clientY, marquee.startY);
+        getPlayerElements().forEach(element => {
+            const rect = element.querySelector('.player-on-court').getBoundingClientRect();
+            const centerX = rect.left + rect.width / 2;
+            const centerY = rect.top + rect.height / 2;
+            const inside = centerX >= left && centerX <= right && centerY >= top && centerY <= bottom;
+            if (inside) {
+                element.classList.add('selected');
+            } else if (!marquee.additive) {
+                element.classList.remove('selected');
+            }
+        });
+        updateSelectionToolbar();
+    } else if (!marquee.additive) {
+        // A click on an empty part of the court clears the selection
+        clearSelection();
+    }
+
+    endMarquee();
+}
+
+function endMarquee() {
+    if (marquee && marquee.element) {
+        marquee.element.remove();
+    }
+    marquee = null;
+}
+
+// Arrow keys nudge the selection (as it's shown, whichever way the court is turned); Escape clears it
+function handleKeyDown(e) {
+    if (e.ctrlKey || e.metaKey || e.altKey) return;
+    const target = e.target;
+    if (target && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName))) return;
+    const overlay = document.getElementById('modal-overlay');
+    if (overlay && !overlay.classList.contains('hidden')) return;
+
+    const selected = getSelectedPlayerElements();
+    if (selected.length === 0) return;
+
+    if (e.key === 'Escape') {
+        clearSelection();
+        return;
+    }
+
+    const step = e.shiftKey ? NUDGE_STEP_LARGE : NUDGE_STEP;
+    const directions = {
+        ArrowLeft: [-step, 0],
+        ArrowRight: [step, 0],
+        ArrowUp: [0, -step],
+        ArrowDown: [0, step]
+    };
+    const direction = directions[e.key];
+    if (!direction || state.isAnimating) return;
+
+    e.preventDefault();
+
+    // Work out how far that is in base coordinates from the first selected player
+    const from = getDisplayedCorner(selected[0]);
+    const start = convertDisplayedToBaseCoordinates(from.x, from.y);
+    const end = convertDisplayedToBaseCoordinates(from.x + direction[0], from.y + direction[1]);
+
+    // Holding a key down is one change to undo
+    if (!e.repeat) {
+        recordCourtChange();
+    }
+    moveSelectionBy(end.x - start.x, end.y - start.y);
+    updateModifiedAfterChange();
+}
+
+/**
+ * Line up or space out the selected players, as they're shown on the court
+ * @param {string} action - 'align-row' (same height), 'align-column' (same distance from the side),
+ *     'distribute-row' (evenly spaced left to right) or 'distribute-column' (evenly spaced top to bottom)
+ */
+function arrangeSelection(action) {
+    const selected = getSelectedPlayerElements();
+    if (selected.length < 2) {
+        updateSelectionToolbar();
+        return;
+    }
+    if (state.isAnimating) return;
+
+    const corners = selected.map(element => ({ element, ...getDisplayedCorner(element) }));
+    const axis = action === 'align-row' || action === 'distribute-column' ? 'y' : 'x';
+
+    if (action === 'align-row' || action === 'align-column') {
+        const average = corners.reduce((sum, corner) => sum + corner[axis], 0) / corners.length;
+        corners.forEach(corner => {
+            corner[axis] = average;
+        });
+    } else {
+        corners.sort((a, b) => a[axis] - b[axis]);
+        const first = corners[0][axis];
+        const gap = (corners[corners.length - 1][axis] - first) / (corners.length - 1);
+        corners.forEach((corner, i) => {
+            corner[axis] = first + gap * i;
+        });
+    }
+
+    recordCourtChange();
+    corners.forEach(corner => {
+        const base = convertDisplayedToBaseCoordinates(corner.x, corner.y);
+        moveElementTo(corner.element, Math.round(base.x), Math.round(base.y));
+    });
+    updateModifiedAfterChange();
+}
+
+// Top-left corner of a player's container as it's shown (displayed coordinates)
+function getDisplayedCorner(element) {
+    return {
+        x: percentToCoordinate(element.style.left) || 0,
+        y: percentToCoordinate(element.style.top, 'y') || 0
+    };
+}
+
+// Show the toolbar while two or more players are selected
+export function updateSelectionToolbar() {
+    const toolbar = document.getElementById('selection-toolbar');
+    if (!toolbar) return;
+
+    const count = getSelectedPlayerElements().length;
+    toolbar.classList.toggle('hidden', count < 2);
+    const label = document.getElementById('selection-count');
+    if (label) {
+        label.textContent = `${count} selected`;
+    }
+}
@@ -6,7 +6,9 @@ import { dom } from './dom.js';
 import { renderSequencesList } from './ui.js';
 import { playScenario } from './scenarios.js';
 import { alert, confirm } from './modal.js';
+import { showUndoToast } from './trash.js';
 import { animateToPosition } from './animation.js';
+import { broadcast } from './presenter.js';
 
 // Generate unique ID
 function generateId() {
@@ -92,11 +94,12 @@ export async function deleteSequence(sequenceId) {
     }
     
     try {
-        await db.deleteSequence(sequenceId);
+        const result = await db.deleteSequence(sequenceId);
         state.sequences = state.sequences.filter(s => s.id !== sequenceId);
         setSequences([...state.sequences]);
         
         renderSequencesList();
+        showUndoToast(`Sequence "${sequence.name}" moved to trash`, result && result.trashId);
         
         // Clear current sequence if it was this one
         if (state.currentSequence && state.currentSequence.sequenceId === sequenceId) {
@@ -241,8 +244,11 @@ export async function playNextPosition() {
     
     const position = positionsList.find(p => p.id === nextPosition.id);
     if (position) {
-        // Animate to next position
-        await animateToPosition(position.id, false);
+        broadcast('sequenceStep', { sequenceId: sequence.id, index: nextIndex });
+        
+        // Animate to next position (with the scenario's paths and timing, going from its start to its end)
+        const scenario = nextPosition.type === 'scenario-end' ? getScenarios().find(s => s.id === nextPosition.scenarioId) : null;
+        await animateToPosition(position.id, false, scenario ? { paths: scenario.paths, timing: scenario.timing } : {});
         
         // Update current sequence
         setCurrentSequence({
@@ -286,6 +292,8 @@ export async function playPreviousPosition() {
     
     const position = positionsList.find(p => p.id === prevPosition.id);
     if (position) {
+        broadcast('sequenceStep', { sequenceId: sequence.id, index: prevIndex });
+        
         // Animate to previous position
         await animateToPosition(position.id, false);
         
@@ -337,6 +345,8 @@ export async function startSequencePlayback() {
     const positionsList = getPositions();
     const position = positionsList.find(p => p.id === firstPosition.id);
     if (position) {
+        broadcast('sequenceStep', { sequenceId: sequence.id, index: 0 });
+        
         // For the first position, just load it (no animation from nothing)
         const { loadPosition } = await import('./positions.js');
         loadPosition(position.id, false);
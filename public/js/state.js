@@ -2,6 +2,17 @@
 
 const STORAGE_KEY_LOADED_ITEM = 'volleyball-coach-loaded-item';
 const STORAGE_KEY_COURT_ROTATION = 'volleyball-coach-court-rotation';
+const STORAGE_KEY_FULL_COURT = 'volleyball-coach-full-court';
+const STORAGE_KEY_SHOW_ZONES = 'volleyball-coach-show-zones';
+const STORAGE_KEY_SNAP_TO_ZONES = 'volleyball-coach-snap-to-zones';
+const STORAGE_KEY_PLAYBACK_SPEED = 'volleyball-coach-playback-speed';
+
+// Court positions are read back from CSS percentages, so allow for rounding when comparing
+// them with saved coordinates (e.g. after undoing back to where a player was saved)
+const POSITION_TOLERANCE = 0.01;
+
+// Playback speeds offered in the speed selector (a stored speed that isn't one of them is ignored)
+export const PLAYBACK_SPEEDS = [0.25, 0.5, 1, 1.5, 2];
 
 // Save loaded item to localStorage
 function saveLoadedItem(item) {
@@ -38,6 +49,9 @@ export const state = {
     sequences: [], // Array of sequence objects { id, name, scenarioIds[] }
     savedPositions: {}, // Legacy format for backward compatibility
     playerElements: new Map(), // Map player ID to DOM element
+    ballElement: null, // Ball marker on the court (saved with positions as ball: { x, y })
+    opponentElements: new Map(), // Map opponent ID to DOM element (saved with positions as opponents[])
+    annotations: [], // Drawings on the court: [{ id, type, points[], text? }] in base coordinates
     draggedPlayer: null,
     draggedElement: null,
     isAnimating: false,
@@ -50,6 +64,8 @@ export const state = {
     currentSequence: null, // { sequenceId: string, currentScenarioIndex: number }
     selectedStartPosition: null, // { id: string, name: string, ... }
     selectedEndPosition: null, // { id: string, name: string, ... }
+    scenarioPaths: {}, // The scenario's player paths as edited: { [playerId]: [{ x, y }] waypoints }
+    scenarioTiming: null, // The scenario's timing as edited: { duration, easing, delays }, or null for the default
     draggedPosition: null, // Position being dragged
     draggedScenario: null, // Scenario being dragged
     courtRotation: (() => {
@@ -67,6 +83,39 @@ export const state = {
         }
         return 0; // Default to 0
     })(), // Court rotation in degrees: 0, 90, 180, or 270
+    fullCourt: (() => {
+        try {
+            return localStorage.getItem(STORAGE_KEY_FULL_COURT) === 'true';
+        } catch (error) {
+            console.warn('Failed to read full court view from localStorage:', error);
+            return false;
+        }
+    })(), // Show the opponent's half of the court as well as ours
+    showZones: (() => {
+        try {
+            return localStorage.getItem(STORAGE_KEY_SHOW_ZONES) === 'true';
+        } catch (error) {
+            console.warn('Failed to read zone overlay from localStorage:', error);
+            return false;
+        }
+    })(), // Draw the zones (1-6) and sub-zones over our half
+    snapToZones: (() => {
+        try {
+            return localStorage.getItem(STORAGE_KEY_SNAP_TO_ZONES) === 'true';
+        } catch (error) {
+            console.warn('Failed to read snap to zones from localStorage:', error);
+            return false;
+        }
+    })(), // Drop players in the middle of a sub-zone (while the zones are shown)
+    playbackSpeed: (() => {
+        try {
+            const speed = parseFloat(localStorage.getItem(STORAGE_KEY_PLAYBACK_SPEED));
+            return PLAYBACK_SPEEDS.includes(speed) ? speed : 1;
+        } catch (error) {
+            console.warn('Failed to read playback speed from localStorage:', error);
+            return 1;
+        }
+    })(), // Animations play this many times faster (0.5 is half speed)
 };
 
 // State getters
@@ -98,6 +147,18 @@ export function getPlayerElements() {
     return state.playerElements;
 }
 
+export function getOpponentElements() {
+    return state.opponentElements;
+}
+
+export function getAnnotations() {
+    return state.annotations;
+}
+
+export function getBallElement() {
+    return state.ballElement;
+}
+
 export function getCurrentLoadedItem() {
     return state.currentLoadedItem;
 }
@@ -172,6 +233,14 @@ export function setDraggedPlayer(player) {
     state.draggedPlayer = player;
 }
 
+export function setAnnotations(annotations) {
+    state.annotations = annotations;
+}
+
+export function setBallElement(element) {
+    state.ballElement = element;
+}
+
 export function setDraggedElement(element) {
     state.draggedElement = element;
 }
@@ -192,6 +261,22 @@ export function setSelectedEndPosition(position) {
     state.selectedEndPosition = position;
 }
 
+export function getScenarioPaths() {
+    return state.scenarioPaths;
+}
+
+export function setScenarioPaths(paths) {
+    state.scenarioPaths = paths || {};
+}
+
+export function getScenarioTiming() {
+    return state.scenarioTiming;
+}
+
+export function setScenarioTiming(timing) {
+    state.scenarioTiming = timing || null;
+}
+
 export function setDraggedPosition(position) {
     state.draggedPosition = position;
 }
@@ -226,6 +311,63 @@ export function setCourtRotation(rotation) {
     }
 }
 
+export function getFullCourt() {
+    return state.fullCourt;
+}
+
+export function setFullCourt(fullCourt) {
+    state.fullCourt = fullCourt;
+    // Persist to localStorage
+    try {
+        localStorage.setItem(STORAGE_KEY_FULL_COURT, fullCourt.toString());
+    } catch (error) {
+        console.warn('Failed to save full court view to localStorage:', error);
+    }
+}
+
+export function getShowZones() {
+    return state.showZones;
+}
+
+export function setShowZones(showZones) {
+    state.showZones = showZones;
+    // Persist to localStorage
+    try {
+        localStorage.setItem(STORAGE_KEY_SHOW_ZONES, showZones.toString());
+    } catch (error) {
+        console.warn('Failed to save zone overlay to localStorage:', error);
+    }
+}
+
+export function getSnapToZones() {
+    return state.snapToZones;
+}
+
+export function setSnapToZones(snapToZones) {
+    state.snapToZones = snapToZones;
+    // Persist to localStorage
+    try {
+        localStorage.setItem(STORAGE_KEY_SNAP_TO_ZONES, snapToZones.toString());
+    } catch (error) {
+        console.warn('Failed to save snap to zones to localStorage:', error);
+    }
+}
+
+export function getPlaybackSpeed() {
+    return state.playbackSpeed;
+}
+
+export function setPlaybackSpeed(playbackSpeed) {
+    if (!PLAYBACK_SPEEDS.includes(playbackSpeed)) return;
+    state.playbackSpeed = playbackSpeed;
+    // Persist to localStorage
+    try {
+        localStorage.setItem(STORAGE_KEY_PLAYBACK_SPEED, playbackSpeed.toString());
+    } catch (error) {
+        console.warn('Failed to save playback speed to localStorage:', error);
+    }
+}
+
 // Get saved court rotation from localStorage
 export function getSavedCourtRotation() {
     try {
@@ -263,13 +405,13 @@ export async function checkForModifications() {
     // Get current player positions on court
     const currentCourtPositions = [];
     // Import conversion function - use dynamic import to avoid circular dependency
-    const { percentToCoordinate, convertDisplayedToBaseCoordinates } = await import('./court.js');
+    const { percentToCoordinate, convertDisplayedToBaseCoordinates, getBallCoordinates, getOpponentPositions } = await import('./court.js');
     state.playerElements.forEach((element, playerId) => {
         const player = state.players.find(p => p.id === playerId);
         if (player) {
             // Convert from percentage back to 600x600 coordinate system (displayed coordinates)
             const displayedX = percentToCoordinate(element.style.left) || 0;
-            const displayedY = percentToCoordinate(element.style.top) || 0;
+            const displayedY = percentToCoordinate(element.style.top, 'y') || 0;
             // Convert displayed coordinates back to base (0°) coordinates for comparison
             const baseCoords = convertDisplayedToBaseCoordinates(displayedX, displayedY);
             currentCourtPositions.push({
@@ -282,8 +424,34 @@ export async function checkForModifications() {
         }
     });
     
-    // Compare with saved position
-    const savedPositions = currentPosition.playerPositions || [];
+    // Compare with saved position (as shown on the court, with the libero in for back-row middles)
+    const { resolvePlayerPositions } = await import('./libero.js');
+    const savedPositions = resolvePlayerPositions(currentPosition);
+    
+    // Check if the ball was added, removed or moved
+    const currentBall = getBallCoordinates();
+    const savedBall = currentPosition.ball || null;
+    if (!currentBall !== !savedBall || (currentBall && (currentBall.x !== savedBall.x || currentBall.y !== savedBall.y))) {
+        state.isModified = true;
+        return;
+    }
+    
+    // Check if drawings were added or erased (they're replaced, never changed in place)
+    if (JSON.stringify(state.annotations) !== JSON.stringify(currentPosition.annotations || [])) {
+        state.isModified = true;
+        return;
+    }
+    
+    // Check if opponents were added, removed, renamed or moved
+    const currentOpponents = getOpponentPositions();
+    const savedOpponents = currentPosition.opponents || [];
+    if (currentOpponents.length !== savedOpponents.length || currentOpponents.some(current => {
+        const saved = savedOpponents.find(opponent => opponent.id === current.id);
+        return !saved || saved.label !== current.label || saved.x !== current.x || saved.y !== current.y;
+    })) {
+        state.isModified = true;
+        return;
+    }
     
     // Check if counts match
     if (currentCourtPositions.length !== savedPositions.length) {
@@ -299,7 +467,7 @@ export async function checkForModifications() {
     
     for (const currentPos of currentCourtPositions) {
         const savedPos = savedPosMap.get(currentPos.playerId);
-        if (!savedPos || savedPos.x !== currentPos.x || savedPos.y !== currentPos.y) {
+        if (!savedPos || Math.abs(savedPos.x - currentPos.x) > POSITION_TOLERANCE || Math.abs(savedPos.y - currentPos.y) > POSITION_TOLERANCE) {
             state.isModified = true;
             return;
         }
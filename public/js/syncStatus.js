@@ -0,0 +1,67 @@
+// Sync status module - show when the app is working offline and how many changes
+// are waiting to be sent, and reload the data once they've been synced
+
+import * as db from '../db.js';
+import { alert } from './modal.js';
+import { reloadAllData } from './liveSync.js';
+
+const COLLECTION_LABELS = {
+    players: 'player',
+    positions: 'position',
+    rotations: 'rotation',
+    scenarios: 'scenario',
+    sequences: 'sequence'
+};
+
+// Start showing the sync status (API mode only)
+export function initSyncStatus() {
+    if (!document.getElementById('sync-status')) return;
+
+    db.onSyncStatusChange(handleSyncStatus);
+
+    // Send changes made offline in an earlier session
+    db.syncPendingChanges();
+}
+
+async function handleSyncStatus(status) {
+    updateSyncIndicator(status);
+
+    // Conflict resolutions and changes from other devices may have come down with the sync
+    if (status.synced) {
+        try {
+            await reloadAllData();
+        } catch (error) {
+            console.error('Error reloading data after sync:', error);
+        }
+    }
+
+    if (status.failed && status.failed.length > 0) {
+        const lines = status.failed.map(change =>
+            `${COLLECTION_LABELS[change.collection] || change.collection}: ${change.error}`
+        );
+        await alert(`Some changes made offline could not be saved (${lines.join('; ')})`, 'Sync');
+    }
+}
+
+function updateSyncIndicator(status) {
+    const indicator = document.getElementById('sync-status');
+    const text = document.getElementById('sync-status-text');
+    if (!indicator || !text) return;
+
+    const pending = status.pending === 1 ? '1 change' : `${status.pending} changes`;
+    let label = '';
+    if (status.syncing && status.pending > 0) {
+        label = `Syncing ${pending}...`;
+    } else if (!status.online) {
+        label = status.pending > 0 ? `Offline - ${pending} to sync` : 'Offline';
+    } else if (status.pending > 0) {
+        label = `${pending} to sync`;
+    }
+
+    text.textContent = label;
+    indicator.title = status.online
+        ? 'Changes are being sent to the server'
+        : 'The server can\'t be reached. Changes are saved on this device and synced when you\'re back online.';
+    indicator.classList.toggle('offline', !status.online);
+    indicator.classList.toggle('hidden', !label);
+}
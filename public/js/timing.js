@@ -0,0 +1,214 @@
+// Timing module - how a scenario plays: how long it takes, when each player sets off and the easing
+// A scenario's timing is saved on it as timing: { duration, easing, delays: { [playerId]: ms } }
+// (scenarios without one take 1 second with everyone setting off at once). The playback speed
+// is a setting of this device, not of a scenario: it speeds up or slows down every animation,
+// e.g. to walk the players through a play at half speed.
+
+import { state, getPlayers, getSelectedStartPosition, getScenarioTiming, setScenarioTiming, getPlaybackSpeed, setPlaybackSpeed, PLAYBACK_SPEEDS } from './state.js';
+import { dom } from './dom.js';
+import { resolvePlayerPositions } from './libero.js';
+import { alert, customModal, hideModal } from './modal.js';
+
+// How long players take to move when a scenario doesn't say (see .player-container.animating)
+const DEFAULT_DURATION = 1000;
+const DEFAULT_EASING = 'ease';
+const MIN_DURATION = 200;
+const MAX_DURATION = 10000;
+const MAX_DELAY = 10000;
+
+// Easings by their CSS name, with the same curve for moves worked out frame by frame
+const EASINGS = {
+    'ease': { label: 'Ease (gentle start and finish)', curve: [0.25, 0.1, 0.25, 1] },
+    'linear': { label: 'Linear (steady pace)', curve: [0, 0, 1, 1] },
+    'ease-in': { label: 'Ease in (accelerate)', curve: [0.42, 0, 1, 1] },
+    'ease-out': { label: 'Ease out (slow down at the end)', curve: [0, 0, 0.58, 1] },
+    'ease-in-out': { label: 'Ease in and out', curve: [0.42, 0, 0.58, 1] }
+};
+
+// Helper function to escape HTML
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
+
+// Wire the playback speed selector and the Timing button
+export function initTiming() {
+    if (dom.playbackSpeedSelect) {
+        dom.playbackSpeedSelect.innerHTML = PLAYBACK_SPEEDS
+            .map(speed => `<option value="${speed}">${speed}×</option>`)
+            .join('');
+        dom.playbackSpeedSelect.value = String(getPlaybackSpeed());
+        dom.playbackSpeedSelect.addEventListener('change', () => {
+            setPlaybackSpeed(parseFloat(dom.playbackSpeedSelect.value));
+        });
+    }
+    if (dom.editTimingBtn) {
+        dom.editTimingBtn.addEventListener('click', openTimingEditor);
+    }
+}
+
+/**
+ * Fill in a scenario's timing with the defaults
+ * @param {Object|null} timing - { duration, easing, delays }, as saved on the scenario
+ * @returns {Object} { duration, easing, delays } (only players who wait are in delays)
+ */
+function normalizeTiming(timing) {
+    const duration = timing && timing.duration >= MIN_DURATION && timing.duration <= MAX_DURATION
+        ? Math.round(timing.duration)
+        : DEFAULT_DURATION;
+    const easing = timing && EASINGS[timing.easing] ? timing.easing : DEFAULT_EASING;
+    const delays = {};
+    Object.entries((timing && timing.delays) || {}).forEach(([playerId, delay]) => {
+        if (delay > 0) {
+            delays[playerId] = Math.min(Math.round(delay), MAX_DELAY);
+        }
+    });
+    return { duration, easing, delays };
+}
+
+/**
+ * The timing to save on a scenario (null when it's the default, so it isn't saved)
+ * @param {Object|null} timing - { duration, easing, delays }
+ * @returns {Object|null}
+ */
+export function getTimingToSave(timing) {
+    const normalized = normalizeTiming(timing);
+    const isDefault = normalized.duration === DEFAULT_DURATION && normalized.easing === DEFAULT_EASING &&
+        Object.keys(normalized.delays).length === 0;
+    return isDefault ? null : normalized;
+}
+
+// Whether two scenarios' timings are the same
+export function timingEqual(a, b) {
+    return JSON.stringify(getTimingToSave(a)) === JSON.stringify(getTimingToSave(b));
+}
+
+/**
+ * Get the timing to play a scenario with, at the playback speed
+ * @param {Object|null} timing - The scenario's timing, or null for the default
+ * @returns {Object} { duration, easing, getDelay(playerId), total } in milliseconds
+ *     (total is how long until the last player is in place)
+ */
+export function getPlaybackTiming(timing) {
+    const { duration, easing, delays } = normalizeTiming(timing);
+    const speed = getPlaybackSpeed();
+    const longestDelay = Math.max(0, ...Object.values(delays));
+    return {
+        duration: duration / speed,
+        easing,
+        getDelay: (playerId) => (delays[playerId] || 0) / speed,
+        total: (duration + longestDelay) / speed
+    };
+}
+
+/**
+ * Get an easing as a function, for moves worked out frame by frame (the same curve as the CSS easing)
+ * @param {string} easing - CSS name of the easing, e.g. 'ease-in'
+ * @returns {Function} Takes how far through the move it is in time (0-1), returns how far along (0-1)
+ */
+export function getEasingFunction(easing) {
+    const [x1, y1, x2, y2] = (EASINGS[easing] || EASINGS[DEFAULT_EASING]).curve;
+    const bezier = (a1, a2, t) => 3 * a1 * (1 - t) * (1 - t) * t + 3 * a2 * (1 - t) * t * t + t * t * t;
+    return (progress) => {
+        if (progress <= 0) return 0;
+        if (progress >= 1) return 1;
+        // Find the point on the curve that far through in time (the curve's x only ever increases)
+        let low = 0;
+        let high = 1;
+        let t = progress;
+        for (let i = 0; i < 20; i++) {
+            t = (low + high) / 2;
+            if (bezier(x1, x2, t) < progress) {
+                low = t;
+            } else {
+                high = t;
+            }
+        }
+        return bezier(y1, y2, t);
+    };
+}
+
+// Set how long the scenario takes, the easing and when each player sets off
+export async function openTimingEditor() {
+    const startPos = getSelectedStartPosition();
+    if (!startPos) {
+        await alert('Put a position in the "Start Position" drop zone first');
+        return;
+    }
+
+    const timing = normalizeTiming(getScenarioTiming());
+    const players = resolvePlayerPositions(startPos).map(pos => {
+        const player = getPlayers().find(p => p.id === pos.playerId) || pos;
+        const label = player.jersey ? `#${player.jersey} ${player.name || ''}` : (player.name || '');
+        return { playerId: pos.playerId, label: label.trim() };
+    });
+
+    const bodyHtml = `
+        <div class="modal-form-container">
+            <div class="modal-form-group">
+                <label class="modal-label" for="timing-duration">Duration (seconds)</label>
+                <input type="number" id="timing-duration" class="modal-input" value="${timing.duration / 1000}" min="${MIN_DURATION / 1000}" max="${MAX_DURATION / 1000}" step="0.1">
+                <div class="timing-hint">How long each player takes to get to their spot.</div>
+            </div>
+            <div class="modal-form-group">
+                <label class="modal-label" for="timing-easing">Easing</label>
+                <select id="timing-easing" class="modal-input">
+                    ${Object.entries(EASINGS).map(([key, easing]) => `<option value="${key}" ${key === timing.easing ? 'selected' : ''}>${easing.label}</option>`).join('')}
+                </select>
+            </div>
+            <div class="modal-form-group">
+                <label class="modal-label">Start delay (seconds)</label>
+                <div class="timing-delays">
+                    ${players.map(player => `
+                        <label class="timing-delay">
+                            <span>${escapeHtml(player.label)}</span>
+                            <input type="number" class="modal-input" data-player-id="${escapeHtml(player.playerId)}" value="${(timing.delays[player.playerId] || 0) / 1000}" min="0" max="${MAX_DELAY / 1000}" step="0.1">
+                        </label>
+                    `).join('')}
+                </div>
+                <div class="timing-hint">Players wait this long before they set off, e.g. so the setter releases before the hitters approach.</div>
+            </div>
+            <div class="settings-error" id="timing-error"></div>
+        </div>
+    `;
+
+    const footerHtml = `
+        <button class="modal-btn modal-btn-secondary" id="timing-cancel-btn">Cancel</button>
+        <button class="modal-btn modal-btn-primary" id="timing-apply-btn">Apply</button>
+    `;
+
+    // The modal Promise only resolves when it's closed, so don't wait for it
+    customModal('Scenario Timing', bodyHtml, footerHtml);
+
+    document.getElementById('timing-cancel-btn').addEventListener('click', hideModal);
+    document.getElementById('timing-apply-btn').addEventListener('click', async () => {
+        const duration = parseFloat(document.getElementById('timing-duration').value) * 1000;
+        const easing = document.getElementById('timing-easing').value;
+        const delays = {};
+        let error = !(duration >= MIN_DURATION && duration <= MAX_DURATION)
+            ? `Duration must be between ${MIN_DURATION / 1000} and ${MAX_DURATION / 1000} seconds`
+            : null;
+        document.querySelectorAll('.timing-delay input').forEach(input => {
+            const delay = parseFloat(input.value || '0') * 1000;
+            if (!(delay >= 0 && delay <= MAX_DELAY)) {
+                error = error || `Start delays must be between 0 and ${MAX_DELAY / 1000} seconds`;
+            } else if (delay > 0) {
+                delays[input.dataset.playerId] = delay;
+            }
+        });
+
+        // Shown in the form, so the values aren't lost
+        document.getElementById('timing-error').textContent = error || '';
+        if (error) return;
+
+        setScenarioTiming(getTimingToSave({ duration, easing, delays }));
+        hideModal();
+
+        // Changing the timing changes the scenario
+        const { checkScenarioModifications } = await import('./scenarios.js');
+        const { updateModifiedIndicator } = await import('./ui.js');
+        checkScenarioModifications();
+        updateModifiedIndicator(state.isModified);
+    });
+}
@@ -0,0 +1,207 @@
+// Transforms module - mirror, shift and spread out (or pull in) the formation on the court
+// Transforms work in base (0°) coordinates, so they mean the same thing whichever way the court
+// is turned: mirroring swaps left and right as seen from our baseline, facing the net.
+// The result stays on the court as an unsaved change, to be saved over the position or as a new one.
+
+import { getPlayerElements, getAnnotations } from './state.js';
+import {
+    moveElementTo,
+    getElementCoordinates,
+    getElementBounds,
+    getOpponentPositions,
+    placeOpponentOnCourt,
+    getBallCoordinates,
+    placeBallOnCourt,
+    updateModifiedAfterChange,
+    UNITS_PER_FOOT
+} from './court.js';
+import { showAnnotations } from './annotations.js';
+import { getSelectedPlayerElements } from './selection.js';
+import { recordCourtChange } from './undo.js';
+import { alert, customModal, hideModal } from './modal.js';
+
+const COURT_WIDTH = 600;
+
+// Points the spacing can be scaled around (base coordinates; the players' center is worked out)
+const SCALE_CENTERS = {
+    players: { label: "The players' center" },
+    court: { label: 'The middle of our court', x: 300, y: 300 },
+    net: { label: 'The middle of the net', x: 300, y: 0 }
+};
+
+/**
+ * Mirror the formation left to right (across the middle of the court)
+ * When the whole court is mirrored, the opponents, the ball and the drawings are mirrored too,
+ * so routes and targets still match
+ * @param {Array<HTMLElement>} playerElements - Players to mirror
+ * @param {boolean} wholeCourt - Whether everything on the court is mirrored, not just some players
+ */
+export function mirrorHorizontally(playerElements, wholeCourt = true) {
+    playerElements.forEach(element => {
+        const { x, y } = getElementCoordinates(element);
+        moveElementTo(element, COURT_WIDTH - x, y);
+    });
+    if (!wholeCourt) return;
+
+    getOpponentPositions().forEach(opponent => {
+        placeOpponentOnCourt(opponent, COURT_WIDTH - opponent.x, opponent.y);
+    });
+
+    const ball = getBallCoordinates();
+    if (ball) {
+        placeBallOnCourt(COURT_WIDTH - ball.x, ball.y);
+    }
+
+    showAnnotations(getAnnotations().map(annotation => ({
+        ...annotation,
+        points: (annotation.points || []).map(point => ({ x: COURT_WIDTH - point.x, y: point.y }))
+    })));
+}
+
+/**
+ * Move players by the same distance (players who would leave the court stop at its edge)
+ * @param {Array<HTMLElement>} playerElements - Players to move
+ * @param {number} dx - Distance to the right, in base coordinates
+ * @param {number} dy - Distance away from the net, in base coordinates
+ */
+export function shiftPlayers(playerElements, dx, dy) {
+    playerElements.forEach(element => {
+        const { x, y } = getElementCoordinates(element);
+        moveWithinCourt(element, x + dx, y + dy);
+    });
+}
+
+/**
+ * Spread players out from a point, or pull them in toward it
+ * @param {Array<HTMLElement>} playerElements - Players to move
+ * @param {number} factor - 1.2 spreads them 20% further apart, 0.8 brings them 20% closer
+ * @param {Object} center - { x, y } in base coordinates
+ */
+export function scaleSpacing(playerElements, factor, center) {
+    playerElements.forEach(element => {
+        const { x, y } = getElementCoordinates(element);
+        moveWithinCourt(element, center.x + (x - center.x) * factor, center.y + (y - center.y) * factor);
+    });
+}
+
+// Open the transform tool for what's on the court
+export async function openTransformTool() {
+    if (getPlayerElements().size === 0) {
+        await alert('Put some players on the court first');
+        return;
+    }
+
+    const selectedCount = getSelectedPlayerElements().length;
+    const bodyHtml = `
+        <div class="modal-form-container">
+            <div class="modal-form-group">
+                <label class="transform-option">
+                    <input type="checkbox" id="transform-mirror">
+                    Mirror left to right
+                </label>
+                <div class="transform-hint">Opponents, the ball and drawings are mirrored too (unless only selected players are).</div>
+            </div>
+            <div class="modal-form-group">
+                <label class="modal-label">Shift (feet)</label>
+                <div class="transform-row">
+                    <label>Right <input type="number" id="transform-shift-x" class="modal-input" value="0" step="0.5"></label>
+                    <label>Back <input type="number" id="transform-shift-y" class="modal-input" value="0" step="0.5"></label>
+                </div>
+                <div class="transform-hint">Use negative numbers to move left or toward the net.</div>
+            </div>
+            <div class="modal-form-group">
+                <label class="modal-label">Spacing (%)</label>
+                <div class="transform-row">
+                    <input type="number" id="transform-scale" class="modal-input" value="100" min="10" max="300" step="5">
+                    <label>around
+                        <select id="transform-scale-center" class="modal-input">
+                            ${Object.entries(SCALE_CENTERS).map(([key, center]) => `<option value="${key}">${center.label}</option>`).join('')}
+                        </select>
+                    </label>
+                </div>
+                <div class="transform-hint">Over 100% spreads the players out, under 100% brings them closer together.</div>
+            </div>
+            ${selectedCount > 0 ? `
+            <div class="modal-form-group">
+                <label class="transform-option">
+                    <input type="checkbox" id="transform-selected" checked>
+                    Only the ${selectedCount} selected player${selectedCount === 1 ? '' : 's'}
+                </label>
+            </div>
+            ` : ''}
+            <div class="settings-error" id="transform-error"></div>
+        </div>
+    `;
+
+    const footerHtml = `
+        <button class="modal-btn modal-btn-secondary" id="transform-cancel-btn">Cancel</button>
+        <button class="modal-btn modal-btn-secondary" id="transform-save-as-btn">Apply &amp; Save As</button>
+        <button class="modal-btn modal-btn-primary" id="transform-apply-btn">Apply</button>
+    `;
+
+    // The modal Promise only resolves when it's closed, so don't wait for it
+    customModal('Transform Position', bodyHtml, footerHtml);
+
+    const apply = () => {
+        const mirror = document.getElementById('transform-mirror').checked;
+        const shiftX = parseFloat(document.getElementById('transform-shift-x').value) || 0;
+        const shiftY = parseFloat(document.getElementById('transform-shift-y').value) || 0;
+        const scale = parseFloat(document.getElementById('transform-scale').value);
+        const centerKey = document.getElementById('transform-scale-center').value;
+        const selectedOnly = document.getElementById('transform-selected');
+
+        // Shown in the form, so the values aren't lost
+        const error = !(scale >= 10 && scale <= 300) ? 'Spacing must be between 10% and 300%' : null;
+        document.getElementById('transform-error').textContent = error || '';
+        if (error) return null;
+
+        const onlySelected = !!selectedOnly && selectedOnly.checked;
+        const players = onlySelected ? getSelectedPlayerElements() : [...getPlayerElements().values()];
+
+        recordCourtChange();
+        // Mirror first, so shifting right means right in the mirrored formation
+        if (mirror) {
+            mirrorHorizontally(players, !onlySelected);
+        }
+        if (scale !== 100) {
+            scaleSpacing(players, scale / 100, getScaleCenter(centerKey, players));
+        }
+        if (shiftX !== 0 || shiftY !== 0) {
+            shiftPlayers(players, shiftX * UNITS_PER_FOOT, shiftY * UNITS_PER_FOOT);
+        }
+        updateModifiedAfterChange();
+        hideModal();
+        return { mirror };
+    };
+
+    document.getElementById('transform-cancel-btn').addEventListener('click', hideModal);
+    document.getElementById('transform-apply-btn').addEventListener('click', apply);
+    document.getElementById('transform-save-as-btn').addEventListener('click', async () => {
+        const applied = apply();
+        if (!applied) return;
+
+        const { createPositionFromModal } = await import('./positions.js');
+        await createPositionFromModal(true, applied.mirror ? 'Mirrored' : 'Copy', applied.mirror);
+    });
+}
+
+function getScaleCenter(key, playerElements) {
+    const center = SCALE_CENTERS[key];
+    if (key !== 'players') return { x: center.x, y: center.y };
+
+    const points = playerElements.map(element => getElementCoordinates(element));
+    return {
+        x: points.reduce((sum, point) => sum + point.x, 0) / points.length,
+        y: points.reduce((sum, point) => sum + point.y, 0) / points.length
+    };
+}
+
+// Round to whole court units, like positions dragged into place, and keep the player on the court
+function moveWithinCourt(element, x, y) {
+    const bounds = getElementBounds(element);
+    moveElementTo(
+        element,
+        Math.max(bounds.minX, Math.min(Math.round(x), bounds.maxX)),
+        Math.max(bounds.minY, Math.min(Math.round(y), bounds.maxY))
+    );
+}
@@ -0,0 +1,129 @@
+// Trash module - restore or permanently delete soft-deleted items
+
+import * as db from '../db.js';
+import { setPlayers, setPositions, setRotations, setScenarios, setSequences } from './state.js';
+import { dom } from './dom.js';
+import { renderLineup, renderPositionsList, renderScenariosList, renderSequencesList, renderTrashList, canEdit } from './ui.js';
+import { updateScenarioSelects } from './scenarios.js';
+import { alert, confirm } from './modal.js';
+
+// How long the undo toast stays up after a delete
+const UNDO_TOAST_DURATION = 8000;
+
+let undoToastTimer = null;
+
+// Set up the Trash accordion (only available when data is stored on the server,
+// and only to roles that can edit, since restoring is an edit)
+export function initTrash() {
+    const accordion = document.querySelector('[data-accordion="trash"]');
+    if (!accordion) return;
+
+    if (!db.isTrashAvailable() || !canEdit()) {
+        accordion.style.display = 'none';
+        return;
+    }
+
+    // Refresh whenever the accordion is opened
+    const header = accordion.querySelector('.accordion-header');
+    if (header) {
+        header.addEventListener('click', () => {
+            if (accordion.classList.contains('active')) {
+                renderTrashList();
+            }
+        });
+    }
+
+    renderTrashList();
+}
+
+// Reload everything a restore can bring back and re-render the lists
+async function reloadAfterRestore() {
+    const [players, positions, rotations, scenarios, sequences] = await Promise.all([
+        db.getAllPlayers(),
+        db.getAllPositionsNew(),
+        db.getAllRotations(),
+        db.getAllScenarios(),
+        db.getAllSequences()
+    ]);
+
+    setPlayers(players);
+    setPositions(positions);
+    setRotations(rotations);
+    setScenarios(scenarios);
+    setSequences(sequences);
+
+    renderLineup();
+    renderPositionsList();
+    renderScenariosList();
+    updateScenarioSelects();
+    renderSequencesList();
+}
+
+// Restore an item (and the scenarios and sequence items deleted with it)
+export async function restoreTrashItem(trashId) {
+    try {
+        await db.restoreFromTrash(trashId);
+        await reloadAfterRestore();
+        renderTrashList();
+    } catch (error) {
+        console.error('Error restoring item:', error);
+        await alert('Error restoring item: ' + error.message);
+    }
+}
+
+// Permanently delete an item from the trash
+export async function deleteTrashItem(entry) {
+    const confirmed = await confirm(`Permanently delete "${entry.name}"? This cannot be undone.`, 'Delete Forever');
+    if (!confirmed) {
+        return;
+    }
+
+    try {
+        await db.deleteFromTrash(entry.id);
+        renderTrashList();
+    } catch (error) {
+        console.error('Error deleting item:', error);
+        await alert('Error deleting item: ' + error.message);
+    }
+}
+
+/**
+ * Show a short-lived "moved to trash" message with an Undo button
+ * @param {string} message - Text to show
+ * @param {string} trashId - Trash entry returned by the delete (no toast without one)
+ */
+export function showUndoToast(message, trashId) {
+    if (!trashId) return;
+
+    hideUndoToast();
+
+    const toast = document.createElement('div');
+    toast.className = 'undo-toast';
+    toast.id = 'undo-toast';
+    toast.innerHTML = `
+        <span class="undo-toast-message"></span>
+        <button class="undo-toast-btn">Undo</button>
+    `;
+    toast.querySelector('.undo-toast-message').textContent = message;
+    toast.querySelector('.undo-toast-btn').addEventListener('click', async () => {
+        hideUndoToast();
+        await restoreTrashItem(trashId);
+    });
+
+    document.body.appendChild(toast);
+    undoToastTimer = setTimeout(hideUndoToast, UNDO_TOAST_DURATION);
+
+    // Keep the Trash list current if it's open
+    if (dom.trashList) {
+        renderTrashList();
+    }
+}
+
+function hideUndoToast() {
+    clearTimeout(undoToastTimer);
+    undoToastTimer = null;
+    const existing = document.getElementById('undo-toast');
+    if (existing) {
+        existing.remove();
+    }
+}
@@ -1,6 +1,7 @@
 // UI rendering and updates
 
-import { state, getPlayers, getSavedPositions, getPlayerElements, getPositions, getScenarios, getSequences, getCurrentLoadedItem, setDraggedPlayer, setDraggedPosition, setDraggedScenario, setSelectedStartPosition, setSelectedEndPosition, getSelectedStartPosition, getSelectedEndPosition, setCurrentLoadedItem, setIsModified } from './state.js';
+import { hasPermission } from '../db.js';
+import { state, getPlayers, getSavedPositions, getPlayerElements, getPositions, getScenarios, getSequences, getCurrentLoadedItem, setDraggedPlayer, setDraggedPosition, setDraggedScenario, setSelectedStartPosition, setSelectedEndPosition, getSelectedStartPosition, getSelectedEndPosition, setCurrentLoadedItem, setIsModified, setScenarioPaths, setScenarioTiming } from './state.js';
 
 // Tag filter state
 let selectedTags = new Set();
@@ -37,8 +38,14 @@ import { deletePlayer } from './players.js';
 import { loadPosition, deletePosition as deletePositionNew, editPosition } from './positions.js';
 import { loadScenario, playScenario, deleteScenario, editScenario } from './scenarios.js';
 import { loadSequence, deleteSequence } from './sequences.js';
+import { restoreTrashItem, deleteTrashItem } from './trash.js';
 import { createSearchAndTagsFilter } from './searchAndTags.js';
 import { addTapListener, isTouchDevice } from './touchUtils.js';
+import { validatePosition, updateOverlapWarnings } from './rotationRules.js';
+import { getGhostZone, toggleGhost, renderGhost } from './ghost.js';
+import { matchZoneSearch } from './zones.js';
+import { renderPaths } from './paths.js';
+import { PLAYER_ROLES, getPlayerRoles, getRolesLabel, getPositionRoles } from './playerRoles.js';
 
 // Helper function to check if we're in mobile mode (matches CSS media query: max-width: 1024px and orientation: portrait)
 function isMobileView() {
@@ -100,25 +107,65 @@ function isViewOnlyMode() {
     return window.isViewOnlyMode === true;
 }
 
+// Helper functions to check what the user's role allows (nothing in view-only mode)
+export function canEdit() {
+    return !isViewOnlyMode() && hasPermission('edit');
+}
+
+export function canDelete() {
+    return !isViewOnlyMode() && hasPermission('delete');
+}
+
+// Hide the controls for creating and saving items when the user's role is read-only
+export function applyRolePermissions() {
+    if (canEdit()) return;
+    
+    if (dom.addPlayerBtn) dom.addPlayerBtn.style.display = 'none';
+    if (dom.newPositionBtn) dom.newPositionBtn.style.display = 'none';
+    if (dom.generateRotationsBtn) dom.generateRotationsBtn.style.display = 'none';
+    if (dom.createSequenceBtn) dom.createSequenceBtn.style.display = 'none';
+    if (dom.saveBtn) dom.saveBtn.style.display = 'none';
+    if (dom.saveAsBtn) dom.saveAsBtn.style.display = 'none';
+    if (dom.discardBtn) dom.discardBtn.style.display = 'none';
+    if (dom.undoControls) dom.undoControls.style.display = 'none';
+    if (dom.importBtn) dom.importBtn.style.display = 'none';
+    if (dom.courtBallBtn) dom.courtBallBtn.style.display = 'none';
+    if (dom.courtOpponentBtn) dom.courtOpponentBtn.style.display = 'none';
+    if (dom.courtTransformBtn) dom.courtTransformBtn.style.display = 'none';
+    if (dom.courtSnapBtn) dom.courtSnapBtn.style.display = 'none';
+    if (dom.editPathsBtn) dom.editPathsBtn.style.display = 'none';
+    if (dom.editTimingBtn) dom.editTimingBtn.style.display = 'none';
+    if (dom.annotationToolbar) dom.annotationToolbar.style.display = 'none';
+    if (dom.jerseyInput) dom.jerseyInput.disabled = true;
+    if (dom.nameInput) dom.nameInput.disabled = true;
+    
+    document.body.classList.add('read-only-role');
+}
+
 // Render lineup
 export function renderLineup() {
     dom.lineupList.innerHTML = '';
     
     const players = getPlayers();
-    const viewOnlyMode = isViewOnlyMode();
+    const editAllowed = canEdit();
+    const deleteAllowed = canDelete();
     players.forEach((player, index) => {
         const item = document.createElement('div');
         item.className = 'player-lineup-item';
-        item.draggable = !viewOnlyMode;
+        item.draggable = editAllowed;
         item.dataset.playerId = player.id;
         item.dataset.playerIndex = index;
+        const roles = getPlayerRoles(player);
         item.innerHTML = `
             <div class="player-jersey">${player.jersey}</div>
             <div class="player-name">${player.name}</div>
-            ${!viewOnlyMode ? `
+            ${roles.length > 0 ? `
+            <div class="player-role-badge role-${roles[0].toLowerCase()}" title="${escapeHtml(getRolesLabel(player))}">${roles.join('/')}</div>
+            ` : ''}
+            ${editAllowed || deleteAllowed ? `
             <div class="player-actions">
-                <button class="edit-player-btn" title="Edit player"><i data-lucide="edit"></i></button>
-                <button class="delete-player-btn" title="Delete player">×</button>
+                ${editAllowed ? '<button class="edit-player-btn" title="Edit player"><i data-lucide="edit"></i></button>' : ''}
+                ${deleteAllowed ? '<button class="delete-player-btn" title="Delete player">×</button>' : ''}
             </div>
             ` : ''}
         `;
@@ -335,6 +382,13 @@ export function initFilters() {
         getAllItems: () => getPositions(),
         getItemTags: (position) => position.tags || [],
         getItemName: (position) => position.name,
+        facet: {
+            title: 'Roles',
+            getOptions: () => Object.entries(PLAYER_ROLES).map(([value, label]) => ({ value, label })),
+            getItemValues: (position) => getPositionRoles(position)
+        },
+        // "#7 in zone 5" finds the positions where #7 is in zone 5
+        matchSearch: (position, searchTerm) => matchZoneSearch(position, searchTerm),
         onFilterChange: () => {
             renderPositionsList();
             renderMobilePositionsList();
@@ -380,7 +434,7 @@ function updateMobileTagFilterBadge() {
     if (!dom.mobileTagFilterBadge || !positionFilter) return;
     
     const selectedTags = positionFilter.getSelectedTags();
-    const count = selectedTags.size;
+    const count = selectedTags.size + positionFilter.getSelectedFacetValues().size;
     
     if (count > 0) {
         dom.mobileTagFilterBadge.textContent = count;
@@ -466,11 +520,12 @@ export function renderPositionsList() {
     });
     
     // Render new format positions
-    const viewOnlyMode = isViewOnlyMode();
+    const editAllowed = canEdit();
+    const deleteAllowed = canDelete();
     filteredPositions.forEach((position, filteredIndex) => {
         const item = document.createElement('div');
         item.className = 'item-card draggable';
-        item.draggable = !viewOnlyMode;
+        item.draggable = editAllowed;
         item.dataset.positionId = position.id;
         item.dataset.positionIndex = positionIndexMap.get(position.id).originalIndex;
         if (getCurrentLoadedItem()?.type === 'position' && getCurrentLoadedItem()?.id === position.id) {
@@ -485,15 +540,20 @@ export function renderPositionsList() {
                 return `<span class="tag-badge tag-badge-dynamic tag-color-${colorIndex}">${escapeHtml(tag)}</span>`;
             }).join('')
             : '<span class="tag-badge-no-tags">No tags</span>';
+        // Flag serve-receive formations that break the overlap rules for their rotation
+        const overlap = validatePosition(position);
+        const overlapBadge = overlap && overlap.faults.length > 0
+            ? `<span class="overlap-badge" title="${escapeHtml(overlap.faults.map(fault => fault.message).join('\n'))}">Overlap</span>`
+            : '';
         item.innerHTML = `
-            <div class="item-card-name">${position.name}</div>
+            <div class="item-card-name">${position.name}${overlapBadge}</div>
             <div class="item-card-tags-container">
                 ${tagsDisplay}
             </div>
-            ${!viewOnlyMode ? `
+            ${editAllowed || deleteAllowed ? `
             <div class="item-card-actions">
-                <button class="btn-edit" title="Edit position"><i data-lucide="edit"></i></button>
-                <button class="btn-delete" title="Delete position"><i data-lucide="trash-2"></i></button>
+                ${editAllowed ? '<button class="btn-edit" title="Edit position"><i data-lucide="edit"></i></button>' : ''}
+                ${deleteAllowed ? '<button class="btn-delete" title="Delete position"><i data-lucide="trash-2"></i></button>' : ''}
             </div>
             ` : ''}
         `;
@@ -738,6 +798,9 @@ export function renderPositionsList() {
     
     // Also update mobile positions list
     renderMobilePositionsList();
+    
+    // Assignments and tags may have changed, so check the loaded position again
+    updateOverlapWarnings();
 }
 
 // Render scenarios list
@@ -756,11 +819,12 @@ export function renderScenariosList() {
         scenarioIndexMap.set(scen.id, originalIndex);
     });
     
-    const viewOnlyMode = isViewOnlyMode();
+    const editAllowed = canEdit();
+    const deleteAllowed = canDelete();
     filteredScenarios.forEach(scenario => {
         const item = document.createElement('div');
         item.className = 'item-card draggable';
-        item.draggable = !viewOnlyMode;
+        item.draggable = editAllowed;
         item.dataset.scenarioId = scenario.id;
         item.dataset.scenarioIndex = scenarioIndexMap.get(scenario.id);
         if (getCurrentLoadedItem()?.type === 'scenario' && getCurrentLoadedItem()?.id === scenario.id) {
@@ -788,10 +852,8 @@ export function renderScenariosList() {
             ${tagsDisplay ? `<div class="item-card-tags-container">${tagsDisplay}</div>` : ''}
             <div class="item-card-actions">
                 <button class="${playBtnClass} ${isActive ? 'btn-play-active' : 'btn-play-inactive'}" title="Play scenario"><i data-lucide="play"></i></button>
-                ${!viewOnlyMode ? `
-                <button class="btn-edit" title="Edit scenario"><i data-lucide="edit"></i></button>
-                <button class="btn-delete" title="Delete scenario"><i data-lucide="trash-2"></i></button>
-                ` : ''}
+                ${editAllowed ? '<button class="btn-edit" title="Edit scenario"><i data-lucide="edit"></i></button>' : ''}
+                ${deleteAllowed ? '<button class="btn-delete" title="Delete scenario"><i data-lucide="trash-2"></i></button>' : ''}
             </div>
         `;
         
@@ -998,11 +1060,12 @@ export function renderSequencesList() {
     
     const allSequences = getSequences();
     
-    const viewOnlyMode = isViewOnlyMode();
+    const editAllowed = canEdit();
+    const deleteAllowed = canDelete();
     allSequences.forEach((sequence, index) => {
         const item = document.createElement('div');
         item.className = 'item-card draggable';
-        item.draggable = !viewOnlyMode;
+        item.draggable = editAllowed;
         item.dataset.sequenceId = sequence.id;
         item.dataset.sequenceIndex = index;
         
@@ -1014,10 +1077,8 @@ export function renderSequencesList() {
             </div>
             <div class="item-card-actions">
                 <button class="btn-load btn-play-sequence" title="Play sequence"><i data-lucide="play"></i></button>
-                ${!viewOnlyMode ? `
-                <button class="btn-edit" title="Edit sequence"><i data-lucide="edit"></i></button>
-                <button class="btn-delete" title="Delete sequence"><i data-lucide="trash-2"></i></button>
-                ` : ''}
+                ${editAllowed ? '<button class="btn-edit" title="Edit sequence"><i data-lucide="edit"></i></button>' : ''}
+                ${deleteAllowed ? '<button class="btn-delete" title="Delete sequence"><i data-lucide="trash-2"></i></button>' : ''}
             </div>
         `;
         
@@ -1211,6 +1272,77 @@ export function renderSequencesList() {
     initializeIcons(dom.sequencesList);
 }
 
+// Labels for the item type shown on trash cards
+const TRASH_TYPE_LABELS = {
+    players: 'Player',
+    positions: 'Position',
+    rotations: 'Rotation',
+    scenarios: 'Scenario',
+    sequences: 'Sequence'
+};
+
+// Render trash (deleted items that can still be restored)
+export async function renderTrashList() {
+    if (!dom.trashList || !canEdit()) return;
+    
+    const db = await import('../db.js');
+    if (!db.isTrashAvailable()) return;
+    
+    let entries;
+    try {
+        entries = await db.getTrash();
+    } catch (error) {
+        console.error('Error loading trash:', error);
+        return;
+    }
+    
+    dom.trashList.innerHTML = '';
+    
+    const deleteAllowed = canDelete();
+    if (entries.length === 0) {
+        dom.trashList.innerHTML = '<div class="trash-empty">Trash is empty</div>';
+        return;
+    }
+    
+    entries.forEach(entry => {
+        const item = document.createElement('div');
+        item.className = 'item-card trash-item';
+        item.dataset.trashId = entry.id;
+        
+        const deletedAt = new Date(entry.deletedAt).toLocaleString();
+        const cascaded = entry.cascadedScenarios && entry.cascadedScenarios.length > 0
+            ? ` · with ${entry.cascadedScenarios.length} scenario${entry.cascadedScenarios.length === 1 ? '' : 's'}`
+            : '';
+        item.innerHTML = `
+            <div class="item-card-name">
+                <span class="trash-type-badge">${TRASH_TYPE_LABELS[entry.collection] || entry.collection}</span>
+                ${escapeHtml(entry.name)}
+            </div>
+            <div class="item-card-metadata" title="Permanently deleted on ${new Date(entry.expiresAt).toLocaleDateString()}">
+                Deleted ${deletedAt}${cascaded}
+            </div>
+            <div class="item-card-actions">
+                <button class="btn-load btn-restore" title="Restore"><i data-lucide="rotate-ccw"></i></button>
+                ${deleteAllowed ? '<button class="btn-delete" title="Delete forever"><i data-lucide="x"></i></button>' : ''}
+            </div>
+        `;
+        
+        item.querySelector('.btn-restore').addEventListener('click', () => {
+            restoreTrashItem(entry.id);
+        });
+        const deleteBtn = item.querySelector('.btn-delete');
+        if (deleteBtn) {
+            deleteBtn.addEventListener('click', () => {
+                deleteTrashItem(entry);
+            });
+        }
+        
+        dom.trashList.appendChild(item);
+    });
+    
+    initializeIcons(dom.trashList);
+}
+
 // Update current item display
 export function updateCurrentItemDisplay() {
     const item = getCurrentLoadedItem();
@@ -1244,6 +1376,10 @@ export function updateCurrentItemDisplay() {
     }
     // Update drop zones label when current item changes
     updateDropZonesLabel();
+    // Only a loaded position is checked for overlap faults
+    updateOverlapWarnings();
+    // And paths are only edited for a loaded scenario
+    renderPaths();
     // Update mobile UI
     updateMobileUI();
 }
@@ -1273,12 +1409,16 @@ export function updateScenarioButtonsVisibility() {
         if (dom.playAnimationBtn) dom.playAnimationBtn.classList.add('hidden');
         if (dom.refreshPositionBtn) dom.refreshPositionBtn.classList.add('hidden');
         if (dom.clearScenarioBtn) dom.clearScenarioBtn.classList.add('hidden');
+        if (dom.editPathsBtn) dom.editPathsBtn.classList.add('hidden');
+        if (dom.editTimingBtn) dom.editTimingBtn.classList.add('hidden');
         // Sequence buttons are handled by updateSequenceButtons
     } else if (hasScenario) {
         // Show scenario buttons, hide sequence buttons
         if (dom.playAnimationBtn) dom.playAnimationBtn.classList.remove('hidden');
         if (dom.refreshPositionBtn) dom.refreshPositionBtn.classList.remove('hidden');
         if (dom.clearScenarioBtn) dom.clearScenarioBtn.classList.remove('hidden');
+        if (dom.editPathsBtn) dom.editPathsBtn.classList.remove('hidden');
+        if (dom.editTimingBtn) dom.editTimingBtn.classList.remove('hidden');
         if (dom.sequencePlayBtn) dom.sequencePlayBtn.classList.add('hidden');
         if (dom.sequencePrevBtn) dom.sequencePrevBtn.classList.add('hidden');
         if (dom.sequenceNextBtn) dom.sequenceNextBtn.classList.add('hidden');
@@ -1328,6 +1468,12 @@ export function updateDropZoneDisplay() {
     // Update mobile UI when drop zones change
     updateMobileUI();
     
+    // Redraw the ghost first: it's turned off if its position was taken out
+    renderGhost();
+    const ghostZone = getGhostZone();
+    // Paths run from one drop zone's position to the other's
+    renderPaths();
+    
     // Update start position zone
     if (dom.startPositionContent && dom.startPositionZone && dom.clearStartPositionBtn) {
         if (startPos) {
@@ -1344,6 +1490,7 @@ export function updateDropZoneDisplay() {
                     <div class="drop-zone-position-name">${escapeHtml(startPos.name)}</div>
                     ${tagsDisplay ? `<div class="drop-zone-position-tags">${tagsDisplay}</div>` : ''}
                 </div>
+                ${ghostToggleHtml('start', ghostZone === 'start')}
             `;
             dom.startPositionZone.classList.add('has-content');
             dom.clearStartPositionBtn.classList.remove('hidden');
@@ -1372,6 +1519,7 @@ export function updateDropZoneDisplay() {
                     <div class="drop-zone-position-name">${escapeHtml(endPos.name)}</div>
                     ${tagsDisplay ? `<div class="drop-zone-position-tags">${tagsDisplay}</div>` : ''}
                 </div>
+                ${ghostToggleHtml('end', ghostZone === 'end')}
             `;
             dom.endPositionZone.classList.add('has-content');
             dom.clearEndPositionBtn.classList.remove('hidden');
@@ -1394,10 +1542,31 @@ export function updateDropZoneDisplay() {
     }
 }
 
+// Button that ghosts a drop zone's position over the court
+function ghostToggleHtml(zone, active) {
+    const title = active ? 'Hide the ghost' : 'Show this position as a ghost on the court, with how far each player moves';
+    return `
+        <button class="drop-zone-ghost ${active ? 'active' : ''}" data-ghost-zone="${zone}" title="${title}">
+            <i data-lucide="ghost"></i>
+        </button>
+    `;
+}
+
 // Initialize drop zone handlers
 export function initDropZones() {
     if (!dom.startPositionZone || !dom.endPositionZone) return;
     
+    // Ghost buttons (drawn with the zone's content)
+    [dom.startPositionZone, dom.endPositionZone].forEach(zone => {
+        zone.addEventListener('click', (e) => {
+            const ghostBtn = e.target.closest('.drop-zone-ghost');
+            if (!ghostBtn) return;
+            e.stopPropagation();
+            toggleGhost(ghostBtn.dataset.ghostZone);
+            updateDropZoneDisplay();
+        });
+    });
+    
     // Start position zone handlers
     dom.startPositionZone.addEventListener('dragover', (e) => {
         e.preventDefault();
@@ -1505,6 +1674,8 @@ async function checkAndUpdateScenarioState() {
         } else {
             // Create new scenario state (not saved yet)
             const scenarioName = `New Scenario (${startPos.name} → ${endPos.name})`;
+            setScenarioPaths({});
+            setScenarioTiming(null);
             setCurrentLoadedItem({ type: 'scenario', id: null, name: scenarioName });
             setIsModified(true);
             updateCurrentItemDisplay();
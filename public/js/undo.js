@@ -0,0 +1,176 @@
+// Undo module - step back (and forward again) through changes to the court
+// Before each player move, placement or removal, each drawing added, erased or cleared (and each
+// position load) the court is remembered, so Undo puts the players, opponents, ball and drawings
+// back as they were, on the half or full court they were shown on.
+// Redo is cleared as soon as something new is changed.
+
+import { state, getPlayers, getPlayerElements, getAnnotations, getFullCourt, setCurrentLoadedItem, setIsModified, checkForModifications } from './state.js';
+import { dom } from './dom.js';
+import {
+    placePlayerOnCourt,
+    getElementCoordinates,
+    placeOpponentOnCourt,
+    clearOpponentsFromCourt,
+    getOpponentPositions,
+    placeBallOnCourt,
+    removeBallFromCourt,
+    getBallCoordinates,
+    setFullCourtView
+} from './court.js';
+import { showAnnotations } from './annotations.js';
+import { renderGhost } from './ghost.js';
+
+// How many steps back are kept
+const UNDO_LIMIT = 50;
+
+const undoStack = [];
+const redoStack = [];
+
+// Helper function to check if we're on a phone (matches CSS media query: max-width: 767px and orientation: portrait)
+function isPhoneView() {
+    return window.innerWidth <= 767 && window.innerHeight > window.innerWidth;
+}
+
+// Helper function to check if we're in view-only mode
+function isViewOnlyMode() {
+    return window.isViewOnlyMode === true;
+}
+
+// Wire the toolbar buttons and keyboard shortcuts (Ctrl/Cmd+Z, Ctrl/Cmd+Shift+Z or Ctrl+Y)
+export function initUndo() {
+    if (dom.undoBtn) {
+        dom.undoBtn.addEventListener('click', () => undo());
+    }
+    if (dom.redoBtn) {
+        dom.redoBtn.addEventListener('click', () => redo());
+    }
+
+    document.addEventListener('keydown', (e) => {
+        if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+
+        // Leave text fields and open dialogs their own undo
+        const target = e.target;
+        if (target && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName))) return;
+        const overlay = document.getElementById('modal-overlay');
+        if (overlay && !overlay.classList.contains('hidden')) return;
+
+        const key = e.key.toLowerCase();
+        if (key === 'z' && !e.shiftKey) {
+            e.preventDefault();
+            undo();
+        } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+            e.preventDefault();
+            redo();
+        }
+    });
+
+    updateUndoButtons();
+}
+
+/**
+ * Remember the court as it is now, before changing it
+ * Call this right before a player (or the ball or an opponent) is moved, placed or removed,
+ * a drawing is added, erased or cleared, or a position is loaded
+ */
+export function recordCourtChange() {
+    if (state.isAnimating || isPhoneView() || isViewOnlyMode()) return;
+
+    undoStack.push(getCourtSnapshot());
+    if (undoStack.length > UNDO_LIMIT) {
+        undoStack.shift();
+    }
+    redoStack.length = 0;
+    updateUndoButtons();
+}
+
+// Put the court back as it was before the last change
+export async function undo() {
+    if (undoStack.length === 0 || state.isAnimating) return;
+
+    redoStack.push(getCourtSnapshot());
+    await restoreCourtSnapshot(undoStack.pop());
+    updateUndoButtons();
+}
+
+// Make the last undone change again
+export async function redo() {
+    if (redoStack.length === 0 || state.isAnimating) return;
+
+    undoStack.push(getCourtSnapshot());
+    await restoreCourtSnapshot(redoStack.pop());
+    updateUndoButtons();
+}
+
+// Everything on the court, in base coordinates
+function getCourtSnapshot() {
+    const players = [];
+    getPlayerElements().forEach((element, playerId) => {
+        players.push({ playerId, ...getElementCoordinates(element) });
+    });
+
+    return {
+        loadedItem: state.currentLoadedItem ? { ...state.currentLoadedItem } : null,
+        isModified: state.isModified,
+        players: players,
+        opponents: getOpponentPositions(),
+        ball: getBallCoordinates(),
+        annotations: getAnnotations(),
+        fullCourt: getFullCourt()
+    };
+}
+
+async function restoreCourtSnapshot(snapshot) {
+    // Placing an opponent switches to the full court, so undoing it switches back
+    setFullCourtView(snapshot.fullCourt);
+
+    getPlayerElements().forEach(element => element.remove());
+    getPlayerElements().clear();
+    snapshot.players.forEach(pos => {
+        const player = getPlayers().find(p => p.id === pos.playerId);
+        if (player) {
+            placePlayerOnCourt(player, pos.x, pos.y);
+        }
+    });
+
+    clearOpponentsFromCourt();
+    snapshot.opponents.forEach(opponent => {
+        placeOpponentOnCourt(opponent, opponent.x, opponent.y);
+    });
+
+    if (snapshot.ball) {
+        placeBallOnCourt(snapshot.ball.x, snapshot.ball.y);
+    } else {
+        removeBallFromCourt();
+    }
+    showAnnotations(snapshot.annotations);
+
+    // Undoing a load goes back to the item that was loaded before
+    const loaded = state.currentLoadedItem;
+    const loadedChanged = !loaded !== !snapshot.loadedItem ||
+        (loaded && (loaded.type !== snapshot.loadedItem.type || loaded.id !== snapshot.loadedItem.id));
+    const { updateModifiedIndicator, updateCurrentItemDisplay, renderPositionsList } = await import('./ui.js');
+    if (loadedChanged) {
+        setCurrentLoadedItem(snapshot.loadedItem);
+        renderPositionsList();
+        updateCurrentItemDisplay();
+    }
+
+    // The court may be back to (or away from) the saved position
+    setIsModified(snapshot.isModified);
+    if (state.currentLoadedItem && state.currentLoadedItem.type === 'position') {
+        await checkForModifications();
+    }
+    updateModifiedIndicator(state.isModified);
+    const { updateOverlapWarnings } = await import('./rotationRules.js');
+    updateOverlapWarnings();
+    renderGhost();
+}
+
+function updateUndoButtons() {
+    if (dom.undoBtn) {
+        dom.undoBtn.disabled = undoStack.length === 0;
+    }
+    if (dom.redoBtn) {
+        dom.redoBtn.disabled = redoStack.length === 0;
+    }
+}
@@ -0,0 +1,260 @@
+// Zones module - the numbered zones (1-6) and sub-zones (A-D) of our half of the court
+// Zones are numbered like the court positions: 4, 3, 2 across the front (left to right, as seen
+// from our baseline facing the net) and 5, 6, 1 across the back. Each zone is split in four:
+// A is its front-left quarter, then B, C and D clockwise (front-right, back-right, back-left).
+// Players' zones are saved with positions, so positions can be searched for e.g. "#7 in zone 5".
+
+import { getPlayers, getCourtRotation, getShowZones, setShowZones, getSnapToZones, setSnapToZones } from './state.js';
+import { dom } from './dom.js';
+import { transformCoordinatesForRotation, getDisplayedCourtSize } from './court.js';
+import { resolvePlayerPositions } from './libero.js';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// Base coordinates: the net is at y = 0 and the attack line (between the rows) at y = 200
+const COURT_SIZE = 600;
+const ATTACK_LINE_Y = 200;
+const COLUMN_WIDTH = COURT_SIZE / 3;
+
+// Zones in each row, left to right
+const FRONT_ROW = [4, 3, 2];
+const BACK_ROW = [5, 6, 1];
+// Sub-zones by [front or back half][left or right half] of the zone
+const SUB_ZONES = [['A', 'B'], ['D', 'C']];
+
+// "#7 in zone 5", "where #7 is in zone 5B", "7 zone 5" or "alex in zone 1a" (a jersey or first name)
+const ZONE_QUERY = /#?([^\s#]+)\s+(?:is\s+)?(?:in\s+)?zone\s*([1-6])([a-d])?$/i;
+
+let layer = null;
+
+// Helper function to check if we're on a phone (matches CSS media query: max-width: 767px and orientation: portrait)
+function isPhoneView() {
+    return window.innerWidth <= 767 && window.innerHeight > window.innerWidth;
+}
+
+// Helper function to check if we're in view-only mode
+function isViewOnlyMode() {
+    return window.isViewOnlyMode === true;
+}
+
+// Wire the zone and snap buttons and draw the zones if they were left on
+export function initZones() {
+    if (dom.courtZonesBtn) {
+        dom.courtZonesBtn.addEventListener('click', () => {
+            setShowZones(!getShowZones());
+            renderZones();
+        });
+    }
+    if (dom.courtSnapBtn) {
+        dom.courtSnapBtn.addEventListener('click', () => {
+            setSnapToZones(!getSnapToZones());
+            updateZoneControls();
+        });
+    }
+    renderZones();
+}
+
+/**
+ * Get the zone and sub-zone a point on our half is in
+ * Points past the baseline or a sideline count as the nearest zone (a server is in zone 1)
+ * @param {number} x - Base x coordinate
+ * @param {number} y - Base y coordinate
+ * @returns {Object|null} { zone, subZone }, or null on the opponent's half
+ */
+export function getZone(x, y) {
+    if (y < 0) return null;
+
+    const column = Math.max(0, Math.min(Math.floor(x / COLUMN_WIDTH), 2));
+    const front = y < ATTACK_LINE_Y;
+    const cell = getZoneCell(column, front);
+
+    const backHalf = y >= (cell.top + cell.bottom) / 2 ? 1 : 0;
+    const rightHalf = x >= (cell.left + cell.right) / 2 ? 1 : 0;
+    return {
+        zone: (front ? FRONT_ROW : BACK_ROW)[column],
+        subZone: SUB_ZONES[backHalf][rightHalf]
+    };
+}
+
+/**
+ * Get the middle of the sub-zone a point is in, to snap a dropped player to
+ * @param {number} x - Base x coordinate
+ * @param {number} y - Base y coordinate
+ * @returns {Object} { x, y } in base coordinates (the point itself on the opponent's half)
+ */
+export function snapToZone(x, y) {
+    const zone = getZone(x, y);
+    if (!zone) return { x, y };
+
+    const cell = getZoneCell(getColumn(zone.zone), FRONT_ROW.includes(zone.zone));
+    const width = (cell.right - cell.left) / 2;
+    const height = (cell.bottom - cell.top) / 2;
+    const rightHalf = x >= cell.left + width ? 1 : 0;
+    const backHalf = y >= cell.top + height ? 1 : 0;
+    return {
+        x: cell.left + width * rightHalf + width / 2,
+        y: cell.top + height * backHalf + height / 2
+    };
+}
+
+// Whether dropped players should snap to the middle of a sub-zone
+export function isSnapToZonesOn() {
+    return getShowZones() && getSnapToZones() && !isPhoneView() && !isViewOnlyMode();
+}
+
+/**
+ * Add each player's zone and sub-zone to player positions, before they're saved
+ * @param {Array} playerPositions - [{ playerId, x, y, ... }] in base coordinates
+ * @returns {Array} The player positions with zone and subZone (players off our half get neither)
+ */
+export function addZones(playerPositions) {
+    return playerPositions.map(pos => {
+        const { zone, subZone, ...rest } = pos;
+        const current = getZone(pos.x, pos.y);
+        return current ? { ...rest, ...current } : rest;
+    });
+}
+
+/**
+ * Find a position search like "#7 in zone 5" and whether a position matches it
+ * @param {Object} position - Saved position
+ * @param {string} searchTerm - What was typed in the search box (lowercase)
+ * @returns {boolean|null} Whether the position matches, or null if the search isn't about zones
+ */
+export function matchZoneSearch(position, searchTerm) {
+    const match = searchTerm.trim().match(ZONE_QUERY);
+    if (!match) return null;
+
+    const who = match[1].trim().toLowerCase();
+    const zone = parseInt(match[2], 10);
+    const subZone = match[3] ? match[3].toUpperCase() : null;
+
+    // The libero counts in the zones they come in to, and the middle in the ones they're saved in
+    const playerPositions = (position.playerPositions || []).concat(resolvePlayerPositions(position));
+    return playerPositions.some(pos => {
+        const player = getPlayers().find(p => p.id === pos.playerId) || pos;
+        const isPlayer = String(player.jersey) === who || (player.name || '').toLowerCase().split(/\s+/)[0] === who;
+        if (!isPlayer) return false;
+
+        // Positions saved before zones were stored get theirs from the player's spot
+        const saved = pos.zone ? pos : getZone(pos.x, pos.y);
+        return !!saved && saved.zone === zone && (!subZone || saved.subZone === subZone);
+    });
+}
+
+// Draw the zones over our half for the current rotation and court view (or take them away)
+export function renderZones() {
+    updateZoneControls();
+
+    const svg = getLayer();
+    if (!svg) return;
+    svg.innerHTML = '';
+    svg.classList.toggle('hidden', !getShowZones());
+    if (!getShowZones()) return;
+
+    const size = getDisplayedCourtSize();
+    svg.setAttribute('viewBox', `0 0 ${size.width} ${size.height}`);
+
+    [true, false].forEach(front => {
+        [0, 1, 2].forEach(column => {
+            const cell = getZoneCell(column, front);
+            const zone = (front ? FRONT_ROW : BACK_ROW)[column];
+            const middleX = (cell.left + cell.right) / 2;
+            const middleY = (cell.top + cell.bottom) / 2;
+
+            svg.appendChild(createRect(cell, 'zone-cell'));
+            svg.appendChild(createLine({ x: middleX, y: cell.top }, { x: middleX, y: cell.bottom }, 'zone-divider'));
+            svg.appendChild(createLine({ x: cell.left, y: middleY }, { x: cell.right, y: middleY }, 'zone-divider'));
+            svg.appendChild(createText({ x: middleX, y: middleY }, zone, 'zone-label'));
+
+            SUB_ZONES.forEach((row, backHalf) => {
+                row.forEach((subZone, rightHalf) => {
+                    const point = {
+                        x: cell.left + (middleX - cell.left) * (rightHalf + 0.5),
+                        y: cell.top + (middleY - cell.top) * (backHalf + 0.5)
+                    };
+                    svg.appendChild(createText(point, `${zone}${subZone}`, 'sub-zone-label'));
+                });
+            });
+        });
+    });
+}
+
+// Show which of the buttons are on; snapping is only offered while the zones are shown
+function updateZoneControls() {
+    if (dom.courtZonesBtn) {
+        dom.courtZonesBtn.classList.toggle('active', getShowZones());
+        dom.courtZonesBtn.title = getShowZones() ? 'Hide the zones' : 'Show the zones';
+    }
+    if (dom.courtSnapBtn) {
+        dom.courtSnapBtn.classList.toggle('hidden', !getShowZones() || isPhoneView() || isViewOnlyMode());
+        dom.courtSnapBtn.classList.toggle('active', getSnapToZones());
+        dom.courtSnapBtn.title = getSnapToZones()
+            ? 'Stop snapping players to the zones'
+            : 'Snap dropped players to the middle of a zone';
+    }
+}
+
+// The SVG layer over the court, created the first time it's needed
+function getLayer() {
+    if (layer && layer.isConnected) return layer;
+    if (!dom.court) return null;
+
+    layer = document.createElementNS(SVG_NS, 'svg');
+    layer.setAttribute('class', 'zone-layer');
+    layer.setAttribute('preserveAspectRatio', 'none');
+    dom.court.appendChild(layer);
+    return layer;
+}
+
+// A zone's edges in base coordinates
+function getZoneCell(column, front) {
+    return {
+        left: column * COLUMN_WIDTH,
+        right: (column + 1) * COLUMN_WIDTH,
+        top: front ? 0 : ATTACK_LINE_Y,
+        bottom: front ? ATTACK_LINE_Y : COURT_SIZE
+    };
+}
+
+function getColumn(zone) {
+    return FRONT_ROW.includes(zone) ? FRONT_ROW.indexOf(zone) : BACK_ROW.indexOf(zone);
+}
+
+function toDisplayed(point) {
+    return transformCoordinatesForRotation(point.x, point.y, getCourtRotation());
+}
+
+function createRect(cell, className) {
+    const corner = toDisplayed({ x: cell.left, y: cell.top });
+    const opposite = toDisplayed({ x: cell.right, y: cell.bottom });
+    const rect = document.createElementNS(SVG_NS, 'rect');
+    rect.setAttribute('class', className);
+    rect.setAttribute('x', Math.min(corner.x, opposite.x));
+    rect.setAttribute('y', Math.min(corner.y, opposite.y));
+    rect.setAttribute('width', Math.abs(opposite.x - corner.x));
+    rect.setAttribute('height', Math.abs(opposite.y - corner.y));
+    return rect;
+}
+
+function createLine(from, to, className) {
+    const start = toDisplayed(from);
+    const end = toDisplayed(to);
+    const line = document.createElementNS(SVG_NS, 'line');
+    line.setAttribute('class', className);
+    line.setAttribute('x1', start.x);
+    line.setAttribute('y1', start.y);
+    line.setAttribute('x2', end.x);
+    line.setAttribute('y2', end.y);
+    return line;
+}
+
+function createText(point, text, className) {
+    const displayed = toDisplayed(point);
+    const label = document.createElementNS(SVG_NS, 'text');
+    label.setAttribute('class', className);
+    label.setAttribute('x', displayed.x);
+    label.setAttribute('y', displayed.y);
+    label.textContent = text;
+    return label;
+}
@@ -1,6 +1,6 @@
 // Express server for Volleyball Coach app
-// Provides API endpoints to read/write data to MongoDB database
-// Now supports user authentication and user-scoped data
+// Provides API endpoints to read/write data through the configured storage adapter (see db.js)
+// Now supports user authentication and team-scoped data (a coach can have several teams)
 
 // Load environment variables from .env file
 require('dotenv').config();
@@ -10,7 +10,9 @@ const path = require('path');
 const cors = require('cors');
 const db = require('./db');
 const auth = require('./auth');
-const { authenticate } = require('./middleware');
+const { authenticate, requireTeam, getTeamRole, hasPermission, requirePermission, tokenFromQuery } = require('./middleware');
+const { assertInviteUsable } = require('./storage/common');
+const events = require('./events');
 
 const app = express();
 const PORT = process.env.PORT || 8000;
@@ -21,14 +23,28 @@ app.use(cors());
 app.use(express.json());
 app.use(express.static(PUBLIC_DIR)); // Serve static files from public directory
 
-// Read data from MongoDB for a user
-async function readData(userId) {
-    return await db.readData(userId);
+// Read data from storage for a team
+async function readData(teamId) {
+    return await db.readData(teamId);
 }
 
-// Write data to MongoDB for a user
-async function writeData(userId, data) {
-    return await db.writeData(userId, data);
+// Write data to storage for a team
+async function writeData(teamId, data) {
+    return await db.writeData(teamId, data);
+}
+
+// Respond to a write based on a stale revision with the server's current copy
+function sendConflict(res, error) {
+    return res.status(409).json({
+        error: 'This item was changed somewhere else since you loaded it',
+        current: error.current
+    });
+}
+
+// Tell the team's live clients about a change. The X-Client-Id header lets
+// the device that made the change skip its own event.
+function notifyTeam(req, event) {
+    events.publish(req.team.id, { ...event, sourceClientId: req.get('X-Client-Id') || null });
 }
 
 // ==================== Authentication Routes ====================
@@ -42,7 +58,7 @@ app.get('/api/health', (req, res) => {
 app.post('/api/auth/register', async (req, res) => {
     console.log('Registration endpoint hit');
     try {
-        const { firstName, lastName, email, password, role } = req.body;
+        const { firstName, lastName, email, password, role, inviteToken } = req.body;
         
         // Validate required fields
         if (!firstName || !lastName || !email || !password || !role) {
@@ -58,6 +74,11 @@ app.post('/api/auth/register', async (req, res) => {
             });
         }
         
+        // Check the invite before creating the account, so a bad link doesn't leave a half-joined user
+        if (inviteToken) {
+            assertInviteUsable(await db.getInviteByToken(inviteToken));
+        }
+        
         // Create user
         const user = await db.createUser({ firstName, lastName, email, role });
         
@@ -65,12 +86,23 @@ app.post('/api/auth/register', async (req, res) => {
         const hashedPassword = await auth.hashPassword(password);
         await db.saveUserCredentials(user.id, hashedPassword);
         
+        // Invited users join the coach's team; everyone else starts with a team of their own
+        let teamId;
+        if (inviteToken) {
+            const membership = await db.acceptInvite(inviteToken, user.id);
+            teamId = membership.teamId;
+        } else {
+            const team = await db.createTeam(user.id, 'My Team');
+            teamId = team.id;
+        }
+        
         // Generate token
         const token = auth.generateToken(user.id, user.email);
         
         res.status(201).json({
             success: true,
             token,
+            teamId,
             user: {
                 id: user.id,
                 firstName: user.firstName,
@@ -86,6 +118,9 @@ app.post('/api/auth/register', async (req, res) => {
         if (error.message.includes('Invalid role')) {
             return res.status(400).json({ error: error.message });
         }
+        if (isInviteError(error)) {
+            return res.status(400).json({ error: error.message });
+        }
         console.error('Registration error:', error);
         res.status(500).json({ error: 'Failed to register user' });
     }
@@ -153,9 +188,7 @@ app.get('/api/auth/me', authenticate, async (req, res) => {
             firstName: user.firstName,
             lastName: user.lastName,
             email: user.email,
-            role: user.role,
-            teamCode: user.teamCode || null,
-            playerViewEnabled: user.playerViewEnabled || false
+            role: user.role
         });
     } catch (error) {
         console.error('Get user error:', error);
@@ -166,7 +199,7 @@ app.get('/api/auth/me', authenticate, async (req, res) => {
 // PUT /api/auth/profile - Update user profile (requires authentication)
 app.put('/api/auth/profile', authenticate, async (req, res) => {
     try {
-        const { firstName, lastName, currentPassword, newPassword, playerViewEnabled } = req.body;
+        const { firstName, lastName, currentPassword, newPassword } = req.body;
         const userId = req.user.userId;
         
         // Get current user
@@ -180,16 +213,9 @@ app.put('/api/auth/profile', authenticate, async (req, res) => {
             const updates = {};
             if (firstName !== undefined) updates.firstName = firstName;
             if (lastName !== undefined) updates.lastName = lastName;
-            updates.updatedAt = new Date().toISOString();
             
             // Update user in database
-            const database = await db.connect();
-            const { ObjectId } = require('mongodb');
-            const usersCollection = database.collection('users');
-            await usersCollection.updateOne(
-                { _id: new ObjectId(userId) },
-                { $set: updates }
-            );
+            await db.updateUser(userId, updates);
         }
         
         // Update password if provided
@@ -210,29 +236,6 @@ app.put('/api/auth/profile', authenticate, async (req, res) => {
             await db.saveUserCredentials(userId, hashedPassword);
         }
         
-        // Update team code if player view enabled/disabled
-        // Only generate a new code if enabling for the first time (user doesn't already have one)
-        let teamCode = null;
-        if (playerViewEnabled !== undefined) {
-            try {
-                // Check if user already has player view enabled and a team code
-                const currentUser = await db.getUserById(userId);
-                const alreadyEnabled = currentUser.playerViewEnabled === true;
-                const hasExistingCode = currentUser.teamCode && currentUser.teamCode.length > 0;
-                
-                // Only update if the state is actually changing
-                if (playerViewEnabled !== alreadyEnabled) {
-                    teamCode = await db.updateUserTeamCode(userId, playerViewEnabled);
-                } else if (playerViewEnabled && hasExistingCode) {
-                    // Player view is already enabled and user has a code - keep the existing code
-                    teamCode = currentUser.teamCode;
-                }
-            } catch (error) {
-                console.error('Error updating team code:', error);
-                return res.status(500).json({ error: 'Failed to update team code: ' + error.message });
-            }
-        }
-        
         // Return updated user
         const updatedUser = await db.getUserById(userId);
         res.json({
@@ -240,9 +243,7 @@ app.put('/api/auth/profile', authenticate, async (req, res) => {
             firstName: updatedUser.firstName,
             lastName: updatedUser.lastName,
             email: updatedUser.email,
-            role: updatedUser.role,
-            teamCode: updatedUser.teamCode || null,
-            playerViewEnabled: updatedUser.playerViewEnabled || false
+            role: updatedUser.role
         });
     } catch (error) {
         console.error('Update profile error:', error);
@@ -250,28 +251,28 @@ app.put('/api/auth/profile', authenticate, async (req, res) => {
     }
 });
 
-// GET /api/view/:teamCode - Get user data by team code (read-only, no authentication required)
+// GET /api/view/:teamCode - Get team data by team code (read-only, no authentication required)
 app.get('/api/view/:teamCode', async (req, res) => {
     try {
         const teamCode = req.params.teamCode.toUpperCase();
         
-        // Get user by team code
-        const user = await db.getUserByTeamCode(teamCode);
-        if (!user) {
+        // Get team by team code
+        const team = await db.getTeamByTeamCode(teamCode);
+        if (!team) {
             return res.status(404).json({ error: 'Invalid team code' });
         }
         
-        // Check if player view is enabled (handle missing field for existing users)
-        if (!user.playerViewEnabled && user.playerViewEnabled !== true) {
+        // Check if player view is enabled
+        if (team.playerViewEnabled !== true) {
             return res.status(403).json({ error: 'Player view is not enabled for this team' });
         }
         
-        // Get user's data (read-only)
-        const data = await readData(user.id);
+        // Get team's data (read-only, without the trash)
+        const { trash, ...data } = await readData(team.id);
         
-        // Return data with user info (but no sensitive data)
+        // Return data with team info (but no sensitive data)
         res.json({
-            teamName: `${user.firstName} ${user.lastName}`,
+            teamName: team.name,
             data: data
         });
     } catch (error) {
@@ -280,32 +281,333 @@ app.get('/api/view/:teamCode', async (req, res) => {
     }
 });
 
-// API Routes (all require authentication)
+// GET /api/view/:teamCode/events - Live change events for team-code viewers (Server-Sent Events, no authentication required)
+app.get('/api/view/:teamCode/events', async (req, res) => {
+    try {
+        const team = await db.getTeamByTeamCode(req.params.teamCode.toUpperCase());
+        if (!team) {
+            return res.status(404).json({ error: 'Invalid team code' });
+        }
+        if (team.playerViewEnabled !== true) {
+            return res.status(403).json({ error: 'Player view is not enabled for this team' });
+        }
+        
+        events.subscribe(team.id, req, res);
+    } catch (error) {
+        console.error('View events error:', error);
+        res.status(500).json({ error: 'Failed to subscribe to changes' });
+    }
+});
+
+// ==================== Team Routes ====================
+
+// Team as returned to the client, with the user's role in it
+function toTeamResponse(team, role) {
+    return {
+        id: team.id,
+        name: team.name,
+        ownerId: team.ownerId,
+        role: role,
+        teamCode: team.teamCode || null,
+        playerViewEnabled: team.playerViewEnabled || false,
+        createdAt: team.createdAt
+    };
+}
 
-// GET /api/data - Get all data (requires authentication)
-app.get('/api/data', authenticate, async (req, res) => {
+// GET /api/teams - Get the teams the user owns or has joined (requires authentication)
+app.get('/api/teams', authenticate, async (req, res) => {
     try {
-        const data = await readData(req.user.userId);
+        const teams = await db.getTeamsForUser(req.user.userId);
+        const responses = [];
+        for (const team of teams) {
+            responses.push(toTeamResponse(team, await getTeamRole(team, req.user)));
+        }
+        res.json(responses);
+    } catch (error) {
+        console.error('Get teams error:', error);
+        res.status(500).json({ error: 'Failed to get teams' });
+    }
+});
+
+// POST /api/teams - Create a team (requires share permission: coach)
+app.post('/api/teams', authenticate, requirePermission('share'), async (req, res) => {
+    try {
+        const { name } = req.body;
+        if (!name || !name.trim()) {
+            return res.status(400).json({ error: 'Team name is required' });
+        }
+        
+        const team = await db.createTeam(req.user.userId, name);
+        res.status(201).json(toTeamResponse(team, req.user.role));
+    } catch (error) {
+        console.error('Create team error:', error);
+        res.status(500).json({ error: 'Failed to create team' });
+    }
+});
+
+// GET /api/teams/:teamId/events - Live change events (Server-Sent Events, requires team access)
+// EventSource can't send headers, so the token may be passed as ?token=
+// ?clientId= identifies the stream so a presentation ends when its presenter's stream closes
+app.get('/api/teams/:teamId/events', tokenFromQuery, authenticate, requireTeam, (req, res) => {
+    const clientId = typeof req.query.clientId === 'string' ? req.query.clientId : null;
+    events.subscribe(req.team.id, req, res, { clientId, userId: req.user.userId });
+});
+
+// Team-scoped routes: /api/teams/:teamId/... (require authentication and access to the team)
+const teamRoutes = express.Router({ mergeParams: true });
+app.use('/api/teams/:teamId', authenticate, requireTeam, teamRoutes);
+
+// PUT /api/teams/:teamId - Rename a team and/or enable or disable its player view (requires share permission: coach)
+teamRoutes.put('/', requirePermission('share'), async (req, res) => {
+    try {
+        const { name, playerViewEnabled } = req.body;
+        
+        if (name !== undefined) {
+            if (!name || !name.trim()) {
+                return res.status(400).json({ error: 'Team name is required' });
+            }
+            await db.updateTeam(req.team.id, { name: name.trim() });
+        }
+        
+        // Only generate a new code if enabling for the first time (an existing code is kept)
+        if (playerViewEnabled !== undefined && playerViewEnabled !== (req.team.playerViewEnabled === true)) {
+            await db.updateTeamCode(req.team.id, playerViewEnabled);
+            if (!playerViewEnabled) {
+                // Viewers connected with the old code lose access now, not on their next reconnect
+                events.closeViewerStreams(req.team.id);
+            }
+        }
+        
+        const team = await db.getTeamById(req.team.id);
+        res.json(toTeamResponse(team, req.teamRole));
+    } catch (error) {
+        console.error('Update team error:', error);
+        res.status(500).json({ error: 'Failed to update team: ' + error.message });
+    }
+});
+
+// DELETE /api/teams/:teamId - Delete a team and all of its data (requires share permission: coach)
+teamRoutes.delete('/', requirePermission('share'), async (req, res) => {
+    try {
+        if (req.team.ownerId !== req.user.userId) {
+            return res.status(403).json({ error: 'Only the team owner can delete the team' });
+        }
+        
+        const teams = await db.getTeamsForUser(req.user.userId);
+        if (teams.length <= 1) {
+            return res.status(400).json({ error: 'You cannot delete your only team' });
+        }
+        
+        await db.deleteTeam(req.team.id);
+        events.closeTeamStreams(req.team.id);
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Delete team error:', error);
+        res.status(500).json({ error: 'Failed to delete team' });
+    }
+});
+
+// ==================== Team Membership Routes ====================
+// Coaches invite assistants and players with a link containing a single-use token.
+// Accepting it (at registration, or when logged in) adds the user to the team.
+
+// Errors thrown by the storage adapters for invites that can't be accepted
+function isInviteError(error) {
+    return ['Invite not found', 'This invite has already been used', 'This invite has expired', 'You already own this team']
+        .includes(error.message);
+}
+
+// GET /api/invites/:token - Describe an invite for the accept screen (no authentication required)
+app.get('/api/invites/:token', async (req, res) => {
+    try {
+        const invite = await db.getInviteByToken(req.params.token);
+        assertInviteUsable(invite);
+        
+        const team = await db.getTeamById(invite.teamId);
+        if (!team) {
+            return res.status(404).json({ error: 'Invite not found' });
+        }
+        const coach = await db.getUserById(team.ownerId);
+        
+        res.json({
+            teamName: team.name,
+            role: invite.role,
+            invitedBy: coach ? `${coach.firstName} ${coach.lastName}`.trim() : null,
+            expiresAt: invite.expiresAt
+        });
+    } catch (error) {
+        if (isInviteError(error)) {
+            return res.status(error.message === 'Invite not found' ? 404 : 410).json({ error: error.message });
+        }
+        console.error('Get invite error:', error);
+        res.status(500).json({ error: 'Failed to get invite' });
+    }
+});
+
+// POST /api/invites/:token/accept - Join the invite's team as the logged in user (requires authentication)
+app.post('/api/invites/:token/accept', authenticate, async (req, res) => {
+    try {
+        const membership = await db.acceptInvite(req.params.token, req.user.userId);
+        const team = await db.getTeamById(membership.teamId);
+        res.json(toTeamResponse(team, membership.role));
+    } catch (error) {
+        if (isInviteError(error)) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Accept invite error:', error);
+        res.status(500).json({ error: 'Failed to accept invite' });
+    }
+});
+
+// GET /api/teams/:teamId/invites - Get pending invites (requires share permission: coach)
+teamRoutes.get('/invites', requirePermission('share'), async (req, res) => {
+    try {
+        res.json(await db.getInvitesForTeam(req.team.id));
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to get invites' });
+    }
+});
+
+// POST /api/teams/:teamId/invites - Create an invite for a role (requires share permission: coach)
+teamRoutes.post('/invites', requirePermission('share'), async (req, res) => {
+    try {
+        const invite = await db.createInvite(req.team.id, req.body.role, req.user.userId);
+        res.status(201).json(invite);
+    } catch (error) {
+        if (error.message.includes('Invalid role')) {
+            return res.status(400).json({ error: error.message });
+        }
+        res.status(500).json({ error: 'Failed to create invite' });
+    }
+});
+
+// DELETE /api/teams/:teamId/invites/:token - Revoke a pending invite (requires share permission: coach)
+teamRoutes.delete('/invites/:token', requirePermission('share'), async (req, res) => {
+    try {
+        const deleted = await db.deleteInvite(req.team.id, req.params.token);
+        if (!deleted) {
+            return res.status(404).json({ error: 'Invite not found' });
+        }
+        res.json({ success: true });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to revoke invite' });
+    }
+});
+
+// GET /api/teams/:teamId/members - Get the team's owner and members (requires team access)
+// Email addresses are only included for roles that manage the team (share permission: coach)
+teamRoutes.get('/members', async (req, res) => {
+    try {
+        const includeEmails = hasPermission(req.teamRole, 'share');
+        const toMemberResponse = (user, role, joinedAt, isOwner) => ({
+            userId: user.id,
+            firstName: user.firstName,
+            lastName: user.lastName,
+            ...(includeEmails ? { email: user.email } : {}),
+            role: role,
+            joinedAt: joinedAt,
+            isOwner: isOwner
+        });
+        
+        const owner = await db.getUserById(req.team.ownerId);
+        const members = owner ? [toMemberResponse(owner, owner.role, req.team.createdAt, true)] : [];
+        for (const membership of await db.getTeamMembers(req.team.id)) {
+            const user = await db.getUserById(membership.userId);
+            if (user) {
+                members.push(toMemberResponse(user, membership.role, membership.joinedAt, false));
+            }
+        }
+        
+        res.json(members);
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to get members' });
+    }
+});
+
+// DELETE /api/teams/:teamId/members/:userId - Remove a member (coach), or leave the team (any member)
+teamRoutes.delete('/members/:userId', async (req, res, next) => {
+    // Members can always remove themselves; removing others needs share permission
+    if (req.params.userId === req.user.userId) {
+        return next();
+    }
+    requirePermission('share')(req, res, next);
+}, async (req, res) => {
+    try {
+        const removed = await db.removeMember(req.team.id, req.params.userId);
+        if (!removed) {
+            return res.status(404).json({ error: 'Member not found' });
+        }
+        events.closeUserStreams(req.team.id, req.params.userId);
+        res.json({ success: true });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to remove member' });
+    }
+});
+
+// ==================== Presenter Routes ====================
+// "Follow the coach": while a coach presents, what they show on the court is broadcast
+// to the team's live event streams and team-code viewers follow along.
+
+// Presenter actions and the fields each one carries
+const PRESENTER_ACTIONS = {
+    start: [],
+    stop: [],
+    loadPosition: ['positionId'],
+    playAnimation: ['startPositionId', 'endPositionId', 'scenarioId'],
+    sequenceStep: ['sequenceId', 'index']
+};
+
+// POST /api/teams/:teamId/present - Start or stop presenting, or broadcast an action (requires edit permission: coach or assistant coach)
+teamRoutes.post('/present', requirePermission('edit'), (req, res) => {
+    const { action } = req.body;
+    const clientId = req.get('X-Client-Id');
+    
+    if (!Object.prototype.hasOwnProperty.call(PRESENTER_ACTIONS, action)) {
+        return res.status(400).json({ error: 'Unknown presenter action' });
+    }
+    if (!clientId) {
+        return res.status(400).json({ error: 'X-Client-Id header is required' });
+    }
+    if (action !== 'start' && !events.isPresenting(req.team.id, clientId)) {
+        return res.status(409).json({ error: 'You are not presenting to this team' });
+    }
+    
+    const details = { action };
+    PRESENTER_ACTIONS[action].forEach(field => {
+        if (req.body[field] !== undefined) {
+            details[field] = req.body[field];
+        }
+    });
+    
+    events.present(req.team.id, clientId, details);
+    res.json({ success: true });
+});
+
+
+// GET /api/teams/:teamId/data - Get all data (requires team access)
+teamRoutes.get('/data', async (req, res) => {
+    try {
+        // The trash is only available through /api/trash
+        const { trash, ...data } = await readData(req.team.id);
         res.json(data);
     } catch (error) {
         res.status(500).json({ error: 'Failed to read data' });
     }
 });
 
-// GET /api/players - Get all players (requires authentication)
-app.get('/api/players', authenticate, async (req, res) => {
+// GET /api/teams/:teamId/players - Get all players (requires team access)
+teamRoutes.get('/players', async (req, res) => {
     try {
-        const data = await readData(req.user.userId);
-        res.json(data.players || []);
+        const players = await db.getItems(req.team.id, 'players');
+        res.json(players);
     } catch (error) {
         res.status(500).json({ error: 'Failed to read players' });
     }
 });
 
-// POST /api/players - Add or update a player (requires authentication)
-app.post('/api/players', authenticate, async (req, res) => {
+// POST /api/teams/:teamId/players - Add or update a player (requires edit permission: coach or assistant coach)
+teamRoutes.post('/players', requirePermission('edit'), async (req, res) => {
     try {
-        const data = await readData(req.user.userId);
         const player = req.body;
         
         if (!player.id || !player.jersey || !player.name) {
@@ -313,291 +615,182 @@ app.post('/api/players', authenticate, async (req, res) => {
         }
         
         // Check for duplicate jersey numbers (excluding current player)
-        const existingPlayer = data.players.find(p => p.jersey === player.jersey && p.id !== player.id);
+        const players = await db.getItems(req.team.id, 'players');
+        const existingPlayer = players.find(p => p.jersey === player.jersey && p.id !== player.id);
         if (existingPlayer) {
             return res.status(400).json({ error: 'A player with this jersey number already exists' });
         }
         
-        // Update or add player
-        const index = data.players.findIndex(p => p.id === player.id);
-        if (index >= 0) {
-            data.players[index] = player;
-        } else {
-            data.players.push(player);
-        }
-        
-        await writeData(req.user.userId, data);
-        res.json(player);
+        const saved = await db.savePlayer(req.team.id, player);
+        notifyTeam(req, { type: 'saved', collection: 'players', item: saved });
+        res.json(saved);
     } catch (error) {
+        if (error.conflict) {
+            return sendConflict(res, error);
+        }
         res.status(500).json({ error: 'Failed to save player' });
     }
 });
 
-// DELETE /api/players/:id - Delete a player (requires authentication)
-app.delete('/api/players/:id', authenticate, async (req, res) => {
+// DELETE /api/teams/:teamId/players/:id - Delete a player (requires delete permission: coach)
+teamRoutes.delete('/players/:id', requirePermission('delete'), async (req, res) => {
     try {
-        const data = await readData(req.user.userId);
-        const playerId = req.params.id;
-        
-        data.players = data.players.filter(p => p.id !== playerId);
-        
-        // Remove player from all positions
-        if (data.positions) {
-            data.positions.forEach(position => {
-                position.playerPositions = position.playerPositions.filter(
-                    pos => pos.playerId !== playerId
-                );
-            });
+        // Also removes the player from all positions
+        const trashId = await db.deletePlayer(req.team.id, req.params.id);
+        if (trashId) {
+            notifyTeam(req, events.deletedEvent('players', req.params.id));
         }
-        
-        // Also handle legacy savedPositions format (for backward compatibility)
-        if (data.savedPositions && typeof data.savedPositions === 'object') {
-            Object.keys(data.savedPositions).forEach(posName => {
-                if (data.savedPositions[posName]) {
-                    data.savedPositions[posName] = data.savedPositions[posName].filter(
-                        pos => pos.playerId !== playerId
-                    );
-                }
-            });
-        }
-        
-        await writeData(req.user.userId, data);
-        res.json({ success: true });
+        res.json({ success: true, trashId });
     } catch (error) {
         res.status(500).json({ error: 'Failed to delete player' });
     }
 });
 
-// GET /api/positions - Get all positions (requires authentication)
-app.get('/api/positions', authenticate, async (req, res) => {
+// GET /api/teams/:teamId/positions - Get all positions (requires team access)
+teamRoutes.get('/positions', async (req, res) => {
     try {
-        const data = await readData(req.user.userId);
-        res.json(data.positions || []);
+        const positions = await db.getItems(req.team.id, 'positions');
+        res.json(positions);
     } catch (error) {
         res.status(500).json({ error: 'Failed to read positions' });
     }
 });
 
-// POST /api/positions - Create or update a position (requires authentication)
-app.post('/api/positions', authenticate, async (req, res) => {
+// POST /api/teams/:teamId/positions - Create or update a position (requires edit permission: coach or assistant coach)
+teamRoutes.post('/positions', requirePermission('edit'), async (req, res) => {
     try {
-        const data = await readData(req.user.userId);
         const position = req.body;
         
         if (!position.id || !position.name) {
             return res.status(400).json({ error: 'Position must have id and name' });
         }
         
-        if (!data.positions) {
-            data.positions = [];
-        }
-        
-        const index = data.positions.findIndex(p => p.id === position.id);
-        if (index >= 0) {
-            data.positions[index] = position;
-        } else {
-            data.positions.push(position);
-        }
-        
-        await writeData(req.user.userId, data);
-        res.json(position);
+        const saved = await db.savePosition(req.team.id, position);
+        notifyTeam(req, { type: 'saved', collection: 'positions', item: saved });
+        res.json(saved);
     } catch (error) {
+        if (error.conflict) {
+            return sendConflict(res, error);
+        }
         res.status(500).json({ error: 'Failed to save position' });
     }
 });
 
-// DELETE /api/positions/:id - Delete a position (requires authentication)
-app.delete('/api/positions/:id', authenticate, async (req, res) => {
+// DELETE /api/teams/:teamId/positions/:id - Delete a position (requires delete permission: coach)
+teamRoutes.delete('/positions/:id', requirePermission('delete'), async (req, res) => {
     try {
-        const data = await readData(req.user.userId);
-        const positionId = req.params.id;
-        
-        // Remove position from rotations
-        if (data.rotations) {
-            data.rotations.forEach(rotation => {
-                rotation.positionIds = rotation.positionIds.filter(id => id !== positionId);
-            });
-        }
-        
-        // Remove position from scenarios
-        if (data.scenarios) {
-            data.scenarios = data.scenarios.filter(scenario => 
-                scenario.startPositionId !== positionId && scenario.endPositionId !== positionId
-            );
+        // Also removes the position from rotations, scenarios and sequences
+        const trashId = await db.deletePosition(req.team.id, req.params.id);
+        if (trashId) {
+            notifyTeam(req, events.deletedEvent('positions', req.params.id));
         }
-        
-        // Remove position from sequences (new format)
-        if (data.sequences) {
-            data.sequences.forEach(sequence => {
-                if (sequence.items) {
-                    sequence.items = sequence.items.filter(item => 
-                        !(item.type === 'position' && item.id === positionId)
-                    );
-                }
-            });
-        }
-        
-        // Remove position
-        if (data.positions) {
-            data.positions = data.positions.filter(p => p.id !== positionId);
-        }
-        
-        await writeData(req.user.userId, data);
-        res.json({ success: true });
+        res.json({ success: true, trashId });
     } catch (error) {
         res.status(500).json({ error: 'Failed to delete position' });
     }
 });
 
-// GET /api/rotations - Get all rotations (requires authentication)
-app.get('/api/rotations', authenticate, async (req, res) => {
+// GET /api/teams/:teamId/rotations - Get all rotations (requires team access)
+teamRoutes.get('/rotations', async (req, res) => {
     try {
-        const data = await readData(req.user.userId);
-        res.json(data.rotations || []);
+        const rotations = await db.getItems(req.team.id, 'rotations');
+        res.json(rotations);
     } catch (error) {
         res.status(500).json({ error: 'Failed to read rotations' });
     }
 });
 
-// POST /api/rotations - Create or update a rotation (requires authentication)
-app.post('/api/rotations', authenticate, async (req, res) => {
+// POST /api/teams/:teamId/rotations - Create or update a rotation (requires edit permission: coach or assistant coach)
+teamRoutes.post('/rotations', requirePermission('edit'), async (req, res) => {
     try {
-        const data = await readData(req.user.userId);
         const rotation = req.body;
         
         if (!rotation.id || !rotation.name) {
             return res.status(400).json({ error: 'Rotation must have id and name' });
         }
         
-        if (!data.rotations) {
-            data.rotations = [];
-        }
-        
-        const index = data.rotations.findIndex(r => r.id === rotation.id);
-        if (index >= 0) {
-            data.rotations[index] = rotation;
-        } else {
-            data.rotations.push(rotation);
-        }
-        
-        await writeData(req.user.userId, data);
-        res.json(rotation);
+        const saved = await db.saveRotation(req.team.id, rotation);
+        notifyTeam(req, { type: 'saved', collection: 'rotations', item: saved });
+        res.json(saved);
     } catch (error) {
+        if (error.conflict) {
+            return sendConflict(res, error);
+        }
         res.status(500).json({ error: 'Failed to save rotation' });
     }
 });
 
-// DELETE /api/rotations/:id - Delete a rotation (requires authentication)
-app.delete('/api/rotations/:id', authenticate, async (req, res) => {
+// DELETE /api/teams/:teamId/rotations/:id - Delete a rotation (requires delete permission: coach)
+teamRoutes.delete('/rotations/:id', requirePermission('delete'), async (req, res) => {
     try {
-        const data = await readData(req.user.userId);
-        const rotationId = req.params.id;
-        
-        // Remove rotation from positions
-        if (data.positions) {
-            data.positions.forEach(position => {
-                position.rotationIds = position.rotationIds.filter(id => id !== rotationId);
-            });
-        }
-        
-        // Remove rotation
-        if (data.rotations) {
-            data.rotations = data.rotations.filter(r => r.id !== rotationId);
+        // Also removes the rotation from positions
+        const trashId = await db.deleteRotation(req.team.id, req.params.id);
+        if (trashId) {
+            notifyTeam(req, events.deletedEvent('rotations', req.params.id));
         }
-        
-        await writeData(req.user.userId, data);
-        res.json({ success: true });
+        res.json({ success: true, trashId });
     } catch (error) {
         res.status(500).json({ error: 'Failed to delete rotation' });
     }
 });
 
-// GET /api/scenarios - Get all scenarios (requires authentication)
-app.get('/api/scenarios', authenticate, async (req, res) => {
+// GET /api/teams/:teamId/scenarios - Get all scenarios (requires team access)
+teamRoutes.get('/scenarios', async (req, res) => {
     try {
-        const data = await readData(req.user.userId);
-        res.json(data.scenarios || []);
+        const scenarios = await db.getItems(req.team.id, 'scenarios');
+        res.json(scenarios);
     } catch (error) {
         res.status(500).json({ error: 'Failed to read scenarios' });
     }
 });
 
-// POST /api/scenarios - Create or update a scenario (requires authentication)
-app.post('/api/scenarios', authenticate, async (req, res) => {
+// POST /api/teams/:teamId/scenarios - Create or update a scenario (requires edit permission: coach or assistant coach)
+teamRoutes.post('/scenarios', requirePermission('edit'), async (req, res) => {
     try {
-        const data = await readData(req.user.userId);
         const scenario = req.body;
         
         if (!scenario.id || !scenario.name || !scenario.startPositionId || !scenario.endPositionId) {
             return res.status(400).json({ error: 'Scenario must have id, name, startPositionId, and endPositionId' });
         }
         
-        if (!data.scenarios) {
-            data.scenarios = [];
-        }
-        
-        const index = data.scenarios.findIndex(s => s.id === scenario.id);
-        if (index >= 0) {
-            data.scenarios[index] = scenario;
-        } else {
-            data.scenarios.push(scenario);
-        }
-        
-        await writeData(req.user.userId, data);
-        res.json(scenario);
+        const saved = await db.saveScenario(req.team.id, scenario);
+        notifyTeam(req, { type: 'saved', collection: 'scenarios', item: saved });
+        res.json(saved);
     } catch (error) {
+        if (error.conflict) {
+            return sendConflict(res, error);
+        }
         res.status(500).json({ error: 'Failed to save scenario' });
     }
 });
 
-// DELETE /api/scenarios/:id - Delete a scenario (requires authentication)
-app.delete('/api/scenarios/:id', authenticate, async (req, res) => {
+// DELETE /api/teams/:teamId/scenarios/:id - Delete a scenario (requires delete permission: coach)
+teamRoutes.delete('/scenarios/:id', requirePermission('delete'), async (req, res) => {
     try {
-        const data = await readData(req.user.userId);
-        const scenarioId = req.params.id;
-        
-        // Remove scenario from sequences (both old and new format)
-        if (data.sequences) {
-            data.sequences.forEach(sequence => {
-                // Old format
-                if (sequence.scenarioIds) {
-                    sequence.scenarioIds = sequence.scenarioIds.filter(id => id !== scenarioId);
-                }
-                // New format
-                if (sequence.items) {
-                    sequence.items = sequence.items.filter(item => 
-                        !(item.type === 'scenario' && item.id === scenarioId)
-                    );
-                }
-            });
+        // Also removes the scenario from sequences
+        const trashId = await db.deleteScenario(req.team.id, req.params.id);
+        if (trashId) {
+            notifyTeam(req, events.deletedEvent('scenarios', req.params.id));
         }
-        
-        // Remove scenario
-        if (data.scenarios) {
-            data.scenarios = data.scenarios.filter(s => s.id !== scenarioId);
-        }
-        
-        await writeData(req.user.userId, data);
-        res.json({ success: true });
+        res.json({ success: true, trashId });
     } catch (error) {
         res.status(500).json({ error: 'Failed to delete scenario' });
     }
 });
 
-// GET /api/sequences - Get all sequences (requires authentication)
-app.get('/api/sequences', authenticate, async (req, res) => {
+// GET /api/teams/:teamId/sequences - Get all sequences (requires team access)
+teamRoutes.get('/sequences', async (req, res) => {
     try {
-        const data = await readData(req.user.userId);
-        res.json(data.sequences || []);
+        const sequences = await db.getItems(req.team.id, 'sequences');
+        res.json(sequences);
     } catch (error) {
         res.status(500).json({ error: 'Failed to read sequences' });
     }
 });
 
-// POST /api/sequences - Create or update a sequence (requires authentication)
-app.post('/api/sequences', authenticate, async (req, res) => {
+// POST /api/teams/:teamId/sequences - Create or update a sequence (requires edit permission: coach or assistant coach)
+teamRoutes.post('/sequences', requirePermission('edit'), async (req, res) => {
     try {
-        const data = await readData(req.user.userId);
         const sequence = req.body;
         
         if (!sequence.id || !sequence.name) {
@@ -619,43 +812,105 @@ app.post('/api/sequences', authenticate, async (req, res) => {
             sequence.items = [];
         }
         
-        if (!data.sequences) {
-            data.sequences = [];
+        const saved = await db.saveSequence(req.team.id, sequence);
+        notifyTeam(req, { type: 'saved', collection: 'sequences', item: saved });
+        res.json(saved);
+    } catch (error) {
+        if (error.conflict) {
+            return sendConflict(res, error);
         }
-        
-        const index = data.sequences.findIndex(s => s.id === sequence.id);
-        if (index >= 0) {
-            data.sequences[index] = sequence;
-        } else {
-            data.sequences.push(sequence);
+        res.status(500).json({ error: 'Failed to save sequence' });
+    }
+});
+
+// DELETE /api/teams/:teamId/sequences/:id - Delete a sequence (requires delete permission: coach)
+teamRoutes.delete('/sequences/:id', requirePermission('delete'), async (req, res) => {
+    try {
+        const trashId = await db.deleteSequence(req.team.id, req.params.id);
+        if (trashId) {
+            notifyTeam(req, events.deletedEvent('sequences', req.params.id));
         }
-        
-        await writeData(req.user.userId, data);
-        res.json(sequence);
+        res.json({ success: true, trashId });
     } catch (error) {
-        res.status(500).json({ error: 'Failed to save sequence' });
+        res.status(500).json({ error: 'Failed to delete sequence' });
     }
 });
 
-// DELETE /api/sequences/:id - Delete a sequence (requires authentication)
-app.delete('/api/sequences/:id', authenticate, async (req, res) => {
+// Version history routes for positions, scenarios and sequences (requires team access)
+// GET  /api/teams/:teamId/<collection>/:id/history                    - Prior versions, newest first
+// POST /api/teams/:teamId/<collection>/:id/history/:revision/restore  - Restore a prior version as a new revision (edit permission)
+['positions', 'scenarios', 'sequences'].forEach(collectionName => {
+    teamRoutes.get(`/${collectionName}/:id/history`, async (req, res) => {
+        try {
+            const history = await db.getItemHistory(req.team.id, collectionName, req.params.id);
+            res.json(history);
+        } catch (error) {
+            res.status(500).json({ error: 'Failed to read history' });
+        }
+    });
+    
+    teamRoutes.post(`/${collectionName}/:id/history/:revision/restore`, requirePermission('edit'), async (req, res) => {
+        try {
+            const revision = parseInt(req.params.revision, 10);
+            if (Number.isNaN(revision)) {
+                return res.status(400).json({ error: 'Revision must be a number' });
+            }
+            
+            const restored = await db.restoreItemVersion(req.team.id, collectionName, req.params.id, revision);
+            if (!restored) {
+                return res.status(404).json({ error: 'Version not found' });
+            }
+            notifyTeam(req, { type: 'saved', collection: collectionName, item: restored });
+            res.json(restored);
+        } catch (error) {
+            if (error.conflict) {
+                return sendConflict(res, error);
+            }
+            res.status(500).json({ error: 'Failed to restore version' });
+        }
+    });
+});
+
+// GET /api/teams/:teamId/trash - Get deleted items, newest first (requires team access)
+teamRoutes.get('/trash', async (req, res) => {
     try {
-        const data = await readData(req.user.userId);
-        const sequenceId = req.params.id;
-        
-        if (data.sequences) {
-            data.sequences = data.sequences.filter(s => s.id !== sequenceId);
+        const trash = await db.getTrash(req.team.id);
+        res.json(trash);
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to read trash' });
+    }
+});
+
+// POST /api/teams/:teamId/trash/:id/restore - Restore a deleted item and what was deleted with it (requires edit permission: coach or assistant coach)
+teamRoutes.post('/trash/:id/restore', requirePermission('edit'), async (req, res) => {
+    try {
+        const restored = await db.restoreFromTrash(req.team.id, req.params.id);
+        if (!restored) {
+            return res.status(404).json({ error: 'Item not found in trash' });
+        }
+        // A restore can bring back scenarios and links in several collections
+        notifyTeam(req, { type: 'reload' });
+        res.json(restored);
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to restore item' });
+    }
+});
+
+// DELETE /api/teams/:teamId/trash/:id - Permanently delete an item from the trash (requires delete permission: coach)
+teamRoutes.delete('/trash/:id', requirePermission('delete'), async (req, res) => {
+    try {
+        const deleted = await db.deleteFromTrash(req.team.id, req.params.id);
+        if (!deleted) {
+            return res.status(404).json({ error: 'Item not found in trash' });
         }
-        
-        await writeData(req.user.userId, data);
         res.json({ success: true });
     } catch (error) {
-        res.status(500).json({ error: 'Failed to delete sequence' });
+        res.status(500).json({ error: 'Failed to delete item' });
     }
 });
 
-// POST /api/import - Import data (replaces all data) (requires authentication)
-app.post('/api/import', authenticate, async (req, res) => {
+// POST /api/teams/:teamId/import - Import data (replaces all data) (requires delete permission: coach)
+teamRoutes.post('/import', requirePermission('delete'), async (req, res) => {
     try {
         const importedData = req.body;
         
@@ -689,7 +944,8 @@ app.post('/api/import', authenticate, async (req, res) => {
             };
         }
         
-        await writeData(req.user.userId, data);
+        await writeData(req.team.id, data);
+        notifyTeam(req, { type: 'reload' });
         res.json({ success: true, data });
     } catch (error) {
         res.status(500).json({ error: 'Failed to import data' });
@@ -714,10 +970,15 @@ async function startServer() {
     try {
         await db.initialize();
         
+        // Purge expired trash entries every hour (initialize already ran one purge)
+        setInterval(() => {
+            db.purgeTrash().catch(error => console.error('Error purging trash:', error));
+        }, 60 * 60 * 1000).unref();
+        
         app.listen(PORT, () => {
             console.log(`Volleyball Coach server running on http://localhost:${PORT}`);
-            console.log(`Database: MongoDB`);
-            if (process.env.MONGODB_URI || process.env.MONGO_URI) {
+            console.log(`Storage adapter: ${db.adapterName}`);
+            if (db.adapterName.startsWith('mongo') && (process.env.MONGODB_URI || process.env.MONGO_URI)) {
                 console.log(`MongoDB URI: ${(process.env.MONGODB_URI || process.env.MONGO_URI).substring(0, 20)}...`);
             }
         });
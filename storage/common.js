@@ -0,0 +1,100 @@
+// Helpers shared by all storage adapters
+
+const crypto = require('crypto');
+
+const ITEM_COLLECTIONS = ['players', 'positions', 'rotations', 'scenarios', 'sequences'];
+const VALID_ROLES = ['coach', 'assistant coach', 'player'];
+
+// Collections that keep a history of prior versions, and how many versions per item
+const HISTORY_COLLECTIONS = ['positions', 'scenarios', 'sequences'];
+const HISTORY_LIMIT = parseInt(process.env.HISTORY_LIMIT, 10) || 20;
+
+// Days a team invite can be accepted before it expires
+const INVITE_EXPIRATION_DAYS = parseInt(process.env.INVITE_EXPIRATION_DAYS, 10) || 7;
+
+function assertItemCollection(collectionName) {
+    if (!ITEM_COLLECTIONS.includes(collectionName)) {
+        throw new Error(`Unknown collection: ${collectionName}`);
+    }
+}
+
+// Build the error thrown when a write is based on a stale revision.
+// error.current carries the server's copy so the route can return it with the 409.
+function createConflictError(collectionName, current) {
+    const error = new Error(`Revision conflict: this item in ${collectionName} was changed by someone else`);
+    error.conflict = true;
+    error.current = current;
+    return error;
+}
+
+/**
+ * Generate a random team code
+ * @returns {string} - Random 6-character alphanumeric code
+ */
+function generateTeamCode() {
+    const chars = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // Exclude confusing characters (0, O, I, 1)
+    let code = '';
+    for (let i = 0; i < 6; i++) {
+        code += chars.charAt(Math.floor(Math.random() * chars.length));
+    }
+    return code;
+}
+
+/**
+ * Generate a random, URL-safe team invite token
+ * @returns {string} - 32-character hex token
+ */
+function generateInviteToken() {
+    return crypto.randomBytes(16).toString('hex');
+}
+
+/**
+ * Build a new team invite
+ * @param {string} teamId - Team the invite is for
+ * @param {string} role - Role the invited user gets on the team
+ * @param {string} createdBy - User ID of the coach who created it
+ * @returns {object} - Invite (without storage ID)
+ */
+function buildInvite(teamId, role, createdBy) {
+    if (!role || !VALID_ROLES.includes(role.toLowerCase())) {
+        throw new Error(`Invalid role. Must be one of: ${VALID_ROLES.join(', ')}`);
+    }
+    
+    const now = new Date();
+    return {
+        token: generateInviteToken(),
+        teamId: teamId,
+        role: role.toLowerCase(),
+        createdBy: createdBy,
+        createdAt: now.toISOString(),
+        expiresAt: new Date(now.getTime() + INVITE_EXPIRATION_DAYS * 24 * 60 * 60 * 1000).toISOString()
+    };
+}
+
+/**
+ * Throw if an invite can't be accepted (missing, already used or expired)
+ */
+function assertInviteUsable(invite) {
+    if (!invite) {
+        throw new Error('Invite not found');
+    }
+    if (invite.acceptedAt) {
+        throw new Error('This invite has already been used');
+    }
+    if (new Date(invite.expiresAt) < new Date()) {
+        throw new Error('This invite has expired');
+    }
+}
+
+module.exports = {
+    ITEM_COLLECTIONS,
+    VALID_ROLES,
+    HISTORY_COLLECTIONS,
+    HISTORY_LIMIT,
+    INVITE_EXPIRATION_DAYS,
+    assertItemCollection,
+    createConflictError,
+    generateTeamCode,
+    buildInvite,
+    assertInviteUsable
+};
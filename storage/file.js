@@ -0,0 +1,35 @@
+// JSON file storage adapter for Volleyball Coach app
+// Keeps all users and their data in a single JSON file so small clubs can self-host without a database.
+// The file path is set with DATA_FILE (default: data/volleyboard.json).
+
+const fs = require('fs/promises');
+const path = require('path');
+const { createMemoryStore } = require('./memoryStore');
+
+const DATA_FILE = path.resolve(process.env.DATA_FILE || path.join(__dirname, '..', 'data', 'volleyboard.json'));
+
+// Read the snapshot from disk (null if the file doesn't exist yet)
+async function load() {
+    try {
+        const contents = await fs.readFile(DATA_FILE, 'utf8');
+        console.log(`Loaded data file: ${DATA_FILE}`);
+        return JSON.parse(contents);
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            console.log(`Data file not found, a new one will be created: ${DATA_FILE}`);
+            return null;
+        }
+        console.error('Error reading data file:', error.message);
+        throw error;
+    }
+}
+
+// Write the snapshot to a temp file first, then rename, so a crash never leaves a half-written file
+async function save(snapshot) {
+    await fs.mkdir(path.dirname(DATA_FILE), { recursive: true });
+    const tempFile = `${DATA_FILE}.tmp`;
+    await fs.writeFile(tempFile, JSON.stringify(snapshot, null, 2));
+    await fs.rename(tempFile, DATA_FILE);
+}
+
+module.exports = createMemoryStore({ name: 'file', load, save });
@@ -0,0 +1,7 @@
+// In-memory storage adapter for Volleyball Coach app
+// Nothing is persisted - all data is lost when the server stops.
+// Useful for running the server offline, demos, and local development.
+
+const { createMemoryStore } = require('./memoryStore');
+
+module.exports = createMemoryStore({ name: 'memory' });
@@ -0,0 +1,874 @@
+// In-process storage implementation for Volleyball Coach app
+// Keeps all data in plain objects and implements the same interface as the MongoDB adapter.
+// Used directly by the in-memory adapter, and by the JSON file adapter with load/save hooks.
+
+const crypto = require('crypto');
+const { needsMigration, migrateV3ToV4 } = require('./migrations');
+const {
+    VALID_ROLES,
+    HISTORY_COLLECTIONS,
+    HISTORY_LIMIT,
+    assertItemCollection,
+    createConflictError,
+    generateTeamCode,
+    buildInvite,
+    assertInviteUsable
+} = require('./common');
+const { getPurgeCutoff, buildTrashEntry, restoreIntoDocument, getCascadedItemIds, toTrashListing } = require('./trash');
+
+/**
+ * Create an in-process store
+ * @param {object} options
+ * @param {string} options.name - Value stamped into each data document's `database` field
+ * @param {Function} [options.load] - async () => snapshot|null, called once on connect
+ * @param {Function} [options.save] - async (snapshot) => void, called after every change
+ * @returns {object} - Storage adapter
+ */
+function createMemoryStore({ name, load, save } = {}) {
+    let store = null;
+    let pendingSave = Promise.resolve();
+
+    // Copy values in and out so callers can't mutate stored data by reference
+    const clone = (value) => (value === undefined || value === null ? value : structuredClone(value));
+
+    // Load the initial snapshot (only once)
+    async function connect() {
+        if (store) {
+            return store;
+        }
+
+        const snapshot = load ? await load() : null;
+        store = {
+            data: (snapshot && snapshot.data) || {},
+            users: (snapshot && snapshot.users) || {},
+            credentials: (snapshot && snapshot.credentials) || {},
+            history: (snapshot && snapshot.history) || {},
+            teams: (snapshot && snapshot.teams) || {},
+            members: (snapshot && snapshot.members) || [],
+            invites: (snapshot && snapshot.invites) || {}
+        };
+        return store;
+    }
+
+    // Queue a save of the whole store; writes are serialized so they never interleave
+    function persist() {
+        if (!save) {
+            return Promise.resolve();
+        }
+        const snapshot = clone(store);
+        pendingSave = pendingSave
+            .catch(() => {})
+            .then(() => save(snapshot));
+        return pendingSave;
+    }
+
+    // Get (creating if needed) the live data document for a team
+    async function getDocument(teamId) {
+        if (!teamId) {
+            throw new Error('TeamId is required');
+        }
+
+        const current = await connect();
+        if (!current.data[teamId]) {
+            current.data[teamId] = {
+                teamId: teamId,
+                players: [],
+                positions: [],
+                rotations: [],
+                scenarios: [],
+                sequences: [],
+                version: '4.0',
+                database: name,
+                createdAt: new Date().toISOString()
+            };
+            await persist();
+        }
+        return current.data[teamId];
+    }
+
+    // Stamp lastUpdated on a document and save
+    async function touch(doc) {
+        doc.lastUpdated = new Date().toISOString();
+        await persist();
+        return true;
+    }
+
+    // Read all data for a team
+    async function readData(teamId) {
+        return clone(await getDocument(teamId));
+    }
+
+    // Write all data for a team
+    async function writeData(teamId, data) {
+        if (!teamId) {
+            throw new Error('TeamId is required');
+        }
+
+        const current = await connect();
+        current.data[teamId] = {
+            teamId: teamId,
+            ...clone(data),
+            database: name,
+            lastUpdated: new Date().toISOString()
+        };
+        await persist();
+        return true;
+    }
+
+    // ==================== Granular Item Operations ====================
+
+    // Get all items of one collection for a team
+    async function getItems(teamId, collectionName) {
+        assertItemCollection(collectionName);
+        const doc = await getDocument(teamId);
+        return clone(doc[collectionName] || []);
+    }
+
+    // Insert or replace a single item (matched by id), rejecting stale revisions
+    async function upsertItem(teamId, collectionName, item) {
+        assertItemCollection(collectionName);
+        if (!item || !item.id) {
+            throw new Error('Item id is required');
+        }
+
+        const doc = await getDocument(teamId);
+        if (!doc[collectionName]) {
+            doc[collectionName] = [];
+        }
+
+        const items = doc[collectionName];
+        const baseRevision = Number.isInteger(item.revision) ? item.revision : 0;
+        const index = items.findIndex(existing => existing.id === item.id);
+
+        let saved;
+        if (index >= 0) {
+            // Items saved before revisions existed count as revision 0
+            const storedRevision = items[index].revision || 0;
+            if (storedRevision !== baseRevision) {
+                throw createConflictError(collectionName, clone(items[index]));
+            }
+            saved = { ...clone(item), revision: baseRevision + 1 };
+            recordHistory(teamId, collectionName, items[index]);
+            items[index] = saved;
+        } else {
+            saved = { ...clone(item), revision: 1 };
+            items.push(saved);
+        }
+
+        await touch(doc);
+        return clone(saved);
+    }
+
+    // ==================== Version History ====================
+
+    // Get (creating if needed) the live history list for one item
+    function getHistoryEntries(teamId, collectionName, itemId) {
+        const teamHistory = store.history[teamId] || (store.history[teamId] = {});
+        const collectionHistory = teamHistory[collectionName] || (teamHistory[collectionName] = {});
+        return collectionHistory[itemId] || (collectionHistory[itemId] = []);
+    }
+
+    // Store a replaced version of an item (newest first), capped at HISTORY_LIMIT
+    function recordHistory(teamId, collectionName, previous) {
+        if (!HISTORY_COLLECTIONS.includes(collectionName)) {
+            return;
+        }
+
+        const entries = getHistoryEntries(teamId, collectionName, previous.id);
+        entries.unshift({
+            revision: previous.revision || 0,
+            savedAt: new Date().toISOString(),
+            item: previous
+        });
+        entries.splice(HISTORY_LIMIT);
+    }
+
+    // Get the stored prior versions of an item, newest first
+    async function getItemHistory(teamId, collectionName, itemId) {
+        assertItemCollection(collectionName);
+        await connect();
+        return clone(getHistoryEntries(teamId, collectionName, itemId));
+    }
+
+    // Restore a prior version of an item as a new revision (null if that version doesn't exist)
+    async function restoreItemVersion(teamId, collectionName, itemId, revision) {
+        assertItemCollection(collectionName);
+        await connect();
+
+        const entry = getHistoryEntries(teamId, collectionName, itemId).find(e => e.revision === revision);
+        if (!entry) {
+            return null;
+        }
+
+        const doc = await getDocument(teamId);
+        const current = (doc[collectionName] || []).find(existing => existing.id === itemId);
+        return await upsertItem(teamId, collectionName, {
+            ...clone(entry.item),
+            revision: current ? current.revision || 0 : 0
+        });
+    }
+
+    // Keep a copy of an item (and what its delete cascades to) in the document's trash, and give
+    // the items the delete changes a new revision. Returns the trash entry id, or null if the item doesn't exist.
+    function moveToTrash(teamId, doc, collectionName, itemId) {
+        const entry = buildTrashEntry(doc, collectionName, itemId);
+        if (!entry) {
+            return null;
+        }
+        doc.trash = [...(doc.trash || []), clone(entry)];
+        reviseCascadedItems(teamId, doc, entry);
+        return entry.id;
+    }
+
+    // Give the items a delete (or its restore) is about to change a new revision, keeping the
+    // versions they replace, so a device still holding the old revision gets a conflict
+    function reviseCascadedItems(teamId, doc, entry) {
+        Object.entries(getCascadedItemIds(entry)).forEach(([collectionName, ids]) => {
+            (doc[collectionName] || []).forEach(item => {
+                if (ids.includes(item.id)) {
+                    recordHistory(teamId, collectionName, clone(item));
+                    item.revision = (item.revision || 0) + 1;
+                }
+            });
+        });
+    }
+
+    // Player operations
+    async function savePlayer(teamId, player) {
+        return await upsertItem(teamId, 'players', player);
+    }
+
+    // Moves a player to the trash and removes them from every position
+    async function deletePlayer(teamId, playerId) {
+        const doc = await getDocument(teamId);
+        const trashId = moveToTrash(teamId, doc, 'players', playerId);
+        doc.players = (doc.players || []).filter(p => p.id !== playerId);
+
+        (doc.positions || []).forEach(position => {
+            position.playerPositions = (position.playerPositions || []).filter(
+                pos => pos.playerId !== playerId
+            );
+        });
+
+        // Also handle legacy savedPositions format (for backward compatibility)
+        if (doc.savedPositions && typeof doc.savedPositions === 'object') {
+            Object.keys(doc.savedPositions).forEach(posName => {
+                if (Array.isArray(doc.savedPositions[posName])) {
+                    doc.savedPositions[posName] = doc.savedPositions[posName].filter(
+                        pos => pos.playerId !== playerId
+                    );
+                }
+            });
+        }
+
+        await touch(doc);
+        return trashId;
+    }
+
+    // Position operations
+    async function savePosition(teamId, position) {
+        return await upsertItem(teamId, 'positions', position);
+    }
+
+    // Moves a position to the trash along with the rotation links, scenarios and sequence items that use it
+    async function deletePosition(teamId, positionId) {
+        const doc = await getDocument(teamId);
+        const trashId = moveToTrash(teamId, doc, 'positions', positionId);
+        doc.positions = (doc.positions || []).filter(p => p.id !== positionId);
+
+        (doc.rotations || []).forEach(rotation => {
+            rotation.positionIds = (rotation.positionIds || []).filter(id => id !== positionId);
+        });
+
+        doc.scenarios = (doc.scenarios || []).filter(scenario =>
+            scenario.startPositionId !== positionId && scenario.endPositionId !== positionId
+        );
+
+        (doc.sequences || []).forEach(sequence => {
+            if (sequence.items) {
+                sequence.items = sequence.items.filter(item =>
+                    !(item.type === 'position' && item.id === positionId)
+                );
+            }
+        });
+
+        await touch(doc);
+        return trashId;
+    }
+
+    // Rotation operations
+    async function saveRotation(teamId, rotation) {
+        return await upsertItem(teamId, 'rotations', rotation);
+    }
+
+    // Moves a rotation to the trash and unlinks it from positions
+    async function deleteRotation(teamId, rotationId) {
+        const doc = await getDocument(teamId);
+        const trashId = moveToTrash(teamId, doc, 'rotations', rotationId);
+        doc.rotations = (doc.rotations || []).filter(r => r.id !== rotationId);
+
+        (doc.positions || []).forEach(position => {
+            if (position.rotationIds) {
+                position.rotationIds = position.rotationIds.filter(id => id !== rotationId);
+            }
+        });
+
+        await touch(doc);
+        return trashId;
+    }
+
+    // Scenario operations
+    async function saveScenario(teamId, scenario) {
+        return await upsertItem(teamId, 'scenarios', scenario);
+    }
+
+    // Moves a scenario to the trash and removes it from sequences (both old and new format)
+    async function deleteScenario(teamId, scenarioId) {
+        const doc = await getDocument(teamId);
+        const trashId = moveToTrash(teamId, doc, 'scenarios', scenarioId);
+        doc.scenarios = (doc.scenarios || []).filter(s => s.id !== scenarioId);
+
+        (doc.sequences || []).forEach(sequence => {
+            if (sequence.scenarioIds) {
+                sequence.scenarioIds = sequence.scenarioIds.filter(id => id !== scenarioId);
+            }
+            if (sequence.items) {
+                sequence.items = sequence.items.filter(item =>
+                    !(item.type === 'scenario' && item.id === scenarioId)
+                );
+            }
+        });
+
+        await touch(doc);
+        return trashId;
+    }
+
+    // Sequence operations
+    async function saveSequence(teamId, sequence) {
+        return await upsertItem(teamId, 'sequences', sequence);
+    }
+
+    // Moves a sequence to the trash
+    async function deleteSequence(teamId, sequenceId) {
+        const doc = await getDocument(teamId);
+        const trashId = moveToTrash(teamId, doc, 'sequences', sequenceId);
+        doc.sequences = (doc.sequences || []).filter(s => s.id !== sequenceId);
+        await touch(doc);
+        return trashId;
+    }
+
+    // ==================== Trash ====================
+
+    // Get the items in a team's trash, newest first (expired entries are left out)
+    async function getTrash(teamId) {
+        const doc = await getDocument(teamId);
+        const cutoff = getPurgeCutoff();
+
+        return (doc.trash || [])
+            .filter(entry => entry.deletedAt >= cutoff)
+            .sort((a, b) => b.deletedAt.localeCompare(a.deletedAt))
+            .map(entry => clone(toTrashListing(entry)));
+    }
+
+    // Restore an item from the trash and re-link what its delete cascaded to (null if the entry doesn't exist)
+    async function restoreFromTrash(teamId, trashId) {
+        const doc = await getDocument(teamId);
+        const entry = (doc.trash || []).find(e => e.id === trashId);
+        if (!entry) {
+            return null;
+        }
+
+        reviseCascadedItems(teamId, doc, entry);
+        restoreIntoDocument(doc, clone(entry));
+        doc.trash = doc.trash.filter(e => e.id !== trashId);
+        await touch(doc);
+        return { collection: entry.collection, item: clone(entry.item) };
+    }
+
+    // Remove the stored history of items that are gone for good
+    function dropTrashedHistory(teamId, entries) {
+        const teamHistory = store.history[teamId];
+        if (!teamHistory) {
+            return;
+        }
+
+        entries.forEach(entry => {
+            if (teamHistory[entry.collection]) {
+                delete teamHistory[entry.collection][entry.itemId];
+            }
+            ((entry.cascade && entry.cascade.scenarios) || []).forEach(scenario => {
+                if (teamHistory.scenarios) {
+                    delete teamHistory.scenarios[scenario.id];
+                }
+            });
+        });
+    }
+
+    // Permanently delete an item from the trash (false if the entry doesn't exist)
+    async function deleteFromTrash(teamId, trashId) {
+        const doc = await getDocument(teamId);
+        const entry = (doc.trash || []).find(e => e.id === trashId);
+        if (!entry) {
+            return false;
+        }
+
+        doc.trash = doc.trash.filter(e => e.id !== trashId);
+        dropTrashedHistory(teamId, [entry]);
+        return await touch(doc);
+    }
+
+    // Permanently delete trash entries older than TRASH_RETENTION_DAYS, for all teams
+    async function purgeTrash() {
+        const current = await connect();
+        const cutoff = getPurgeCutoff();
+        let purged = 0;
+
+        Object.keys(current.data).forEach(teamId => {
+            const doc = current.data[teamId];
+            const expired = (doc.trash || []).filter(entry => entry.deletedAt < cutoff);
+            if (expired.length > 0) {
+                doc.trash = doc.trash.filter(entry => entry.deletedAt >= cutoff);
+                dropTrashedHistory(teamId, expired);
+                purged += expired.length;
+            }
+        });
+
+        if (purged > 0) {
+            await persist();
+        }
+        return purged;
+    }
+
+    // ==================== User Management ====================
+
+    // Return a stored user in the same shape as the MongoDB adapter ({ id, ...fields })
+    function toUser(id, user) {
+        return user ? { id: id, ...clone(user) } : null;
+    }
+
+    async function createUser(userData) {
+        const current = await connect();
+        const { firstName, lastName, email, role } = userData;
+
+        // Validate required fields
+        if (!firstName || !lastName || !email || !role) {
+            throw new Error('All fields (firstName, lastName, email, role) are required');
+        }
+
+        // Validate role
+        if (!VALID_ROLES.includes(role.toLowerCase())) {
+            throw new Error(`Invalid role. Must be one of: ${VALID_ROLES.join(', ')}`);
+        }
+
+        // Check if user already exists
+        if (await getUserByEmail(email)) {
+            throw new Error('User with this email already exists');
+        }
+
+        // 24 hex characters, the same shape as a MongoDB ObjectId
+        const id = crypto.randomBytes(12).toString('hex');
+        current.users[id] = {
+            firstName,
+            lastName,
+            email: email.toLowerCase(),
+            role: role.toLowerCase(),
+            createdAt: new Date().toISOString(),
+            updatedAt: new Date().toISOString()
+        };
+        await persist();
+
+        return toUser(id, current.users[id]);
+    }
+
+    async function getUserByEmail(email) {
+        const current = await connect();
+        const id = Object.keys(current.users).find(
+            userId => current.users[userId].email === email.toLowerCase()
+        );
+        return id ? toUser(id, current.users[id]) : null;
+    }
+
+    async function getUserById(userId) {
+        const current = await connect();
+        return toUser(userId, current.users[userId]);
+    }
+
+    async function updateUser(userId, updates) {
+        const current = await connect();
+        if (current.users[userId]) {
+            Object.assign(current.users[userId], clone(updates), { updatedAt: new Date().toISOString() });
+            await persist();
+        }
+        return true;
+    }
+
+    async function saveUserCredentials(userId, hashedPassword) {
+        const current = await connect();
+        current.credentials[userId] = {
+            userId: userId,
+            passwordHash: hashedPassword,
+            updatedAt: new Date().toISOString()
+        };
+        await persist();
+        return true;
+    }
+
+    async function getUserCredentials(userId) {
+        const current = await connect();
+        return clone(current.credentials[userId]) || null;
+    }
+
+    // ==================== Team Management ====================
+
+    // Return a stored team in the same shape as the MongoDB adapter ({ id, ...fields })
+    function toTeam(id, team) {
+        return team ? { id: id, ...clone(team) } : null;
+    }
+
+    async function createTeam(ownerId, teamName) {
+        if (!teamName || !teamName.trim()) {
+            throw new Error('Team name is required');
+        }
+
+        const current = await connect();
+        const id = crypto.randomBytes(12).toString('hex');
+        current.teams[id] = {
+            ownerId: ownerId,
+            name: teamName.trim(),
+            playerViewEnabled: false,
+            createdAt: new Date().toISOString(),
+            updatedAt: new Date().toISOString()
+        };
+        await persist();
+
+        return toTeam(id, current.teams[id]);
+    }
+
+    async function getTeamById(teamId) {
+        const current = await connect();
+        return toTeam(teamId, current.teams[teamId]);
+    }
+
+    // Teams a user owns or has joined, owned teams first, oldest first
+    // (accounts from before teams get a default team; anyone else without a team gets none)
+    async function getTeamsForUser(userId) {
+        const current = await connect();
+        const byCreatedAt = (a, b) => a.createdAt.localeCompare(b.createdAt);
+        const ownedTeams = Object.keys(current.teams)
+            .filter(teamId => current.teams[teamId].ownerId === userId)
+            .map(teamId => toTeam(teamId, current.teams[teamId]))
+            .sort(byCreatedAt);
+        const joinedTeams = current.members
+            .filter(membership => membership.userId === userId && current.teams[membership.teamId])
+            .map(membership => toTeam(membership.teamId, current.teams[membership.teamId]))
+            .sort(byCreatedAt);
+
+        if (ownedTeams.length > 0 || joinedTeams.length > 0) {
+            return [...ownedTeams, ...joinedTeams];
+        }
+
+        return hasLegacyData(current, userId) ? [await createDefaultTeam(userId)] : [];
+    }
+
+    // Whether an account still has data from before teams (keyed by its user ID)
+    function hasLegacyData(current, userId) {
+        const user = current.users[userId];
+        return !!(current.data[userId] || current.history[userId] || (user && user.teamCode));
+    }
+
+    // Create the first team for an account that predates teams, moving its
+    // user-keyed data, history and team code over to the team
+    async function createDefaultTeam(userId) {
+        const current = await connect();
+        const team = await createTeam(userId, 'My Team');
+
+        if (current.data[userId]) {
+            const { userId: _legacyUserId, ...doc } = current.data[userId];
+            current.data[team.id] = { ...doc, teamId: team.id };
+            delete current.data[userId];
+        }
+        if (current.history[userId]) {
+            current.history[team.id] = current.history[userId];
+            delete current.history[userId];
+        }
+
+        const user = current.users[userId];
+        if (user && user.teamCode) {
+            Object.assign(current.teams[team.id], {
+                teamCode: user.teamCode,
+                playerViewEnabled: user.playerViewEnabled === true
+            });
+            delete user.teamCode;
+            delete user.playerViewEnabled;
+        }
+
+        await persist();
+        return toTeam(team.id, current.teams[team.id]);
+    }
+
+    async function updateTeam(teamId, updates) {
+        const current = await connect();
+        if (current.teams[teamId]) {
+            Object.assign(current.teams[teamId], clone(updates), { updatedAt: new Date().toISOString() });
+            await persist();
+        }
+        return toTeam(teamId, current.teams[teamId]);
+    }
+
+    // Delete a team with its data, version history, members and invites
+    async function deleteTeam(teamId) {
+        const current = await connect();
+        delete current.teams[teamId];
+        delete current.data[teamId];
+        delete current.history[teamId];
+        current.members = current.members.filter(membership => membership.teamId !== teamId);
+        Object.keys(current.invites).forEach(token => {
+            if (current.invites[token].teamId === teamId) {
+                delete current.invites[token];
+            }
+        });
+        await persist();
+        return true;
+    }
+
+    async function getTeamByTeamCode(teamCode) {
+        const current = await connect();
+        const id = Object.keys(current.teams).find(
+            teamId => current.teams[teamId].teamCode === teamCode.toUpperCase()
+        );
+        return id ? toTeam(id, current.teams[id]) : null;
+    }
+
+    async function updateTeamCode(teamId, enabled) {
+        const current = await connect();
+        const team = current.teams[teamId];
+        if (!team) {
+            return null;
+        }
+
+        team.updatedAt = new Date().toISOString();
+
+        if (!enabled) {
+            // Disable player view
+            team.playerViewEnabled = false;
+            delete team.teamCode;
+            await persist();
+            return null;
+        }
+
+        // Preserve an existing code, otherwise generate a unique one
+        if (!team.teamCode) {
+            let teamCode;
+            let attempts = 0;
+            do {
+                teamCode = generateTeamCode();
+                if (!(await getTeamByTeamCode(teamCode))) break;
+                attempts++;
+                if (attempts > 10) {
+                    throw new Error('Failed to generate unique team code');
+                }
+            } while (true);
+            team.teamCode = teamCode;
+        }
+
+        team.playerViewEnabled = true;
+        await persist();
+        return team.teamCode;
+    }
+
+    // ==================== Team Membership ====================
+
+    async function createInvite(teamId, role, createdBy) {
+        const current = await connect();
+        const invite = buildInvite(teamId, role, createdBy);
+        current.invites[invite.token] = invite;
+        await persist();
+        return clone(invite);
+    }
+
+    async function getInviteByToken(token) {
+        const current = await connect();
+        return clone(current.invites[token]) || null;
+    }
+
+    // Pending (unused and unexpired) invites, newest first
+    async function getInvitesForTeam(teamId) {
+        const current = await connect();
+        const now = new Date().toISOString();
+        return Object.values(current.invites)
+            .filter(invite => invite.teamId === teamId && !invite.acceptedAt && invite.expiresAt > now)
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+            .map(clone);
+    }
+
+    async function deleteInvite(teamId, token) {
+        const current = await connect();
+        const invite = current.invites[token];
+        if (!invite || invite.teamId !== teamId) {
+            return false;
+        }
+        delete current.invites[token];
+        await persist();
+        return true;
+    }
+
+    // Accept an invite, adding (or re-roling) the user's membership in its team
+    async function acceptInvite(token, userId) {
+        const current = await connect();
+        const invite = current.invites[token];
+        assertInviteUsable(invite);
+
+        const team = current.teams[invite.teamId];
+        if (!team) {
+            throw new Error('Invite not found');
+        }
+        if (team.ownerId === userId) {
+            throw new Error('You already own this team');
+        }
+
+        const acceptedAt = new Date().toISOString();
+        invite.acceptedBy = userId;
+        invite.acceptedAt = acceptedAt;
+
+        let membership = current.members.find(
+            existing => existing.teamId === invite.teamId && existing.userId === userId
+        );
+        if (membership) {
+            membership.role = invite.role;
+        } else {
+            membership = { teamId: invite.teamId, userId: userId, role: invite.role, joinedAt: acceptedAt };
+            current.members.push(membership);
+        }
+
+        await persist();
+        return clone(membership);
+    }
+
+    async function getMembership(teamId, userId) {
+        const current = await connect();
+        return clone(current.members.find(
+            membership => membership.teamId === teamId && membership.userId === userId
+        )) || null;
+    }
+
+    async function getTeamMembers(teamId) {
+        const current = await connect();
+        return current.members
+            .filter(membership => membership.teamId === teamId)
+            .sort((a, b) => a.joinedAt.localeCompare(b.joinedAt))
+            .map(clone);
+    }
+
+    async function removeMember(teamId, userId) {
+        const current = await connect();
+        const before = current.members.length;
+        current.members = current.members.filter(
+            membership => !(membership.teamId === teamId && membership.userId === userId)
+        );
+        if (current.members.length === before) {
+            return false;
+        }
+        await persist();
+        return true;
+    }
+
+    // ==================== Lifecycle ====================
+
+    // Migrate any v3.0 documents (e.g. from an old-format import) to v4.0
+    async function migrateDataIfNeeded() {
+        try {
+            const current = await connect();
+            let migrated = false;
+
+            // Give accounts from before teams existed their default team
+            for (const userId of Object.keys(current.users)) {
+                await getTeamsForUser(userId);
+            }
+
+            Object.keys(current.data).forEach(teamId => {
+                if (needsMigration(current.data[teamId])) {
+                    console.log(`Migrating data for team ${teamId} from v3.0 to v4.0...`);
+                    current.data[teamId] = migrateV3ToV4(current.data[teamId]);
+                    migrated = true;
+                }
+            });
+
+            if (migrated) {
+                await persist();
+            }
+        } catch (error) {
+            console.error('Error during migration:', error);
+            // Don't throw - allow app to continue
+        }
+    }
+
+    async function initialize() {
+        await connect();
+        await migrateDataIfNeeded();
+        await purgeTrash();
+        console.log(`Database initialized (${name})`);
+    }
+
+    // Wait for outstanding saves, then drop the in-memory copy
+    async function close() {
+        await pendingSave.catch(() => {});
+        store = null;
+    }
+
+    return {
+        connect,
+        readData,
+        writeData,
+        initialize,
+        close,
+        migrateDataIfNeeded,
+        // Granular item operations
+        getItems,
+        savePlayer,
+        deletePlayer,
+        savePosition,
+        deletePosition,
+        saveRotation,
+        deleteRotation,
+        saveScenario,
+        deleteScenario,
+        saveSequence,
+        deleteSequence,
+        // Version history
+        getItemHistory,
+        restoreItemVersion,
+        // Trash
+        getTrash,
+        restoreFromTrash,
+        deleteFromTrash,
+        purgeTrash,
+        // User management
+        createUser,
+        getUserByEmail,
+        getUserById,
+        updateUser,
+        saveUserCredentials,
+        getUserCredentials,
+        // Team management
+        createTeam,
+        getTeamById,
+        getTeamsForUser,
+        updateTeam,
+        deleteTeam,
+        getTeamByTeamCode,
+        updateTeamCode,
+        // Team membership
+        createInvite,
+        getInviteByToken,
+        getInvitesForTeam,
+        deleteInvite,
+        acceptInvite,
+        getMembership,
+        getTeamMembers,
+        removeMember
+    };
+}
+
+module.exports = {
+    createMemoryStore
+};
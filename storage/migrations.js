@@ -0,0 +1,72 @@
+// Data format migrations shared by all storage adapters
+
+// Whether a user's data document is still in the old v3.0 format (savedPositions object)
+function needsMigration(doc) {
+    if (doc.positions && Array.isArray(doc.positions)) {
+        return false; // Already migrated
+    }
+    return !!(doc.savedPositions && typeof doc.savedPositions === 'object' && !Array.isArray(doc.savedPositions));
+}
+
+// Convert a v3.0 data document to v4.0 (positions array plus rotations derived from names)
+function migrateV3ToV4(doc) {
+    // Convert savedPositions object to positions array
+    const positions = [];
+    const positionNameToId = new Map();
+    
+    Object.keys(doc.savedPositions).forEach((positionName, index) => {
+        const positionId = `pos_${Date.now()}_${index}_${Math.random().toString(36).substr(2, 9)}`;
+        positionNameToId.set(positionName, positionId);
+        
+        positions.push({
+            id: positionId,
+            name: positionName,
+            rotationIds: [],
+            playerPositions: doc.savedPositions[positionName] || []
+        });
+    });
+    
+    // Create default rotations based on position names that start with "Rotation"
+    const rotations = [];
+    const rotationMap = new Map();
+    
+    positions.forEach(position => {
+        const rotationMatch = position.name.match(/^(Rotation \d+)/);
+        if (rotationMatch) {
+            const rotationName = rotationMatch[1];
+            
+            if (!rotationMap.has(rotationName)) {
+                const rotationId = `rot_${Date.now()}_${rotations.length}_${Math.random().toString(36).substr(2, 9)}`;
+                rotations.push({
+                    id: rotationId,
+                    name: rotationName,
+                    positionIds: []
+                });
+                rotationMap.set(rotationName, rotationId);
+            }
+            
+            const rotationId = rotationMap.get(rotationName);
+            const rotation = rotations.find(r => r.id === rotationId);
+            if (rotation) {
+                rotation.positionIds.push(position.id);
+                position.rotationIds.push(rotationId);
+            }
+        }
+    });
+    
+    // Update data structure
+    return {
+        ...doc,
+        positions: positions,
+        rotations: rotations,
+        scenarios: doc.scenarios || [],
+        sequences: doc.sequences || [],
+        version: '4.0',
+        lastUpdated: new Date().toISOString()
+    };
+}
+
+module.exports = {
+    needsMigration,
+    migrateV3ToV4
+};
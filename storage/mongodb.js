@@ -0,0 +1,1308 @@
+// MongoDB storage adapter for Volleyball Coach app
+// Provides database operations for players, positions, rotations, scenarios, and sequences
+// Now supports user accounts, each owning one or more teams with team-scoped data
+
+const { MongoClient, ObjectId } = require('mongodb');
+const { needsMigration, migrateV3ToV4 } = require('./migrations');
+const {
+    VALID_ROLES,
+    HISTORY_COLLECTIONS,
+    HISTORY_LIMIT,
+    assertItemCollection,
+    createConflictError,
+    generateTeamCode,
+    buildInvite,
+    assertInviteUsable
+} = require('./common');
+const { getPurgeCutoff, buildTrashEntry, getCascadedItemIds, toTrashListing } = require('./trash');
+
+const MONGODB_URI = process.env.MONGODB_URI || process.env.MONGO_URI;
+const DB_NAME = process.env.DB_NAME || 'volleyball-coach';
+const COLLECTION_NAME = 'data';
+const USERS_COLLECTION = 'users';
+const CREDENTIALS_COLLECTION = 'userCredentials';
+const HISTORY_COLLECTION = 'history';
+const TEAMS_COLLECTION = 'teams';
+const MEMBERS_COLLECTION = 'teamMembers';
+const INVITES_COLLECTION = 'teamInvites';
+
+let client = null;
+let db = null;
+
+// Connect to MongoDB
+async function connect() {
+    if (db) {
+        return db;
+    }
+
+    if (!MONGODB_URI) {
+        throw new Error('MONGODB_URI environment variable is not set');
+    }
+
+    try {
+        // Connection options for better reliability
+        const options = {
+            serverSelectionTimeoutMS: 10000, // 10 seconds
+            socketTimeoutMS: 45000, // 45 seconds
+            connectTimeoutMS: 10000, // 10 seconds
+            retryWrites: true,
+            retryReads: true,
+        };
+
+        client = new MongoClient(MONGODB_URI, options);
+        await client.connect();
+        
+        // Test the connection
+        await client.db('admin').command({ ping: 1 });
+        
+        db = client.db(DB_NAME);
+        console.log(`Connected to MongoDB: ${DB_NAME}`);
+        
+        // Ensure indexes exist
+        const dataCollection = db.collection(COLLECTION_NAME);
+        await dataCollection.createIndex({ _id: 1 });
+        await dataCollection.createIndex({ teamId: 1 }); // Index for team-scoped queries
+        
+        // User collection indexes
+        const usersCollection = db.collection(USERS_COLLECTION);
+        await usersCollection.createIndex({ email: 1 }, { unique: true });
+        await usersCollection.createIndex({ _id: 1 });
+        
+        // Credentials collection indexes
+        const credentialsCollection = db.collection(CREDENTIALS_COLLECTION);
+        await credentialsCollection.createIndex({ userId: 1 }, { unique: true });
+        
+        // History collection indexes
+        const historyCollection = db.collection(HISTORY_COLLECTION);
+        await historyCollection.createIndex({ teamId: 1, collection: 1, itemId: 1, revision: -1 });
+        
+        // Teams collection indexes
+        const teamsCollection = db.collection(TEAMS_COLLECTION);
+        await teamsCollection.createIndex({ ownerId: 1 });
+        await teamsCollection.createIndex({ teamCode: 1 });
+        
+        // Team membership and invite indexes
+        const membersCollection = db.collection(MEMBERS_COLLECTION);
+        await membersCollection.createIndex({ teamId: 1, userId: 1 }, { unique: true });
+        await membersCollection.createIndex({ userId: 1 });
+        const invitesCollection = db.collection(INVITES_COLLECTION);
+        await invitesCollection.createIndex({ token: 1 }, { unique: true });
+        await invitesCollection.createIndex({ teamId: 1 });
+        
+        return db;
+    } catch (error) {
+        // Provide helpful error messages
+        if (error.message && error.message.includes('ECONNRESET')) {
+            console.error('❌ MongoDB Connection Error: Network access denied');
+            console.error('   This usually means your server IP is not whitelisted in MongoDB Atlas.');
+            console.error('   Solution: Go to MongoDB Atlas → Network Access → Add IP Address');
+            console.error('   For production, you can allow all IPs: 0.0.0.0/0');
+        } else if (error.message && error.message.includes('authentication failed')) {
+            console.error('❌ MongoDB Authentication Error: Invalid username or password');
+            console.error('   Check your MONGODB_URI connection string credentials.');
+        } else if (error.message && error.message.includes('ENOTFOUND')) {
+            console.error('❌ MongoDB Connection Error: Cannot resolve hostname');
+            console.error('   Check your MONGODB_URI connection string is correct.');
+        }
+        console.error('Full error:', error.message);
+        throw error;
+    }
+}
+
+// Get the data document for a specific team
+async function getDataDocument(teamId) {
+    if (!teamId) {
+        throw new Error('TeamId is required');
+    }
+    
+    const database = await connect();
+    const collection = database.collection(COLLECTION_NAME);
+    
+    let doc = await collection.findOne({ teamId: teamId });
+    
+    if (!doc) {
+        // Initialize with empty data for this team
+        const initialData = {
+            teamId: teamId,
+            players: [],
+            positions: [],
+            rotations: [],
+            scenarios: [],
+            sequences: [],
+            version: '4.0',
+            database: 'mongodb',
+            createdAt: new Date().toISOString()
+        };
+        await collection.insertOne(initialData);
+        return initialData;
+    }
+    
+    // Remove _id from the returned data (we don't want to expose it)
+    const { _id, ...data } = doc;
+    return data;
+}
+
+// Save the data document for a specific team
+async function saveDataDocument(teamId, data) {
+    if (!teamId) {
+        throw new Error('TeamId is required');
+    }
+    
+    const database = await connect();
+    const collection = database.collection(COLLECTION_NAME);
+    
+    const document = {
+        teamId: teamId,
+        ...data,
+        database: 'mongodb',
+        lastUpdated: new Date().toISOString()
+    };
+    
+    await collection.replaceOne({ teamId: teamId }, document, { upsert: true });
+    return true;
+}
+
+// Read all data for a team
+async function readData(teamId) {
+    try {
+        return await getDataDocument(teamId);
+    } catch (error) {
+        console.error('Error reading data from MongoDB:', error);
+        throw error;
+    }
+}
+
+// Write all data for a team
+async function writeData(teamId, data) {
+    try {
+        await saveDataDocument(teamId, data);
+        return true;
+    } catch (error) {
+        console.error('Error writing data to MongoDB:', error);
+        throw error;
+    }
+}
+
+// ==================== Granular Item Operations ====================
+// These update a single array entry inside the team's data document with
+// atomic update operators instead of replacing the whole document, so two
+// clients saving different items at the same time don't overwrite each other.
+
+// Get all items of one collection for a team
+async function getItems(teamId, collectionName) {
+    assertItemCollection(collectionName);
+    const data = await getDataDocument(teamId);
+    return data[collectionName] || [];
+}
+
+// Get a single item (matched by id) from one collection, or null
+async function findItem(teamId, collectionName, itemId) {
+    const database = await connect();
+    const collection = database.collection(COLLECTION_NAME);
+
+    const doc = await collection.findOne(
+        { teamId: teamId, [`${collectionName}.id`]: itemId },
+        { projection: { [`${collectionName}.$`]: 1 } }
+    );
+    return doc && doc[collectionName] ? doc[collectionName][0] : null;
+}
+
+// Insert or replace a single item (matched by id) in one collection.
+// item.revision is the revision the client based its edit on (missing = new item);
+// the write is rejected with a conflict error if the stored revision has moved on.
+async function upsertItem(teamId, collectionName, item) {
+    assertItemCollection(collectionName);
+    if (!item || !item.id) {
+        throw new Error('Item id is required');
+    }
+
+    // Make sure the team's document exists before targeting its arrays
+    await getDataDocument(teamId);
+
+    const database = await connect();
+    const collection = database.collection(COLLECTION_NAME);
+    const lastUpdated = new Date().toISOString();
+    const baseRevision = Number.isInteger(item.revision) ? item.revision : 0;
+
+    // Replace in place if the item exists at the revision the client saw
+    // (items saved before revisions existed count as revision 0)
+    const saved = { ...item, revision: baseRevision + 1 };
+    const before = await collection.findOneAndUpdate(
+        {
+            teamId: teamId,
+            [collectionName]: {
+                $elemMatch: {
+                    id: item.id,
+                    revision: baseRevision === 0 ? { $in: [0, null] } : baseRevision
+                }
+            }
+        },
+        { $set: { [`${collectionName}.$`]: saved, lastUpdated } },
+        { projection: { [`${collectionName}.$`]: 1 }, returnDocument: 'before' }
+    );
+    if (before) {
+        // Keep the version we just replaced so it can be restored later
+        if (before[collectionName] && before[collectionName][0]) {
+            await recordHistory(teamId, collectionName, before[collectionName][0]);
+        }
+        return saved;
+    }
+
+    // The item exists but at a different revision - the client is stale
+    const current = await findItem(teamId, collectionName, item.id);
+    if (current) {
+        throw createConflictError(collectionName, current);
+    }
+
+    // Otherwise append it - the filter guards against a concurrent insert of the same id
+    const created = { ...item, revision: 1 };
+    const pushed = await collection.updateOne(
+        { teamId: teamId, [`${collectionName}.id`]: { $ne: item.id } },
+        { $push: { [collectionName]: created }, $set: { lastUpdated } }
+    );
+    if (pushed.matchedCount === 0) {
+        // Someone else inserted it between the two updates
+        throw createConflictError(collectionName, await findItem(teamId, collectionName, item.id));
+    }
+
+    return created;
+}
+
+// ==================== Version History ====================
+// Prior versions of positions, scenarios and sequences are kept in their own
+// collection, capped at HISTORY_LIMIT entries per item.
+
+// Store a replaced version of an item and drop the oldest entries beyond the limit
+async function recordHistory(teamId, collectionName, previous) {
+    if (!HISTORY_COLLECTIONS.includes(collectionName)) {
+        return;
+    }
+
+    const database = await connect();
+    const historyCollection = database.collection(HISTORY_COLLECTION);
+    const filter = { teamId: teamId, collection: collectionName, itemId: previous.id };
+
+    await historyCollection.insertOne({
+        ...filter,
+        revision: previous.revision || 0,
+        savedAt: new Date().toISOString(),
+        item: previous
+    });
+
+    const stale = await historyCollection
+        .find(filter, { projection: { _id: 1 } })
+        .sort({ revision: -1, savedAt: -1 })
+        .skip(HISTORY_LIMIT)
+        .toArray();
+    if (stale.length > 0) {
+        await historyCollection.deleteMany({ _id: { $in: stale.map(entry => entry._id) } });
+    }
+}
+
+/**
+ * Get the stored prior versions of an item, newest first
+ * @returns {Promise<Array>} - [{ revision, savedAt, item }]
+ */
+async function getItemHistory(teamId, collectionName, itemId) {
+    assertItemCollection(collectionName);
+
+    const database = await connect();
+    const entries = await database.collection(HISTORY_COLLECTION)
+        .find({ teamId: teamId, collection: collectionName, itemId: itemId })
+        .sort({ revision: -1, savedAt: -1 })
+        .toArray();
+
+    return entries.map(({ revision, savedAt, item }) => ({ revision, savedAt, item }));
+}
+
+/**
+ * Restore a prior version of an item. The restore is saved as a new revision,
+ * so the version being replaced goes into the history too.
+ * @returns {Promise<object|null>} - The saved item, or null if that version doesn't exist
+ */
+async function restoreItemVersion(teamId, collectionName, itemId, revision) {
+    assertItemCollection(collectionName);
+
+    const database = await connect();
+    const entry = await database.collection(HISTORY_COLLECTION).findOne(
+        { teamId: teamId, collection: collectionName, itemId: itemId, revision: revision },
+        { sort: { savedAt: -1 } }
+    );
+    if (!entry) {
+        return null;
+    }
+
+    const current = await findItem(teamId, collectionName, itemId);
+    return await upsertItem(teamId, collectionName, {
+        ...entry.item,
+        revision: current ? current.revision || 0 : 0
+    });
+}
+
+// Apply an update to the team's data document, stamping lastUpdated
+async function updateDataDocument(teamId, update, options = {}) {
+    if (!teamId) {
+        throw new Error('TeamId is required');
+    }
+
+    const database = await connect();
+    const collection = database.collection(COLLECTION_NAME);
+
+    await collection.updateOne(
+        { teamId: teamId },
+        { ...update, $set: { ...(update.$set || {}), lastUpdated: new Date().toISOString() } },
+        options
+    );
+    return true;
+}
+
+// Build the trash entry for an item that is about to be deleted (null if it doesn't exist),
+// with the data document it was built from
+async function buildTrashEntryFor(teamId, collectionName, itemId) {
+    const doc = await getDataDocument(teamId);
+    return { doc, entry: buildTrashEntry(doc, collectionName, itemId) };
+}
+
+// The $inc (and its arrayFilters) that gives the items a delete, or its restore, changes a new
+// revision in the same write, so a device still holding the old revision gets a conflict
+function cascadeRevisions(entry) {
+    const $inc = {};
+    const arrayFilters = [];
+    Object.entries(getCascadedItemIds(entry)).forEach(([collectionName, ids]) => {
+        if (ids.length === 0) return;
+        const identifier = `${collectionName}Changed`;
+        $inc[`${collectionName}.$[${identifier}].revision`] = 1;
+        arrayFilters.push({ [`${identifier}.id`]: { $in: ids } });
+    });
+    return arrayFilters.length > 0
+        ? { update: { $inc }, options: { arrayFilters } }
+        : { update: {}, options: {} };
+}
+
+// Keep the versions of the items a delete or restore changed (doc is the data document from before it)
+async function recordCascadeHistory(teamId, doc, entry) {
+    for (const [collectionName, ids] of Object.entries(getCascadedItemIds(entry))) {
+        for (const item of (doc[collectionName] || []).filter(existing => ids.includes(existing.id))) {
+            await recordHistory(teamId, collectionName, item);
+        }
+    }
+}
+
+// Player operations
+async function savePlayer(teamId, player) {
+    return await upsertItem(teamId, 'players', player);
+}
+
+// Moves a player to the trash and removes them from every position.
+// Like the other deletes, returns the trash entry id (null if the item didn't exist).
+async function deletePlayer(teamId, playerId) {
+    const { doc: before, entry } = await buildTrashEntryFor(teamId, 'players', playerId);
+    const revisions = cascadeRevisions(entry);
+    await updateDataDocument(teamId, {
+        $pull: {
+            players: { id: playerId },
+            'positions.$[].playerPositions': { playerId: playerId }
+        },
+        ...revisions.update,
+        ...(entry ? { $push: { trash: entry } } : {})
+    }, revisions.options);
+    await recordCascadeHistory(teamId, before, entry);
+
+    // Also handle legacy savedPositions format (for backward compatibility)
+    const database = await connect();
+    const doc = await database.collection(COLLECTION_NAME).findOne(
+        { teamId: teamId, savedPositions: { $type: 'object' } },
+        { projection: { savedPositions: 1 } }
+    );
+    if (doc) {
+        const pulls = {};
+        Object.keys(doc.savedPositions).forEach(posName => {
+            if (Array.isArray(doc.savedPositions[posName])) {
+                pulls[`savedPositions.${posName}`] = { playerId: playerId };
+            }
+        });
+        if (Object.keys(pulls).length > 0) {
+            await updateDataDocument(teamId, { $pull: pulls });
+        }
+    }
+
+    return entry ? entry.id : null;
+}
+
+// Position operations
+async function savePosition(teamId, position) {
+    return await upsertItem(teamId, 'positions', position);
+}
+
+// Moves a position to the trash along with the rotation links, scenarios and sequence items that use it
+async function deletePosition(teamId, positionId) {
+    const { doc: before, entry } = await buildTrashEntryFor(teamId, 'positions', positionId);
+    const revisions = cascadeRevisions(entry);
+    await updateDataDocument(teamId, {
+        $pull: {
+            positions: { id: positionId },
+            'rotations.$[].positionIds': positionId,
+            scenarios: { $or: [{ startPositionId: positionId }, { endPositionId: positionId }] },
+            'sequences.$[].items': { type: 'position', id: positionId }
+        },
+        ...revisions.update,
+        ...(entry ? { $push: { trash: entry } } : {})
+    }, revisions.options);
+    await recordCascadeHistory(teamId, before, entry);
+    return entry ? entry.id : null;
+}
+
+// Rotation operations
+async function saveRotation(teamId, rotation) {
+    return await upsertItem(teamId, 'rotations', rotation);
+}
+
+// Moves a rotation to the trash and unlinks it from positions
+async function deleteRotation(teamId, rotationId) {
+    const { doc: before, entry } = await buildTrashEntryFor(teamId, 'rotations', rotationId);
+    const revisions = cascadeRevisions(entry);
+    await updateDataDocument(teamId, {
+        $pull: {
+            rotations: { id: rotationId },
+            'positions.$[].rotationIds': rotationId
+        },
+        ...revisions.update,
+        ...(entry ? { $push: { trash: entry } } : {})
+    }, revisions.options);
+    await recordCascadeHistory(teamId, before, entry);
+    return entry ? entry.id : null;
+}
+
+// Scenario operations
+async function saveScenario(teamId, scenario) {
+    return await upsertItem(teamId, 'scenarios', scenario);
+}
+
+// Moves a scenario to the trash and removes it from sequences (both old and new format)
+async function deleteScenario(teamId, scenarioId) {
+    const { doc: before, entry } = await buildTrashEntryFor(teamId, 'scenarios', scenarioId);
+    const revisions = cascadeRevisions(entry);
+    await updateDataDocument(teamId, {
+        $pull: {
+            scenarios: { id: scenarioId },
+            'sequences.$[].scenarioIds': scenarioId,
+            'sequences.$[].items': { type: 'scenario', id: scenarioId }
+        },
+        ...revisions.update,
+        ...(entry ? { $push: { trash: entry } } : {})
+    }, revisions.options);
+    await recordCascadeHistory(teamId, before, entry);
+    return entry ? entry.id : null;
+}
+
+// Sequence operations
+async function saveSequence(teamId, sequence) {
+    return await upsertItem(teamId, 'sequences', sequence);
+}
+
+// Moves a sequence to the trash
+async function deleteSequence(teamId, sequenceId) {
+    const { entry } = await buildTrashEntryFor(teamId, 'sequences', sequenceId);
+    await updateDataDocument(teamId, {
+        $pull: { sequences: { id: sequenceId } },
+        ...(entry ? { $push: { trash: entry } } : {})
+    });
+    return entry ? entry.id : null;
+}
+
+// ==================== Trash ====================
+// Deleted items are kept in the data document's `trash` array with everything
+// their delete cascaded to, until they are restored or TRASH_RETENTION_DAYS pass.
+
+/**
+ * Get the items in a team's trash, newest first (expired entries are left out)
+ * @returns {Promise<Array>} - Trash listings without the stored item data
+ */
+async function getTrash(teamId) {
+    const data = await getDataDocument(teamId);
+    const cutoff = getPurgeCutoff();
+
+    return (data.trash || [])
+        .filter(entry => entry.deletedAt >= cutoff)
+        .sort((a, b) => b.deletedAt.localeCompare(a.deletedAt))
+        .map(toTrashListing);
+}
+
+// Get a single trash entry (with its item and cascade data), or null
+async function findTrashEntry(teamId, trashId) {
+    const database = await connect();
+    const doc = await database.collection(COLLECTION_NAME).findOne(
+        { teamId: teamId, 'trash.id': trashId },
+        { projection: { 'trash.$': 1 } }
+    );
+    return doc && doc.trash ? doc.trash[0] : null;
+}
+
+/**
+ * Restore an item from the trash and re-link what its delete cascaded to:
+ * scenarios removed with a position, rotation links, sequence items (at their
+ * original index) and a player's spots in positions. Links to items that have
+ * since been deleted are skipped.
+ * @returns {Promise<object|null>} - { collection, item }, or null if the entry doesn't exist
+ */
+async function restoreFromTrash(teamId, trashId) {
+    const entry = await findTrashEntry(teamId, trashId);
+    if (!entry) {
+        return null;
+    }
+
+    const database = await connect();
+    const collection = database.collection(COLLECTION_NAME);
+    const { collection: collectionName, item, cascade = {} } = entry;
+    const before = await getDataDocument(teamId);
+
+    // Re-insert an item unless one with the same id exists again
+    const pushIfMissing = (name, value) => collection.updateOne(
+        { teamId: teamId, [`${name}.id`]: { $ne: value.id } },
+        { $push: { [name]: value } }
+    );
+
+    await pushIfMissing(collectionName, item);
+    for (const scenario of cascade.scenarios || []) {
+        await pushIfMissing('scenarios', scenario);
+    }
+
+    if (cascade.rotationIds && cascade.rotationIds.length > 0) {
+        await collection.updateOne(
+            { teamId: teamId },
+            { $addToSet: { 'rotations.$[rotation].positionIds': item.id } },
+            { arrayFilters: [{ 'rotation.id': { $in: cascade.rotationIds } }] }
+        );
+    }
+
+    if (cascade.positionIds && cascade.positionIds.length > 0) {
+        await collection.updateOne(
+            { teamId: teamId },
+            { $addToSet: { 'positions.$[position].rotationIds': item.id } },
+            { arrayFilters: [{ 'position.id': { $in: cascade.positionIds } }] }
+        );
+    }
+
+    for (const { positionId, playerPosition } of cascade.playerPositions || []) {
+        await collection.updateOne(
+            { teamId: teamId },
+            { $push: { 'positions.$[position].playerPositions': playerPosition } },
+            {
+                arrayFilters: [{
+                    'position.id': positionId,
+                    'position.playerPositions.playerId': { $ne: playerPosition.playerId }
+                }]
+            }
+        );
+    }
+
+    // Indexes were recorded in ascending order, so inserting in order restores them exactly
+    for (const { sequenceId, index, item: sequenceItem } of cascade.sequenceItems || []) {
+        await collection.updateOne(
+            { teamId: teamId },
+            { $push: { 'sequences.$[sequence].items': { $each: [sequenceItem], $position: index } } },
+            { arrayFilters: [{ 'sequence.id': sequenceId }] }
+        );
+    }
+
+    for (const { sequenceId, index } of cascade.sequenceScenarioIds || []) {
+        await collection.updateOne(
+            { teamId: teamId },
+            { $push: { 'sequences.$[sequence].scenarioIds': { $each: [item.id], $position: index } } },
+            { arrayFilters: [{ 'sequence.id': sequenceId, 'sequence.scenarioIds': { $type: 'array' } }] }
+        );
+    }
+
+    // The re-linked items get a new revision, like any other change to them
+    const revisions = cascadeRevisions(entry);
+    await updateDataDocument(teamId, { $pull: { trash: { id: trashId } }, ...revisions.update }, revisions.options);
+    await recordCascadeHistory(teamId, before, entry);
+    return { collection: collectionName, item };
+}
+
+// Remove the stored history of items that are gone for good
+async function dropTrashedHistory(teamId, entries) {
+    const database = await connect();
+    const historyCollection = database.collection(HISTORY_COLLECTION);
+
+    for (const entry of entries) {
+        const items = [
+            { collection: entry.collection, itemId: entry.itemId },
+            ...((entry.cascade && entry.cascade.scenarios) || []).map(scenario => ({ collection: 'scenarios', itemId: scenario.id }))
+        ];
+        for (const { collection: collectionName, itemId } of items) {
+            await historyCollection.deleteMany({ teamId: teamId, collection: collectionName, itemId: itemId });
+        }
+    }
+}
+
+/**
+ * Permanently delete an item from the trash
+ * @returns {Promise<boolean>} - false if the entry doesn't exist
+ */
+async function deleteFromTrash(teamId, trashId) {
+    const entry = await findTrashEntry(teamId, trashId);
+    if (!entry) {
+        return false;
+    }
+
+    await updateDataDocument(teamId, { $pull: { trash: { id: trashId } } });
+    await dropTrashedHistory(teamId, [entry]);
+    return true;
+}
+
+/**
+ * Permanently delete trash entries older than TRASH_RETENTION_DAYS, for all teams
+ * @returns {Promise<number>} - Number of entries purged
+ */
+async function purgeTrash() {
+    const database = await connect();
+    const collection = database.collection(COLLECTION_NAME);
+    const cutoff = getPurgeCutoff();
+
+    const docs = await collection
+        .find({ 'trash.deletedAt': { $lt: cutoff } }, { projection: { teamId: 1, trash: 1 } })
+        .toArray();
+
+    let purged = 0;
+    for (const doc of docs) {
+        const expired = doc.trash.filter(entry => entry.deletedAt < cutoff);
+        await collection.updateOne(
+            { teamId: doc.teamId },
+            { $pull: { trash: { deletedAt: { $lt: cutoff } } } }
+        );
+        await dropTrashedHistory(doc.teamId, expired);
+        purged += expired.length;
+    }
+
+    return purged;
+}
+
+// ==================== User Management ====================
+
+/**
+ * Create a new user
+ * @param {object} userData - User data: { firstName, lastName, email, role }
+ * @returns {Promise<object>} - Created user (without password)
+ */
+async function createUser(userData) {
+    const database = await connect();
+    const usersCollection = database.collection(USERS_COLLECTION);
+    
+    const { firstName, lastName, email, role } = userData;
+    
+    // Validate required fields
+    if (!firstName || !lastName || !email || !role) {
+        throw new Error('All fields (firstName, lastName, email, role) are required');
+    }
+    
+    // Validate role
+    if (!VALID_ROLES.includes(role.toLowerCase())) {
+        throw new Error(`Invalid role. Must be one of: ${VALID_ROLES.join(', ')}`);
+    }
+    
+    // Check if user already exists
+    const existingUser = await usersCollection.findOne({ email: email.toLowerCase() });
+    if (existingUser) {
+        throw new Error('User with this email already exists');
+    }
+    
+    const user = {
+        firstName,
+        lastName,
+        email: email.toLowerCase(),
+        role: role.toLowerCase(),
+        createdAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString()
+    };
+    
+    const result = await usersCollection.insertOne(user);
+    const { _id, ...userWithoutId } = user;
+    return {
+        id: result.insertedId.toString(),
+        ...userWithoutId
+    };
+}
+
+/**
+ * Get user by email
+ * @param {string} email - User email
+ * @returns {Promise<object|null>} - User object or null
+ */
+async function getUserByEmail(email) {
+    const database = await connect();
+    const usersCollection = database.collection(USERS_COLLECTION);
+    
+    const user = await usersCollection.findOne({ email: email.toLowerCase() });
+    if (!user) return null;
+    
+    const { _id, ...userWithoutId } = user;
+    return {
+        id: _id.toString(),
+        ...userWithoutId
+    };
+}
+
+/**
+ * Get user by ID
+ * @param {string} userId - User ID
+ * @returns {Promise<object|null>} - User object or null
+ */
+async function getUserById(userId) {
+    const database = await connect();
+    const usersCollection = database.collection(USERS_COLLECTION);
+    
+    try {
+        const user = await usersCollection.findOne({ _id: new ObjectId(userId) });
+        if (!user) return null;
+        
+        const { _id, ...userWithoutId } = user;
+        return {
+            id: _id.toString(),
+            ...userWithoutId
+        };
+    } catch (error) {
+        if (error.message && error.message.includes('ObjectId')) {
+            return null;
+        }
+        throw error;
+    }
+}
+
+/**
+ * Update user profile fields
+ * @param {string} userId - User ID
+ * @param {object} updates - Fields to set (e.g. firstName, lastName)
+ * @returns {Promise<boolean>}
+ */
+async function updateUser(userId, updates) {
+    const database = await connect();
+    const usersCollection = database.collection(USERS_COLLECTION);
+    
+    await usersCollection.updateOne(
+        { _id: new ObjectId(userId) },
+        { $set: { ...updates, updatedAt: new Date().toISOString() } }
+    );
+    
+    return true;
+}
+
+/**
+ * Save user credentials (hashed password)
+ * @param {string} userId - User ID
+ * @param {string} hashedPassword - Hashed password
+ * @returns {Promise<boolean>}
+ */
+async function saveUserCredentials(userId, hashedPassword) {
+    const database = await connect();
+    const credentialsCollection = database.collection(CREDENTIALS_COLLECTION);
+    
+    await credentialsCollection.replaceOne(
+        { userId: userId },
+        {
+            userId: userId,
+            passwordHash: hashedPassword,
+            updatedAt: new Date().toISOString()
+        },
+        { upsert: true }
+    );
+    
+    return true;
+}
+
+/**
+ * Get user credentials by user ID
+ * @param {string} userId - User ID
+ * @returns {Promise<object|null>} - Credentials object with passwordHash or null
+ */
+async function getUserCredentials(userId) {
+    const database = await connect();
+    const credentialsCollection = database.collection(CREDENTIALS_COLLECTION);
+    
+    return await credentialsCollection.findOne({ userId: userId });
+}
+
+// ==================== Team Management ====================
+// Each team has its own data document (players, positions, scenarios, sequences)
+// and its own team code for the read-only player view.
+
+// Return a stored team as { id, ...fields }
+function toTeam(doc) {
+    if (!doc) return null;
+    const { _id, ...teamWithoutId } = doc;
+    return {
+        id: _id.toString(),
+        ...teamWithoutId
+    };
+}
+
+/**
+ * Create a team
+ * @param {string} ownerId - User ID of the coach who owns the team
+ * @param {string} name - Team name
+ * @returns {Promise<object>} - Created team
+ */
+async function createTeam(ownerId, name) {
+    if (!name || !name.trim()) {
+        throw new Error('Team name is required');
+    }
+    
+    const database = await connect();
+    const teamsCollection = database.collection(TEAMS_COLLECTION);
+    
+    const team = {
+        ownerId: ownerId,
+        name: name.trim(),
+        playerViewEnabled: false,
+        createdAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString()
+    };
+    
+    const result = await teamsCollection.insertOne(team);
+    return toTeam({ ...team, _id: result.insertedId });
+}
+
+/**
+ * Get team by ID
+ * @param {string} teamId - Team ID
+ * @returns {Promise<object|null>} - Team object or null
+ */
+async function getTeamById(teamId) {
+    const database = await connect();
+    const teamsCollection = database.collection(TEAMS_COLLECTION);
+    
+    try {
+        return toTeam(await teamsCollection.findOne({ _id: new ObjectId(teamId) }));
+    } catch (error) {
+        if (error.message && error.message.includes('ObjectId')) {
+            return null;
+        }
+        throw error;
+    }
+}
+
+/**
+ * Get the teams a user owns or has joined, owned teams first, oldest first.
+ * Accounts from before teams existed get a default team that adopts their data;
+ * anyone else without a team (e.g. a player who left their only team) gets none.
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} - Team objects
+ */
+async function getTeamsForUser(userId) {
+    const database = await connect();
+    const teamsCollection = database.collection(TEAMS_COLLECTION);
+    
+    const ownedTeams = await teamsCollection.find({ ownerId: userId }).sort({ createdAt: 1 }).toArray();
+    
+    const memberships = await database.collection(MEMBERS_COLLECTION).find({ userId: userId }).toArray();
+    const joinedTeams = memberships.length > 0
+        ? await teamsCollection.find({ _id: { $in: memberships.map(membership => new ObjectId(membership.teamId)) } }).sort({ createdAt: 1 }).toArray()
+        : [];
+    
+    if (ownedTeams.length > 0 || joinedTeams.length > 0) {
+        return [...ownedTeams, ...joinedTeams].map(toTeam);
+    }
+    
+    return await hasLegacyData(userId) ? [await createDefaultTeam(userId)] : [];
+}
+
+// Whether an account still has data from before teams (keyed by its user ID)
+async function hasLegacyData(userId) {
+    const database = await connect();
+    const legacyFilter = { userId: userId, teamId: { $exists: false } };
+    const user = await getUserById(userId);
+    return !!(
+        (user && user.teamCode) ||
+        await database.collection(COLLECTION_NAME).findOne(legacyFilter, { projection: { _id: 1 } }) ||
+        await database.collection(HISTORY_COLLECTION).findOne(legacyFilter, { projection: { _id: 1 } })
+    );
+}
+
+// Create the first team for an account that predates teams, moving its
+// user-keyed data, history and team code over to the team
+async function createDefaultTeam(userId) {
+    const database = await connect();
+    const user = await getUserById(userId);
+    const team = await createTeam(userId, 'My Team');
+    
+    await database.collection(COLLECTION_NAME).updateOne(
+        { userId: userId, teamId: { $exists: false } },
+        { $set: { teamId: team.id }, $unset: { userId: '' } }
+    );
+    await database.collection(HISTORY_COLLECTION).updateMany(
+        { userId: userId, teamId: { $exists: false } },
+        { $set: { teamId: team.id }, $unset: { userId: '' } }
+    );
+    
+    if (user && user.teamCode) {
+        team.teamCode = user.teamCode;
+        team.playerViewEnabled = user.playerViewEnabled === true;
+        await database.collection(TEAMS_COLLECTION).updateOne(
+            { _id: new ObjectId(team.id) },
+            { $set: { teamCode: team.teamCode, playerViewEnabled: team.playerViewEnabled } }
+        );
+        await database.collection(USERS_COLLECTION).updateOne(
+            { _id: new ObjectId(userId) },
+            { $unset: { teamCode: '', playerViewEnabled: '' } }
+        );
+    }
+    
+    return team;
+}
+
+/**
+ * Update team fields
+ * @param {string} teamId - Team ID
+ * @param {object} updates - Fields to set (e.g. name)
+ * @returns {Promise<object|null>} - Updated team
+ */
+async function updateTeam(teamId, updates) {
+    const database = await connect();
+    const teamsCollection = database.collection(TEAMS_COLLECTION);
+    
+    await teamsCollection.updateOne(
+        { _id: new ObjectId(teamId) },
+        { $set: { ...updates, updatedAt: new Date().toISOString() } }
+    );
+    
+    return await getTeamById(teamId);
+}
+
+/**
+ * Delete a team with its data, version history, members and invites
+ * @param {string} teamId - Team ID
+ * @returns {Promise<boolean>}
+ */
+async function deleteTeam(teamId) {
+    const database = await connect();
+    
+    await database.collection(TEAMS_COLLECTION).deleteOne({ _id: new ObjectId(teamId) });
+    await database.collection(COLLECTION_NAME).deleteOne({ teamId: teamId });
+    await database.collection(HISTORY_COLLECTION).deleteMany({ teamId: teamId });
+    await database.collection(MEMBERS_COLLECTION).deleteMany({ teamId: teamId });
+    await database.collection(INVITES_COLLECTION).deleteMany({ teamId: teamId });
+    
+    return true;
+}
+
+/**
+ * Get team by team code
+ * @param {string} teamCode - Team code
+ * @returns {Promise<object|null>} - Team object or null
+ */
+async function getTeamByTeamCode(teamCode) {
+    const database = await connect();
+    const teamsCollection = database.collection(TEAMS_COLLECTION);
+    
+    return toTeam(await teamsCollection.findOne({ teamCode: teamCode.toUpperCase() }));
+}
+
+/**
+ * Enable or disable a team's player view
+ * @param {string} teamId - Team ID
+ * @param {boolean} enabled - Whether player view is enabled
+ * @returns {Promise<string|null>} - Team code if enabled, null if disabled
+ */
+async function updateTeamCode(teamId, enabled) {
+    const database = await connect();
+    const teamsCollection = database.collection(TEAMS_COLLECTION);
+    
+    if (!enabled) {
+        // Disable player view
+        await teamsCollection.updateOne(
+            { _id: new ObjectId(teamId) },
+            { 
+                $set: { 
+                    playerViewEnabled: false,
+                    updatedAt: new Date().toISOString()
+                },
+                $unset: { teamCode: '' }
+            }
+        );
+        
+        return null;
+    }
+    
+    // Preserve an existing code, otherwise generate a unique one
+    const team = await getTeamById(teamId);
+    let teamCode = team && team.teamCode;
+    if (!teamCode) {
+        let attempts = 0;
+        do {
+            teamCode = generateTeamCode();
+            const existing = await teamsCollection.findOne({ teamCode: teamCode });
+            if (!existing) break;
+            attempts++;
+            if (attempts > 10) {
+                throw new Error('Failed to generate unique team code');
+            }
+        } while (true);
+    }
+    
+    await teamsCollection.updateOne(
+        { _id: new ObjectId(teamId) },
+        { 
+            $set: { 
+                teamCode: teamCode,
+                playerViewEnabled: true,
+                updatedAt: new Date().toISOString()
+            }
+        }
+    );
+    
+    return teamCode;
+}
+
+// ==================== Team Membership ====================
+// A coach shares a team by creating a single-use invite token. Accepting it adds
+// a membership record that gives the user access to the team with the invite's role.
+
+// Return a stored record without its MongoDB _id
+function withoutId(doc) {
+    if (!doc) return null;
+    const { _id, ...rest } = doc;
+    return rest;
+}
+
+/**
+ * Create an invite to a team
+ * @param {string} teamId - Team ID
+ * @param {string} role - Role the invited user gets ('coach', 'assistant coach' or 'player')
+ * @param {string} createdBy - User ID of the coach creating the invite
+ * @returns {Promise<object>} - { token, teamId, role, createdBy, createdAt, expiresAt }
+ */
+async function createInvite(teamId, role, createdBy) {
+    const database = await connect();
+    const invite = buildInvite(teamId, role, createdBy);
+    await database.collection(INVITES_COLLECTION).insertOne({ ...invite });
+    return invite;
+}
+
+/**
+ * Get an invite by its token (including used and expired invites)
+ * @param {string} token - Invite token
+ * @returns {Promise<object|null>}
+ */
+async function getInviteByToken(token) {
+    const database = await connect();
+    return withoutId(await database.collection(INVITES_COLLECTION).findOne({ token: token }));
+}
+
+/**
+ * Get a team's pending (unused and unexpired) invites, newest first
+ * @param {string} teamId - Team ID
+ * @returns {Promise<Array>}
+ */
+async function getInvitesForTeam(teamId) {
+    const database = await connect();
+    const invites = await database.collection(INVITES_COLLECTION)
+        .find({ teamId: teamId, acceptedAt: { $exists: false }, expiresAt: { $gt: new Date().toISOString() } })
+        .sort({ createdAt: -1 })
+        .toArray();
+    return invites.map(withoutId);
+}
+
+/**
+ * Revoke an invite
+ * @param {string} teamId - Team ID
+ * @param {string} token - Invite token
+ * @returns {Promise<boolean>} - false if the team has no such invite
+ */
+async function deleteInvite(teamId, token) {
+    const database = await connect();
+    const result = await database.collection(INVITES_COLLECTION).deleteOne({ teamId: teamId, token: token });
+    return result.deletedCount > 0;
+}
+
+/**
+ * Accept an invite, adding the user to the team with the invite's role
+ * @param {string} token - Invite token
+ * @param {string} userId - User accepting the invite
+ * @returns {Promise<object>} - Membership { teamId, userId, role, joinedAt }
+ */
+async function acceptInvite(token, userId) {
+    const database = await connect();
+    const invitesCollection = database.collection(INVITES_COLLECTION);
+    
+    const invite = await getInviteByToken(token);
+    assertInviteUsable(invite);
+    
+    const team = await getTeamById(invite.teamId);
+    if (!team) {
+        throw new Error('Invite not found');
+    }
+    if (team.ownerId === userId) {
+        throw new Error('You already own this team');
+    }
+    
+    // Claim the invite so it can only be used once
+    const acceptedAt = new Date().toISOString();
+    const result = await invitesCollection.updateOne(
+        { token: token, acceptedAt: { $exists: false } },
+        { $set: { acceptedBy: userId, acceptedAt: acceptedAt } }
+    );
+    if (result.modifiedCount === 0) {
+        throw new Error('This invite has already been used');
+    }
+    
+    // Joining again (e.g. with a new invite) changes the member's role
+    await database.collection(MEMBERS_COLLECTION).updateOne(
+        { teamId: invite.teamId, userId: userId },
+        { $set: { role: invite.role }, $setOnInsert: { joinedAt: acceptedAt } },
+        { upsert: true }
+    );
+    
+    return await getMembership(invite.teamId, userId);
+}
+
+/**
+ * Get a user's membership in a team (owners have no membership record)
+ * @param {string} teamId - Team ID
+ * @param {string} userId - User ID
+ * @returns {Promise<object|null>} - { teamId, userId, role, joinedAt }
+ */
+async function getMembership(teamId, userId) {
+    const database = await connect();
+    return withoutId(await database.collection(MEMBERS_COLLECTION).findOne({ teamId: teamId, userId: userId }));
+}
+
+/**
+ * Get a team's members, in the order they joined
+ * @param {string} teamId - Team ID
+ * @returns {Promise<Array>} - Memberships
+ */
+async function getTeamMembers(teamId) {
+    const database = await connect();
+    const members = await database.collection(MEMBERS_COLLECTION).find({ teamId: teamId }).sort({ joinedAt: 1 }).toArray();
+    return members.map(withoutId);
+}
+
+/**
+ * Remove a member from a team
+ * @param {string} teamId - Team ID
+ * @param {string} userId - User ID
+ * @returns {Promise<boolean>} - false if the user wasn't a member
+ */
+async function removeMember(teamId, userId) {
+    const database = await connect();
+    const result = await database.collection(MEMBERS_COLLECTION).deleteOne({ teamId: teamId, userId: userId });
+    return result.deletedCount > 0;
+}
+
+// Migrate from old format (v3.0) to new format (v4.0) - Legacy support
+// Note: This is for migrating old single-document data to team-scoped data
+// In production, you'd want to assign old data to a default team or migrate it properly
+async function migrateDataIfNeeded() {
+    try {
+        const database = await connect();
+        const collection = database.collection(COLLECTION_NAME);
+        
+        // Check for old format (single document with _id: 'main')
+        const oldDoc = await collection.findOne({ _id: 'main' });
+        
+        if (oldDoc) {
+            console.log('Found legacy data format. Note: Legacy data will need to be migrated to a user account.');
+            console.log('To migrate, create a user account and import the data manually, or implement a migration script.');
+            // We don't auto-migrate here to avoid data loss - admin should handle this
+        }
+        
+        // Give accounts from before teams existed their default team
+        const users = await database.collection(USERS_COLLECTION).find({}, { projection: { _id: 1 } }).toArray();
+        for (const user of users) {
+            await getTeamsForUser(user._id.toString());
+        }
+        
+        // Check for any team data that needs format migration
+        const dataDocs = await collection.find({ teamId: { $exists: true } }).toArray();
+        
+        for (const doc of dataDocs) {
+            // Check if old format exists (has savedPositions object and no positions array)
+            if (needsMigration(doc)) {
+                console.log(`Migrating data for team ${doc.teamId} from v3.0 to v4.0...`);
+                
+                const updatedData = migrateV3ToV4(doc);
+                await collection.replaceOne({ _id: doc._id }, updatedData);
+                console.log(`Migration complete for team ${doc.teamId}: ${updatedData.positions.length} positions, ${updatedData.rotations.length} rotations`);
+            }
+        }
+    } catch (error) {
+        console.error('Error during migration:', error);
+        // Don't throw - allow app to continue
+    }
+}
+
+// Initialize database connection and run migrations
+async function initialize() {
+    try {
+        await connect();
+        await migrateDataIfNeeded();
+        await purgeTrash();
+        console.log('Database initialized');
+    } catch (error) {
+        console.error('Error initializing database:', error);
+        throw error;
+    }
+}
+
+// Close database connection
+async function close() {
+    if (client) {
+        await client.close();
+        client = null;
+        db = null;
+        console.log('MongoDB connection closed');
+    }
+}
+
+module.exports = {
+    connect,
+    readData,
+    writeData,
+    initialize,
+    close,
+    migrateDataIfNeeded,
+    // Granular item operations
+    getItems,
+    savePlayer,
+    deletePlayer,
+    savePosition,
+    deletePosition,
+    saveRotation,
+    deleteRotation,
+    saveScenario,
+    deleteScenario,
+    saveSequence,
+    deleteSequence,
+    // Version history
+    getItemHistory,
+    restoreItemVersion,
+    // Trash
+    getTrash,
+    restoreFromTrash,
+    deleteFromTrash,
+    purgeTrash,
+    // User management
+    createUser,
+    getUserByEmail,
+    getUserById,
+    updateUser,
+    saveUserCredentials,
+    getUserCredentials,
+    // Team management
+    createTeam,
+    getTeamById,
+    getTeamsForUser,
+    updateTeam,
+    deleteTeam,
+    getTeamByTeamCode,
+    updateTeamCode,
+    // Team membership
+    createInvite,
+    getInviteByToken,
+    getInvitesForTeam,
+    deleteInvite,
+    acceptInvite,
+    getMembership,
+    getTeamMembers,
+    removeMember
+};
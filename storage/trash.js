@@ -0,0 +1,200 @@
+// Trash (soft delete) helpers shared by all storage adapters
+// A deleted item is moved into the data document's `trash` array together with
+// everything its delete cascaded to, so a restore can put all of it back.
+
+// Days a deleted item stays in the trash before it is purged
+const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS, 10) || 30;
+
+// Generate unique trash entry ID
+function generateTrashId() {
+    return `trash_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+}
+
+// Oldest deletedAt (ISO string) that is still kept
+function getPurgeCutoff(now = new Date()) {
+    return new Date(now.getTime() - TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+}
+
+/**
+ * Build the trash entry for deleting an item, recording what the delete cascades to:
+ * - players:   their spots in positions
+ * - positions: rotation links, scenarios that start/end on it, sequence items
+ * - rotations: links from positions
+ * - scenarios: sequence items (and legacy scenarioIds)
+ * @returns {object|null} - Trash entry, or null if the item doesn't exist
+ */
+function buildTrashEntry(doc, collectionName, itemId) {
+    const item = (doc[collectionName] || []).find(existing => existing.id === itemId);
+    if (!item) {
+        return null;
+    }
+
+    const cascade = {};
+
+    if (collectionName === 'players') {
+        cascade.playerPositions = [];
+        (doc.positions || []).forEach(position => {
+            (position.playerPositions || []).forEach(playerPosition => {
+                if (playerPosition.playerId === itemId) {
+                    cascade.playerPositions.push({ positionId: position.id, playerPosition });
+                }
+            });
+        });
+    }
+
+    if (collectionName === 'positions') {
+        cascade.rotationIds = (doc.rotations || [])
+            .filter(rotation => (rotation.positionIds || []).includes(itemId))
+            .map(rotation => rotation.id);
+        cascade.scenarios = (doc.scenarios || []).filter(scenario =>
+            scenario.startPositionId === itemId || scenario.endPositionId === itemId
+        );
+    }
+
+    if (collectionName === 'rotations') {
+        cascade.positionIds = (doc.positions || [])
+            .filter(position => (position.rotationIds || []).includes(itemId))
+            .map(position => position.id);
+    }
+
+    if (collectionName === 'positions' || collectionName === 'scenarios') {
+        const type = collectionName === 'positions' ? 'position' : 'scenario';
+        cascade.sequenceItems = [];
+        (doc.sequences || []).forEach(sequence => {
+            (sequence.items || []).forEach((sequenceItem, index) => {
+                if (sequenceItem.type === type && sequenceItem.id === itemId) {
+                    cascade.sequenceItems.push({ sequenceId: sequence.id, index, item: sequenceItem });
+                }
+            });
+        });
+    }
+
+    if (collectionName === 'scenarios') {
+        cascade.sequenceScenarioIds = [];
+        (doc.sequences || []).forEach(sequence => {
+            (sequence.scenarioIds || []).forEach((scenarioId, index) => {
+                if (scenarioId === itemId) {
+                    cascade.sequenceScenarioIds.push({ sequenceId: sequence.id, index });
+                }
+            });
+        });
+    }
+
+    return {
+        id: generateTrashId(),
+        collection: collectionName,
+        itemId: itemId,
+        name: item.name || item.jersey || itemId,
+        deletedAt: new Date().toISOString(),
+        item,
+        cascade
+    };
+}
+
+// Insert a value into an array at its original index (clamped to the current length)
+function insertAt(array, index, value) {
+    array.splice(Math.min(index, array.length), 0, value);
+}
+
+/**
+ * Put a trash entry's item and cascaded links back into a data document (mutates doc).
+ * Links to items that no longer exist are skipped.
+ */
+function restoreIntoDocument(doc, entry) {
+    const { collection: collectionName, item, cascade = {} } = entry;
+    const findById = (name, id) => (doc[name] || []).find(existing => existing.id === id);
+
+    if (!doc[collectionName]) {
+        doc[collectionName] = [];
+    }
+    if (!findById(collectionName, item.id)) {
+        doc[collectionName].push(item);
+    }
+
+    (cascade.playerPositions || []).forEach(({ positionId, playerPosition }) => {
+        const position = findById('positions', positionId);
+        if (position && !(position.playerPositions || []).some(pos => pos.playerId === playerPosition.playerId)) {
+            position.playerPositions = [...(position.playerPositions || []), playerPosition];
+        }
+    });
+
+    (cascade.rotationIds || []).forEach(rotationId => {
+        const rotation = findById('rotations', rotationId);
+        if (rotation && !(rotation.positionIds || []).includes(item.id)) {
+            rotation.positionIds = [...(rotation.positionIds || []), item.id];
+        }
+    });
+
+    (cascade.positionIds || []).forEach(positionId => {
+        const position = findById('positions', positionId);
+        if (position && !(position.rotationIds || []).includes(item.id)) {
+            position.rotationIds = [...(position.rotationIds || []), item.id];
+        }
+    });
+
+    (cascade.scenarios || []).forEach(scenario => {
+        if (!findById('scenarios', scenario.id)) {
+            if (!doc.scenarios) doc.scenarios = [];
+            doc.scenarios.push(scenario);
+        }
+    });
+
+    (cascade.sequenceItems || []).forEach(({ sequenceId, index, item: sequenceItem }) => {
+        const sequence = findById('sequences', sequenceId);
+        if (sequence) {
+            if (!sequence.items) sequence.items = [];
+            insertAt(sequence.items, index, sequenceItem);
+        }
+    });
+
+    (cascade.sequenceScenarioIds || []).forEach(({ sequenceId, index }) => {
+        const sequence = findById('sequences', sequenceId);
+        if (sequence && sequence.scenarioIds) {
+            insertAt(sequence.scenarioIds, index, item.id);
+        }
+    });
+}
+
+/**
+ * Ids of the items, other than the deleted item itself, that a trash entry's delete changed
+ * (and a restore changes back), so adapters can give each of them a new revision
+ * @returns {object} - { positions: [ids], rotations: [ids], sequences: [ids] }
+ */
+function getCascadedItemIds(entry) {
+    const cascade = (entry && entry.cascade) || {};
+    const unique = ids => [...new Set(ids)];
+    return {
+        positions: unique([
+            ...(cascade.playerPositions || []).map(({ positionId }) => positionId),
+            ...(cascade.positionIds || [])
+        ]),
+        rotations: unique(cascade.rotationIds || []),
+        sequences: unique([
+            ...(cascade.sequenceItems || []).map(({ sequenceId }) => sequenceId),
+            ...(cascade.sequenceScenarioIds || []).map(({ sequenceId }) => sequenceId)
+        ])
+    };
+}
+
+// Summary of a trash entry for listing (without the full item and cascade data)
+function toTrashListing(entry) {
+    const cascade = entry.cascade || {};
+    return {
+        id: entry.id,
+        collection: entry.collection,
+        itemId: entry.itemId,
+        name: entry.name,
+        deletedAt: entry.deletedAt,
+        cascadedScenarios: (cascade.scenarios || []).map(scenario => scenario.name),
+        expiresAt: new Date(new Date(entry.deletedAt).getTime() + TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString()
+    };
+}
+
+module.exports = {
+    TRASH_RETENTION_DAYS,
+    getPurgeCutoff,
+    buildTrashEntry,
+    restoreIntoDocument,
+    getCascadedItemIds,
+    toTrashListing
+};